@@ -1,5 +1,5 @@
 module.exports = {
-  ignorePatterns: ['test/Helpers.spec.ts'],
+  ignorePatterns: ['test/*.spec.ts'],
   extends: ['eslint:recommended', 'google'],
   env: {
     browser: true,
@@ -75,12 +75,18 @@ function onEdit(e) {
  * @param {!Slide} slide Slide to be modified
  * @param {!Array<string>} row Row of information from data source
  * @param {!Array<string>} postSlideFunctionArgs Extra information passed down
- *     through the configuration sheet
+ *     through the configuration sheet. Columns can be 1-based indexes or
+ *     header names of the data sheet
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource
  */
-function customStyledTextFields(slide, row, postSlideFunctionArgs) {
+function customStyledTextFields(slide, row, postSlideFunctionArgs, config) {
   const textFields = postSlideFunctionArgs;
   const textShapesArray = textFields.shapes;
-  const textColumnsArray = textFields.columns;
+  const header = getHeaderRow(SpreadsheetApp.getActive().getSheetByName(
+      config.DATA_SOURCE_SHEET[0]));
+  const textColumnsArray = textFields.columns.map((column) =>
+    column ? getColumnNumber(header, parseColumnReference(column)) : column);
 
   for (let i = 0; i < textShapesArray.length; i++) {
     const shapeId = textShapesArray[i];
@@ -167,13 +173,12 @@ function textFormatForCWV(cwv, value) {
  *
  * @param {string} newDeckId Id of the generated deck that will contain the
  *     recos
+ * @param {!Object<string, *>} config Effective deck-wide configuration
  */
-function applyCustomStyle(newDeckId) {
+function applyCustomStyle(newDeckId, config) {
   const deck = SlidesApp.openById(newDeckId);
-  const insightDeck =
-      SlidesApp.openById(documentProperties.getProperty('END_SLIDE_DECK_ID'));
-  const endSlideId = documentProperties.getProperty('END_SLIDE_ID');
-  const endSlide = insightDeck.getSlideById(endSlideId.trim());
+  const insightDeck = SlidesApp.openById(config.END_SLIDE_DECK_ID);
+  const endSlide = insightDeck.getSlideById(config.END_SLIDE_ID);
   deck.appendSlide(endSlide, SlidesApp.SlideLinkingMode.NOT_LINKED);
 }
 
@@ -191,17 +196,19 @@ function applyCustomStyle(newDeckId) {
  *     that contains the insights slides to be used as context.
  * @param {!GoogleAppsScript.Slides.PageElement} slideLayout The layout of the
  *     slide to be created.
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource.
  */
 function parseFieldsAndCreateSlideSustainability(
-    deck, insightDeck, slideLayout) {
+    deck, insightDeck, slideLayout, config) {
   const presentationId = deck.getId();
   // Preparing the data and adding it into the chart
   const spreadsheet = SpreadsheetApp.getActive().getSheetByName(
-      documentProperties.getProperty('RECOMMENDATIONS_SHEET'));
-  filterAndSortData(spreadsheet);
+      config.RECOMMENDATIONS_SHEET);
+  filterAndSortData(config, spreadsheet);
   const values = spreadsheet.getFilter().getRange().getValues();
-  const chartSheetName = documentProperties.getProperty('DATA_SOURCE_SHEET');
-  buildReadinessAnalysis(spreadsheet, values, chartSheetName);
+  const chartSheetName = config.DATA_SOURCE_SHEET[0];
+  buildReadinessAnalysis(spreadsheet, values, chartSheetName, config);
 
   // Retrieving and inserting the chart
   const chartSheet = SpreadsheetApp.getActive().getSheetByName(chartSheetName);
@@ -222,8 +229,8 @@ function parseFieldsAndCreateSlideSustainability(
  * Builds the readiness analysis chart based on the recommendations data. This
  * function is called by parseFieldsAndCreateSlideSustainability and is
  * responsible for building the chart that is inserted into the slide. It reads
- * the configuration data from the document properties and uses the
- * recommendations sheet to calculate the values to be displayed in the chart.
+ * the configuration of the datasource and uses the recommendations sheet to
+ * calculate the values to be displayed in the chart.
  *
  * @param {!GoogleAppsScript.Spreadsheet.Sheet} spreadsheet The sheet containing
  *     the recommendations data.
@@ -231,14 +238,13 @@ function parseFieldsAndCreateSlideSustainability(
  *     sheet.
  * @param {string} chartSheetName The name of the sheet that contains the chart
  *     to be used.
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource.
  */
-function buildReadinessAnalysis(spreadsheet, values, chartSheetName) {
-  const policyNamesListString =
-      documentProperties.getProperty('CATEGORY_NAMES_LIST');
-  const policyNamesList =
-      policyNamesListString.split(',').map((item) => item.trim());
+function buildReadinessAnalysis(spreadsheet, values, chartSheetName, config) {
+  const policyNamesList = config.CATEGORY_NAMES_LIST;
   const policyColumnIndex =
-      documentProperties.getProperty('POLICY_MAPPING_COLUMN') - 1;
+      getColumnNumber(values[0], config.POLICY_MAPPING_COLUMN) - 1;
   const policyValuesList = new Array(policyNamesList.length).fill(0);
   const policyTotalList = new Array(policyNamesList.length).fill(0);
 
@@ -259,10 +265,10 @@ function buildReadinessAnalysis(spreadsheet, values, chartSheetName) {
     }
   }
 
-  const partialValuesRange = '\'' + chartSheetName + '\'!' +
-      documentProperties.getProperty('PARTIAL_RESULTS_RANGE');
-  const totalValuesRange = '\'' + chartSheetName + '\'!' +
-      documentProperties.getProperty('TOTAL_RESULTS_RANGE');
+  const partialValuesRange =
+      '\'' + chartSheetName + '\'!' + config.PARTIAL_RESULTS_RANGE;
+  const totalValuesRange =
+      '\'' + chartSheetName + '\'!' + config.TOTAL_RESULTS_RANGE;
   SpreadsheetApp.getActive().getRangeByName(partialValuesRange).setValues([
     policyValuesList,
   ]);
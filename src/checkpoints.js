@@ -0,0 +1,288 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Lets a generation outlast the execution time limit of Apps
+ * Script. Once TIME_BUDGET_SECONDS have passed, the generation stops before
+ * its next unit of slides and saves a checkpoint: the decks left to generate
+ * and, for the deck in progress, its id, the datasource and unit to resume at
+ * and the units generated so far. A trigger then continues the generation
+ * from the checkpoint in a new execution, until every deck is finished.
+ *
+ * The checkpoint is kept in the document properties, except for the units
+ * generated so far that are kept on a hidden sheet as they can outgrow a
+ * property. Only one generation can be in progress at a time.
+ */
+
+/**
+ * @typedef {{
+ *   runOverrides: !Object<string, *>,
+ *   deckOverrides: !Array<!Object<string, *>>,
+ *   deckIds: !Array<string>,
+ *   progress: ?DeckProgress,
+ *   warnings: !Array<string>,
+ *   executions: number,
+ *   targetRowNumber: (number|undefined),
+ * }}
+ */
+let GenerationCheckpoint;
+
+/**
+ * Document property holding the checkpoint of a paused generation.
+ */
+const GENERATION_CHECKPOINT_PROPERTY = 'GENERATION_CHECKPOINT';
+
+/**
+ * Function run by the trigger that continues a paused generation.
+ */
+const GENERATION_CONTINUATION_FUNCTION = 'resumeDeckGeneration';
+
+/**
+ * Delay before a paused generation is continued, in milliseconds.
+ */
+const GENERATION_CONTINUATION_DELAY = 60 * 1000;
+
+/**
+ * Generates the decks left in a checkpoint, starting with the one in progress.
+ * When the deadline passes, the checkpoint is saved and a continuation is
+ * scheduled instead. The issues reported since the execution started go to
+ * the Issues sheet. When the generation is the one of a row of the Targets
+ * sheet, the row is updated once the generation ends.
+ *
+ * @param {!GenerationCheckpoint} checkpoint Decks to generate, updated as they
+ *     are generated
+ * @param {number} deadline Time, in milliseconds since the epoch, after which
+ *     the generation pauses
+ * @return {!Array<string>} Ids of the decks generated so far
+ * @throws {Error} If the generation of a deck fails, once the checkpoint is
+ *     cleared
+ */
+function continueGeneration(checkpoint, deadline) {
+  try {
+    const snapshot = getConfigurationSnapshot(checkpoint.runOverrides);
+    while (checkpoint.deckOverrides.length > 0) {
+      const deckUpdate = recordRun(
+          snapshot, checkpoint.warnings, getReportedIssues(), () => createDeck(
+              checkpoint.deckOverrides[0], deadline, checkpoint.progress));
+      if (deckUpdate.paused) {
+        checkpoint.progress = getDeckProgress(deckUpdate);
+        saveGenerationCheckpoint(checkpoint);
+        scheduleGenerationContinuation();
+        SpreadsheetApp.getActive().toast(formatGenerationProgress(
+            checkpoint, deckUpdate.datasourceCount), 'Generation paused');
+        recordIssues(getReportedIssues());
+        return checkpoint.deckIds;
+      }
+      checkpoint.deckIds.push(deckUpdate.deckId);
+      checkpoint.deckOverrides.shift();
+      checkpoint.progress = null;
+    }
+  } catch (error) {
+    clearGenerationCheckpoint();
+    reportGenerationError(error);
+    recordIssues(getReportedIssues());
+    if (checkpoint.targetRowNumber) {
+      writeTargetResult(checkpoint.targetRowNumber, checkpoint.deckIds,
+          `${TARGET_STATUSES.FAILED}: ${error.message}`);
+    }
+    throw error;
+  }
+  clearGenerationCheckpoint();
+  recordIssues(getReportedIssues());
+  if (checkpoint.targetRowNumber) {
+    writeTargetResult(checkpoint.targetRowNumber, checkpoint.deckIds,
+        TARGET_STATUSES.GENERATED);
+  }
+  return checkpoint.deckIds;
+}
+
+/**
+ * Continues the paused generation, if any. Run by a trigger.
+ *
+ * @return {!Array<string>} Ids of the decks generated so far
+ */
+function resumeDeckGeneration() {
+  const started = Date.now();
+  startDiagnostics();
+  deleteGenerationContinuations();
+  const checkpoint = readGenerationCheckpoint();
+  if (!checkpoint) {
+    return [];
+  }
+  checkpoint.executions++;
+  const deckConfig = loadDeckConfiguration(checkpoint.deckOverrides[0]);
+  return continueGeneration(
+      checkpoint, started + deckConfig.TIME_BUDGET_SECONDS * 1000);
+}
+
+/**
+ * Drops the paused generation, if any, leaving its deck as it is. Intended to
+ * be run from the menu.
+ */
+function cancelDeckGeneration() {
+  const checkpoint = readGenerationCheckpoint();
+  clearGenerationCheckpoint();
+  SpreadsheetApp.getUi().alert('Generation', checkpoint ?
+      'The paused generation was cancelled.' :
+      'There is no paused generation.',
+  SpreadsheetApp.getUi().ButtonSet.OK);
+}
+
+/**
+ * Reads the checkpoint of the paused generation.
+ *
+ * @return {?GenerationCheckpoint} Checkpoint, or null if no generation is
+ *     paused
+ */
+function readGenerationCheckpoint() {
+  const value = documentProperties.getProperty(GENERATION_CHECKPOINT_PROPERTY);
+  if (!value) {
+    return null;
+  }
+  const checkpoint = JSON.parse(value);
+  if (checkpoint.progress) {
+    const sheet = SpreadsheetApp.getActive().getSheetByName(
+        GENERATION_CHECKPOINT_SHEET);
+    checkpoint.progress.entries =
+        sheet ? parseRegistry(sheet.getDataRange().getValues()) : [];
+  }
+  return checkpoint;
+}
+
+/**
+ * Saves the checkpoint of a paused generation.
+ *
+ * @param {!GenerationCheckpoint} checkpoint Checkpoint to save
+ */
+function saveGenerationCheckpoint(checkpoint) {
+  const spreadsheet = SpreadsheetApp.getActive();
+  let sheet = spreadsheet.getSheetByName(GENERATION_CHECKPOINT_SHEET);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(GENERATION_CHECKPOINT_SHEET);
+    sheet.hideSheet();
+  }
+  const values = serializeRegistry(checkpoint.progress.entries);
+  sheet.clear();
+  // Hashes must not be interpreted as numbers
+  sheet.getRange(1, 1, values.length, values[0].length)
+      .setNumberFormat('@')
+      .setValues(values);
+
+  const progress = Object.assign({}, checkpoint.progress, {entries: []});
+  documentProperties.setProperty(GENERATION_CHECKPOINT_PROPERTY,
+      JSON.stringify(Object.assign({}, checkpoint, {progress: progress})));
+}
+
+/**
+ * Removes the checkpoint and the scheduled continuation of the paused
+ * generation, if any.
+ */
+function clearGenerationCheckpoint() {
+  documentProperties.deleteProperty(GENERATION_CHECKPOINT_PROPERTY);
+  const spreadsheet = SpreadsheetApp.getActive();
+  const sheet = spreadsheet.getSheetByName(GENERATION_CHECKPOINT_SHEET);
+  if (sheet) {
+    spreadsheet.deleteSheet(sheet);
+  }
+  deleteGenerationContinuations();
+}
+
+/**
+ * Schedules the continuation of the paused generation.
+ */
+function scheduleGenerationContinuation() {
+  deleteGenerationContinuations();
+  ScriptApp.newTrigger(GENERATION_CONTINUATION_FUNCTION)
+      .timeBased()
+      .after(GENERATION_CONTINUATION_DELAY)
+      .create();
+}
+
+/**
+ * Deletes the triggers that continue a paused generation.
+ */
+function deleteGenerationContinuations() {
+  for (const trigger of ScriptApp.getProjectTriggers()) {
+    if (trigger.getHandlerFunction() === GENERATION_CONTINUATION_FUNCTION) {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  }
+}
+
+/**
+ * Tells whether a unit of slides was generated before a generation paused.
+ *
+ * @param {?DeckProgress} progress Progress of the paused generation, if any
+ * @param {number} datasourceIndex Position of the datasource of the unit
+ * @param {number} unitIndex Position of the unit within its datasource
+ * @return {boolean} True if the unit is already in the deck
+ */
+function isUnitGenerated(progress, datasourceIndex, unitIndex) {
+  if (!progress) {
+    return false;
+  }
+  return datasourceIndex < progress.datasourceIndex ||
+      (datasourceIndex === progress.datasourceIndex &&
+       unitIndex < progress.unitIndex);
+}
+
+/**
+ * Describes the progress of a paused deck.
+ *
+ * @param {!DeckProgress} progress Progress of the deck
+ * @param {number} datasourceCount Number of datasources of the deck
+ * @return {string} Progress, as shown to the user
+ */
+function formatDeckProgress(progress, datasourceCount) {
+  if (progress.datasourceIndex >= datasourceCount) {
+    return `${progress.entries.length} units of slides generated, ` +
+        'finishing the deck';
+  }
+  return `${progress.entries.length} units of slides generated, resuming ` +
+      `at unit ${progress.unitIndex + 1} of datasource ` +
+      `${progress.datasourceIndex + 1} of ${datasourceCount}`;
+}
+
+/**
+ * Describes the overall progress of a paused generation.
+ *
+ * @param {!GenerationCheckpoint} checkpoint Checkpoint of the paused
+ *     generation
+ * @param {number} datasourceCount Number of datasources of the deck in
+ *     progress
+ * @return {string} Progress, as shown to the user
+ */
+function formatGenerationProgress(checkpoint, datasourceCount) {
+  const deckCount = checkpoint.deckIds.length + checkpoint.deckOverrides.length;
+  return `Deck ${checkpoint.deckIds.length + 1} of ${deckCount}: ` +
+      `${formatDeckProgress(checkpoint.progress, datasourceCount)}. ` +
+      `Execution ${checkpoint.executions}, the generation continues in a ` +
+      'minute.';
+}
+
+/**
+ * Below are the exports required for the linter.
+ * This is necessary because AppsScript doesn't support modules.
+ */
+/* exported GenerationCheckpoint */
+/* exported continueGeneration */
+/* exported resumeDeckGeneration */
+/* exported cancelDeckGeneration */
+/* exported readGenerationCheckpoint */
+/* exported saveGenerationCheckpoint */
+/* exported isUnitGenerated */
+/* exported formatDeckProgress */
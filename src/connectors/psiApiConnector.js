@@ -30,16 +30,16 @@ const CLIENT_REQUESTS_SHEET = 'Performance';
 const RESULTS_TAB = 'Performance Results';
 
 /**
-* Reads PSI API Key from the Sheet.
+* Reads PSI API Key from the configuration of the deck.
 *
 * If no string is found in the appropriate cell, an alert is shown in the
 * sheet.
 *
+* @param {!Object<string, *>} deckConfig Deck-wide configuration
 * @return {string} the API Key to use with PSI.
 */
-function getPsiApiKey() {
-  const key =
-  /** @type {string} */ (documentProperties.getProperty('PSI_API_KEY'));
+function getPsiApiKey(deckConfig) {
+  const key = /** @type {string} */ (deckConfig.PSI_API_KEY || '');
   if (!key.trim()) {
     SpreadsheetApp.getUi().alert(
         'Please enter your PSI API Key in Configuration');
@@ -52,8 +52,9 @@ function getPsiApiKey() {
 * Triggers the tests and outputs the results to the Sheet.
 */
 function runPSITests() {
+  const deckConfig = loadDeckConfiguration();
   const urlSettings = getURLSettings();
-  const responses = submitTests(urlSettings);
+  const responses = submitTests(urlSettings, deckConfig);
   const today = new Date().toISOString().slice(0, 10);
   const responseMap = createResultsMap();
   const sheet = SpreadsheetApp.getActive().getSheetByName(RESULTS_TAB);
@@ -86,7 +87,7 @@ function runPSITests() {
          'https://developers.google.com/speed/pagespeed/insights/';
       addNote(note, '#fdf6f6'); // light red background
     } else {
-      const results = parseResults(content, responseMap);
+      const results = parseResults(content, responseMap, deckConfig);
       let cruxDataType = 'PAGE';
       if (!results.crux_data) {
         cruxDataType = 'NONE';
@@ -131,11 +132,12 @@ function getURLSettings() {
 * @param {!Array<!Array<(string | number)>>} settings The URL settings for
 *     all
 *    tests.
+* @param {!Object<string, *>} deckConfig Deck-wide configuration
 * @return {!Array<!GoogleAppsScript.URL_Fetch.HTTPResponse>} All the responses
 *     from PSI.
 */
-function submitTests(settings) {
-  const key = getPsiApiKey();
+function submitTests(settings, deckConfig) {
+  const key = getPsiApiKey(deckConfig);
   const categories = '&category=BEST_PRACTICES' +
      '&category=PERFORMANCE';
   const serverURLs = settings.map(
@@ -158,11 +160,12 @@ function submitTests(settings) {
 *     lighthouseResult object returned from PSI to parse.
 * @param {!Map<string, string>} responseMap Map of the required response to
 *     parse
+* @param {!Object<string, *>} deckConfig Deck-wide configuration
 * @return {{data: !Array<number | string>, crux_data: boolean, origin_fallback:
 *     boolean}} Post-processed data as an array and flags for how the CrUX data
 *     was reported.
 */
-function parseResults(content, responseMap) {
+function parseResults(content, responseMap, deckConfig) {
   const allResults = {
     data: [],
     crux_data: false,
@@ -223,8 +226,7 @@ function parseResults(content, responseMap) {
   ];
 
   // CO2eq measurement integrations behind a flag for backwards compatibility
-  const shouldIncludeCo2 = documentProperties.getProperty('INCLUDE_CO2EQ');
-  if (shouldIncludeCo2) {
+  if (deckConfig.INCLUDE_CO2EQ) {
     const totalByteWeight =
       lighthouseResult['audits']['total-byte-weight']['numericValue'];
     const url = lighthouseResult['finalUrl'];
@@ -0,0 +1,895 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Declares every configuration key read by Slide Starter, along
+ * with its type, scope, default value and the rules that relate keys to each
+ * other. Used to validate the configuration before generating a deck.
+ */
+
+/**
+ * Types a configuration value can take. Values are read from the sheet as raw
+ * cells and coerced according to these types. Columns can be either a 1-based
+ * index or the name of a header of the data sheet.
+ */
+const CONFIG_TYPES = {
+  STRING: 'string',
+  BOOLEAN: 'boolean',
+  INTEGER: 'integer',
+  NON_NEGATIVE_INTEGER: 'nonNegativeInteger',
+  LIST: 'list',
+  COLUMN: 'column',
+  COLUMN_LIST: 'columnList',
+  JSON: 'json',
+  FUNCTION: 'function',
+  HOOKS: 'hooks',
+  PRESENTATION_ID: 'presentationId',
+  SHEET_NAME: 'sheetName',
+  URL: 'url',
+};
+
+/**
+ * Where a configuration key is expected to be defined. DECK keys belong to
+ * the main Configuration sheet, DATASOURCE keys to each of the
+ * Configuration_<datasource> sheets.
+ */
+const CONFIG_SCOPES = {
+  DECK: 'deck',
+  DATASOURCE: 'datasource',
+};
+
+/**
+ * Schema for every key of the PROPERTIES ranges. Localized columns read the
+ * variant of their column for the LOCALE of the deck, if it has one.
+ */
+const CONFIG_SCHEMA = {
+  // Deck
+  TEMPLATE_DECK_ID: {
+    type: CONFIG_TYPES.PRESENTATION_ID,
+    scope: CONFIG_SCOPES.DECK,
+    required: true,
+    description: 'Id of the Slides deck copied as a base for the output',
+  },
+  OUTPUT_DECK_NAME: {
+    type: CONFIG_TYPES.STRING,
+    scope: CONFIG_SCOPES.DECK,
+    required: true,
+    description: 'Name of the generated deck',
+  },
+  OUTPUT_FOLDER_ID: {
+    type: CONFIG_TYPES.STRING,
+    scope: CONFIG_SCOPES.DECK,
+    description: 'Id of the Drive folder of the generated deck, the folder ' +
+        'of the spreadsheet by default',
+  },
+  DATA_SOURCE_SHEET: {
+    type: CONFIG_TYPES.LIST,
+    scope: CONFIG_SCOPES.DECK,
+    required: true,
+    description: 'Comma-separated datasources, or the data sheet of one',
+  },
+  SECTION_LAYOUT_NAME: {
+    type: CONFIG_TYPES.STRING,
+    scope: CONFIG_SCOPES.DECK,
+    description: 'Layout used for the header slide of each datasource',
+  },
+  DICTIONARY_SHEET_NAME: {
+    type: CONFIG_TYPES.SHEET_NAME,
+    scope: CONFIG_SCOPES.DECK,
+    description: 'Sheet with the strings replaced across the whole deck',
+  },
+  EXPORT_FORMATS: {
+    type: CONFIG_TYPES.LIST,
+    scope: CONFIG_SCOPES.DECK,
+    description: 'Formats the generated deck is exported to (pdf, pptx)',
+  },
+  EXPORT_FOLDER_ID: {
+    type: CONFIG_TYPES.STRING,
+    scope: CONFIG_SCOPES.DECK,
+    description: 'Id of the Drive folder of the exported files, the folder ' +
+        'of the deck by default',
+  },
+  EXPORT_FILE_NAME: {
+    type: CONFIG_TYPES.STRING,
+    scope: CONFIG_SCOPES.DECK,
+    default: '{{Deck}}',
+    description: 'Name of the exported files, with {{Deck}}, {{Locale}}, ' +
+        '{{Date}} and {{Format}} bindings',
+  },
+  DICTIONARY_VALUES: {
+    type: CONFIG_TYPES.JSON,
+    scope: CONFIG_SCOPES.DECK,
+    default: {},
+    description: 'Strings replaced across the whole deck before the ones ' +
+        'of the dictionary sheet, by string',
+  },
+  DEFAULT_IMAGE_URL: {
+    type: CONFIG_TYPES.URL,
+    scope: CONFIG_SCOPES.DECK,
+    description: 'Image used whenever an image can\'t be resolved',
+  },
+  IMAGE_FOLDERS: {
+    type: CONFIG_TYPES.LIST,
+    scope: CONFIG_SCOPES.DECK,
+    default: ['Images', '.'],
+    description: 'Folders searched for images by name, in order: Drive ' +
+        'folder ids or URLs, or paths from the folder of the spreadsheet',
+  },
+  IMAGE_FOLDERS_RECURSIVE: {
+    type: CONFIG_TYPES.BOOLEAN,
+    scope: CONFIG_SCOPES.DECK,
+    default: false,
+    description: 'Searches the subfolders of IMAGE_FOLDERS too',
+  },
+  IMAGE_EXTENSIONS: {
+    type: CONFIG_TYPES.LIST,
+    scope: CONFIG_SCOPES.DECK,
+    default: ['png', 'jpg', 'jpeg', 'gif'],
+    description: 'Extensions preferred when images of a folder share a name',
+  },
+  IMAGE_CACHE: {
+    type: CONFIG_TYPES.STRING,
+    scope: CONFIG_SCOPES.DECK,
+    default: 'off',
+    description: 'Cache of the remote images in Drive: off, on, or only to ' +
+        'use the cached images without fetching any',
+  },
+  IMAGE_CACHE_FOLDER: {
+    type: CONFIG_TYPES.STRING,
+    scope: CONFIG_SCOPES.DECK,
+    default: 'Image cache',
+    description: 'Folder of the image cache: a Drive folder id or URL, or a ' +
+        'path from the folder of the spreadsheet',
+  },
+  IMAGE_CACHE_MAX_AGE_HOURS: {
+    type: CONFIG_TYPES.NON_NEGATIVE_INTEGER,
+    scope: CONFIG_SCOPES.DECK,
+    default: 168,
+    description: 'Hours after which a cached image is fetched again, 0 to ' +
+        'keep it until the cache is purged',
+  },
+  END_SLIDE_DECK_ID: {
+    type: CONFIG_TYPES.PRESENTATION_ID,
+    scope: CONFIG_SCOPES.DECK,
+    description: 'Deck containing the slide appended at the end',
+  },
+  END_SLIDE_ID: {
+    type: CONFIG_TYPES.STRING,
+    scope: CONFIG_SCOPES.DECK,
+    description: 'Id of the slide appended at the end',
+  },
+  LOCALES: {
+    type: CONFIG_TYPES.LIST,
+    scope: CONFIG_SCOPES.DECK,
+    description: 'Locales to generate a deck for, such as en, fr',
+  },
+  LOCALE: {
+    type: CONFIG_TYPES.STRING,
+    scope: CONFIG_SCOPES.DECK,
+    description: 'Locale of the deck, set for each entry of LOCALES',
+  },
+  UPDATE_DECK_ID: {
+    type: CONFIG_TYPES.PRESENTATION_ID,
+    scope: CONFIG_SCOPES.DECK,
+    description: 'Generated deck to update instead of copying the template',
+  },
+  REMOVED_SLIDES: {
+    type: CONFIG_TYPES.STRING,
+    scope: CONFIG_SCOPES.DECK,
+    default: 'flag',
+    description: 'What an update does with the slides of removed rows: ' +
+        'flag or delete',
+  },
+  FORCE_UPDATE: {
+    type: CONFIG_TYPES.BOOLEAN,
+    scope: CONFIG_SCOPES.DECK,
+    default: false,
+    description: 'Lets an update replace the slides edited by hand',
+  },
+  TIME_BUDGET_SECONDS: {
+    type: CONFIG_TYPES.INTEGER,
+    scope: CONFIG_SCOPES.DECK,
+    default: 270,
+    description: 'Seconds a generation runs before it pauses and continues ' +
+        'in a new execution, below the 360 seconds limit of Apps Script',
+  },
+  PSI_API_KEY: {
+    type: CONFIG_TYPES.STRING,
+    scope: CONFIG_SCOPES.DECK,
+    description: 'API key used by the PageSpeed Insights connector',
+  },
+  INCLUDE_CO2EQ: {
+    type: CONFIG_TYPES.BOOLEAN,
+    scope: CONFIG_SCOPES.DECK,
+    default: false,
+    description: 'Whether PSI results include a CO2eq estimation',
+  },
+
+  // Datasource
+  LAYOUT_NAME: {
+    type: CONFIG_TYPES.STRING,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    required: true,
+    description: 'Layout used for the slides of the datasource',
+  },
+  LAYOUT_COLUMN: {
+    type: CONFIG_TYPES.COLUMN,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    description: 'Column with the layout of each row, LAYOUT_NAME if empty',
+  },
+  LAYOUT_RULES_SHEET: {
+    type: CONFIG_TYPES.SHEET_NAME,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    description: 'Sheet with the rules choosing the layout of each row',
+  },
+  INSIGHTS_DECK_ID: {
+    type: CONFIG_TYPES.PRESENTATION_ID,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    description: 'Deck the insight slides are copied from',
+  },
+  CUSTOM_FUNCTION: {
+    type: CONFIG_TYPES.FUNCTION,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    description: 'Function that replaces the default slide creation',
+  },
+  SINGLE_VALUE: {
+    type: CONFIG_TYPES.BOOLEAN,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    default: false,
+    description: 'Creates a single slide from ranges instead of one per row',
+  },
+  PRE_COLLECTION_FUNCTION: {
+    type: CONFIG_TYPES.FUNCTION,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    description: 'Hook executed before creating the collection slides',
+  },
+  PRE_COLLECTION_FUNCTION_ARGS: {
+    type: CONFIG_TYPES.LIST,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    default: [],
+    description: 'Extra arguments passed to PRE_COLLECTION_FUNCTION',
+  },
+  PRE_SLIDE_FUNCTION: {
+    type: CONFIG_TYPES.FUNCTION,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    description: 'Hook executed before creating each slide',
+  },
+  POST_SLIDE_FUNCTION: {
+    type: CONFIG_TYPES.FUNCTION,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    description: 'Hook executed after creating each slide',
+  },
+  POST_SLIDE_FUNCTION_ARGS: {
+    type: CONFIG_TYPES.JSON,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    default: {},
+    description: 'JSON object passed to POST_SLIDE_FUNCTION',
+  },
+  HOOKS: {
+    type: CONFIG_TYPES.HOOKS,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    default: {},
+    description: 'Functions run at each stage of the generation, by stage: ' +
+        'preDeck, preCollection, preSlide, postSlide, postDatasource, ' +
+        'postDeck, onRowSkipped or onError. preDeck, postDeck and onError ' +
+        'are only read from the main configuration',
+  },
+  TITLE_RANGE: {
+    type: CONFIG_TYPES.STRING,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    description: 'A1 range with the title of a single slide',
+  },
+  SUBTITLE_RANGE: {
+    type: CONFIG_TYPES.STRING,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    description: 'A1 range with the subtitle of a single slide',
+  },
+  BODY_RANGE: {
+    type: CONFIG_TYPES.STRING,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    description: 'A1 range with the body of a single slide',
+  },
+  NOTES_RANGE: {
+    type: CONFIG_TYPES.STRING,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    description: 'A1 range with the speaker notes of a single slide',
+  },
+  IMAGE_RANGES: {
+    type: CONFIG_TYPES.LIST,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    description: 'A1 ranges with the images of a single slide',
+  },
+  TITLE_COLUMN: {
+    type: CONFIG_TYPES.COLUMN,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    localized: true,
+    description: 'Column with the title of each slide',
+  },
+  SUBTITLE_COLUMN: {
+    type: CONFIG_TYPES.COLUMN,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    localized: true,
+    description: 'Column with the subtitle of each slide',
+  },
+  BODY_COLUMN: {
+    type: CONFIG_TYPES.COLUMN,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    localized: true,
+    description: 'Column with the body of each slide',
+  },
+  NOTES_COLUMN: {
+    type: CONFIG_TYPES.COLUMN,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    localized: true,
+    description: 'Column with the speaker notes of each slide',
+  },
+  NOTES_TEMPLATE: {
+    type: CONFIG_TYPES.STRING,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    description: 'Speaker notes of each slide, with {{token}} bindings to ' +
+        'its columns; takes precedence over NOTES_COLUMN',
+  },
+  IMAGE_SHAPES: {
+    type: CONFIG_TYPES.LIST,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    description: 'Layout shapes replaced by images',
+  },
+  IMAGE_COLUMNS: {
+    type: CONFIG_TYPES.COLUMN_LIST,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    description: 'Columns with the image of each IMAGE_SHAPES entry',
+  },
+  IMAGE_FIT: {
+    type: CONFIG_TYPES.JSON,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    default: {},
+    description: 'Fit (stretch, contain, cover or native, then an optional ' +
+        'gravity such as top-left) by IMAGE_SHAPES entry. cover always ' +
+        'crops around the center and takes no gravity',
+  },
+  TEXT_SHAPES: {
+    type: CONFIG_TYPES.LIST,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    description: 'Layout shapes replaced by text boxes',
+  },
+  TEXT_COLUMNS: {
+    type: CONFIG_TYPES.COLUMN_LIST,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    localized: true,
+    description: 'Columns with the text of each TEXT_SHAPES entry',
+  },
+  TEXT_FIT: {
+    type: CONFIG_TYPES.JSON,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    default: {},
+    description: 'Strategy (shrink, truncate, continue or notes) by text ' +
+        'field',
+  },
+  RICH_TEXT: {
+    type: CONFIG_TYPES.BOOLEAN,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    default: false,
+    description: 'Renders **bold**, _italic_, [links](url) and - bullets of ' +
+        'the text fields, and the formatting of the cells',
+  },
+  TEXT_FIT_MIN_FONT_SIZE: {
+    type: CONFIG_TYPES.INTEGER,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    default: 10,
+    description: 'Smallest font size the shrink strategy can use',
+  },
+  ON_ROW_ERROR: {
+    type: CONFIG_TYPES.STRING,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    default: 'abort',
+    description: 'What a row that fails does to the generation: abort it, ' +
+        'or skip the row and report it on the Issues sheet',
+  },
+  ROW_KEY_COLUMN: {
+    type: CONFIG_TYPES.COLUMN,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    description: 'Column with a stable key of each row, used by updates',
+  },
+  INSIGHT_SLIDE_ID_COLUMN: {
+    type: CONFIG_TYPES.COLUMN,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    description: 'Column with the insight slide ids (or deck id) of each row',
+  },
+  TABLE_SHAPES: {
+    type: CONFIG_TYPES.LIST,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    description: 'Layout shapes replaced by tables',
+  },
+  TABLE_RANGES: {
+    type: CONFIG_TYPES.LIST,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    description: 'A1 or named ranges with the tables of a single slide',
+  },
+  TABLE_COLUMNS: {
+    type: CONFIG_TYPES.COLUMN_LIST,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    localized: true,
+    description: 'Columns with the range of each TABLE_SHAPES entry',
+  },
+  TABLE_ROWS_PER_SLIDE: {
+    type: CONFIG_TYPES.INTEGER,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    default: 10,
+    description: 'Rows per table, the rest continue on extra slides',
+  },
+  TABLE_BANDING_COLOR: {
+    type: CONFIG_TYPES.STRING,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    description: 'Background of every other row of the tables',
+  },
+  TABLE_CELL_COLORS: {
+    type: CONFIG_TYPES.JSON,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    default: {},
+    description: 'Thresholds ([low, high] or a CWV metric) by table header',
+  },
+  FILTER_COLUMN: {
+    type: CONFIG_TYPES.COLUMN,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    description: 'Column used to filter the rows of the datasource',
+  },
+  FILTER_TEXT_VALUE: {
+    type: CONFIG_TYPES.STRING,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    description: 'Text the filter column must contain',
+  },
+  SORTING_COLUMN: {
+    type: CONFIG_TYPES.COLUMN,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    description: 'Column used to sort the rows of the datasource',
+  },
+  SORTING_ORDER: {
+    type: CONFIG_TYPES.BOOLEAN,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    default: false,
+    description: 'TRUE to sort ascending, FALSE to sort descending',
+  },
+
+  // Grouped collections
+  GROUP_BY_COLUMN: {
+    type: CONFIG_TYPES.COLUMN,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    description: 'Column grouping the rows, creating one slide per group',
+  },
+  GROUP_SORTING_COLUMN: {
+    type: CONFIG_TYPES.COLUMN,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    description: 'Column used to sort the rows within each group',
+  },
+  GROUP_SORTING_ORDER: {
+    type: CONFIG_TYPES.BOOLEAN,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    default: true,
+    description: 'TRUE to sort within groups ascending, FALSE descending',
+  },
+  GROUP_ITEM_COLUMN: {
+    type: CONFIG_TYPES.COLUMN,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    localized: true,
+    description: 'Column listed as a bullet of the body for each row',
+  },
+  GROUP_ITEMS_PER_SLIDE: {
+    type: CONFIG_TYPES.INTEGER,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    description: 'Rows per group slide, the rest continue on extra slides',
+  },
+  GROUP_SEVERITY_COLUMN: {
+    type: CONFIG_TYPES.COLUMN,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    description: 'Column with the severity of each row',
+  },
+  GROUP_SEVERITY_ORDER: {
+    type: CONFIG_TYPES.LIST,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    description: 'Severities from the worst to the least severe',
+  },
+
+  // Sustainability audit
+  RECOMMENDATIONS_SHEET: {
+    type: CONFIG_TYPES.SHEET_NAME,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    description: 'Sheet with the recommendations of the audit',
+  },
+  CATEGORY_NAMES_LIST: {
+    type: CONFIG_TYPES.LIST,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    description: 'Policy categories displayed on the readiness chart',
+  },
+  POLICY_MAPPING_COLUMN: {
+    type: CONFIG_TYPES.COLUMN,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    description: 'Column with the policies of each recommendation',
+  },
+  PARTIAL_RESULTS_RANGE: {
+    type: CONFIG_TYPES.STRING,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    description: 'Named range receiving the policies that apply',
+  },
+  TOTAL_RESULTS_RANGE: {
+    type: CONFIG_TYPES.STRING,
+    scope: CONFIG_SCOPES.DATASOURCE,
+    description: 'Named range receiving the total of policies',
+  },
+};
+
+/**
+ * What an update does with the slides of rows that are no longer in the data.
+ */
+const REMOVED_SLIDES_ACTIONS = {
+  FLAG: 'flag',
+  DELETE: 'delete',
+};
+
+/**
+ * What happens when the slides of a row can't be generated.
+ */
+const ROW_ERROR_POLICIES = {
+  ABORT: 'abort',
+  SKIP: 'skip',
+};
+
+/**
+ * Uses of the image cache, for IMAGE_CACHE.
+ */
+const IMAGE_CACHE_MODES = {
+  OFF: 'off',
+  ON: 'on',
+  ONLY: 'only',
+};
+
+/**
+ * Rules that involve more than one key. Each check receives the parsed values
+ * of a configuration of the given scope and returns an error message, or null
+ * if the rule holds. Datasource rules receive the values of the datasource
+ * combined with the deck ones.
+ */
+const CONFIG_RULES = [
+  {
+    scope: CONFIG_SCOPES.DATASOURCE,
+    keys: ['IMAGE_SHAPES', 'IMAGE_COLUMNS'],
+    check: (values) => {
+      if (!values.SINGLE_VALUE &&
+          sameLength(values.IMAGE_SHAPES, values.IMAGE_COLUMNS) === false) {
+        return 'IMAGE_SHAPES and IMAGE_COLUMNS must have the same number of ' +
+            'items';
+      }
+      return null;
+    },
+  },
+  {
+    scope: CONFIG_SCOPES.DATASOURCE,
+    keys: ['IMAGE_SHAPES', 'IMAGE_RANGES'],
+    check: (values) => {
+      if (values.SINGLE_VALUE &&
+          sameLength(values.IMAGE_SHAPES, values.IMAGE_RANGES) === false) {
+        return 'IMAGE_SHAPES and IMAGE_RANGES must have the same number of ' +
+            'items';
+      }
+      return null;
+    },
+  },
+  {
+    scope: CONFIG_SCOPES.DATASOURCE,
+    keys: ['TEXT_SHAPES', 'TEXT_COLUMNS'],
+    check: (values) => {
+      if (sameLength(values.TEXT_SHAPES, values.TEXT_COLUMNS) === false) {
+        return 'TEXT_SHAPES and TEXT_COLUMNS must have the same number of ' +
+            'items';
+      }
+      return null;
+    },
+  },
+  {
+    scope: CONFIG_SCOPES.DATASOURCE,
+    keys: ['TABLE_SHAPES', 'TABLE_COLUMNS'],
+    check: (values) => {
+      if (!values.SINGLE_VALUE &&
+          sameLength(values.TABLE_SHAPES, values.TABLE_COLUMNS) === false) {
+        return 'TABLE_SHAPES and TABLE_COLUMNS must have the same number of ' +
+            'items';
+      }
+      return null;
+    },
+  },
+  {
+    scope: CONFIG_SCOPES.DATASOURCE,
+    keys: ['TABLE_SHAPES', 'TABLE_RANGES'],
+    check: (values) => {
+      if (values.SINGLE_VALUE &&
+          sameLength(values.TABLE_SHAPES, values.TABLE_RANGES) === false) {
+        return 'TABLE_SHAPES and TABLE_RANGES must have the same number of ' +
+            'items';
+      }
+      return null;
+    },
+  },
+  {
+    scope: CONFIG_SCOPES.DATASOURCE,
+    keys: ['IMAGE_FIT'],
+    check: (values) => {
+      const imageFit = values.IMAGE_FIT;
+      if (typeof imageFit !== 'object' || imageFit === null ||
+          Array.isArray(imageFit) ||
+          !Object.values(imageFit).every((spec) => parseImageFit(spec))) {
+        return 'IMAGE_FIT must map IMAGE_SHAPES entries to stretch, ' +
+            'contain, cover or native, optionally followed by center, top, ' +
+            'bottom, left, right, top-left, top-right, bottom-left or ' +
+            'bottom-right, except for cover which crops around the center';
+      }
+      return null;
+    },
+  },
+  {
+    scope: CONFIG_SCOPES.DATASOURCE,
+    keys: ['TEXT_FIT'],
+    check: (values) => {
+      const textFit = values.TEXT_FIT;
+      if (typeof textFit !== 'object' || textFit === null ||
+          Array.isArray(textFit) ||
+          !Object.values(textFit).every((strategy) =>
+            Object.values(TEXT_FIT_STRATEGIES).includes(strategy))) {
+        return 'TEXT_FIT must map text fields (title, subtitle, body or a ' +
+            'TEXT_SHAPES entry) to none, shrink, truncate, continue or notes';
+      }
+      return null;
+    },
+  },
+  {
+    scope: CONFIG_SCOPES.DATASOURCE,
+    keys: ['TABLE_CELL_COLORS'],
+    check: (values) => {
+      const cellColors = values.TABLE_CELL_COLORS;
+      if (typeof cellColors !== 'object' || cellColors === null ||
+          Array.isArray(cellColors) ||
+          !Object.values(cellColors).every((thresholds) =>
+            typeof thresholds === 'string' ||
+            (Array.isArray(thresholds) && thresholds.length === 2))) {
+        return 'TABLE_CELL_COLORS must map table headers to a CWV metric ' +
+            '(such as "LCP") or to [low, high] thresholds';
+      }
+      return null;
+    },
+  },
+  {
+    scope: CONFIG_SCOPES.DATASOURCE,
+    keys: ['FILTER_COLUMN', 'FILTER_TEXT_VALUE', 'SORTING_COLUMN'],
+    check: (values) => {
+      if (values.FILTER_COLUMN !== undefined &&
+          (values.FILTER_TEXT_VALUE === undefined ||
+           values.SORTING_COLUMN === undefined)) {
+        return 'FILTER_COLUMN requires both FILTER_TEXT_VALUE and ' +
+            'SORTING_COLUMN';
+      }
+      return null;
+    },
+  },
+  {
+    scope: CONFIG_SCOPES.DATASOURCE,
+    keys: ['PRE_COLLECTION_FUNCTION_ARGS', 'PRE_COLLECTION_FUNCTION'],
+    check: (values) => {
+      if (values.PRE_COLLECTION_FUNCTION_ARGS.length > 0 &&
+          values.PRE_COLLECTION_FUNCTION === undefined) {
+        return 'PRE_COLLECTION_FUNCTION_ARGS requires PRE_COLLECTION_FUNCTION';
+      }
+      return null;
+    },
+  },
+  {
+    scope: CONFIG_SCOPES.DATASOURCE,
+    keys: ['POST_SLIDE_FUNCTION_ARGS', 'POST_SLIDE_FUNCTION'],
+    check: (values) => {
+      if (Object.keys(values.POST_SLIDE_FUNCTION_ARGS).length > 0 &&
+          values.POST_SLIDE_FUNCTION === undefined) {
+        return 'POST_SLIDE_FUNCTION_ARGS requires POST_SLIDE_FUNCTION';
+      }
+      return null;
+    },
+  },
+  {
+    scope: CONFIG_SCOPES.DATASOURCE,
+    keys: [
+      'GROUP_BY_COLUMN', 'GROUP_SORTING_COLUMN', 'GROUP_ITEM_COLUMN',
+      'GROUP_ITEMS_PER_SLIDE', 'GROUP_SEVERITY_COLUMN',
+    ],
+    check: (values) => {
+      if (values.GROUP_BY_COLUMN === undefined &&
+          (values.GROUP_SORTING_COLUMN !== undefined ||
+           values.GROUP_ITEM_COLUMN !== undefined ||
+           values.GROUP_ITEMS_PER_SLIDE !== undefined ||
+           values.GROUP_SEVERITY_COLUMN !== undefined)) {
+        return 'GROUP_SORTING_COLUMN, GROUP_ITEM_COLUMN, ' +
+            'GROUP_ITEMS_PER_SLIDE and GROUP_SEVERITY_COLUMN require ' +
+            'GROUP_BY_COLUMN';
+      }
+      return null;
+    },
+  },
+  {
+    scope: CONFIG_SCOPES.DATASOURCE,
+    keys: ['GROUP_SEVERITY_COLUMN', 'GROUP_SEVERITY_ORDER'],
+    check: (values) => {
+      if ((values.GROUP_SEVERITY_COLUMN === undefined) !==
+          (values.GROUP_SEVERITY_ORDER === undefined)) {
+        return 'GROUP_SEVERITY_COLUMN and GROUP_SEVERITY_ORDER must be ' +
+            'defined together';
+      }
+      return null;
+    },
+  },
+  {
+    scope: CONFIG_SCOPES.DECK,
+    keys: ['UPDATE_DECK_ID', 'LOCALES'],
+    check: (values) => {
+      if (values.UPDATE_DECK_ID && values.LOCALES &&
+          values.LOCALES.length > 1) {
+        return 'UPDATE_DECK_ID can only update the deck of a single locale';
+      }
+      return null;
+    },
+  },
+  {
+    scope: CONFIG_SCOPES.DECK,
+    keys: ['TIME_BUDGET_SECONDS'],
+    check: (values) => {
+      if (values.TIME_BUDGET_SECONDS <= 0 ||
+          values.TIME_BUDGET_SECONDS >= 360) {
+        return 'TIME_BUDGET_SECONDS must be between 1 and 359 seconds';
+      }
+      return null;
+    },
+  },
+  {
+    scope: CONFIG_SCOPES.DECK,
+    keys: ['EXPORT_FORMATS'],
+    check: (values) => {
+      const formats = values.EXPORT_FORMATS || [];
+      const unknownFormats = formats.filter((format) =>
+        !Object.keys(EXPORT_FORMATS).includes(format));
+      if (unknownFormats.length > 0) {
+        return `Unknown export formats: ${unknownFormats.join(', ')}. ` +
+            `EXPORT_FORMATS can include ${
+              Object.keys(EXPORT_FORMATS).join(', ')}`;
+      }
+      return null;
+    },
+  },
+  {
+    scope: CONFIG_SCOPES.DECK,
+    keys: ['DICTIONARY_VALUES'],
+    check: (values) => {
+      const dictionaryValues = values.DICTIONARY_VALUES;
+      if (typeof dictionaryValues !== 'object' || dictionaryValues === null ||
+          Array.isArray(dictionaryValues)) {
+        return 'DICTIONARY_VALUES must map strings of the deck to their ' +
+            'replacement';
+      }
+      return null;
+    },
+  },
+  {
+    scope: CONFIG_SCOPES.DECK,
+    keys: ['REMOVED_SLIDES'],
+    check: (values) => {
+      if (!Object.values(REMOVED_SLIDES_ACTIONS)
+          .includes(values.REMOVED_SLIDES)) {
+        return `REMOVED_SLIDES must be one of: ${
+          Object.values(REMOVED_SLIDES_ACTIONS).join(', ')}`;
+      }
+      return null;
+    },
+  },
+  {
+    scope: CONFIG_SCOPES.DATASOURCE,
+    keys: ['ON_ROW_ERROR'],
+    check: (values) => {
+      if (!Object.values(ROW_ERROR_POLICIES).includes(values.ON_ROW_ERROR)) {
+        return `ON_ROW_ERROR must be one of: ${
+          Object.values(ROW_ERROR_POLICIES).join(', ')}`;
+      }
+      return null;
+    },
+  },
+  {
+    scope: CONFIG_SCOPES.DECK,
+    keys: ['IMAGE_CACHE'],
+    check: (values) => {
+      if (!Object.values(IMAGE_CACHE_MODES).includes(values.IMAGE_CACHE)) {
+        return `IMAGE_CACHE must be one of: ${
+          Object.values(IMAGE_CACHE_MODES).join(', ')}`;
+      }
+      return null;
+    },
+  },
+  {
+    scope: CONFIG_SCOPES.DECK,
+    keys: ['END_SLIDE_DECK_ID', 'END_SLIDE_ID'],
+    check: (values) => {
+      if ((values.END_SLIDE_DECK_ID === undefined) !==
+          (values.END_SLIDE_ID === undefined)) {
+        return 'END_SLIDE_DECK_ID and END_SLIDE_ID must be defined together';
+      }
+      return null;
+    },
+  },
+  {
+    scope: CONFIG_SCOPES.DATASOURCE,
+    keys: [
+      'SINGLE_VALUE', 'TITLE_RANGE', 'SUBTITLE_RANGE', 'BODY_RANGE',
+      'IMAGE_RANGES',
+    ],
+    check: (values) => {
+      if (values.SINGLE_VALUE && values.CUSTOM_FUNCTION === undefined &&
+          values.TITLE_RANGE === undefined &&
+          values.SUBTITLE_RANGE === undefined &&
+          values.BODY_RANGE === undefined &&
+          values.IMAGE_RANGES === undefined) {
+        return 'SINGLE_VALUE requires at least one of TITLE_RANGE, ' +
+            'SUBTITLE_RANGE, BODY_RANGE or IMAGE_RANGES';
+      }
+      return null;
+    },
+  },
+  {
+    scope: CONFIG_SCOPES.DATASOURCE,
+    keys: [
+      'CATEGORY_NAMES_LIST', 'POLICY_MAPPING_COLUMN', 'PARTIAL_RESULTS_RANGE',
+      'TOTAL_RESULTS_RANGE', 'RECOMMENDATIONS_SHEET',
+    ],
+    check: (values) => {
+      if (values.CATEGORY_NAMES_LIST !== undefined &&
+          (values.POLICY_MAPPING_COLUMN === undefined ||
+           values.PARTIAL_RESULTS_RANGE === undefined ||
+           values.TOTAL_RESULTS_RANGE === undefined ||
+           values.RECOMMENDATIONS_SHEET === undefined)) {
+        return 'CATEGORY_NAMES_LIST requires POLICY_MAPPING_COLUMN, ' +
+            'PARTIAL_RESULTS_RANGE, TOTAL_RESULTS_RANGE and ' +
+            'RECOMMENDATIONS_SHEET';
+      }
+      return null;
+    },
+  },
+];
+
+/**
+ * Compares the length of two optional lists.
+ *
+ * @param {?Array|undefined} first First list
+ * @param {?Array|undefined} second Second list
+ * @return {?boolean} Whether both lists have the same length, or null if
+ *     neither of them is defined
+ */
+function sameLength(first, second) {
+  if (first === undefined && second === undefined) {
+    return null;
+  }
+  return (first || []).length === (second || []).length;
+}
+
+/**
+ * Below are the exports required for the linter.
+ * This is necessary because AppsScript doesn't support modules.
+ */
+/* exported CONFIG_TYPES */
+/* exported CONFIG_SCOPES */
+/* exported CONFIG_SCHEMA */
+/* exported REMOVED_SLIDES_ACTIONS */
+/* exported CONFIG_RULES */
@@ -66,9 +66,26 @@ const COLORS = {
   WHITE: '#F8F9FA', // None
 };
 
+/**
+ * Ways in which the value of an image cell can be resolved.
+ */
+const IMAGE_RESOLUTIONS = {
+  URL: 'URL',
+  BASE64: 'Base64',
+  DRIVE: 'Drive file',
+  DRIVE_ID: 'Drive file ID or URL',
+  MULTIPLE_MATCHES: 'Drive file (multiple matches, first one used)',
+  NOT_FOUND: 'Not found, default image used',
+  INVALID: 'Invalid, default image used',
+  CACHED: 'Image cache',
+  NOT_CACHED: 'Not cached, default image used',
+  DEFAULT: 'Empty, default image used',
+};
+
 /**
  * Below are the exports required for the linter.
  * This is necessary because AppsScript doesn't support modules.
  */
 /* exported colorForCWV */
 /* exported cwvTextType */
+/* exported IMAGE_RESOLUTIONS */
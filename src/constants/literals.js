@@ -21,16 +21,64 @@ const ERROR_NO_SHAPE = 'There was a problem retrieving the shape layout.';
 const ERROR_MISSING_VALUE = 'Please select a non-empty cell.';
 const ERROR_PARENT_FOLDER =
     'You do not have access to the parent folder of this Sheet.';
+const ERROR_NO_IMAGE_COLUMN =
+    'This sheet is not the data sheet of a datasource with IMAGE_COLUMNS.';
+const ERROR_INVALID_CONFIGURATION =
+    'The configuration has errors, please fix them before generating a deck.';
+const ERROR_NO_LAYOUT =
+    'There was a problem retrieving the slide layout, please check the ' +
+    'configuration tab.';
+const ERROR_GENERATION_PAUSED = 'The generation was paused.';
+const ERROR_GENERATION_IN_PROGRESS =
+    'A paused generation is still in progress, please wait for it to finish ' +
+    'or cancel it.';
 
 // Warning messages
 const WARNING_NO_IMAGES = 'No image found for criteria id ';
-const WARNING_MULTIPLE_IMAGES = 'No image found for criteria id ';
+const WARNING_MULTIPLE_IMAGES =
+    'Several images found, the first one was used, for criteria id ';
+const WARNING_INVALID_IMAGE =
+    'Invalid image, the default image was used, for criteria id ';
+const WARNING_NOT_CACHED =
+    'Image not cached, the default image was used, for criteria id ';
+const WARNING_NO_INSIGHT_SLIDE = 'No insight slide found with id ';
 
 // Success messages
-const SUCCESS_UPLOADED = 'File uploaded for: ';
+const SUCCESS_VALID_CONFIGURATION = 'No problems found in the configuration.';
+
+// Reports
+const PREFLIGHT_REPORT_TITLE = 'Configuration check';
+const ISSUES_REPORT_TITLE = 'Generation issues';
 
 // Properties configuration
 const RANGE_NAME = 'Configuration!PROPERTIES';
+const CONFIG_DATASOURCE_NAME_SOURCE = 'Datasource name';
+const CONFIG_RUN_OVERRIDES_SOURCE = 'Run overrides';
+const EFFECTIVE_CONFIGURATION_SHEET = 'Effective configuration';
+
+// Plan
+const PLAN_SHEET = 'Plan';
+
+// Update
+const SLIDE_REGISTRY_SHEET = 'Slide registry';
+
+// Batch
+const TARGETS_SHEET = 'Targets';
+
+// Exports
+const EXPORTS_SHEET = 'Exports';
+
+// Runs
+const RUNS_SHEET = 'Runs';
+
+// Checkpoints
+const GENERATION_CHECKPOINT_SHEET = 'Generation checkpoint';
+
+// Diagnostics
+const ISSUES_SHEET = 'Issues';
+
+// Images
+const IMAGES_FOLDER_NAME = 'Images';
 
 
 /**
@@ -41,8 +89,29 @@ const RANGE_NAME = 'Configuration!PROPERTIES';
 /* exported ERROR_NO_SHAPE */
 /* exported ERROR_MISSING_VALUE */
 /* exported ERROR_PARENT_FOLDER */
+/* exported ERROR_NO_IMAGE_COLUMN */
+/* exported ERROR_INVALID_CONFIGURATION */
+/* exported ERROR_NO_LAYOUT */
+/* exported ERROR_GENERATION_PAUSED */
+/* exported ERROR_GENERATION_IN_PROGRESS */
 /* exported RANGE_NAME */
+/* exported CONFIG_DATASOURCE_NAME_SOURCE */
+/* exported CONFIG_RUN_OVERRIDES_SOURCE */
+/* exported EFFECTIVE_CONFIGURATION_SHEET */
+/* exported PLAN_SHEET */
+/* exported SLIDE_REGISTRY_SHEET */
+/* exported TARGETS_SHEET */
+/* exported EXPORTS_SHEET */
+/* exported RUNS_SHEET */
+/* exported GENERATION_CHECKPOINT_SHEET */
+/* exported ISSUES_SHEET */
+/* exported IMAGES_FOLDER_NAME */
 /* exported WARNING_NO_IMAGES */
 /* exported WARNING_MULTIPLE_IMAGES */
-/* exported SUCCESS_UPLOADED */
+/* exported WARNING_INVALID_IMAGE */
+/* exported WARNING_NOT_CACHED */
+/* exported WARNING_NO_INSIGHT_SLIDE */
+/* exported SUCCESS_VALID_CONFIGURATION */
+/* exported PREFLIGHT_REPORT_TITLE */
+/* exported ISSUES_REPORT_TITLE */
 
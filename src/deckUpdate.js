@@ -0,0 +1,498 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generation of a deck, either from a fresh copy of the template
+ * or as an update of the deck set in UPDATE_DECK_ID. Every unit of slides (a
+ * row of a collection, the section slide of a datasource, a whole single
+ * slide or custom function datasource...) is registered under a stable key on
+ * the hidden Slide registry sheet. On update, units whose data didn't change
+ * are kept, changed ones are generated again in place, new ones are inserted
+ * after the previous unit and the ones no longer in the data are flagged or
+ * deleted. Slides edited by hand are never replaced unless FORCE_UPDATE is
+ * set.
+ *
+ * Units are also counted in order, so that a generation that runs out of
+ * time can stop before a unit and resume at the same one in a later
+ * execution, see checkpoints.js.
+ */
+
+/**
+ * @typedef {{
+ *   deckId: string,
+ *   isUpdate: boolean,
+ *   force: boolean,
+ *   removedSlides: string,
+ *   datasource: string,
+ *   anchorSlideId: ?string,
+ *   previousEntries: !Map<string, !RegistryEntry>,
+ *   entries: !Map<string, !RegistryEntry>,
+ *   queuedIds: !Set<string>,
+ *   datasourceCount: number,
+ *   datasourceIndex: number,
+ *   unitIndex: number,
+ *   resumeFrom: ?DeckProgress,
+ *   deadline: number,
+ *   paused: boolean,
+ * }}
+ */
+let DeckUpdate;
+
+/**
+ * Position of a paused generation: the datasource and the unit of slides
+ * within it to resume at, with the units generated before.
+ *
+ * @typedef {{
+ *   deckId: string,
+ *   datasourceIndex: number,
+ *   unitIndex: number,
+ *   anchorSlideId: ?string,
+ *   entries: !Array<!RegistryEntry>,
+ * }}
+ */
+let DeckProgress;
+
+/**
+ * Key of the section slide of a datasource.
+ */
+const SECTION_SLIDE_KEY = 'Section';
+
+/**
+ * Key of the slides of the datasources that are not collections of rows.
+ */
+const DATASOURCE_SLIDES_KEY = 'All slides';
+
+/**
+ * Key of the slides created by the pre-collection hook of a datasource.
+ */
+const PRE_COLLECTION_SLIDES_KEY = 'Pre-collection slides';
+
+/**
+ * Datasource and key of the end slide of the deck.
+ */
+const END_SLIDE_KEY = 'End slide';
+
+/**
+ * Regenerates the deck set in UPDATE_DECK_ID, replacing the slides edited by
+ * hand as well. Intended to be run from the menu.
+ *
+ * @return {!Array<string>} Id of the updated deck
+ */
+function forceUpdateDeckFromDatasources() {
+  return createDeckFromDatasources({FORCE_UPDATE: true});
+}
+
+/**
+ * Starts the generation of a deck: opens the deck to update and its registry
+ * entries, or copies the template when there is nothing to update. A paused
+ * generation continues with the deck and the units it had generated.
+ *
+ * @param {!Object<string, *>} deckConfig Effective deck-wide configuration
+ * @param {number=} deadline Time, in milliseconds since the epoch, after which
+ *     the generation pauses before its next unit
+ * @param {?DeckProgress=} resumeFrom Progress of the paused generation to
+ *     resume, if any
+ * @return {!DeckUpdate} State of the generation
+ */
+function openDeckUpdate(deckConfig, deadline = Infinity, resumeFrom = null) {
+  const deckId = resumeFrom ? resumeFrom.deckId :
+      deckConfig.UPDATE_DECK_ID || createBaseDeck(deckConfig);
+  const previousEntries = new Map();
+  if (deckConfig.UPDATE_DECK_ID) {
+    for (const entry of readSlideRegistry()) {
+      if (entry.deckId === deckId) {
+        previousEntries.set(getRegistryId(entry.datasource, entry.key), entry);
+      }
+    }
+  }
+  return {
+    deckId: deckId,
+    isUpdate: Boolean(deckConfig.UPDATE_DECK_ID),
+    force: deckConfig.FORCE_UPDATE,
+    removedSlides: deckConfig.REMOVED_SLIDES,
+    datasource: '',
+    anchorSlideId: resumeFrom ? resumeFrom.anchorSlideId : null,
+    previousEntries: previousEntries,
+    entries: new Map(resumeFrom ? resumeFrom.entries.map((entry) =>
+      [getRegistryId(entry.datasource, entry.key), entry]) : []),
+    queuedIds: new Set(),
+    datasourceCount: deckConfig.DATA_SOURCE_SHEET.length,
+    datasourceIndex: 0,
+    unitIndex: 0,
+    resumeFrom: resumeFrom,
+    deadline: deadline,
+    paused: false,
+  };
+}
+
+/**
+ * Sets the datasource the next units of slides belong to.
+ *
+ * @param {?DeckUpdate} deckUpdate State of the generation, if any
+ * @param {string} datasource Name of the datasource
+ * @param {number} datasourceIndex Position of the datasource in the deck,
+ *     the number of datasources for the slides that follow them
+ */
+function startDatasourceUpdate(deckUpdate, datasource, datasourceIndex) {
+  if (deckUpdate) {
+    deckUpdate.datasource = datasource;
+    deckUpdate.datasourceIndex = datasourceIndex;
+    deckUpdate.unitIndex = 0;
+  }
+}
+
+/**
+ * Returns the position a paused generation resumes at.
+ *
+ * @param {!DeckUpdate} deckUpdate State of the paused generation
+ * @return {!DeckProgress} Progress of the generation
+ */
+function getDeckProgress(deckUpdate) {
+  return {
+    deckId: deckUpdate.deckId,
+    datasourceIndex: deckUpdate.datasourceIndex,
+    unitIndex: deckUpdate.unitIndex,
+    anchorSlideId: deckUpdate.anchorSlideId,
+    entries: [...deckUpdate.entries.values()],
+  };
+}
+
+/**
+ * Creates, keeps or replaces a unit of slides of the current datasource.
+ * createSlides must append the slides of the unit at the end of the deck,
+ * they are then moved after the previous unit, or in place of the slides they
+ * replace. Those are only removed once the new ones are created, so that a
+ * unit that fails keeps its previous slides.
+ *
+ * @param {?DeckUpdate} deckUpdate State of the generation, or null to just
+ *     create the slides
+ * @param {string} key Key of the unit, unique within the datasource
+ * @param {?string} dataHash Hash of everything the slides are generated from,
+ *     null to always generate them again
+ * @param {function()} createSlides Appends the slides of the unit
+ * @throws {Error} If the deadline of the generation passed, once it is paused
+ */
+function updateSlides(deckUpdate, key, dataHash, createSlides) {
+  if (!deckUpdate) {
+    createSlides();
+    return;
+  }
+  const uniqueKey = startUnit(deckUpdate, key);
+  if (uniqueKey === null) {
+    return;
+  }
+  const registryId = getRegistryId(deckUpdate.datasource, uniqueKey);
+  const deck = SlidesApp.openById(deckUpdate.deckId);
+  const entry = deckUpdate.previousEntries.get(registryId) || null;
+  const previousSlides = entry ? getRegisteredSlides(deck, entry) : null;
+  const isEdited = previousSlides === null ? null :
+      getSlidesContentHash(previousSlides) !== entry.contentHash;
+  const action = getUpdateAction(entry, dataHash, isEdited, deckUpdate.force);
+
+  if (action === UPDATE_ACTIONS.KEEP || action === UPDATE_ACTIONS.PROTECT) {
+    deckUpdate.entries.set(registryId, Object.assign({}, entry, {
+      status: action === UPDATE_ACTIONS.KEEP ? REGISTRY_STATUSES.GENERATED :
+          REGISTRY_STATUSES.PROTECTED,
+    }));
+    deckUpdate.anchorSlideId = entry.slideIds[entry.slideIds.length - 1];
+    return;
+  }
+
+  const slideCount = SlidesApp.openById(deckUpdate.deckId).getSlides().length;
+  try {
+    createSlides();
+  } catch (error) {
+    // A unit that fails leaves no slides behind, and keeps its previous ones
+    SlidesApp.openById(deckUpdate.deckId).getSlides().slice(slideCount)
+        .forEach((slide) => slide.remove());
+    if (action === UPDATE_ACTIONS.UPDATE) {
+      deckUpdate.entries.set(registryId, entry);
+      deckUpdate.anchorSlideId = entry.slideIds[entry.slideIds.length - 1];
+    }
+    throw error;
+  }
+  const updatedDeck = SlidesApp.openById(deckUpdate.deckId);
+  const newSlides = updatedDeck.getSlides().slice(slideCount);
+  if (action === UPDATE_ACTIONS.UPDATE) {
+    // New slides go where the previous ones were, which are only removed now
+    const previousIndex = updatedDeck.getSlides().findIndex((slide) =>
+      slide.getObjectId() === entry.slideIds[0]);
+    newSlides.forEach((slide, offset) => slide.move(previousIndex + offset));
+    previousSlides.forEach((slide) => slide.remove());
+  } else {
+    moveSlidesAfterAnchor(updatedDeck, newSlides, deckUpdate);
+  }
+  registerSlides(deckUpdate, uniqueKey,
+      newSlides.map((slide) => slide.getObjectId()), dataHash);
+}
+
+/**
+ * Creates a unit of slides of the current datasource in a new deck, through
+ * a batch of requests. As the deck has no previous slides to keep or move,
+ * the slides are registered by the ids they are created with, without reading
+ * the deck, once the batch holding them is sent.
+ *
+ * @param {?DeckUpdate} deckUpdate State of the generation of a new deck, or
+ *     null to just create the slides
+ * @param {string} key Key of the unit, unique within the datasource
+ * @param {?string} dataHash Hash of everything the slides are generated from
+ * @param {function(function(!Array<string>))} queueSlides Queues the slides
+ *     of the unit at the end of the deck, and calls its argument with their
+ *     ids once they are created
+ * @throws {Error} If the deadline of the generation passed, once it is paused
+ */
+function insertBatchedSlides(deckUpdate, key, dataHash, queueSlides) {
+  if (!deckUpdate) {
+    queueSlides(() => {});
+    return;
+  }
+  const uniqueKey = startUnit(deckUpdate, key);
+  if (uniqueKey === null) {
+    return;
+  }
+  const registryId = getRegistryId(deckUpdate.datasource, uniqueKey);
+  deckUpdate.queuedIds.add(registryId);
+  queueSlides((slideIds) => {
+    deckUpdate.queuedIds.delete(registryId);
+    registerSlides(deckUpdate, uniqueKey, slideIds, dataHash);
+  });
+}
+
+/**
+ * Starts the next unit of slides of the current datasource: skips it if it
+ * was generated before the generation paused, and pauses the generation once
+ * its deadline passed.
+ *
+ * @param {!DeckUpdate} deckUpdate State of the generation
+ * @param {string} key Key of the unit, unique within the datasource
+ * @return {?string} Key of the unit, made unique within the datasource, or
+ *     null if the unit is already generated
+ * @throws {Error} If the deadline of the generation passed, once it is paused
+ */
+function startUnit(deckUpdate, key) {
+  const unitIndex = deckUpdate.unitIndex++;
+  if (isUnitGenerated(
+      deckUpdate.resumeFrom, deckUpdate.datasourceIndex, unitIndex)) {
+    return null;
+  }
+  if (Date.now() > deckUpdate.deadline) {
+    // Unwinds the generation, which tells a pause by DeckUpdate.paused
+    deckUpdate.unitIndex = unitIndex;
+    deckUpdate.paused = true;
+    throw new Error(ERROR_GENERATION_PAUSED);
+  }
+  let uniqueKey = key;
+  // Units queued in a batch are registered once it is sent
+  const isTaken = (registryId) => deckUpdate.entries.has(registryId) ||
+      deckUpdate.queuedIds.has(registryId);
+  for (let i = 2; isTaken(
+      getRegistryId(deckUpdate.datasource, uniqueKey)); i++) {
+    uniqueKey = `${key} #${i}`;
+  }
+  return uniqueKey;
+}
+
+/**
+ * Registers the slides generated for a unit, which becomes the anchor of the
+ * next one.
+ *
+ * @param {!DeckUpdate} deckUpdate State of the generation
+ * @param {string} uniqueKey Key of the unit, unique within the datasource
+ * @param {!Array<string>} slideIds Ids of the slides of the unit, in order
+ * @param {?string} dataHash Hash of everything the slides are generated from
+ */
+function registerSlides(deckUpdate, uniqueKey, slideIds, dataHash) {
+  deckUpdate.entries.set(getRegistryId(deckUpdate.datasource, uniqueKey), {
+    deckId: deckUpdate.deckId,
+    datasource: deckUpdate.datasource,
+    key: uniqueKey,
+    slideIds: slideIds,
+    dataHash: dataHash === null ? '' : dataHash,
+    // Computed by finishDeckUpdate, once the whole deck is generated
+    contentHash: '',
+    status: REGISTRY_STATUSES.GENERATED,
+  });
+  if (slideIds.length > 0) {
+    deckUpdate.anchorSlideId = slideIds[slideIds.length - 1];
+  }
+}
+
+/**
+ * Moves newly appended slides right after the anchor slide of the update.
+ * Without an anchor, they go before the first registered slide of the deck,
+ * or stay at the end if there is none.
+ *
+ * @param {!Presentation} deck Deck being generated
+ * @param {!Array<!Slide>} slides Slides to move, in order
+ * @param {!DeckUpdate} deckUpdate State of the generation
+ */
+function moveSlidesAfterAnchor(deck, slides, deckUpdate) {
+  if (!deckUpdate.isUpdate || slides.length === 0) {
+    return;
+  }
+  const slideIds = deck.getSlides().map((slide) => slide.getObjectId());
+  let index;
+  if (deckUpdate.anchorSlideId) {
+    index = slideIds.indexOf(deckUpdate.anchorSlideId) + 1;
+  } else {
+    const registeredIds = new Set([...deckUpdate.previousEntries.values()]
+        .flatMap((entry) => entry.slideIds));
+    index = slideIds.findIndex((slideId) => registeredIds.has(slideId));
+  }
+  if (index <= 0) {
+    return;
+  }
+  slides.forEach((slide, offset) => slide.move(index + offset));
+}
+
+/**
+ * Ends the generation of a deck: handles the slides of the units that are no
+ * longer in the data, records the content of every generated slide and saves
+ * the registry.
+ *
+ * @param {!DeckUpdate} deckUpdate State of the generation
+ */
+function finishDeckUpdate(deckUpdate) {
+  const deck = SlidesApp.openById(deckUpdate.deckId);
+  for (const [registryId, entry] of deckUpdate.previousEntries) {
+    if (deckUpdate.entries.has(registryId)) {
+      continue;
+    }
+    const slides = getRegisteredSlides(deck, entry);
+    if (slides === null) {
+      continue;
+    }
+    const isEdited = getSlidesContentHash(slides) !== entry.contentHash;
+    if (deckUpdate.removedSlides === REMOVED_SLIDES_ACTIONS.DELETE &&
+        (!isEdited || deckUpdate.force)) {
+      slides.forEach((slide) => slide.remove());
+      continue;
+    }
+    if (entry.status !== REGISTRY_STATUSES.REMOVED) {
+      slides[0].getNotesPage().getSpeakerNotesShape().getText().appendText(
+          `\n${REGISTRY_STATUSES.REMOVED}: ${entry.datasource} - ${
+            entry.key}`);
+    }
+    deckUpdate.entries.set(registryId,
+        Object.assign({}, entry, {status: REGISTRY_STATUSES.REMOVED}));
+  }
+
+  for (const entry of deckUpdate.entries.values()) {
+    if (entry.status === REGISTRY_STATUSES.GENERATED) {
+      const slides = getRegisteredSlides(deck, entry);
+      entry.contentHash = slides ? getSlidesContentHash(slides) : '';
+    }
+  }
+  writeSlideRegistry(deckUpdate.deckId, [...deckUpdate.entries.values()]);
+}
+
+/**
+ * Retrieves the slides of a registry entry.
+ *
+ * @param {!Presentation} deck Deck the entry belongs to
+ * @param {!RegistryEntry} entry Entry of the registry
+ * @return {?Array<!Slide>} Slides of the entry, or null if any of them is no
+ *     longer in the deck
+ */
+function getRegisteredSlides(deck, entry) {
+  const slides = entry.slideIds.map((slideId) => deck.getSlideById(slideId));
+  return slides.length > 0 && slides.every(Boolean) ? slides : null;
+}
+
+/**
+ * Hashes what can be edited by hand on a set of slides: the type, position,
+ * size and text of every page element. Speaker notes are not included.
+ *
+ * @param {!Array<!Slide>} slides Slides to hash
+ * @return {string} Hash of their content
+ */
+function getSlidesContentHash(slides) {
+  return computeHash(slides.map((slide) =>
+    slide.getPageElements().map((element) => {
+      const type = element.getPageElementType();
+      return [
+        String(type), element.getLeft(), element.getTop(), element.getWidth(),
+        element.getHeight(),
+        type === SlidesApp.PageElementType.SHAPE ?
+            element.asShape().getText().asString() :
+            '',
+      ];
+    })));
+}
+
+/**
+ * Builds the id of a unit of slides within a deck.
+ *
+ * @param {string} datasource Name of the datasource
+ * @param {string} key Key of the unit
+ * @return {string} Id of the unit
+ */
+function getRegistryId(datasource, key) {
+  return JSON.stringify([datasource, key]);
+}
+
+/**
+ * Reads every entry of the registry sheet.
+ *
+ * @return {!Array<!RegistryEntry>} Entries of every deck
+ */
+function readSlideRegistry() {
+  const sheet = SpreadsheetApp.getActive().getSheetByName(SLIDE_REGISTRY_SHEET);
+  return sheet ? parseRegistry(sheet.getDataRange().getValues()) : [];
+}
+
+/**
+ * Replaces the entries of a deck on the registry sheet, keeping the ones of
+ * other decks. The sheet is created hidden if it doesn't exist.
+ *
+ * @param {string} deckId Id of the deck
+ * @param {!Array<!RegistryEntry>} entries New entries of the deck
+ */
+function writeSlideRegistry(deckId, entries) {
+  const spreadsheet = SpreadsheetApp.getActive();
+  let sheet = spreadsheet.getSheetByName(SLIDE_REGISTRY_SHEET);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(SLIDE_REGISTRY_SHEET);
+    sheet.hideSheet();
+  }
+  const otherEntries =
+      readSlideRegistry().filter((entry) => entry.deckId !== deckId);
+  const values = serializeRegistry([...otherEntries, ...entries]);
+  sheet.clear();
+  // Hashes must not be interpreted as numbers
+  sheet.getRange(1, 1, values.length, values[0].length)
+      .setNumberFormat('@')
+      .setValues(values);
+}
+
+/**
+ * Below are the exports required for the linter.
+ * This is necessary because AppsScript doesn't support modules.
+ */
+/* exported DeckUpdate */
+/* exported DeckProgress */
+/* exported SECTION_SLIDE_KEY */
+/* exported DATASOURCE_SLIDES_KEY */
+/* exported PRE_COLLECTION_SLIDES_KEY */
+/* exported END_SLIDE_KEY */
+/* exported forceUpdateDeckFromDatasources */
+/* exported openDeckUpdate */
+/* exported startDatasourceUpdate */
+/* exported getDeckProgress */
+/* exported updateSlides */
+/* exported insertBatchedSlides */
+/* exported finishDeckUpdate */
@@ -0,0 +1,371 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Collects the problems met while a deck is generated instead of
+ * showing them as toasts or dropping them. Each issue records its severity, a
+ * code, and the datasource and row being generated when it happened. Failing
+ * rows abort the generation, or are skipped when ON_ROW_ERROR is set to skip.
+ * The issues of a generation are appended to the Issues sheet, with a link to
+ * their row, and summed up in a dialog when it ends.
+ */
+
+/**
+ * @typedef {{
+ *   severity: string,
+ *   code: string,
+ *   datasource: string,
+ *   dataSheet: string,
+ *   rowNumber: ?number,
+ *   message: string,
+ * }}
+ */
+let Issue;
+
+/**
+ * @typedef {{
+ *   issues: !Array<!Issue>,
+ *   datasource: string,
+ *   dataSheet: string,
+ *   rowNumber: ?number,
+ *   reportedErrors: !Set<!Error>,
+ * }}
+ */
+let Diagnostics;
+
+/**
+ * Codes of the issues.
+ */
+const ISSUE_CODES = {
+  IMAGE_NOT_FOUND: 'IMAGE_NOT_FOUND',
+  MULTIPLE_IMAGES: 'MULTIPLE_IMAGES',
+  IMAGE_FOLDER_NOT_FOUND: 'IMAGE_FOLDER_NOT_FOUND',
+  INVALID_IMAGE: 'INVALID_IMAGE',
+  IMAGE_NOT_CACHED: 'IMAGE_NOT_CACHED',
+  IMAGE_SIZE_UNKNOWN: 'IMAGE_SIZE_UNKNOWN',
+  INSIGHT_SLIDE_NOT_FOUND: 'INSIGHT_SLIDE_NOT_FOUND',
+  CHART_FAILED: 'CHART_FAILED',
+  SHAPE_NOT_FOUND: 'SHAPE_NOT_FOUND',
+  LAYOUT_NOT_FOUND: 'LAYOUT_NOT_FOUND',
+  LAYOUT_TOKENS_NOT_FILLED: 'LAYOUT_TOKENS_NOT_FILLED',
+  HOOK_FAILED: 'HOOK_FAILED',
+  EXPORT_FAILED: 'EXPORT_FAILED',
+  GENERATION_FAILED: 'GENERATION_FAILED',
+};
+
+/**
+ * Header of the Issues sheet.
+ */
+const ISSUES_HEADER = ['Date', 'Severity', 'Code', 'Datasource', 'Row',
+  'Message'];
+
+/**
+ * Issues listed at most in the summary dialog, the others are only on the
+ * Issues sheet.
+ */
+const MAX_SUMMARY_ISSUES = 10;
+
+/**
+ * Collector of the generation in progress, if any.
+ *
+ * @type {?Diagnostics}
+ */
+let activeDiagnostics = null;
+
+/**
+ * Starts collecting the issues of a generation.
+ *
+ * @return {!Diagnostics} Empty collector, which receives the issues reported
+ *     from now on
+ */
+function startDiagnostics() {
+  activeDiagnostics = {
+    issues: [],
+    datasource: '',
+    dataSheet: '',
+    rowNumber: null,
+    reportedErrors: new Set(),
+  };
+  return activeDiagnostics;
+}
+
+/**
+ * Lists the issues reported since the generation started.
+ *
+ * @return {!Array<!Issue>} Issues, in the order they were reported
+ */
+function getReportedIssues() {
+  return activeDiagnostics ? activeDiagnostics.issues : [];
+}
+
+/**
+ * Sets the datasource that the next issues are reported against.
+ *
+ * @param {string} datasource Name of the datasource, empty for the slides of
+ *     the whole deck
+ */
+function setDiagnosticsContext(datasource) {
+  if (activeDiagnostics) {
+    activeDiagnostics.datasource = datasource;
+    activeDiagnostics.dataSheet = '';
+    activeDiagnostics.rowNumber = null;
+  }
+}
+
+/**
+ * Sets the sheet that the rows of the next issues are in, the data sheet of
+ * the current datasource.
+ *
+ * @param {string} dataSheet Name of the sheet
+ */
+function setDiagnosticsDataSheet(dataSheet) {
+  if (activeDiagnostics) {
+    activeDiagnostics.dataSheet = dataSheet;
+  }
+}
+
+/**
+ * Sets the row of the datasource that the next issues are reported against.
+ *
+ * @param {?number} rowNumber 1-based row of the datasource sheet, null for
+ *     the slides of the whole datasource
+ */
+function setDiagnosticsRow(rowNumber) {
+  if (activeDiagnostics) {
+    activeDiagnostics.rowNumber = rowNumber;
+  }
+}
+
+/**
+ * Reports an issue of the generation in progress. Outside of a generation,
+ * issues are dropped.
+ *
+ * @param {string} severity One of PROBLEM_SEVERITY
+ * @param {string} code One of ISSUE_CODES
+ * @param {string} message Description of the issue
+ */
+function reportIssue(severity, code, message) {
+  if (!activeDiagnostics) {
+    return;
+  }
+  activeDiagnostics.issues.push({
+    severity: severity,
+    code: code,
+    datasource: activeDiagnostics.datasource,
+    dataSheet: activeDiagnostics.dataSheet,
+    rowNumber: activeDiagnostics.rowNumber,
+    message: message,
+  });
+}
+
+/**
+ * Reports an error that stops a row or the generation, once.
+ *
+ * @param {!Error} error Error to report
+ */
+function reportGenerationError(error) {
+  if (activeDiagnostics && activeDiagnostics.reportedErrors.has(error)) {
+    return;
+  }
+  reportIssue(PROBLEM_SEVERITY.ERROR, getIssueCode(error), error.message);
+  if (activeDiagnostics) {
+    activeDiagnostics.reportedErrors.add(error);
+  }
+}
+
+/**
+ * Handles an error raised while the slides of a row were generated: reports
+ * it, then lets it abort the generation unless ON_ROW_ERROR skips the row. A
+ * pause always goes through.
+ *
+ * @param {!Error} error Error raised by the row
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource
+ * @param {?DeckUpdate} deckUpdate State of the generation, if any
+ * @throws {Error} The error, unless the row is skipped
+ */
+function handleRowError(error, config, deckUpdate) {
+  if (deckUpdate && deckUpdate.paused) {
+    throw error;
+  }
+  reportGenerationError(error);
+  if (config.ON_ROW_ERROR !== ROW_ERROR_POLICIES.SKIP) {
+    throw error;
+  }
+}
+
+/**
+ * Handles an error raised while a batch holding the slides of several rows
+ * was sent or finished: reports it against each of the rows, then lets it
+ * abort the generation unless ON_ROW_ERROR skips the rows.
+ *
+ * @param {!Error} error Error raised by the batch
+ * @param {!Array<?number>} rowNumbers Numbers of the rows of the batch
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource
+ * @throws {Error} The error, unless the rows are skipped
+ */
+function handleBatchError(error, rowNumbers, config) {
+  const rowNumber = activeDiagnostics ? activeDiagnostics.rowNumber : null;
+  for (const batchRowNumber of rowNumbers) {
+    setDiagnosticsRow(batchRowNumber);
+    reportIssue(PROBLEM_SEVERITY.ERROR, getIssueCode(error), error.message);
+  }
+  setDiagnosticsRow(rowNumber);
+  if (activeDiagnostics) {
+    activeDiagnostics.reportedErrors.add(error);
+  }
+  if (config.ON_ROW_ERROR !== ROW_ERROR_POLICIES.SKIP) {
+    throw error;
+  }
+}
+
+/**
+ * Tells the code of an issue out of the error that raised it.
+ *
+ * @param {!Error} error Error to classify
+ * @return {string} One of ISSUE_CODES
+ */
+function getIssueCode(error) {
+  if (error.message.startsWith(ERROR_NO_SHAPE)) {
+    return ISSUE_CODES.SHAPE_NOT_FOUND;
+  }
+  if (error.message.startsWith(ERROR_NO_LAYOUT)) {
+    return ISSUE_CODES.LAYOUT_NOT_FOUND;
+  }
+  return ISSUE_CODES.GENERATION_FAILED;
+}
+
+/**
+ * Appends issues to the Issues sheet, creating it if needed. The row of each
+ * issue links to the row of the datasource sheet.
+ *
+ * @param {!Array<!Issue>} issues Issues to append
+ */
+function recordIssues(issues) {
+  if (issues.length === 0) {
+    return;
+  }
+  const spreadsheet = SpreadsheetApp.getActive();
+  let sheet = spreadsheet.getSheetByName(ISSUES_SHEET);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(ISSUES_SHEET);
+    sheet.appendRow(ISSUES_HEADER);
+    sheet.setFrozenRows(1);
+  }
+  const date = new Date();
+  const values = issues.map((issue) => {
+    const dataSheet = issue.dataSheet ?
+        spreadsheet.getSheetByName(issue.dataSheet) : null;
+    return [
+      date,
+      issue.severity,
+      issue.code,
+      issue.datasource,
+      getIssueRowLink(issue, dataSheet ? dataSheet.getSheetId() : null),
+      issue.message,
+    ];
+  });
+  sheet.getRange(sheet.getLastRow() + 1, 1, values.length, values[0].length)
+      .setValues(values);
+}
+
+/**
+ * Builds the Row cell of an issue, a link to its row when the datasource
+ * sheet exists.
+ *
+ * @param {!Issue} issue Issue of the cell
+ * @param {?number} sheetId Id of the datasource sheet, if it exists
+ * @return {string|number} Formula linking to the row, the row number, or an
+ *     empty string for the issues that aren't about a row
+ */
+function getIssueRowLink(issue, sheetId) {
+  if (issue.rowNumber === null) {
+    return '';
+  }
+  if (sheetId === null) {
+    return issue.rowNumber;
+  }
+  return `=HYPERLINK("#gid=${sheetId}&range=A${issue.rowNumber}:` +
+      `${issue.rowNumber}", ${issue.rowNumber})`;
+}
+
+/**
+ * Shows the issues of a generation in a dialog, if there are any.
+ *
+ * @param {!Array<!Issue>} issues Issues of the generation
+ */
+function showIssuesSummary(issues) {
+  if (issues.length === 0) {
+    return;
+  }
+  SpreadsheetApp.getUi().alert(ISSUES_REPORT_TITLE, summarizeIssues(issues),
+      SpreadsheetApp.getUi().ButtonSet.OK);
+}
+
+/**
+ * Sums up issues: their number by severity and the first of them.
+ *
+ * @param {!Array<!Issue>} issues Issues to sum up
+ * @return {string} Summary, as shown to the user
+ */
+function summarizeIssues(issues) {
+  const errorCount = issues.filter((issue) =>
+    issue.severity === PROBLEM_SEVERITY.ERROR).length;
+  const lines = [`${errorCount} errors and ${issues.length - errorCount} ` +
+      `warnings, listed on the "${ISSUES_SHEET}" sheet.`, ''];
+  lines.push(...issues.slice(0, MAX_SUMMARY_ISSUES).map(formatIssue));
+  if (issues.length > MAX_SUMMARY_ISSUES) {
+    lines.push(`and ${issues.length - MAX_SUMMARY_ISSUES} more.`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Formats an issue as a line of the summary.
+ *
+ * @param {!Issue} issue Issue to format
+ * @return {string} Line of the summary
+ */
+function formatIssue(issue) {
+  const location = [
+    issue.datasource,
+    issue.rowNumber === null ? '' : `row ${issue.rowNumber}`,
+  ].filter(Boolean).join(', ');
+  return `[${issue.severity.toUpperCase()}] ${issue.code}` +
+      `${location ? ` (${location})` : ''}: ${issue.message}`;
+}
+
+/**
+ * Below are the exports required for the linter.
+ * This is necessary because AppsScript doesn't support modules.
+ */
+/* exported Issue */
+/* exported Diagnostics */
+/* exported ISSUE_CODES */
+/* exported startDiagnostics */
+/* exported getReportedIssues */
+/* exported formatIssue */
+/* exported setDiagnosticsContext */
+/* exported setDiagnosticsDataSheet */
+/* exported setDiagnosticsRow */
+/* exported reportIssue */
+/* exported reportGenerationError */
+/* exported handleRowError */
+/* exported handleBatchError */
+/* exported recordIssues */
+/* exported showIssuesSummary */
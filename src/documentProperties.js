@@ -16,36 +16,198 @@
  */
 
 /**
- * @fileoverview Handles loading and retrieving properties
- * to use across the project.
+ * @fileoverview Handles loading the configuration from its ranges, and the
+ * Document Properties used to keep state across executions.
  */
 
 /**
- * Constant that encapsulates the access to Document Properties,
- * used throughout the project.
+ * Constant that encapsulates the access to Document Properties, used to keep
+ * state across executions. The configuration is always read from its ranges.
  */
 const documentProperties = PropertiesService.getDocumentProperties();
 
 /**
- * Loads the configuration properties based on a named range defined on the
- * active spreadsheet and maps them to the document properties using
- * the properties service.
+ * Reads the key/value pairs of a configuration range without storing them.
+ * Values are kept as the raw cell values so they can be validated against the
+ * schema.
  *
  * @param {string=} rangeName Optional name of the range to use
+ * @return {!Object<string, *>} Raw cell values by key
+ * @throws {Error} If the named range doesn't exist
  */
-function loadConfiguration(rangeName = RANGE_NAME) {
+function readConfiguration(rangeName = RANGE_NAME) {
   const range = SpreadsheetApp.getActive().getRangeByName(rangeName);
   if (!range) {
     throw new Error(ERROR_MISSING_RANGE);
   }
-  const values = range.getValues();
-  for (const value of values) {
-    documentProperties.setProperty(value[0], String(value[1]));
+  const rawConfiguration = {};
+  for (const [key, value] of range.getValues()) {
+    if (key) {
+      rawConfiguration[key] = value;
+    }
   }
+  return rawConfiguration;
+}
+
+/**
+ * @typedef {{
+ *   name: string,
+ *   values: !Object<string, *>,
+ *   problems: !Array<!ConfigProblem>,
+ * }}
+ */
+let ConfigLayer;
+
+/**
+ * Returns the name of the range holding the configuration of a datasource.
+ *
+ * @param {string} datasource Name of the datasource
+ * @return {string} Name of the range
+ */
+function getDatasourceRangeName(datasource) {
+  return '\'Configuration_' + datasource + '\'!PROPERTIES';
+}
+
+/**
+ * Reads and parses a configuration range as a layer named after it.
+ *
+ * @param {string} rangeName Name of the range to read
+ * @return {!ConfigLayer} Parsed layer
+ * @throws {Error} If the named range doesn't exist
+ */
+function readConfigurationLayer(rangeName) {
+  const parsed = parseConfiguration(readConfiguration(rangeName));
+  return {name: rangeName, values: parsed.values, problems: parsed.problems};
+}
+
+/**
+ * Builds the ordered list of layers that make up a configuration: the main
+ * Configuration sheet, then the datasource sheet (if any) and finally the
+ * overrides of the current run. A datasource uses its own name as data sheet
+ * unless it defines DATA_SOURCE_SHEET, so the list of datasources never
+ * reaches it.
+ *
+ * @param {?string} datasource Name of the datasource, or null for the
+ *     deck-wide configuration
+ * @param {!Object<string, *>=} runOverrides Raw values for this run only
+ * @return {!Array<!ConfigLayer>} Layers, from the most generic to the most
+ *     specific
+ * @throws {Error} If any of the named ranges doesn't exist
+ */
+function getConfigurationLayers(datasource, runOverrides = {}) {
+  const layers = [readConfigurationLayer(RANGE_NAME)];
+  if (datasource) {
+    layers.push({
+      name: CONFIG_DATASOURCE_NAME_SOURCE,
+      values: {DATA_SOURCE_SHEET: [datasource]},
+      problems: [],
+    });
+    layers.push(readConfigurationLayer(getDatasourceRangeName(datasource)));
+  }
+  const parsedOverrides = parseConfiguration(runOverrides);
+  layers.push({
+    name: CONFIG_RUN_OVERRIDES_SOURCE,
+    values: parsedOverrides.values,
+    problems: parsedOverrides.problems,
+  });
+  return layers;
+}
+
+/**
+ * Loads the deck-wide configuration, used for everything that isn't specific
+ * to a datasource.
+ *
+ * @param {!Object<string, *>=} runOverrides Raw values for this run only
+ * @return {!Object<string, *>} Effective typed values by key
+ */
+function loadDeckConfiguration(runOverrides = {}) {
+  return resolveConfiguration(getConfigurationLayers(null, runOverrides))
+      .values;
+}
+
+/**
+ * Loads the configuration of a datasource. It is resolved from scratch every
+ * time, so values defined for a datasource are never seen by another one.
+ *
+ * @param {string} datasource Name of the datasource
+ * @param {!Object<string, *>=} runOverrides Raw values for this run only
+ * @return {!Object<string, *>} Effective typed values by key
+ */
+function loadDatasourceConfiguration(datasource, runOverrides = {}) {
+  return resolveConfiguration(
+      getConfigurationLayers(datasource, runOverrides))
+      .values;
+}
+
+/**
+ * Writes the effective value of every configuration key for each datasource
+ * into a dedicated sheet. Each cell has a note with the layer the value comes
+ * from.
+ */
+function showEffectiveConfiguration() {
+  const spreadsheet = SpreadsheetApp.getActive();
+  const datasources = loadDeckConfiguration().DATA_SOURCE_SHEET || [];
+  const resolved = datasources.map((datasource) =>
+    resolveConfiguration(getConfigurationLayers(datasource)));
+
+  const keys = new Set(Object.keys(CONFIG_SCHEMA));
+  for (const configuration of resolved) {
+    Object.keys(configuration.values).forEach((key) => keys.add(key));
+  }
+  const values = [['Key', ...datasources]];
+  const notes = [['', ...datasources.map(() => '')]];
+  for (const key of keys) {
+    values.push([
+      key,
+      ...resolved.map((configuration) =>
+        formatConfigValue(configuration.values[key])),
+    ]);
+    notes.push([
+      '',
+      ...resolved.map((configuration) => configuration.sources[key] || ''),
+    ]);
+  }
+
+  let sheet = spreadsheet.getSheetByName(EFFECTIVE_CONFIGURATION_SHEET);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(EFFECTIVE_CONFIGURATION_SHEET);
+  }
+  sheet.clear();
+  const range = sheet.getRange(1, 1, values.length, values[0].length);
+  range.setValues(values);
+  range.setNotes(notes);
+  sheet.setFrozenRows(1);
+  spreadsheet.setActiveSheet(sheet);
+}
+
+/**
+ * Formats a typed configuration value so it can be written in a cell.
+ *
+ * @param {*} value Typed value
+ * @return {string} Value as text
+ */
+function formatConfigValue(value) {
+  if (value === undefined) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.join(', ');
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
 }
 
 /**
  * Below are the exports required for the linter.
  * This is necessary because AppsScript doesn't support modules.
  */
-/* exported loadConfiguration */
+/* exported documentProperties */
+/* exported readConfiguration */
+/* exported ConfigLayer */
+/* exported getDatasourceRangeName */
+/* exported getConfigurationLayers */
+/* exported loadDeckConfiguration */
+/* exported loadDatasourceConfiguration */
+/* exported showEffectiveConfiguration */
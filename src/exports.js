@@ -0,0 +1,185 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Exports a generated deck to the EXPORT_FORMATS once it is
+ * complete, into EXPORT_FOLDER_ID or the folder of the deck. Every exported
+ * file is listed on the Exports sheet, and a failed export is reported as a
+ * warning without failing the deck. Drive is reached through a facade so
+ * that the flow can run against a local stand-in.
+ */
+
+/**
+ * @typedef {{
+ *   getFile: function(string): {name: string, folderId: string},
+ *   exportFile: function(string, string): !Blob,
+ *   saveFile: function(string, !Blob, string): string,
+ * }}
+ */
+let DriveFacade;
+
+/**
+ * @typedef {{
+ *   format: string,
+ *   name: string,
+ *   url: string,
+ * }}
+ */
+let ExportedFile;
+
+/**
+ * Formats a deck can be exported to, by their name in EXPORT_FORMATS.
+ */
+const EXPORT_FORMATS = {
+  pdf: {
+    mimeType: 'application/pdf',
+    extension: 'pdf',
+  },
+  pptx: {
+    mimeType: 'application/vnd.openxmlformats-officedocument.presentationml' +
+        '.presentation',
+    extension: 'pptx',
+  },
+};
+
+/**
+ * Header of the Exports sheet.
+ */
+const EXPORTS_HEADER = ['Date', 'Deck', 'Format', 'File', 'URL'];
+
+/**
+ * Drive facade backed by Apps Script. Saved files replace the files of the
+ * folder with the same name, so that updating a deck doesn't pile up exports.
+ *
+ * @type {!DriveFacade}
+ */
+const APPS_SCRIPT_DRIVE = {
+  getFile: (fileId) => {
+    const file = DriveApp.getFileById(fileId);
+    return {name: file.getName(), folderId: file.getParents().next().getId()};
+  },
+  exportFile: (fileId, format) => {
+    // Pending changes of the deck must be applied before it is exported
+    SlidesApp.openById(fileId).saveAndClose();
+    const {mimeType} = EXPORT_FORMATS[format];
+    if (mimeType === MimeType.PDF) {
+      return DriveApp.getFileById(fileId).getAs(mimeType);
+    }
+    return UrlFetchApp.fetch(
+        `https://docs.google.com/presentation/d/${fileId}/export/${format}`,
+        {headers: {Authorization: `Bearer ${ScriptApp.getOAuthToken()}`}})
+        .getBlob();
+  },
+  saveFile: (folderId, blob, name) => {
+    const folder = DriveApp.getFolderById(folderId);
+    const existingFiles = folder.getFilesByName(name);
+    while (existingFiles.hasNext()) {
+      existingFiles.next().setTrashed(true);
+    }
+    return folder.createFile(blob.setName(name)).getUrl();
+  },
+};
+
+/**
+ * Exports a generated deck and lists the exported files on the Exports sheet.
+ * The deck is complete by then, so a failed export is only reported as a
+ * warning.
+ *
+ * @param {string} deckId Id of the generated deck
+ * @param {!Object<string, *>} config Effective deck-wide configuration
+ * @param {!DriveFacade=} drive Access to Drive
+ */
+function exportGeneratedDeck(deckId, config, drive = APPS_SCRIPT_DRIVE) {
+  try {
+    recordExportedFiles(config.OUTPUT_DECK_NAME,
+        exportDeck(deckId, config, drive));
+  } catch (error) {
+    reportIssue(PROBLEM_SEVERITY.WARNING, ISSUE_CODES.EXPORT_FAILED,
+        `The deck could not be exported: ${error.message}`);
+  }
+}
+
+/**
+ * Exports a deck to every format of EXPORT_FORMATS.
+ *
+ * @param {string} deckId Id of the generated deck
+ * @param {!Object<string, *>} config Effective deck-wide configuration
+ * @param {!DriveFacade=} drive Access to Drive
+ * @return {!Array<!ExportedFile>} Exported files, in the order of the formats
+ */
+function exportDeck(deckId, config, drive = APPS_SCRIPT_DRIVE) {
+  const deckFile = drive.getFile(deckId);
+  const folderId = config.EXPORT_FOLDER_ID || deckFile.folderId;
+  return config.EXPORT_FORMATS.map((format) => {
+    const name = getExportFileName(config.EXPORT_FILE_NAME, format, {
+      Deck: deckFile.name,
+      Locale: config.LOCALE || '',
+      Date: new Date(),
+    });
+    const blob = drive.exportFile(deckId, format);
+    return {
+      format: format,
+      name: name,
+      url: drive.saveFile(folderId, blob, name),
+    };
+  });
+}
+
+/**
+ * Builds the name of an exported file out of the EXPORT_FILE_NAME pattern.
+ *
+ * @param {string} pattern File name with {{token}} bindings to the Deck,
+ *     Locale, Date and Format fields
+ * @param {string} format Name of the format in EXPORT_FORMATS
+ * @param {!Object<string, *>} record Values of the fields
+ * @return {string} Name of the file, with its extension
+ */
+function getExportFileName(pattern, format, record) {
+  const name = renderTemplate(
+      pattern, Object.assign({Format: format.toUpperCase()}, record));
+  return `${name.trim()}.${EXPORT_FORMATS[format].extension}`;
+}
+
+/**
+ * Appends the links to the exported files of a deck to the Exports sheet,
+ * creating it if needed.
+ *
+ * @param {string} deckName Name of the deck
+ * @param {!Array<!ExportedFile>} exportedFiles Files exported for the deck
+ */
+function recordExportedFiles(deckName, exportedFiles) {
+  const spreadsheet = SpreadsheetApp.getActive();
+  let sheet = spreadsheet.getSheetByName(EXPORTS_SHEET);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(EXPORTS_SHEET);
+    sheet.appendRow(EXPORTS_HEADER);
+  }
+  const date = new Date();
+  for (const file of exportedFiles) {
+    sheet.appendRow([date, deckName, file.format, file.name, file.url]);
+  }
+}
+
+/**
+ * Below are the exports required for the linter.
+ * This is necessary because AppsScript doesn't support modules.
+ */
+/* exported DriveFacade */
+/* exported ExportedFile */
+/* exported exportDeck */
+/* exported exportGeneratedDeck */
+/* exported recordExportedFiles */
@@ -0,0 +1,219 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Hooks run at the stages of a generation. A hook is a function
+ * that receives a single HookContext, and any number of them can run at each
+ * stage. Hooks are either registered by code with registerHook, from a file
+ * loaded after this one, or named by stage in the HOOKS configuration, for
+ * instance {"postSlide": ["styleSlide"], "postDeck": "shareDeck"}. Hooks
+ * registered by code run first. The preDeck, postDeck and onError hooks run
+ * with the configuration of the deck, so they can only be named in the main
+ * Configuration sheet.
+ *
+ * The PRE_COLLECTION_FUNCTION, PRE_SLIDE_FUNCTION and POST_SLIDE_FUNCTION
+ * hooks still run before the hooks of their stage, with their own arguments.
+ */
+
+/**
+ * @typedef {{
+ *   stage: string,
+ *   deck: ?Presentation,
+ *   config: !Object<string, *>,
+ *   datasource: string,
+ *   row: ?Object<string, *>,
+ *   slide: ?Slide,
+ *   error: ?Error,
+ *   diagnostics: {
+ *     issues: !Array<!Issue>,
+ *     reportIssue: function(string, string, string),
+ *   },
+ * }}
+ */
+let HookContext;
+
+/**
+ * Stages of a generation that hooks can run at.
+ */
+const HOOK_STAGES = {
+  // Before the first datasource of a deck
+  PRE_DECK: 'preDeck',
+  // Before the slides of a collection
+  PRE_COLLECTION: 'preCollection',
+  // Before the slide of a row, which isn't created yet
+  PRE_SLIDE: 'preSlide',
+  // After the slide of a row
+  POST_SLIDE: 'postSlide',
+  // After the slides of a datasource
+  POST_DATASOURCE: 'postDatasource',
+  // After the last slide of a deck, before it is saved and exported
+  POST_DECK: 'postDeck',
+  // When a row gets no slide, through the layout rules or ON_ROW_ERROR
+  ON_ROW_SKIPPED: 'onRowSkipped',
+  // When the generation of a deck fails
+  ON_ERROR: 'onError',
+};
+
+/**
+ * Stages that run once per deck, with the configuration of the deck.
+ */
+const DECK_HOOK_STAGES = [
+  HOOK_STAGES.PRE_DECK,
+  HOOK_STAGES.POST_DECK,
+  HOOK_STAGES.ON_ERROR,
+];
+
+/**
+ * Hooks registered by code, by stage.
+ *
+ * @type {!Object<string, !Array<function(!HookContext)>>}
+ */
+const registeredHooks = {};
+
+/**
+ * Registers a hook to run at a stage of every generation.
+ *
+ * @param {string} stage One of HOOK_STAGES
+ * @param {function(!HookContext)} hook Function receiving the context of the
+ *     stage
+ * @throws {Error} If the stage is unknown
+ */
+function registerHook(stage, hook) {
+  if (!Object.values(HOOK_STAGES).includes(stage)) {
+    throw new Error(`Unknown hook stage "${stage}"`);
+  }
+  registeredHooks[stage] = [...(registeredHooks[stage] || []), hook];
+}
+
+/**
+ * Lists the hooks of a stage: the registered ones, then the ones named in the
+ * HOOKS configuration.
+ *
+ * @param {string} stage One of HOOK_STAGES
+ * @param {!Object<string, *>} config Effective configuration of the deck or
+ *     the datasource
+ * @return {!Array<function(!HookContext)>} Hooks, in the order they run
+ */
+function getHooks(stage, config) {
+  return [
+    ...(registeredHooks[stage] || []),
+    ...((config.HOOKS || {})[stage] || []).map(getFunctionByName),
+  ];
+}
+
+/**
+ * Tells whether a stage has any hook to run.
+ *
+ * @param {string} stage One of HOOK_STAGES
+ * @param {!Object<string, *>} config Effective configuration of the deck or
+ *     the datasource
+ * @return {boolean} True if hooks run at the stage
+ */
+function hasHooks(stage, config) {
+  return Boolean((registeredHooks[stage] || []).length ||
+      ((config.HOOKS || {})[stage] || []).length);
+}
+
+/**
+ * Runs the hooks of a stage, in order.
+ *
+ * @param {string} stage One of HOOK_STAGES
+ * @param {!Object<string, *>} config Effective configuration of the deck or
+ *     the datasource, which names the hooks
+ * @param {{deck: (?Presentation|undefined), datasource: (string|undefined),
+ *     row: (?Object<string, *>|undefined), slide: (?Slide|undefined),
+ *     error: (?Error|undefined)}} values Values of the context that apply to
+ *     the stage
+ */
+function runHooks(stage, config, values) {
+  for (const hook of getHooks(stage, config)) {
+    hook(createHookContext(stage, config, values));
+  }
+}
+
+/**
+ * Builds the context a hook receives. Values that don't apply to the stage
+ * are null.
+ *
+ * @param {string} stage One of HOOK_STAGES
+ * @param {!Object<string, *>} config Effective configuration of the deck or
+ *     the datasource
+ * @param {!Object<string, *>} values Values of the context that apply to the
+ *     stage
+ * @return {!HookContext} Context of the hook
+ */
+function createHookContext(stage, config, values) {
+  return Object.assign({
+    stage: stage,
+    deck: null,
+    config: config,
+    datasource: '',
+    row: null,
+    slide: null,
+    error: null,
+    diagnostics: {
+      issues: getReportedIssues(),
+      reportIssue: reportIssue,
+    },
+  }, values);
+}
+
+/**
+ * Parses the HOOKS configuration: a JSON object with a function name or a
+ * list of them by stage.
+ *
+ * @param {string} text Raw value
+ * @return {{value: (!Object<string, !Array<string>>|undefined),
+ *     error: (string|undefined)}} Function names by stage, or the error
+ */
+function parseHooks(text) {
+  let hooks;
+  try {
+    hooks = JSON.parse(text);
+  } catch (error) {
+    return {error: `invalid JSON (${error.message})`};
+  }
+  if (!hooks || typeof hooks !== 'object' || Array.isArray(hooks)) {
+    return {error: 'expected an object of function names by stage'};
+  }
+  const value = {};
+  for (const [stage, names] of Object.entries(hooks)) {
+    if (!Object.values(HOOK_STAGES).includes(stage)) {
+      return {error: `unknown hook stage "${stage}", expected one of: ${
+        Object.values(HOOK_STAGES).join(', ')}`};
+    }
+    value[stage] = [].concat(names).map((name) => String(name).trim());
+    const invalidName =
+        value[stage].find((name) => !/^[a-zA-Z0-9]+$/.test(name));
+    if (invalidName !== undefined) {
+      return {error: `"${invalidName}" is not a valid function name`};
+    }
+  }
+  return {value: value};
+}
+
+/**
+ * Below are the exports required for the linter.
+ * This is necessary because AppsScript doesn't support modules.
+ */
+/* exported HookContext */
+/* exported HOOK_STAGES */
+/* exported DECK_HOOK_STAGES */
+/* exported registerHook */
+/* exported hasHooks */
+/* exported runHooks */
+/* exported parseHooks */
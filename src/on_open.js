@@ -22,13 +22,44 @@
  * custom menu to the spreadsheet.
  */
 function onOpen() {
-  loadConfiguration();
   const spreadsheet = SpreadsheetApp.getActive();
   const menuItems = [
     {
       name: 'Generate deck',
       functionName: 'createDeckFromDatasources',
     },
+    {
+      name: 'Generate decks for targets',
+      functionName: 'createDecksForTargets',
+    },
+    {
+      name: 'Update deck (replace edited slides)',
+      functionName: 'forceUpdateDeckFromDatasources',
+    },
+    {
+      name: 'Restore configuration of the selected run',
+      functionName: 'restoreConfigurationFromRun',
+    },
+    {
+      name: 'Cancel paused generation',
+      functionName: 'cancelDeckGeneration',
+    },
+    {
+      name: 'Plan deck (dry run)',
+      functionName: 'planDeckFromDatasources',
+    },
+    {
+      name: 'Purge image cache',
+      functionName: 'purgeImageCache',
+    },
+    {
+      name: 'Validate configuration',
+      functionName: 'validateConfigurationFromMenu',
+    },
+    {
+      name: 'Show effective configuration',
+      functionName: 'showEffectiveConfiguration',
+    },
   ];
   spreadsheet.addMenu('Katalyst', menuItems);
 }
@@ -0,0 +1,333 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Dry run of createDeckFromDatasources. Goes through the same
+ * datasources, filters and insight resolution as the generation, but instead
+ * of copying the template and writing to Slides it lists every slide that
+ * would be created on a Plan sheet. Hooks are not executed, and datasources
+ * using a CUSTOM_FUNCTION are listed without their slides.
+ */
+
+/**
+ * @typedef {{
+ *   datasource: string,
+ *   rowNumber: (number|undefined),
+ *   type: string,
+ *   layout: string,
+ *   fields: !Object<string, *>,
+ *   images: !Array<{shape: string, value: *, resolution: string}>,
+ *   insightSlideId: (string|undefined),
+ *   problems: !Array<string>,
+ * }}
+ */
+let PlannedSlide;
+
+/**
+ * Types of the slides listed in a plan.
+ */
+const PLANNED_SLIDE_TYPES = {
+  SECTION: 'Section',
+  SINGLE: 'Single',
+  COLLECTION: 'Collection',
+  GROUP: 'Group',
+  INSIGHT: 'Insight',
+  CUSTOM: 'Custom function',
+};
+
+/**
+ * Plans the deck that createDeckFromDatasources would generate and writes it
+ * on the Plan sheet. Intended to be run from the menu.
+ *
+ * @param {!Object<string, *>=} runOverrides Raw configuration values that
+ *     take precedence over the sheets for this run only
+ * @return {!Array<!PlannedSlide>} Every planned slide, in order
+ */
+function planDeckFromDatasources(runOverrides = {}) {
+  assertValidConfiguration(runOverrides);
+  const plan = buildDeckPlan(runOverrides);
+  writePlanSheet(plan);
+  return plan;
+}
+
+/**
+ * Lists every slide that would be generated, in the order they would appear
+ * in the deck.
+ *
+ * @param {!Object<string, *>=} runOverrides Raw values for this run only
+ * @return {!Array<!PlannedSlide>} Planned slides
+ */
+function buildDeckPlan(runOverrides = {}) {
+  const deckConfig = loadDeckConfiguration(runOverrides);
+  const plan = [];
+  for (const datasource of deckConfig.DATA_SOURCE_SHEET) {
+    if (deckConfig.SECTION_LAYOUT_NAME) {
+      plan.push(createPlannedSlide(
+          datasource, PLANNED_SLIDE_TYPES.SECTION,
+          deckConfig.SECTION_LAYOUT_NAME, {title: datasource}));
+    }
+    const config = loadDatasourceConfiguration(datasource, runOverrides);
+    plan.push(...planDatasource(datasource, config));
+  }
+  return plan;
+}
+
+/**
+ * Lists the slides that would be generated for a datasource, mirroring
+ * createSlidesForDatasource.
+ *
+ * @param {string} datasource Name of the datasource
+ * @param {!Object<string, *>} config Effective configuration of the datasource
+ * @return {!Array<!PlannedSlide>} Planned slides
+ */
+function planDatasource(datasource, config) {
+  if (config.CUSTOM_FUNCTION) {
+    const slide = createPlannedSlide(
+        datasource, PLANNED_SLIDE_TYPES.CUSTOM, config.LAYOUT_NAME, {});
+    slide.problems.push(
+        `Slides are created by ${config.CUSTOM_FUNCTION}, not planned`);
+    return [slide];
+  }
+  if (config.SINGLE_VALUE) {
+    return [planSlideFields(
+        createPlannedSlide(
+            datasource, PLANNED_SLIDE_TYPES.SINGLE, config.LAYOUT_NAME, {}),
+        getSingleSlideFields(config), config)];
+  }
+
+  let insightDeck = null;
+  if (config.INSIGHTS_DECK_ID) {
+    insightDeck = SlidesApp.openById(config.INSIGHTS_DECK_ID);
+  }
+  const columnsConfig = resolveSheetColumns(config);
+  if (columnsConfig.GROUP_BY_COLUMN) {
+    return planGroupedSlides(
+        datasource, insightDeck, getVisibleRows(columnsConfig), columnsConfig);
+  }
+  const layoutRules = loadLayoutRules(columnsConfig);
+  const plan = [];
+  for (const {rowNumber, values: row, fieldValues, record} of
+    getVisibleRows(columnsConfig)) {
+    const layoutName = selectRowLayout(row, columnsConfig, layoutRules);
+    if (layoutName === null) {
+      continue;
+    }
+    if (shouldCreateCollectionSlide(columnsConfig)) {
+      const slide = createPlannedSlide(
+          datasource, PLANNED_SLIDE_TYPES.COLLECTION, layoutName, {});
+      slide.rowNumber = rowNumber;
+      plan.push(planSlideFields(slide,
+          getCollectionSlideFields(fieldValues, columnsConfig, record),
+          columnsConfig));
+    }
+    plan.push(...planInsightSlides(
+        datasource, rowNumber,
+        resolveInsightSlides(insightDeck, row, columnsConfig)));
+  }
+  return plan;
+}
+
+/**
+ * Lists the slides of a grouped collection, mirroring createGroupedSlides.
+ *
+ * @param {string} datasource Name of the datasource
+ * @param {?GoogleAppsScript.Slides.Presentation} insightDeck Insight deck of
+ *     the datasource, if any
+ * @param {!Array<!DataRow>} rows Visible rows of the datasource
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource, with its columns resolved
+ * @return {!Array<!PlannedSlide>} Planned slides
+ */
+function planGroupedSlides(datasource, insightDeck, rows, config) {
+  const plan = [];
+  const groupSlides =
+      paginateGroups(groupRows(rows, config), config.GROUP_ITEMS_PER_SLIDE);
+  for (const groupSlide of groupSlides) {
+    const fields = {title: getGroupSlideTitle(groupSlide)};
+    const items = getGroupSlideItems(groupSlide, config);
+    if (items.length > 0) {
+      fields.body = items.join('; ');
+    }
+    const slide = createPlannedSlide(
+        datasource, PLANNED_SLIDE_TYPES.GROUP, config.LAYOUT_NAME, fields);
+    slide.rowNumber = groupSlide.rows[0].rowNumber;
+    plan.push(slide);
+    if (groupSlide.page === groupSlide.pages) {
+      for (const row of groupSlide.group.rows) {
+        plan.push(...planInsightSlides(datasource, row.rowNumber,
+            resolveInsightSlides(insightDeck, row.values, config)));
+      }
+    }
+  }
+  return plan;
+}
+
+/**
+ * Fills in the fields, images and tables of a planned slide, resolving every
+ * image the same way the generation does.
+ *
+ * @param {!PlannedSlide} slide Planned slide to fill in
+ * @param {!SlideFields} fields Fields read from the sheet
+ * @param {!Object<string, *>} config Effective configuration of the datasource
+ * @return {!PlannedSlide} The same planned slide
+ */
+function planSlideFields(slide, fields, config) {
+  for (const field of ['title', 'subtitle', 'body', 'notes']) {
+    if (fields[field] !== undefined) {
+      slide.fields[field] = fields[field];
+    }
+  }
+  for (const text of fields.texts) {
+    slide.fields[text.shape] = text.value;
+  }
+  for (const image of fields.images) {
+    // The plan looks the image cache up without writing to it
+    const {resolution, problem} = resolveImageSource(
+        image.value, config, APPS_SCRIPT_FETCHER, true);
+    slide.images.push(
+        {shape: image.shape, value: image.value, resolution: resolution});
+    if (resolution === IMAGE_RESOLUTIONS.NOT_FOUND) {
+      slide.problems.push(`Image "${image.value}" not found`);
+    } else if (resolution === IMAGE_RESOLUTIONS.NOT_CACHED) {
+      slide.problems.push(`Image "${image.value}" not in the image cache`);
+    } else if (resolution === IMAGE_RESOLUTIONS.INVALID) {
+      slide.problems.push(`Image of ${image.shape} is invalid: ${problem}`);
+    }
+  }
+  for (const table of fields.tables) {
+    if (isEmptyConfigValue(table.value)) {
+      continue;
+    }
+    try {
+      const {rows} = readTableData(String(table.value).trim());
+      const pages =
+          paginateTableRows(rows, config.TABLE_ROWS_PER_SLIDE).length;
+      slide.fields[table.shape] = `Table ${table.value} with ${
+        rows.length} rows${pages > 1 ? `, over ${pages} slides` : ''}`;
+    } catch (error) {
+      slide.problems.push(error.message);
+    }
+  }
+  return slide;
+}
+
+/**
+ * Lists the insight slides a row would add, checking that each of them exists
+ * in its deck.
+ *
+ * @param {string} datasource Name of the datasource
+ * @param {number} rowNumber Row of the data sheet the slides come from
+ * @param {?{deck: ?GoogleAppsScript.Slides.Presentation,
+ *     slideIds: !Array<string>}} insights Resolved insight slides of the row
+ * @return {!Array<!PlannedSlide>} Planned insight slides
+ */
+function planInsightSlides(datasource, rowNumber, insights) {
+  if (!insights) {
+    return [];
+  }
+  const plan = [];
+  for (const slideId of insights.slideIds) {
+    if (slideId === '') {
+      continue;
+    }
+    const slide = createPlannedSlide(
+        datasource, PLANNED_SLIDE_TYPES.INSIGHT, '', {});
+    slide.rowNumber = rowNumber;
+    slide.insightSlideId = slideId;
+    if (!insights.deck) {
+      slide.problems.push('There is no insight deck to copy it from');
+    } else if (insights.deck.getSlideById(slideId) === null) {
+      slide.problems.push(
+          'Slide not found in the insight deck, it would be skipped');
+    }
+    plan.push(slide);
+  }
+  return plan;
+}
+
+/**
+ * Creates an empty planned slide.
+ *
+ * @param {string} datasource Name of the datasource
+ * @param {string} type One of PLANNED_SLIDE_TYPES
+ * @param {string} layout Name of the layout
+ * @param {!Object<string, *>} fields Values of the text fields
+ * @return {!PlannedSlide} Planned slide
+ */
+function createPlannedSlide(datasource, type, layout, fields) {
+  return {
+    datasource: datasource,
+    rowNumber: undefined,
+    type: type,
+    layout: layout,
+    fields: fields,
+    images: [],
+    insightSlideId: undefined,
+    problems: [],
+  };
+}
+
+/**
+ * Writes a plan on the Plan sheet, one slide per row, replacing any previous
+ * plan.
+ *
+ * @param {!Array<!PlannedSlide>} plan Planned slides
+ */
+function writePlanSheet(plan) {
+  const spreadsheet = SpreadsheetApp.getActive();
+  let sheet = spreadsheet.getSheetByName(PLAN_SHEET);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(PLAN_SHEET);
+  }
+  sheet.clear();
+
+  const values = [[
+    'Slide', 'Datasource', 'Row', 'Type', 'Layout', 'Fields', 'Images',
+    'Insight slide', 'Problems',
+  ]];
+  plan.forEach((slide, index) => {
+    values.push([
+      index + 1,
+      slide.datasource,
+      slide.rowNumber || '',
+      slide.type,
+      slide.layout,
+      Object.entries(slide.fields)
+          .map(([field, value]) => `${field}: ${value}`)
+          .join('\n'),
+      slide.images
+          .map((image) =>
+            // Base64 images are cut short to fit in a cell
+            `${image.shape}: ${String(image.value || '').slice(0, 100)} (${
+              image.resolution})`)
+          .join('\n'),
+      slide.insightSlideId || '',
+      slide.problems.join('\n'),
+    ]);
+  });
+  sheet.getRange(1, 1, values.length, values[0].length).setValues(values);
+  sheet.setFrozenRows(1);
+  spreadsheet.setActiveSheet(sheet);
+  spreadsheet.toast(`${plan.length} slides planned`);
+}
+
+/**
+ * Below are the exports required for the linter.
+ * This is necessary because AppsScript doesn't support modules.
+ */
+/* exported PlannedSlide */
+/* exported planDeckFromDatasources */
@@ -0,0 +1,389 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Validates the whole configuration (the main Configuration
+ * sheet and the one of every datasource) before a deck is generated, so that
+ * every problem is reported at once instead of halfway through the generation.
+ */
+
+/**
+ * @typedef {{
+ *   severity: string,
+ *   source: string,
+ *   key: string,
+ *   message: string,
+ * }}
+ */
+let PreflightProblem;
+
+/**
+ * Runs the preflight and shows the report, whether it found problems or not.
+ * Intended to be run from the menu.
+ */
+function validateConfigurationFromMenu() {
+  const problems = runPreflight();
+  if (problems.length === 0) {
+    SpreadsheetApp.getUi().alert(
+        PREFLIGHT_REPORT_TITLE, SUCCESS_VALID_CONFIGURATION,
+        SpreadsheetApp.getUi().ButtonSet.OK);
+    return;
+  }
+  showPreflightReport(problems);
+}
+
+/**
+ * Runs the preflight and blocks the generation if any error was found. The
+ * report is shown when there are errors or warnings.
+ *
+ * @param {!Object<string, *>=} runOverrides Raw values for this run only
+ * @return {!Array<string>} Warnings found, formatted as in the report
+ * @throws {Error} If the configuration has any error
+ */
+function assertValidConfiguration(runOverrides = {}) {
+  const problems = runPreflight(runOverrides);
+  if (problems.length > 0) {
+    showPreflightReport(problems);
+  }
+  if (problems.some((problem) =>
+    problem.severity === PROBLEM_SEVERITY.ERROR)) {
+    throw new Error(ERROR_INVALID_CONFIGURATION);
+  }
+  return problems.map(formatPreflightProblem);
+}
+
+/**
+ * Reads, parses and validates the main configuration and the configuration of
+ * every datasource, resolved the same way as during the generation, including
+ * checks against Drive, Sheets and Slides.
+ *
+ * @param {!Object<string, *>=} runOverrides Raw values for this run only
+ * @return {!Array<!PreflightProblem>} Every problem found
+ */
+function runPreflight(runOverrides = {}) {
+  const problems = [];
+  const addProblems = (source, newProblems) => {
+    for (const problem of newProblems) {
+      problems.push(Object.assign({source: source}, problem));
+    }
+  };
+
+  let deckLayers;
+  try {
+    deckLayers = getConfigurationLayers(null, runOverrides);
+  } catch (error) {
+    addProblems(RANGE_NAME, [{
+      severity: PROBLEM_SEVERITY.ERROR,
+      key: '',
+      message: error.message,
+    }]);
+    return problems;
+  }
+  for (const layer of deckLayers) {
+    addProblems(layer.name, layer.problems);
+    addProblems(layer.name, checkConfigurationResources(layer.values));
+  }
+  const deckValues = resolveConfiguration(deckLayers).values;
+  addProblems(RANGE_NAME,
+      validateConfiguration(deckValues, CONFIG_SCOPES.DECK));
+
+  const templateLayoutNames = getLayoutNames(deckValues.TEMPLATE_DECK_ID);
+  if (deckValues.SECTION_LAYOUT_NAME && templateLayoutNames &&
+      !templateLayoutNames.includes(deckValues.SECTION_LAYOUT_NAME)) {
+    addProblems(RANGE_NAME, [{
+      severity: PROBLEM_SEVERITY.ERROR,
+      key: 'SECTION_LAYOUT_NAME',
+      message: `The template deck has no layout named "${
+        deckValues.SECTION_LAYOUT_NAME}"`,
+    }]);
+  }
+
+  addProblems(RANGE_NAME, checkDictionaryLocales(deckValues));
+
+  for (const datasource of deckValues.DATA_SOURCE_SHEET || []) {
+    const rangeName = getDatasourceRangeName(datasource);
+    let layers;
+    try {
+      layers = getConfigurationLayers(datasource, runOverrides);
+    } catch (error) {
+      addProblems(rangeName, [{
+        severity: PROBLEM_SEVERITY.ERROR,
+        key: '',
+        message: error.message,
+      }]);
+      continue;
+    }
+    // The deck layers have already been checked above
+    const datasourceLayer = layers.find((layer) => layer.name === rangeName);
+    addProblems(rangeName, datasourceLayer.problems);
+    addProblems(rangeName, checkConfigurationResources(
+        datasourceLayer.values, CONFIG_SCOPES.DATASOURCE));
+    const datasourceValues = resolveConfiguration(layers).values;
+    addProblems(rangeName,
+        validateConfiguration(datasourceValues, CONFIG_SCOPES.DATASOURCE));
+    addProblems(rangeName,
+        checkDatasourceResources(datasourceValues, templateLayoutNames));
+  }
+  return problems;
+}
+
+/**
+ * Checks that the values referencing external resources (decks, sheets and
+ * functions) point at something that exists, and that the hooks of a
+ * datasource don't name deck stages, which would never run.
+ *
+ * @param {!Object<string, *>} values Typed values defined on a configuration
+ * @param {string=} scope One of CONFIG_SCOPES, the scope of the configuration
+ * @return {!Array<!ConfigProblem>} Problems found
+ */
+function checkConfigurationResources(values, scope = CONFIG_SCOPES.DECK) {
+  const problems = [];
+  for (const [key, value] of Object.entries(values)) {
+    const definition = CONFIG_SCHEMA[key];
+    if (!definition) {
+      continue;
+    }
+    let message;
+    switch (definition.type) {
+      case CONFIG_TYPES.PRESENTATION_ID:
+        if (!isPresentationId(value)) {
+          message = `"${value}" is not a Slides deck or it can't be accessed`;
+        }
+        break;
+      case CONFIG_TYPES.SHEET_NAME:
+        if (!SpreadsheetApp.getActive().getSheetByName(value)) {
+          message = `There is no sheet named "${value}"`;
+        }
+        break;
+      case CONFIG_TYPES.FUNCTION:
+        if (!isFunctionDefined(value)) {
+          message = `There is no function named "${value}"`;
+        }
+        break;
+      case CONFIG_TYPES.HOOKS: {
+        const deckStages = scope === CONFIG_SCOPES.DATASOURCE ?
+            DECK_HOOK_STAGES.filter((stage) => value[stage]) : [];
+        if (deckStages.length > 0) {
+          message = `${deckStages.join(', ')} hooks run with the main ` +
+              'configuration and must be named there';
+          break;
+        }
+        const unknownNames = Object.values(value).flat()
+            .filter((name) => !isFunctionDefined(name));
+        if (unknownNames.length > 0) {
+          message = `There is no function named ${
+            unknownNames.map((name) => `"${name}"`).join(', ')}`;
+        }
+        break;
+      }
+    }
+    if (message) {
+      problems.push({
+        severity: PROBLEM_SEVERITY.ERROR,
+        key: key,
+        message: message,
+      });
+    }
+  }
+  return problems;
+}
+
+/**
+ * Checks that the dictionary sheet has strings for every locale a deck is
+ * generated for.
+ *
+ * @param {!Object<string, *>} values Effective deck-wide values
+ * @return {!Array<!ConfigProblem>} Problems found
+ */
+function checkDictionaryLocales(values) {
+  const sheet = values.DICTIONARY_SHEET_NAME &&
+      SpreadsheetApp.getActive().getSheetByName(values.DICTIONARY_SHEET_NAME);
+  if (!sheet) {
+    return [];
+  }
+  const header = getHeaderRow(sheet);
+  const problems = [];
+  for (const locale of values.LOCALES || [values.LOCALE || '']) {
+    try {
+      getDictionaryColumn(header, locale);
+    } catch (error) {
+      problems.push({
+        severity: PROBLEM_SEVERITY.ERROR,
+        key: 'DICTIONARY_SHEET_NAME',
+        message: error.message,
+      });
+    }
+  }
+  return problems;
+}
+
+/**
+ * Checks the resources that only make sense for a datasource: its data sheet,
+ * the headers its columns refer to and its layout.
+ *
+ * @param {!Object<string, *>} values Effective values of the datasource
+ * @param {?Array<string>} templateLayoutNames Names of the layouts in the
+ *     template deck, or null if the template couldn't be read
+ * @return {!Array<!ConfigProblem>} Problems found
+ */
+function checkDatasourceResources(values, templateLayoutNames) {
+  const problems = [];
+  const dataSourceSheets = values.DATA_SOURCE_SHEET || [];
+  const dataSheet = dataSourceSheets.length === 1 ?
+      SpreadsheetApp.getActive().getSheetByName(dataSourceSheets[0]) :
+      null;
+  if (dataSourceSheets.length !== 1) {
+    problems.push({
+      severity: PROBLEM_SEVERITY.ERROR,
+      key: 'DATA_SOURCE_SHEET',
+      message: 'Must be the name of the data sheet of the datasource',
+    });
+  } else if (!dataSheet) {
+    problems.push({
+      severity: PROBLEM_SEVERITY.ERROR,
+      key: 'DATA_SOURCE_SHEET',
+      message: `There is no sheet named "${dataSourceSheets[0]}"`,
+    });
+  }
+  // Columns refer to the recommendations sheet when there is one, as the data
+  // sheet then only holds the chart
+  const columnsSheet = values.RECOMMENDATIONS_SHEET ?
+      SpreadsheetApp.getActive().getSheetByName(values.RECOMMENDATIONS_SHEET) :
+      dataSheet;
+  if (columnsSheet) {
+    problems.push(...resolveColumnReferences(
+        values, getHeaderRow(columnsSheet)).problems);
+  }
+  if (dataSheet && templateLayoutNames) {
+    problems.push(
+        ...checkRowLayouts(values, dataSheet, templateLayoutNames));
+  }
+  if (values.LAYOUT_NAME && templateLayoutNames &&
+      !templateLayoutNames.includes(values.LAYOUT_NAME)) {
+    problems.push({
+      severity: PROBLEM_SEVERITY.ERROR,
+      key: 'LAYOUT_NAME',
+      message: `The template deck has no layout named "${values.LAYOUT_NAME}"`,
+    });
+  }
+  return problems;
+}
+
+/**
+ * Checks the layout rules of a datasource and that every layout its rows can
+ * pick, through the rules or the layout column, exists in the template.
+ *
+ * @param {!Object<string, *>} values Effective values of the datasource
+ * @param {!Sheet} dataSheet Data sheet of the datasource
+ * @param {!Array<string>} templateLayoutNames Names of the layouts in the
+ *     template deck
+ * @return {!Array<!ConfigProblem>} Problems found
+ */
+function checkRowLayouts(values, dataSheet, templateLayoutNames) {
+  const problems = [];
+  const rowValues = dataSheet.getDataRange().getValues();
+  // Key each layout comes from, by layout name
+  const layoutKeys = new Map();
+  const rulesSheet = values.LAYOUT_RULES_SHEET ?
+      SpreadsheetApp.getActive().getSheetByName(values.LAYOUT_RULES_SHEET) :
+      null;
+  if (rulesSheet) {
+    const {rules, problems: ruleProblems} = parseLayoutRules(
+        rulesSheet.getDataRange().getValues(), rowValues[0]);
+    problems.push(...ruleProblems.map((problem) =>
+      Object.assign({}, problem,
+          {key: `LAYOUT_RULES_SHEET - ${problem.key}`})));
+    rules.filter((rule) => rule.layout.toUpperCase() !== LAYOUT_RULE_SKIP)
+        .forEach((rule) => layoutKeys.set(rule.layout, 'LAYOUT_RULES_SHEET'));
+  }
+  const {values: columns} = resolveColumnReferences(values, rowValues[0]);
+  if (columns.LAYOUT_COLUMN) {
+    rowValues.slice(1)
+        .map((row) => row[columns.LAYOUT_COLUMN - 1])
+        .filter((cell) => !isEmptyConfigValue(cell))
+        .forEach((cell) =>
+          layoutKeys.set(String(cell).trim(), 'LAYOUT_COLUMN'));
+  }
+  for (const [layoutName, key] of layoutKeys) {
+    if (!templateLayoutNames.includes(layoutName)) {
+      problems.push({
+        severity: PROBLEM_SEVERITY.ERROR,
+        key: key,
+        message: `The template deck has no layout named "${layoutName}"`,
+      });
+    }
+  }
+  return problems;
+}
+
+/**
+ * Retrieves the display names of the layouts of a deck.
+ *
+ * @param {string|undefined} presentationId Id of the deck
+ * @return {?Array<string>} Layout names, or null if the deck can't be read
+ */
+function getLayoutNames(presentationId) {
+  if (!presentationId || !isPresentationId(presentationId)) {
+    return null;
+  }
+  return Slides.Presentations.get(presentationId)
+      .layouts.map((layout) => layout.layoutProperties.displayName);
+}
+
+/**
+ * Checks whether a function with the given name is defined in the project.
+ *
+ * @param {string} functionName Name of the function
+ * @return {boolean} True if the function exists
+ */
+function isFunctionDefined(functionName) {
+  try {
+    return typeof getFunctionByName(functionName) === 'function';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Shows every problem found by the preflight in a single dialog.
+ *
+ * @param {!Array<!PreflightProblem>} problems Problems to list
+ */
+function showPreflightReport(problems) {
+  const lines = problems.map(formatPreflightProblem);
+  SpreadsheetApp.getUi().alert(PREFLIGHT_REPORT_TITLE, lines.join('\n'),
+      SpreadsheetApp.getUi().ButtonSet.OK);
+}
+
+/**
+ * Formats a problem as a line of the report.
+ *
+ * @param {!PreflightProblem} problem Problem to format
+ * @return {string} Line of the report
+ */
+function formatPreflightProblem(problem) {
+  return `[${problem.severity.toUpperCase()}] ${problem.source}` +
+      `${problem.key ? ' - ' + problem.key : ''}: ${problem.message}`;
+}
+
+/**
+ * Below are the exports required for the linter.
+ * This is necessary because AppsScript doesn't support modules.
+ */
+/* exported PreflightProblem */
+/* exported validateConfigurationFromMenu */
+/* exported assertValidConfiguration */
@@ -0,0 +1,248 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Keeps a log of every generated deck on the Runs sheet, with
+ * the configuration it was generated from. The configuration of a run can be
+ * written back into the configuration ranges to generate the same deck again.
+ */
+
+/**
+ * Header of the Runs sheet.
+ */
+const RUNS_HEADER = [
+  'Started', 'Ended', 'User', 'Deck ID', 'Deck URL', 'Slides',
+  'Configuration', 'Warnings', 'Status',
+];
+
+/**
+ * Statuses written on the Runs sheet.
+ */
+const RUN_STATUSES = {
+  GENERATED: 'Generated',
+  PAUSED: 'Paused',
+  FAILED: 'Failed',
+};
+
+/**
+ * Generates a deck and appends the run to the Runs sheet, whether it succeeds
+ * or not. A paused generation is recorded with its progress, each execution
+ * that continues it adds another run.
+ *
+ * @param {!Object<string, !Object<string, *>>} snapshot Raw configuration of
+ *     the run, by range name
+ * @param {!Array<string>} warnings Warnings of the preflight of the run
+ * @param {!Array<!Issue>} issues Issues reported so far, which the ones
+ *     reported while the deck is generated are added to, see
+ *     getReportedIssues
+ * @param {function(): !DeckUpdate} generate Generates the deck
+ * @return {!DeckUpdate} State of the generation
+ * @throws {Error} The error of the generation, once it is recorded
+ */
+function recordRun(snapshot, warnings, issues, generate) {
+  const started = new Date();
+  const previousIssueCount = issues.length;
+  let deckId = '';
+  let entries = [];
+  let status = RUN_STATUSES.GENERATED;
+  try {
+    const deckUpdate = generate();
+    deckId = deckUpdate.deckId;
+    entries = [...deckUpdate.entries.values()];
+    if (deckUpdate.paused) {
+      status = `${RUN_STATUSES.PAUSED}: ${
+        formatDeckProgress(getDeckProgress(deckUpdate),
+            deckUpdate.datasourceCount)}`;
+    }
+    return deckUpdate;
+  } catch (error) {
+    status = `${RUN_STATUSES.FAILED}: ${error.message}`;
+    throw error;
+  } finally {
+    appendRun([
+      started,
+      new Date(),
+      Session.getActiveUser().getEmail(),
+      deckId,
+      deckId ? SlidesApp.openById(deckId).getUrl() : '',
+      JSON.stringify(countSlidesByDatasource(entries)),
+      JSON.stringify(snapshot),
+      [
+        ...warnings,
+        ...issues.slice(previousIssueCount).map(formatIssue),
+      ].join('\n'),
+      status,
+    ]);
+  }
+}
+
+/**
+ * Appends a row to the Runs sheet, creating it if needed.
+ *
+ * @param {!Array<*>} values Values of the row, in the order of RUNS_HEADER
+ */
+function appendRun(values) {
+  const spreadsheet = SpreadsheetApp.getActive();
+  let sheet = spreadsheet.getSheetByName(RUNS_SHEET);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(RUNS_SHEET);
+    sheet.appendRow(RUNS_HEADER);
+    sheet.setFrozenRows(1);
+  }
+  sheet.appendRow(values);
+}
+
+/**
+ * Reads the raw configuration of a run: the main configuration range and the
+ * range of every datasource, with the run overrides applied.
+ *
+ * @param {!Object<string, *>} runOverrides Raw values for this run only
+ * @return {!Object<string, !Object<string, *>>} Raw values by key, by range
+ *     name
+ */
+function getConfigurationSnapshot(runOverrides) {
+  const snapshot = {[RANGE_NAME]: readConfiguration(RANGE_NAME)};
+  for (const datasource of loadDeckConfiguration(runOverrides)
+      .DATA_SOURCE_SHEET || []) {
+    const rangeName = getDatasourceRangeName(datasource);
+    snapshot[rangeName] = readConfiguration(rangeName);
+  }
+  return mergeRunOverrides(snapshot, runOverrides);
+}
+
+/**
+ * Applies run overrides to the raw values of configuration ranges. Overrides
+ * are written to the main range and removed from the others, which gives the
+ * same effective configuration once the ranges are layered.
+ *
+ * @param {!Object<string, !Object<string, *>>} snapshot Raw values by key, by
+ *     range name
+ * @param {!Object<string, *>} runOverrides Raw values for this run only
+ * @return {!Object<string, !Object<string, *>>} Copy of the snapshot with the
+ *     overrides applied
+ */
+function mergeRunOverrides(snapshot, runOverrides) {
+  const merged = {};
+  for (const [rangeName, values] of Object.entries(snapshot)) {
+    merged[rangeName] = Object.assign({}, values);
+    for (const key of Object.keys(runOverrides)) {
+      if (rangeName !== RANGE_NAME) {
+        delete merged[rangeName][key];
+      }
+    }
+  }
+  merged[RANGE_NAME] = Object.assign({}, merged[RANGE_NAME], runOverrides);
+  return merged;
+}
+
+/**
+ * Counts the slides of a deck generated for each datasource, leaving out the
+ * slides that aren't specific to any of them.
+ *
+ * @param {!Array<!RegistryEntry>} entries Registry entries of the deck
+ * @return {!Object<string, number>} Number of slides by datasource
+ */
+function countSlidesByDatasource(entries) {
+  const counts = {};
+  for (const entry of entries) {
+    if (!entry.datasource || entry.status === REGISTRY_STATUSES.REMOVED) {
+      continue;
+    }
+    counts[entry.datasource] =
+        (counts[entry.datasource] || 0) + entry.slideIds.length;
+  }
+  return counts;
+}
+
+/**
+ * Writes the configuration of the run selected on the Runs sheet back into
+ * the configuration ranges. Intended to be run from the menu.
+ *
+ * @throws {Error} If no run is selected, or if a range is missing or too
+ *     small for the keys of the run
+ */
+function restoreConfigurationFromRun() {
+  const spreadsheet = SpreadsheetApp.getActive();
+  const sheet = spreadsheet.getActiveSheet();
+  const rowNumber = sheet.getActiveRange().getRow();
+  if (sheet.getName() !== RUNS_SHEET || rowNumber < 2) {
+    throw new Error(`Please select a run on the "${RUNS_SHEET}" sheet.`);
+  }
+  const snapshot = JSON.parse(sheet.getRange(
+      rowNumber, RUNS_HEADER.indexOf('Configuration') + 1).getValue());
+
+  // Every range is checked before any of them is written
+  const updates = Object.entries(snapshot).map(([rangeName, rawConfig]) => {
+    const range = spreadsheet.getRangeByName(rangeName);
+    if (!range) {
+      throw new Error(`Couldn't find the named range ${rangeName}.`);
+    }
+    const keyValueRange = range.offset(0, 0, range.getNumRows(), 2);
+    const merged =
+        mergeConfigurationSnapshot(keyValueRange.getValues(), rawConfig);
+    if (merged.missingKeys.length > 0) {
+      throw new Error(`The range ${rangeName} has no room for ` +
+          `${merged.missingKeys.join(', ')}.`);
+    }
+    return {range: keyValueRange, values: merged.values};
+  });
+  for (const {range, values} of updates) {
+    range.setValues(values);
+  }
+  SpreadsheetApp.getUi().alert('Configuration restored',
+      `The configuration of row ${rowNumber} was restored.`,
+      SpreadsheetApp.getUi().ButtonSet.OK);
+}
+
+/**
+ * Replaces the key/value pairs of a configuration range by the ones of a
+ * snapshot. Keys missing from the snapshot are cleared and new keys take the
+ * empty rows of the range.
+ *
+ * @param {!Array<!Array<*>>} rangeValues Key and value of every row of the
+ *     range
+ * @param {!Object<string, *>} rawConfig Raw values by key of the snapshot
+ * @return {{values: !Array<!Array<*>>, missingKeys: !Array<string>}} New
+ *     values of the range, and the keys that didn't fit in it
+ */
+function mergeConfigurationSnapshot(rangeValues, rawConfig) {
+  const values = rangeValues.map(([key]) =>
+    [key, key && key in rawConfig ? rawConfig[key] : '']);
+  const existingKeys = new Set(values.map(([key]) => key));
+  const missingKeys = [];
+  for (const [key, value] of Object.entries(rawConfig)) {
+    if (existingKeys.has(key)) {
+      continue;
+    }
+    const emptyRow = values.find((row) => row[0] === '' && row[1] === '');
+    if (emptyRow) {
+      emptyRow[0] = key;
+      emptyRow[1] = value;
+    } else {
+      missingKeys.push(key);
+    }
+  }
+  return {values: values, missingKeys: missingKeys};
+}
+
+/**
+ * Below are the exports required for the linter.
+ * This is necessary because AppsScript doesn't support modules.
+ */
+/* exported recordRun */
+/* exported getConfigurationSnapshot */
+/* exported restoreConfigurationFromRun */
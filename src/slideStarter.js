@@ -20,9 +20,9 @@
  * @fileoverview Includes the core shared functions between the different
  * implementations of Slide Starter for the procedural generation of slide
  * decks.
- * - loadConfiguration
- *   Populates Document Properties with the parameters retrieved from the
- *   configuration sheet on the trix
+ * - loadDeckConfiguration / loadDatasourceConfiguration
+ *   Resolves the effective configuration out of the configuration sheets on
+ *   the trix
  *
  * - createBaseDeck
  *   Creates a slide deck based on a base template
@@ -47,40 +47,177 @@
 // --- Katalyst loops
 
 /**
- * Creates a new Slides deck based on the data sources specified in the document
- * properties. Uses the specified base deck as a template, and applies custom
- * styling to the new deck.
+ * Creates a new Slides deck based on the data sources specified in the
+ * configuration. Uses the specified base deck as a template, and applies
+ * custom styling to the new deck. Nothing is generated if the configuration
+ * doesn't pass the preflight.
+ *
+ * The configuration of each datasource is resolved on its own out of the main
+ * configuration, the datasource configuration and the run overrides, and
+ * passed explicitly down to the slide creation and the hooks.
+ *
+ * When UPDATE_DECK_ID is set, that deck is updated instead: only the slides
+ * whose data changed are generated again, see deckUpdate.js. When LOCALES is
+ * set, a deck is generated for each of them, see locales.js. Each deck is
+ * then exported to the EXPORT_FORMATS, see exports.js, and logged on the Runs
+ * sheet with the configuration of the run, see runs.js.
+ *
+ * A generation that runs for longer than TIME_BUDGET_SECONDS pauses and
+ * continues in a new execution, see checkpoints.js. The problems met on the
+ * way are listed on the Issues sheet, see diagnostics.js.
+ *
+ * @param {!Object<string, *>=} runOverrides Raw configuration values that
+ *     take precedence over the sheets for this run only
+ * @param {boolean=} showIssues Whether the issues of the generation are shown
+ *     in a dialog once it ends
+ * @param {!Array<string>=} warnings Warnings of a preflight already run for
+ *     the run, which is then not run again
+ * @return {!Array<string>} Ids of the generated decks, one per locale, not
+ *     including the deck left to finish by a later execution
+ * @throws {Error} If a paused generation isn't finished yet
  */
-function createDeckFromDatasources() {
-  loadConfiguration();
+function createDeckFromDatasources(
+    runOverrides = {}, showIssues = true, warnings = undefined) {
+  const started = Date.now();
+  startDiagnostics();
+  if (readGenerationCheckpoint()) {
+    throw new Error(ERROR_GENERATION_IN_PROGRESS);
+  }
+  warnings = warnings || assertValidConfiguration(runOverrides);
+  const deckConfig = loadDeckConfiguration(runOverrides);
+  const deckOverrides = getDeckOverrides(runOverrides, deckConfig);
+  const deckIds = continueGeneration({
+    runOverrides: runOverrides,
+    deckOverrides: deckOverrides,
+    deckIds: [],
+    progress: null,
+    warnings: warnings,
+    executions: 1,
+  }, started + deckConfig.TIME_BUDGET_SECONDS * 1000);
+  if (showIssues) {
+    showIssuesSummary(getReportedIssues());
+  }
+  return deckIds;
+}
 
-  const newDeckId = createBaseDeck();
+/**
+ * Lists the run overrides of each deck of a run, one per entry of LOCALES
+ * unless the run sets its LOCALE.
+ *
+ * @param {!Object<string, *>} runOverrides Raw values for this run only
+ * @param {!Object<string, *>} deckConfig Effective deck-wide configuration of
+ *     the run
+ * @return {!Array<!Object<string, *>>} Raw run overrides of each deck
+ */
+function getDeckOverrides(runOverrides, deckConfig) {
+  if (!deckConfig.LOCALES || runOverrides.LOCALE !== undefined) {
+    return [runOverrides];
+  }
+  return deckConfig.LOCALES.map((locale) =>
+    Object.assign({}, runOverrides, {
+      LOCALE: locale,
+      OUTPUT_DECK_NAME: getLocaleDeckName(deckConfig.OUTPUT_DECK_NAME, locale),
+    }));
+}
 
-  const datasourceString = documentProperties.getProperty('DATA_SOURCE_SHEET');
-  const datasourcesArray =
-      datasourceString.split(',').map((item) => item.trim());
+/**
+ * Generates a deck out of a valid configuration, or the rest of it when the
+ * generation was paused.
+ *
+ * @param {!Object<string, *>} runOverrides Raw configuration values that take
+ *     precedence over the sheets for this run only
+ * @param {number=} deadline Time, in milliseconds since the epoch, after which
+ *     the generation pauses
+ * @param {?DeckProgress=} resumeFrom Progress of the paused generation of the
+ *     deck, if any
+ * @return {!DeckUpdate} State of the generation, paused if it ran out of time
+ */
+function createDeck(runOverrides, deadline = Infinity, resumeFrom = null) {
+  const deckConfig = loadDeckConfiguration(runOverrides);
 
-  const sectionLayoutName =
-      documentProperties.getProperty('SECTION_LAYOUT_NAME');
-  let sectionLayout;
-  if (sectionLayoutName && sectionLayoutName.length > 0) {
-    sectionLayout = getTemplateLayout(newDeckId, sectionLayoutName);
-  }
+  const deckUpdate = openDeckUpdate(deckConfig, deadline, resumeFrom);
+  const newDeckId = deckUpdate.deckId;
+
+  try {
+    // Hooks of the deck ran in the execution that started it
+    if (!resumeFrom) {
+      runHooks(HOOK_STAGES.PRE_DECK, deckConfig,
+          {deck: SlidesApp.openById(newDeckId)});
+    }
+    let sectionLayout;
+    if (deckConfig.SECTION_LAYOUT_NAME) {
+      sectionLayout =
+          getTemplateLayout(newDeckId, deckConfig.SECTION_LAYOUT_NAME);
+    }
 
-  for (const datasource of datasourcesArray) {
-    if (sectionLayout) {
-      createSlideWithTitle(deckId, sectionLayout, datasource);
+    deckConfig.DATA_SOURCE_SHEET.forEach((datasource, index) => {
+      // Datasources done before a pause are not even read again
+      if (resumeFrom && index < resumeFrom.datasourceIndex) {
+        return;
+      }
+      startDatasourceUpdate(deckUpdate, datasource, index);
+      setDiagnosticsContext(datasource);
+      if (sectionLayout) {
+        updateSlides(deckUpdate, SECTION_SLIDE_KEY,
+            computeHash([datasource, deckConfig.SECTION_LAYOUT_NAME]),
+            () => createSlideWithTitle(newDeckId, sectionLayout, datasource));
+      }
+      const config = loadDatasourceConfiguration(datasource, runOverrides);
+      setDiagnosticsDataSheet(config.DATA_SOURCE_SHEET[0]);
+      prepareDependenciesAndCreateSlides(
+          datasource, newDeckId, config, deckUpdate);
+      runHooks(HOOK_STAGES.POST_DATASOURCE, config,
+          {deck: SlidesApp.openById(newDeckId), datasource: datasource});
+    });
+
+    if (deckConfig.DICTIONARY_SHEET_NAME ||
+        Object.keys(deckConfig.DICTIONARY_VALUES).length > 0) {
+      customDataInjection(newDeckId, deckConfig);
     }
-    prepareDependenciesAndCreateSlides(datasource, newDeckId);
+
+    startDatasourceUpdate(
+        deckUpdate, '', deckConfig.DATA_SOURCE_SHEET.length);
+    setDiagnosticsContext('');
+    updateSlides(deckUpdate, END_SLIDE_KEY,
+        computeHash([deckConfig.END_SLIDE_DECK_ID, deckConfig.END_SLIDE_ID]),
+        () => applyCustomStyle(newDeckId, deckConfig));
+    runHooks(HOOK_STAGES.POST_DECK, deckConfig,
+        {deck: SlidesApp.openById(newDeckId)});
+  } catch (error) {
+    if (deckUpdate.paused) {
+      return deckUpdate;
+    }
+    runErrorHooks(deckConfig, newDeckId, deckUpdate.datasource, error);
+    throw error;
   }
+  finishDeckUpdate(deckUpdate);
 
-  const dictionarySheetName =
-      documentProperties.getProperty('DICTIONARY_SHEET_NAME');
-  if (dictionarySheetName && dictionarySheetName.length > 0) {
-    customDataInjection(newDeckId);
+  if (deckConfig.EXPORT_FORMATS) {
+    exportGeneratedDeck(newDeckId, deckConfig);
   }
+  return deckUpdate;
+}
 
-  applyCustomStyle(newDeckId);
+/**
+ * Runs the hooks of a failed generation. A hook that fails in turn is only
+ * reported, so that the error of the generation goes through.
+ *
+ * @param {!Object<string, *>} deckConfig Effective deck-wide configuration
+ * @param {string} deckId Id of the deck being generated
+ * @param {string} datasource Datasource being generated, if any
+ * @param {!Error} error Error of the generation
+ */
+function runErrorHooks(deckConfig, deckId, datasource, error) {
+  try {
+    runHooks(HOOK_STAGES.ON_ERROR, deckConfig, {
+      deck: SlidesApp.openById(deckId),
+      datasource: datasource,
+      error: error,
+    });
+  } catch (hookError) {
+    reportIssue(PROBLEM_SEVERITY.ERROR, ISSUE_CODES.HOOK_FAILED,
+        `An ${HOOK_STAGES.ON_ERROR} hook failed: ${hookError.message}`);
+  }
 }
 
 /**
@@ -88,22 +225,24 @@ function createDeckFromDatasources() {
  *
  * @param {string} datasource The name of the datasource.
  * @param {string} newDeckId The ID of the new deck to create slides in.
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource.
+ * @param {?DeckUpdate=} deckUpdate State of the generation, registering the
+ *     slides of every row.
  */
-function prepareDependenciesAndCreateSlides(datasource, newDeckId) {
-  const datasourceConfiguration =
-      '\'Configuration_' + datasource + '\'!PROPERTIES';
-  loadConfiguration(datasourceConfiguration);
-
+function prepareDependenciesAndCreateSlides(
+    datasource, newDeckId, config, deckUpdate = null) {
   const deck = SlidesApp.openById(newDeckId);
-  const recommendationSlideLayout = getTemplateLayout(newDeckId);
+  const recommendationSlideLayout =
+      getTemplateLayout(newDeckId, config.LAYOUT_NAME);
 
   let insightDeck;
-  const insightsDeckId = documentProperties.getProperty('INSIGHTS_DECK_ID');
-  if (insightsDeckId && insightsDeckId.length > 0) {
-    insightDeck = SlidesApp.openById(insightsDeckId);
+  if (config.INSIGHTS_DECK_ID) {
+    insightDeck = SlidesApp.openById(config.INSIGHTS_DECK_ID);
   }
 
-  createSlidesForDatasource(deck, insightDeck, recommendationSlideLayout);
+  createSlidesForDatasource(
+      deck, insightDeck, recommendationSlideLayout, config, deckUpdate);
 }
 
 /**
@@ -116,20 +255,23 @@ function prepareDependenciesAndCreateSlides(datasource, newDeckId) {
  * @param {!Presentation} insightDeck - Extra deck to pull insight slides,
  *     retrieved only once.
  * @param {!Layout} slideLayout - The slide layout to use for the new slide(s).
- *
+ * @param {!Object<string, *>} config - Effective configuration of the
+ *     datasource, also passed to the custom function.
+ * @param {?DeckUpdate=} deckUpdate - State of the generation, if any. The
+ *     slides of a custom function are always generated again.
  */
-function createSlidesForDatasource(deck, insightDeck, slideLayout) {
-  const customFunctionName = documentProperties.getProperty('CUSTOM_FUNCTION');
-  if (customFunctionName && customFunctionName.length > 0) {
-    getFunctionByName(customFunctionName)(deck, insightDeck, slideLayout);
+function createSlidesForDatasource(
+    deck, insightDeck, slideLayout, config, deckUpdate = null) {
+  if (config.CUSTOM_FUNCTION) {
+    updateSlides(deckUpdate, DATASOURCE_SLIDES_KEY, null, () =>
+      getFunctionByName(config.CUSTOM_FUNCTION)(
+          deck, insightDeck, slideLayout, config));
+  } else if (config.SINGLE_VALUE) {
+    updateSlides(deckUpdate, DATASOURCE_SLIDES_KEY,
+        computeHash([getSingleSlideFields(config), config]),
+        () => createSingleSlide(deck, insightDeck, slideLayout, config));
   } else {
-    const isSingleSlide =
-        documentProperties.getProperty('SINGLE_VALUE') == 'TRUE';
-    if (isSingleSlide) {
-      createSingleSlide(deck, insightDeck, slideLayout);
-    } else {
-      createCollectionSlide(deck, insightDeck, slideLayout);
-    }
+    createCollectionSlide(deck, insightDeck, slideLayout, config, deckUpdate);
   }
 }
 
@@ -137,45 +279,204 @@ function createSlidesForDatasource(deck, insightDeck, slideLayout) {
  * Creates a collection slide based on data from a Google Sheets data source
  * using the specified deck, insight deck, and slide layout. Filters and sorts
  * the data, and creates a slide for each row that passes the filter criteria.
+ * Each row can use another layout or be skipped through the layout rules and
+ * the layout column of the datasource. When the datasource groups its rows,
+ * a slide is created per group instead.
  *
  * @param {!Presentation} deck - The Slides deck where the new slide(s) will be
  *     created.
  * @param {!Presentation} insightDeck - The Slides deck where the insight slide
  *     will be created (if applicable).
- * @param {!Layout} slideLayout - The slide layout to use for the new slide(s).
+ * @param {!Layout} slideLayout - The slide layout to use for the rows that
+ *     don't pick one.
+ * @param {!Object<string, *>} config - Effective configuration of the
+ *     datasource, passed as the last argument of the hooks.
+ * @param {?DeckUpdate=} deckUpdate - State of the generation, if any. The
+ *     slides of a row are then only generated again when its data changed.
+ */
+function createCollectionSlide(
+    deck, insightDeck, slideLayout, config, deckUpdate = null) {
+  // Columns given by header name are resolved once for the whole collection
+  const columnsConfig = resolveSheetColumns(config);
+  // Execute the pre-collection creation hooks
+  if (columnsConfig.PRE_COLLECTION_FUNCTION ||
+      hasHooks(HOOK_STAGES.PRE_COLLECTION, columnsConfig)) {
+    updateSlides(deckUpdate, PRE_COLLECTION_SLIDES_KEY, null, () => {
+      if (columnsConfig.PRE_COLLECTION_FUNCTION) {
+        getFunctionByName(columnsConfig.PRE_COLLECTION_FUNCTION)(deck,
+            ...columnsConfig.PRE_COLLECTION_FUNCTION_ARGS, columnsConfig);
+      }
+      runHooks(HOOK_STAGES.PRE_COLLECTION, columnsConfig, {
+        deck: deck,
+        datasource: columnsConfig.DATA_SOURCE_SHEET[0],
+      });
+    });
+  }
+  if (columnsConfig.GROUP_BY_COLUMN) {
+    const rows = getVisibleRows(columnsConfig);
+    updateSlides(deckUpdate, DATASOURCE_SLIDES_KEY,
+        computeHash([rows.map((row) => row.values), columnsConfig]),
+        () => createGroupedSlides(
+            deck, insightDeck, slideLayout, rows, columnsConfig));
+    return;
+  }
+  const layoutRules = loadLayoutRules(columnsConfig);
+  // Layouts are retrieved once, the first time a row uses them
+  const layouts = {[columnsConfig.LAYOUT_NAME]: slideLayout};
+  const runRowSkippedHooks = (record, error) => runHooks(
+      HOOK_STAGES.ON_ROW_SKIPPED, columnsConfig, {
+        deck: deck,
+        datasource: columnsConfig.DATA_SOURCE_SHEET[0],
+        row: record,
+        error: error,
+      });
+  // The rows of a new deck are created through batches of requests
+  const batch = canBatchCollectionSlides(columnsConfig) &&
+      !(deckUpdate && deckUpdate.isUpdate) ?
+      createSlidesBatch(deck.getId(), sendSlidesRequests, (error, units) => {
+        handleBatchError(
+            error, units.map((unit) => unit.rowNumber), columnsConfig);
+        units.forEach((unit) => runRowSkippedHooks(unit.record, error));
+      }) :
+      null;
+  try {
+    for (const {rowNumber, values: row, fieldValues, record} of
+      getVisibleRows(columnsConfig)) {
+      const layoutName = selectRowLayout(row, columnsConfig, layoutRules);
+      if (layoutName === null) {
+        runHooks(HOOK_STAGES.ON_ROW_SKIPPED, columnsConfig, {
+          deck: deck,
+          datasource: columnsConfig.DATA_SOURCE_SHEET[0],
+          row: record,
+        });
+        continue;
+      }
+      const key = getRowKey(row, rowNumber, columnsConfig);
+      const dataHash = computeHash([fieldValues, layoutName, columnsConfig]);
+      setDiagnosticsRow(rowNumber);
+      try {
+        if (batch) {
+          insertBatchedSlides(deckUpdate, key, dataHash, (register) =>
+            queueCollectionSlide(batch, layoutName, fieldValues,
+                columnsConfig, record, rowNumber, register));
+          continue;
+        }
+        updateSlides(deckUpdate, key, dataHash, () => {
+          if (!layouts[layoutName]) {
+            layouts[layoutName] = getTemplateLayout(deck.getId(), layoutName);
+          }
+          if (shouldCreateCollectionSlide(columnsConfig)) {
+            parseFieldsAndCreateCollectionSlide(
+                deck, layouts[layoutName], fieldValues, columnsConfig, record);
+          }
+          addInsightSlides(deck, insightDeck, row, columnsConfig);
+        });
+      } catch (error) {
+        handleRowError(error, columnsConfig, deckUpdate);
+        runRowSkippedHooks(record, error);
+      }
+    }
+    setDiagnosticsRow(null);
+  } catch (error) {
+    // The slides registered before a pause must be in the deck
+    if (batch && deckUpdate && deckUpdate.paused) {
+      flushSlidesBatch(batch);
+    }
+    throw error;
+  }
+  if (batch) {
+    flushSlidesBatch(batch);
+  }
+}
+
+/**
+ * Creates one slide per group of rows, or more if the group has more rows than
+ * GROUP_ITEMS_PER_SLIDE. The slides are filled through the {{token}} bindings
+ * of the layout with the group fields, while the title and body placeholders
+ * left empty get the name of the group and its items as a bulleted list. The
+ * insight slides of the rows of a group follow its last slide. Per-slide hooks
+ * and layout rules don't apply to grouped collections.
  *
+ * @param {!Presentation} deck - The Slides deck where the new slides will be
+ *     created.
+ * @param {?Presentation} insightDeck - The Slides deck the insight slides are
+ *     copied from (if applicable).
+ * @param {!Layout} slideLayout - The slide layout to use for the new slides.
+ * @param {!Array<!DataRow>} rows - Visible rows of the datasource.
+ * @param {!Object<string, *>} config - Effective configuration of the
+ *     datasource, with its columns resolved.
  */
-function createCollectionSlide(deck, insightDeck, slideLayout) {
-  // Execute the pre-collection creation hook
-  const preCollectionFunction =
-      documentProperties.getProperty('PRE_COLLECTION_FUNCTION');
-  if (preCollectionFunction && preCollectionFunction.length > 0) {
-    const preCollectionFunctionArgsRaw =
-        documentProperties.getProperty('PRE_COLLECTION_FUNCTION_ARGS');
-    let preCollectionFunctionArgs;
-    if (preCollectionFunctionArgsRaw &&
-        preCollectionFunctionArgsRaw.length > 0) {
-      preCollectionFunctionArgs = preCollectionFunctionArgsRaw.split(',');
-    } else {
-      preCollectionFunctionArgs = [];
+function createGroupedSlides(deck, insightDeck, slideLayout, rows, config) {
+  const groupSlides = paginateGroups(
+      groupRows(rows, config), config.GROUP_ITEMS_PER_SLIDE);
+  for (const groupSlide of groupSlides) {
+    const slide = deck.appendSlide(slideLayout);
+    if (deck.getMasters().length > 1) {
+      deck.getMasters()[deck.getMasters().length - 1].remove();
+    }
+    fillTemplateTokens(
+        slide, getGroupSlideRecord(groupSlide, config), config.LOCALE);
+    setEmptyPlaceholderText(
+        slide, SlidesApp.PlaceholderType.TITLE, getGroupSlideTitle(groupSlide));
+    const items = getGroupSlideItems(groupSlide, config);
+    if (items.length > 0) {
+      const body = setEmptyPlaceholderText(
+          slide, SlidesApp.PlaceholderType.BODY, items.join('\n'));
+      if (body) {
+        body.getListStyle().applyListPreset(
+            SlidesApp.ListPreset.DISC_CIRCLE_SQUARE);
+      }
+    }
+    if (groupSlide.page === groupSlide.pages) {
+      for (const row of groupSlide.group.rows) {
+        addInsightSlides(deck, insightDeck, row.values, config);
+      }
     }
-    getFunctionByName(preCollectionFunction)(
-        deck, ...preCollectionFunctionArgs);
   }
+}
+
+/**
+ * Filters and sorts the data sheet of a datasource and returns the rows that
+ * remain visible, in order.
+ *
+ * @param {!Object<string, *>} config - Effective configuration of the
+ *     datasource.
+ * @return {!Array<!DataRow>} Visible rows with their 1-based row number in
+ *     the sheet and their values by header name, localized for the LOCALE
+ *     of the deck. When RICH_TEXT is set, the field values hold the cells
+ *     formatted in Sheets as markup.
+ */
+function getVisibleRows(config) {
   const spreadsheet = SpreadsheetApp.getActive().getSheetByName(
-      documentProperties.getProperty('DATA_SOURCE_SHEET'));
-  filterAndSortData();
-  const values = spreadsheet.getFilter().getRange().getValues();
+      config.DATA_SOURCE_SHEET[0]);
+  filterAndSortData(config);
+  const range = spreadsheet.getFilter().getRange();
+  const values = range.getValues();
+  const richTextValues = config.RICH_TEXT ? range.getRichTextValues() : null;
+  const header = values[0].map((name) => String(name).trim());
+  const rows = [];
   for (let i = 1; i < values.length; i++) {
     if (spreadsheet.isRowHiddenByFilter(i + 1)) {
       continue;
     }
-    const row = values[i];
-    if (shouldCreateCollectionSlide()) {
-      parseFieldsAndCreateCollectionSlide(deck, slideLayout, row);
-    }
-    addInsightSlides(deck, insightDeck, row);
+    const record = {};
+    header.forEach((name, column) => {
+      if (name) {
+        record[name] = values[i][column];
+      }
+    });
+    const fieldValues = richTextValues ?
+        values[i].map((value, column) =>
+          getCellMarkup(richTextValues[i][column]) ?? value) :
+        values[i];
+    rows.push({
+      rowNumber: i + 1,
+      values: values[i],
+      fieldValues: fieldValues,
+      record: localizeRecord(record, config.LOCALE || ''),
+    });
   }
+  return rows;
 }
 
 /**
@@ -194,69 +495,120 @@ function createCollectionSlide(deck, insightDeck, slideLayout) {
  * @param {!SlidesApp.InsightDeck} insightDeck The insight deck that contains
  *     the data for the slide.
  * @param {!SlidesApp.SlideLayout} slideLayout The layout to use for the slide.
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource.
  *
  * @return {void}
  */
-function createSingleSlide(deck, insightDeck, slideLayout) {
-  const spreadsheet = SpreadsheetApp.getActive().getSheetByName(
-      documentProperties.getProperty('DATA_SOURCE_SHEET'));
+function createSingleSlide(deck, insightDeck, slideLayout, config) {
+  const fields = getSingleSlideFields(config);
 
   const slide = deck.appendSlide(slideLayout);
   if (deck.getMasters().length > 1) {
     deck.getMasters()[deck.getMasters().length - 1].remove();
   }
 
-  // Fetch fields
-  const titleRange = documentProperties.getProperty('TITLE_RANGE');
-  if (titleRange && titleRange.length > 0) {
-    const title = spreadsheet.getRange(titleRange).getValue();
+  if (fields.title !== undefined) {
     const slideTitlePlaceholder =
         slide.getPlaceholder(SlidesApp.PlaceholderType.TITLE);
     const slideTitle = slideTitlePlaceholder.asShape().getText();
-    slideTitle.setText(title);
+    setFieldText(slideTitle, fields.title, config);
   }
 
-
-  const subtitleRange = documentProperties.getProperty('SUBTITLE_RANGE');
-  if (subtitleRange && subtitleRange.length > 0) {
-    const subtitle = spreadsheet.getRange(subtitleRange).getValue();
+  if (fields.subtitle !== undefined) {
     const slideSubtitlePlaceholder =
         slide.getPlaceholder(SlidesApp.PlaceholderType.SUBTITLE);
     const slideSubtitle = slideSubtitlePlaceholder.asShape().getText();
-    slideSubtitle.setText(subtitle);
+    setFieldText(slideSubtitle, fields.subtitle, config);
   }
 
-  const bodyRange = documentProperties.getProperty('BODY_RANGE');
-  if (bodyRange && bodyRange.length > 0) {
-    const body = spreadsheet.getRange(bodyRange).getValue();
+  if (fields.body !== undefined) {
     const slideBodyPlaceholder =
         slide.getPlaceholder(SlidesApp.PlaceholderType.BODY);
     const slideBody = slideBodyPlaceholder.asShape().getText();
-    slideBody.setText(body);
+    setFieldText(slideBody, fields.body, config);
   }
 
-  const imageShapesArray = documentProperties.getProperty('IMAGE_SHAPES')
-      ?.split(',')
-      .map((item) => item.trim());
-  const imageRangesArray = documentProperties.getProperty('IMAGE_RANGES')
-      ?.split(',')
-      .map((item) => item.trim());
+  for (const image of fields.images) {
+    const imageShape = retrieveShape(slide, image.shape);
+    const imageValue = getImageBlobFromFolder(image.value, config);
+    insertFittedImage(slide, imageValue, imageShape, getImageFit(
+        image.shape, imageShape.getText().asString(), config));
+  }
 
-  if (imageShapesArray && imageShapesArray.length > 0) {
-    for (let i = 0; i < imageShapesArray.length; i++) {
-      const shapeId = imageShapesArray[i];
-      const range = imageRangesArray[i];
-
-      if (shapeId && range) {
-        const imageShape = retrieveShape(slide, shapeId);
-        const rawImageValue = spreadsheet.getRange(range).getValue();
-        const imageValue = getImageBlobFromFolder(rawImageValue, column);
-        slide.insertImage(
-            imageValue, imageShape.getLeft(), imageShape.getTop(),
-            imageShape.getWidth(), imageShape.getHeight());
-      }
+  if (!isEmptyConfigValue(fields.notes)) {
+    appendSpeakerNotes(slide, String(fields.notes));
+  }
+
+  fitSlideTexts(slide, getPlaceholderFieldShapes(slide, fields), config);
+  addTablesToSlide(slide, fields.tables, config);
+}
+
+/**
+ * @typedef {{
+ *   title: (*|undefined),
+ *   subtitle: (*|undefined),
+ *   body: (*|undefined),
+ *   notes: (*|undefined),
+ *   images: !Array<{shape: string, value: *}>,
+ *   texts: !Array<{shape: string, value: *}>,
+ *   tables: !Array<{shape: string, value: *}>,
+ * }}
+ */
+let SlideFields;
+
+/**
+ * Reads the fields of a single slide out of the ranges defined in the
+ * configuration. Fields whose range isn't defined are left undefined.
+ *
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource.
+ * @return {!SlideFields} Values of the slide fields
+ */
+function getSingleSlideFields(config) {
+  const spreadsheet = SpreadsheetApp.getActive().getSheetByName(
+      config.DATA_SOURCE_SHEET[0]);
+  const getRangeValue = (range) => {
+    if (!range) {
+      return undefined;
+    }
+    const cell = spreadsheet.getRange(range);
+    return (config.RICH_TEXT && getCellMarkup(cell.getRichTextValue())) ??
+        cell.getValue();
+  };
+
+  const images = [];
+  const imageShapesArray = config.IMAGE_SHAPES || [];
+  const imageRangesArray = config.IMAGE_RANGES || [];
+  for (let i = 0; i < imageShapesArray.length; i++) {
+    const shapeId = imageShapesArray[i];
+    const range = imageRangesArray[i];
+    if (shapeId && range) {
+      images.push({shape: shapeId, value: getRangeValue(range)});
+    }
+  }
+
+  // Tables are read when they are inserted, as they may span several slides
+  const tables = [];
+  const tableShapesArray = config.TABLE_SHAPES || [];
+  const tableRangesArray = config.TABLE_RANGES || [];
+  for (let i = 0; i < tableShapesArray.length; i++) {
+    const shapeId = tableShapesArray[i];
+    const range = tableRangesArray[i];
+    if (shapeId && range) {
+      tables.push({shape: shapeId, value: range});
     }
   }
+
+  return {
+    title: getRangeValue(config.TITLE_RANGE),
+    subtitle: getRangeValue(config.SUBTITLE_RANGE),
+    body: getRangeValue(config.BODY_RANGE),
+    notes: getRangeValue(config.NOTES_RANGE),
+    images: images,
+    texts: [],
+    tables: tables,
+  };
 }
 
 
@@ -269,13 +621,25 @@ function createSingleSlide(deck, insightDeck, slideLayout) {
  *     the slide.
  * @param {!Array<string>} row Array of strings with information from the
  *     spreadsheet
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource, passed as the last argument of the hooks.
+ * @param {!Object<string, *>=} record Values of the row by header name, used
+ *     to fill the {{token}} bindings of the layout.
  */
-function parseFieldsAndCreateCollectionSlide(deck, slideLayout, row) {
-  // Execute the pre-slide creation hook
-  const preSlideFunction = documentProperties.getProperty('PRE_SLIDE_FUNCTION');
-  if (preSlideFunction && preSlideFunction.length > 0) {
-    getFunctionByName(preSlideFunction)(deck, slideLayout, row);
+function parseFieldsAndCreateCollectionSlide(
+    deck, slideLayout, row, config, record = {}) {
+  // Execute the pre-slide creation hooks
+  if (config.PRE_SLIDE_FUNCTION) {
+    getFunctionByName(config.PRE_SLIDE_FUNCTION)(
+        deck, slideLayout, row, config);
   }
+  runHooks(HOOK_STAGES.PRE_SLIDE, config, {
+    deck: deck,
+    datasource: config.DATA_SOURCE_SHEET[0],
+    row: record,
+  });
+
+  const fields = getCollectionSlideFields(row, config, record);
 
   // Create slide
   const slide = deck.appendSlide(slideLayout);
@@ -284,86 +648,262 @@ function parseFieldsAndCreateCollectionSlide(deck, slideLayout, row) {
   }
 
   // Add title
-  const titleColumn = documentProperties.getProperty('TITLE_COLUMN');
-  if (titleColumn && titleColumn.length > 0) {
-    const titleText = row[titleColumn - 1];
-    addTextToPlaceholder(slide, SlidesApp.PlaceholderType.TITLE, titleText, '');
+  if (fields.title !== undefined) {
+    addTextToPlaceholder(
+        slide, SlidesApp.PlaceholderType.TITLE, fields.title, '', config);
   }
 
   // Add subtitle
-  const subtitleColumn = documentProperties.getProperty('SUBTITLE_COLUMN');
-  if (subtitleColumn && subtitleColumn.length > 0) {
-    const subtitleText = row[subtitleColumn - 1];
+  if (fields.subtitle !== undefined) {
     addTextToPlaceholder(
-        slide, SlidesApp.PlaceholderType.SUBTITLE, subtitleText, '');
+        slide, SlidesApp.PlaceholderType.SUBTITLE, fields.subtitle, '',
+        config);
   }
 
   // Add body
-  const bodyColumn = documentProperties.getProperty('BODY_COLUMN');
-  if (bodyColumn && bodyColumn.length > 0) {
-    const bodyText = row[bodyColumn - 1];
-    addTextToPlaceholder(slide, SlidesApp.PlaceholderType.BODY, bodyText, '');
+  if (fields.body !== undefined) {
+    addTextToPlaceholder(
+        slide, SlidesApp.PlaceholderType.BODY, fields.body, '', config);
   }
 
+  const fieldShapes = getPlaceholderFieldShapes(slide, fields);
+  addCollectionSlideShapes(slide, fields, fieldShapes, config, record);
+  finishCollectionSlide(
+      deck, slide, fields, fieldShapes, row, config, record);
+}
+
+/**
+ * Adds the images and the text boxes of a collection slide whose
+ * placeholders are set, then fills its {{token}} bindings.
+ *
+ * @param {!Slide} slide The slide to add the shapes to.
+ * @param {!SlideFields} fields Values of the slide fields.
+ * @param {!Array<{field: string, shape: !Shape}>} fieldShapes Shape of each
+ *     text field, completed with the text boxes.
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource.
+ * @param {!Object<string, *>} record Values of the row by header name.
+ */
+function addCollectionSlideShapes(slide, fields, fieldShapes, config, record) {
   // Add images
-  const imageShapesArray = documentProperties.getProperty('IMAGE_SHAPES')
-      ?.split(',')
-      .map((item) => item.trim());
-  const imageColumnsArray = documentProperties.getProperty('IMAGE_COLUMNS')
-      ?.split(',')
-      .map((item) => item.trim());
+  for (const image of fields.images) {
+    const imageShape = retrieveShape(slide, image.shape);
+    const imageValue = getImageBlobFromFolder(image.value, config);
+    insertFittedImage(slide, imageValue, imageShape, getImageFit(
+        image.shape, imageShape.getText().asString(), config));
+  }
 
-  if (imageShapesArray && imageShapesArray.length > 0) {
-    for (let i = 0; i < imageShapesArray.length; i++) {
-      const shapeId = imageShapesArray[i];
-      const column = imageColumnsArray[i];
-      if (shapeId && column) {
-        const imageShape = retrieveShape(slide, shapeId);
-        const imageValue = getImageBlobFromFolder(row[column - 1], column);
-        slide.insertImage(
-            imageValue, imageShape.getLeft(), imageShape.getTop(),
-            imageShape.getWidth(), imageShape.getHeight());
-      }
+  // Add other text fields
+  for (const text of fields.texts) {
+    const textShape = retrieveShape(slide, text.shape);
+    if (text.value) {
+      const textBox = slide.insertTextBox(
+          '', textShape.getLeft(), textShape.getTop(), textShape.getWidth(),
+          textShape.getHeight());
+      setFieldText(textBox.getText(), text.value, config);
+      fieldShapes.push({field: text.shape, shape: textBox});
     }
   }
 
-  // Add other text fields
-  const textShapesArray = documentProperties.getProperty('TEXT_SHAPES')
-      ?.split(',')
-      .map((item) => item.trim());
-  const textColumnsArray = (documentProperties.getProperty('TEXT_COLUMNS'))
-      ?.split(',')
-      .map((item) => item.trim());
+  // Fill the {{token}} bindings written on the layout
+  fillTemplateTokens(
+      slide, record, config.LOCALE, getFieldShapeNames(fields));
+}
+
+/**
+ * Lists the strings matching the layout shapes the image, text and table
+ * fields of a slide are set on.
+ *
+ * @param {!SlideFields} fields Values of the slide fields.
+ * @return {!Array<string>} Strings of the shapes, see retrieveShape.
+ */
+function getFieldShapeNames(fields) {
+  return [...fields.images, ...fields.texts, ...fields.tables]
+      .map(({shape}) => shape);
+}
 
-  if (textShapesArray && textColumnsArray.length > 0) {
-    for (let i = 0; i < textShapesArray.length; i++) {
-      const shapeId = textShapesArray[i];
-      const column = textColumnsArray[i];
+/**
+ * Finishes a collection slide whose fields are all set: adds its speaker
+ * notes, fits its texts, adds its tables and runs the post-slide hooks.
+ *
+ * @param {!Presentation} deck The deck of the slide.
+ * @param {!Slide} slide The slide to finish.
+ * @param {!SlideFields} fields Values of the slide fields.
+ * @param {!Array<{field: string, shape: !Shape}>} fieldShapes Shape of each
+ *     text field.
+ * @param {!Array<*>} row Values of the row, passed to POST_SLIDE_FUNCTION.
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource.
+ * @param {!Object<string, *>} record Values of the row by header name.
+ */
+function finishCollectionSlide(
+    deck, slide, fields, fieldShapes, row, config, record) {
+  // Add speaker notes, before any overflowing text is moved to them
+  if (!isEmptyConfigValue(fields.notes)) {
+    appendSpeakerNotes(slide, String(fields.notes));
+  }
 
-      if (shapeId && column) {
-        const textShape = retrieveShape(slide, shapeId);
-        const textValue = row[column - 1];
-        if (textValue) {
-          slide.insertTextBox(
-              textValue, textShape.getLeft(), textShape.getTop(),
-              textShape.getWidth(), textShape.getHeight());
-        }
-      }
+  // Keep the text within its boxes, which may continue on extra slides
+  fitSlideTexts(slide, fieldShapes, config);
+
+  // Add tables, which may continue on extra slides
+  addTablesToSlide(slide, fields.tables, config);
+
+  if (config.POST_SLIDE_FUNCTION) {
+    // Extra arguments specified at config are passed along
+    getFunctionByName(config.POST_SLIDE_FUNCTION)(
+        slide, row, config.POST_SLIDE_FUNCTION_ARGS, config);
+  }
+  runHooks(HOOK_STAGES.POST_SLIDE, config, {
+    deck: deck,
+    datasource: config.DATA_SOURCE_SHEET[0],
+    row: record,
+    slide: slide,
+  });
+}
+
+/**
+ * Queues the requests creating a collection slide on a batch, the batched
+ * counterpart of parseFieldsAndCreateCollectionSlide. The slides that need
+ * SlidesApp are finished once the batch is sent, right away if a hook runs
+ * after them.
+ *
+ * @param {!SlidesBatch} batch Batch of requests of the deck.
+ * @param {string} layoutName Name of the layout of the slide.
+ * @param {!Array<*>} row Values of the row.
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource.
+ * @param {!Object<string, *>} record Values of the row by header name.
+ * @param {number} rowNumber Number of the row in the data sheet.
+ * @param {function(!Array<string>)} register Called with the ids of the
+ *     slides of the row, in order, once they are created.
+ */
+function queueCollectionSlide(
+    batch, layoutName, row, config, record, rowNumber, register) {
+  const fields = getCollectionSlideFields(row, config, record);
+  const queuedSlide = buildCollectionSlideRequests(
+      getBatchLayout(batch, layoutName), fields, config, record,
+      () => newBatchObjectId(batch));
+  const needsFinish = needsSlideObject(fields, config);
+  queueSlidesRequests(batch, {
+    requests: queuedSlide.requests,
+    rowNumber: rowNumber,
+    record: record,
+    onSent: () => register(needsFinish ?
+        finishBatchedSlide(batch, queuedSlide, fields, row, config, record) :
+        [queuedSlide.slideId]),
+  });
+  if (needsImmediateSend(config)) {
+    flushSlidesBatch(batch);
+  }
+}
+
+/**
+ * Finishes with SlidesApp a collection slide created through a batch that
+ * was sent.
+ *
+ * @param {!SlidesBatch} batch Batch of requests of the deck.
+ * @param {{slideId: string, fieldShapes: !Array<{field: string,
+ *     objectId: string}>}} queuedSlide Slide created through the batch.
+ * @param {!SlideFields} fields Values of the slide fields.
+ * @param {!Array<*>} row Values of the row.
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource.
+ * @param {!Object<string, *>} record Values of the row by header name.
+ * @return {!Array<string>} Ids of the slides of the row, in order
+ */
+function finishBatchedSlide(batch, queuedSlide, fields, row, config, record) {
+  const deck = getBatchDeck(batch);
+  const slide = deck.getSlideById(queuedSlide.slideId);
+  const slideCount = deck.getSlides().length;
+  // Continuation slides follow the slide, and the slides of the next rows
+  // follow them
+  const getRowSlides = () => {
+    const slides = deck.getSlides();
+    if (slides.length === slideCount) {
+      return [slide];
+    }
+    const index = slides.findIndex((page) =>
+      page.getObjectId() === queuedSlide.slideId);
+    return slides.slice(index, index + 1 + slides.length - slideCount);
+  };
+  try {
+    const fieldShapes = queuedSlide.fieldShapes.map(({field, objectId}) =>
+      ({field: field, shape: slide.getPageElementById(objectId).asShape()}));
+    if (fields.images.length > 0) {
+      addCollectionSlideShapes(slide, fields, fieldShapes, config, record);
     }
+    finishCollectionSlide(
+        deck, slide, fields, fieldShapes, row, config, record);
+  } catch (error) {
+    // A row that fails leaves no slides behind
+    getRowSlides().forEach((page) => page.remove());
+    throw error;
   }
+  return getRowSlides().map((page) => page.getObjectId());
+}
 
-  const postSlideFunction =
-      documentProperties.getProperty('POST_SLIDE_FUNCTION');
-  if (postSlideFunction && postSlideFunction.length > 0) {
-    // Add extra arguments if any were specified at config
-    const postSlideFunctionArgsRaw =
-        documentProperties.getProperty('POST_SLIDE_FUNCTION_ARGS');
-    let postSlideFunctionArgs = {};
-    if (postSlideFunctionArgsRaw && postSlideFunctionArgsRaw.length > 0) {
-      postSlideFunctionArgs = JSON.parse(postSlideFunctionArgsRaw);
+/**
+ * Lists the placeholders of a slide holding its title, subtitle and body, for
+ * the fields that were set.
+ *
+ * @param {!Slide} slide The slide the fields were set on.
+ * @param {!SlideFields} fields Values of the slide fields.
+ * @return {!Array<{field: string, shape: !Shape}>} Shape of each field.
+ */
+function getPlaceholderFieldShapes(slide, fields) {
+  const placeholderTypes = {
+    title: SlidesApp.PlaceholderType.TITLE,
+    subtitle: SlidesApp.PlaceholderType.SUBTITLE,
+    body: SlidesApp.PlaceholderType.BODY,
+  };
+  const fieldShapes = [];
+  for (const [field, placeholderType] of Object.entries(placeholderTypes)) {
+    const placeholder = slide.getPlaceholder(placeholderType);
+    if (fields[field] !== undefined && placeholder) {
+      fieldShapes.push({field: field, shape: placeholder.asShape()});
     }
-    getFunctionByName(postSlideFunction)(slide, row, postSlideFunctionArgs);
   }
+  return fieldShapes;
+}
+
+/**
+ * Reads the fields of a collection slide out of a row, based on the columns
+ * defined in the configuration. Fields whose column isn't defined are left
+ * undefined.
+ *
+ * @param {!Array<*>} row Array of values with information from the spreadsheet
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource.
+ * @param {!Object<string, *>=} record Values of the row by header name, used
+ *     to render NOTES_TEMPLATE.
+ * @return {!SlideFields} Values of the slide fields
+ */
+function getCollectionSlideFields(row, config, record = {}) {
+  const getColumnValue = (column) => column ? row[column - 1] : undefined;
+  const getShapeValues = (shapes = [], columns = []) => {
+    const shapeValues = [];
+    for (let i = 0; i < shapes.length; i++) {
+      const shapeId = shapes[i];
+      const column = columns[i];
+      if (shapeId && column) {
+        shapeValues.push({shape: shapeId, value: getColumnValue(column)});
+      }
+    }
+    return shapeValues;
+  };
+
+  return {
+    title: getColumnValue(config.TITLE_COLUMN),
+    subtitle: getColumnValue(config.SUBTITLE_COLUMN),
+    body: getColumnValue(config.BODY_COLUMN),
+    notes: config.NOTES_TEMPLATE ?
+        renderTemplate(config.NOTES_TEMPLATE, record, config.LOCALE) :
+        getColumnValue(config.NOTES_COLUMN),
+    images: getShapeValues(config.IMAGE_SHAPES, config.IMAGE_COLUMNS),
+    texts: getShapeValues(config.TEXT_SHAPES, config.TEXT_COLUMNS),
+    tables: getShapeValues(config.TABLE_SHAPES, config.TABLE_COLUMNS),
+  };
 }
 
 /**
@@ -376,28 +916,45 @@ function parseFieldsAndCreateCollectionSlide(deck, slideLayout, row) {
  *     to add the slides from.
  * @param {!Array<string>} row Array of strings with information from the
  *     spreadsheet
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource.
  */
-function addInsightSlides(deck, insightDeck, row) {
-  // Add insight slides
-  const insightSlidesColumn =
-      documentProperties.getProperty('INSIGHT_SLIDE_ID_COLUMN');
-  if (insightSlidesColumn && insightSlidesColumn.length > 0) {
-    const insights =
-        row[insightSlidesColumn - 1].split(',').map((item) => item.trim());
-    if (insights.length > 0) {
-      let insightDeckToUse;
-      let insightSlideIds;
-      if (isPresentationId(insights[0])) {
-        insightDeckToUse = SlidesApp.openById(insights[0]);
-        insightSlideIds =
-            insightDeckToUse.getSlides().map((item) => item.getObjectId());
-      } else {
-        insightDeckToUse = insightDeck;
-        insightSlideIds = insights;
-      }
-      appendInsightSlides(deck, insightDeckToUse, insightSlideIds);
-    }
+function addInsightSlides(deck, insightDeck, row, config) {
+  const insights = resolveInsightSlides(insightDeck, row, config);
+  if (insights) {
+    appendInsightSlides(deck, insights.deck, insights.slideIds);
+  }
+}
+
+/**
+ * Resolves which insight slides a row refers to. The insight column can hold
+ * either a list of slide ids from the insight deck of the datasource, or the
+ * id of a deck whose slides are all added.
+ *
+ * @param {?GoogleAppsScript.Slides.Presentation} insightDeck - Insight deck of
+ *     the datasource, if any.
+ * @param {!Array<*>} row Array of values with information from the spreadsheet
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource.
+ * @return {?{deck: ?GoogleAppsScript.Slides.Presentation,
+ *     slideIds: !Array<string>}} Deck and ids of the insight slides, or null
+ *     if the datasource has no insight column
+ */
+function resolveInsightSlides(insightDeck, row, config) {
+  if (!config.INSIGHT_SLIDE_ID_COLUMN) {
+    return null;
+  }
+  const insights = String(row[config.INSIGHT_SLIDE_ID_COLUMN - 1])
+      .split(',')
+      .map((item) => item.trim());
+  if (isPresentationId(insights[0])) {
+    const deck = SlidesApp.openById(insights[0]);
+    return {
+      deck: deck,
+      slideIds: deck.getSlides().map((item) => item.getObjectId()),
+    };
   }
+  return {deck: insightDeck, slideIds: insights};
 }
 
 /**
@@ -405,17 +962,14 @@ function addInsightSlides(deck, insightDeck, row) {
  * collection based on whether title, subtitle, or body column have been
  * defined. Only one of them should be in order to create a slide.
  *
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource.
  * @return {boolean} Whether the script should create a slide for that row in
  *     the collection
  */
-function shouldCreateCollectionSlide() {
-  const titleColumn = documentProperties.getProperty('TITLE_COLUMN');
-  const subtitleColumn = documentProperties.getProperty('SUBTITLE_COLUMN');
-  const bodyColumn = documentProperties.getProperty('BODY_COLUMN');
-  return (
-    (titleColumn && titleColumn.length > 0) ||
-      (subtitleColumn && subtitleColumn.length > 0) ||
-      (bodyColumn && bodyColumn.length > 0));
+function shouldCreateCollectionSlide(config) {
+  return Boolean(
+      config.TITLE_COLUMN || config.SUBTITLE_COLUMN || config.BODY_COLUMN);
 }
 
 /**
@@ -432,6 +986,9 @@ function appendInsightSlides(deck, insightDeck, insights) {
     }
     const insightSlide = insightDeck.getSlideById(insightSlideId.trim());
     if (insightSlide === null) {
+      reportIssue(PROBLEM_SEVERITY.WARNING,
+          ISSUE_CODES.INSIGHT_SLIDE_NOT_FOUND,
+          WARNING_NO_INSIGHT_SLIDE + insightSlideId.trim());
       continue;
     }
     deck.appendSlide(insightSlide, SlidesApp.SlideLinkingMode.NOT_LINKED);
@@ -448,4 +1005,7 @@ function appendInsightSlides(deck, insightDeck, insights) {
 /* exported retrieveShape */
 /* exported appendInsightSlides */
 /* exported createDeckFromDatasources */
+/* exported createDeck */
 /* exported replaceSlideShapeWithSheetsChart */
+/* exported SlideFields */
+/* exported getFieldShapeNames */
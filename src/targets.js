@@ -0,0 +1,271 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Batch mode of createDeckFromDatasources: generates a deck per
+ * row of the Targets sheet, typically one per client. In that sheet:
+ * - Client names the target, and can be used as {{Client}} in the deck name
+ * - columns named after a configuration key, such as FILTER_TEXT_VALUE or
+ *   OUTPUT_FOLDER_ID, override it for the deck of the row. OUTPUT_DECK_NAME
+ *   can use the columns of the row as {{token}} bindings
+ * - any other column replaces the dictionary string named by its header
+ * - Deck URL and Status are written back once the row is generated
+ *
+ * Rows already Generated are skipped, so that running the batch again goes on
+ * with the rows left. When the generation of a deck pauses to continue in a
+ * new execution, the rows after it are left for a later batch, as only one
+ * generation can be in progress at a time, and the row of the paused deck is
+ * updated once the deck is finished.
+ */
+
+/**
+ * @typedef {{
+ *   rowNumber: number,
+ *   client: string,
+ *   status: string,
+ *   runOverrides: !Object<string, *>,
+ *   dictionaryValues: !Object<string, string>,
+ *   record: !Object<string, *>,
+ * }}
+ */
+let Target;
+
+/**
+ * Headers of the columns of the Targets sheet that are not overrides.
+ */
+const TARGET_COLUMNS = {
+  CLIENT: 'Client',
+  DECK_URL: 'Deck URL',
+  STATUS: 'Status',
+};
+
+/**
+ * Statuses written back on the Targets sheet.
+ */
+const TARGET_STATUSES = {
+  GENERATED: 'Generated',
+  PAUSED: 'Paused, the deck is finished in the background',
+  FAILED: 'Failed',
+};
+
+/**
+ * Generates the deck of every row of the Targets sheet not Generated yet,
+ * writing the result of each of them back to its row. A row that fails
+ * doesn't stop the others. The preflight runs first for the configuration
+ * shared by every row, then for the overrides of each row, whose errors fail
+ * the row. The issues of every deck are shown together at the end. Intended
+ * to be run from the menu.
+ *
+ * @param {!Object<string, *>=} runOverrides Raw configuration values that
+ *     apply to every target, below the values of each row
+ * @return {!Array<string>} Ids of the generated decks
+ * @throws {Error} If a paused generation isn't finished yet, or if the
+ *     configuration has any error
+ */
+function createDecksForTargets(runOverrides = {}) {
+  const sheet = SpreadsheetApp.getActive().getSheetByName(TARGETS_SHEET);
+  if (!sheet) {
+    throw new Error(`There is no sheet named "${TARGETS_SHEET}"`);
+  }
+  if (readGenerationCheckpoint()) {
+    throw new Error(ERROR_GENERATION_IN_PROGRESS);
+  }
+  assertValidConfiguration(runOverrides);
+  const [header, ...rows] = sheet.getDataRange().getValues();
+  const deckConfig = loadDeckConfiguration(runOverrides);
+
+  const deckIds = [];
+  const issues = [];
+  for (const target of parseTargets(header, rows)) {
+    if (target.status === TARGET_STATUSES.GENERATED) {
+      continue;
+    }
+    let status;
+    let ids = [];
+    const targetOverrides = Object.assign(
+        {}, runOverrides, getTargetRunOverrides(target, deckConfig));
+    const problems = runPreflight(targetOverrides);
+    const errors = problems.filter((problem) =>
+      problem.severity === PROBLEM_SEVERITY.ERROR);
+    if (errors.length > 0) {
+      writeTargetResult(target.rowNumber, [], `${TARGET_STATUSES.FAILED}: ${
+        errors.map(formatPreflightProblem).join('\n')}`);
+      continue;
+    }
+    try {
+      ids = createDeckFromDatasources(targetOverrides, false,
+          problems.map(formatPreflightProblem));
+      deckIds.push(...ids);
+      const checkpoint = readGenerationCheckpoint();
+      if (checkpoint) {
+        // The continuation writes the result of the row once it finishes
+        checkpoint.targetRowNumber = target.rowNumber;
+        saveGenerationCheckpoint(checkpoint);
+        ids = [...ids, checkpoint.progress.deckId];
+        status = TARGET_STATUSES.PAUSED;
+      } else {
+        status = TARGET_STATUSES.GENERATED;
+      }
+    } catch (error) {
+      status = `${TARGET_STATUSES.FAILED}: ${error.message}`;
+    }
+    issues.push(...getReportedIssues());
+    writeTargetResult(target.rowNumber, ids, status);
+    // Shows the progress on the sheet while the other targets are generated
+    SpreadsheetApp.flush();
+    if (status === TARGET_STATUSES.PAUSED) {
+      break;
+    }
+  }
+  showIssuesSummary(issues);
+  return deckIds;
+}
+
+/**
+ * Writes the result of a target to its row of the Targets sheet.
+ *
+ * @param {number} rowNumber Row of the target
+ * @param {!Array<string>} deckIds Ids of the decks of the target
+ * @param {string} status Status of the target
+ */
+function writeTargetResult(rowNumber, deckIds, status) {
+  const sheet = SpreadsheetApp.getActive().getSheetByName(TARGETS_SHEET);
+  if (!sheet) {
+    return;
+  }
+  const header = getHeaderRow(sheet);
+  sheet.getRange(rowNumber,
+      getTargetOutputColumn(sheet, header, TARGET_COLUMNS.DECK_URL))
+      .setValue(deckIds.map((id) => SlidesApp.openById(id).getUrl())
+          .join('\n'));
+  sheet.getRange(rowNumber,
+      getTargetOutputColumn(sheet, header, TARGET_COLUMNS.STATUS))
+      .setValue(status);
+}
+
+/**
+ * Lists the run overrides of every target of the Targets sheet, as
+ * createDecksForTargets generates them.
+ *
+ * @return {!Array<!Object<string, *>>} Raw run overrides of each target, none
+ *     if there is no Targets sheet
+ */
+function listTargetRunOverrides() {
+  const sheet = SpreadsheetApp.getActive().getSheetByName(TARGETS_SHEET);
+  if (!sheet) {
+    return [];
+  }
+  const [header, ...rows] = sheet.getDataRange().getValues();
+  const deckConfig = loadDeckConfiguration();
+  return parseTargets(header, rows)
+      .map((target) => getTargetRunOverrides(target, deckConfig));
+}
+
+/**
+ * Reads the targets out of the values of the Targets sheet, skipping empty
+ * rows.
+ *
+ * @param {!Array<*>} header Header row of the sheet
+ * @param {!Array<!Array<*>>} rows Rows of the sheet, header excluded
+ * @return {!Array<!Target>} Targets, in order
+ */
+function parseTargets(header, rows) {
+  const names = header.map((name) => String(name).trim());
+  const outputColumns = [TARGET_COLUMNS.DECK_URL, TARGET_COLUMNS.STATUS];
+  const targets = [];
+  rows.forEach((row, index) => {
+    const target = {
+      rowNumber: index + 2,
+      client: '',
+      status: '',
+      runOverrides: {},
+      dictionaryValues: {},
+      record: {},
+    };
+    names.forEach((name, column) => {
+      const value = row[column];
+      if (name === TARGET_COLUMNS.STATUS) {
+        target.status = String(value).trim();
+      }
+      if (!name || outputColumns.includes(name) || isEmptyConfigValue(value)) {
+        return;
+      }
+      target.record[name] = value;
+      if (name === TARGET_COLUMNS.CLIENT) {
+        target.client = String(value).trim();
+      } else if (CONFIG_SCHEMA[name]) {
+        target.runOverrides[name] = value;
+      } else {
+        target.dictionaryValues[name] = String(value);
+      }
+    });
+    if (Object.keys(target.record).length > 0) {
+      targets.push(target);
+    }
+  });
+  return targets;
+}
+
+/**
+ * Builds the run overrides generating the deck of a target.
+ *
+ * @param {!Target} target Target to generate
+ * @param {!Object<string, *>} deckConfig Effective deck-wide configuration,
+ *     whose OUTPUT_DECK_NAME is the name pattern of the targets that don't
+ *     override it
+ * @return {!Object<string, *>} Raw run overrides
+ */
+function getTargetRunOverrides(target, deckConfig) {
+  const runOverrides = Object.assign({}, target.runOverrides);
+  runOverrides.OUTPUT_DECK_NAME = renderTemplate(
+      String(runOverrides.OUTPUT_DECK_NAME || deckConfig.OUTPUT_DECK_NAME),
+      target.record);
+  if (Object.keys(target.dictionaryValues).length > 0) {
+    runOverrides.DICTIONARY_VALUES = JSON.stringify(Object.assign(
+        {}, deckConfig.DICTIONARY_VALUES, target.dictionaryValues));
+  }
+  return runOverrides;
+}
+
+/**
+ * Finds the column of the Targets sheet a result is written to, adding it
+ * after the last column if the sheet doesn't have it.
+ *
+ * @param {!Sheet} sheet The Targets sheet
+ * @param {!Array<*>} header Header row of the sheet, updated when the column
+ *     is added
+ * @param {string} name Header of the column
+ * @return {number} 1-based position of the column
+ */
+function getTargetOutputColumn(sheet, header, name) {
+  const index = header.findIndex((cell) => String(cell).trim() === name);
+  if (index !== -1) {
+    return index + 1;
+  }
+  header.push(name);
+  sheet.getRange(1, header.length).setValue(name);
+  return header.length;
+}
+
+/**
+ * Below are the exports required for the linter.
+ * This is necessary because AppsScript doesn't support modules.
+ */
+/* exported Target */
+/* exported createDecksForTargets */
+/* exported listTargetRunOverrides */
+/* exported writeTargetResult */
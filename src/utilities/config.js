@@ -0,0 +1,325 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Parses and validates configuration values against the
+ * declared CONFIG_SCHEMA. These functions don't access any Apps Script
+ * service, checks that require one are run by the preflight.
+ */
+
+/**
+ * @typedef {{
+ *   severity: string,
+ *   key: string,
+ *   message: string,
+ * }}
+ */
+let ConfigProblem;
+
+/**
+ * Severities of the problems found when validating a configuration. Only
+ * errors block the generation of a deck.
+ */
+const PROBLEM_SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning',
+};
+
+/**
+ * Name of the source of the values that come from the schema defaults.
+ */
+const CONFIG_DEFAULT_SOURCE = 'Default';
+
+/**
+ * Checks whether a raw value from the configuration sheet should be treated
+ * as not defined.
+ *
+ * @param {*} rawValue Value as read from the sheet
+ * @return {boolean} True if the value is empty
+ */
+function isEmptyConfigValue(rawValue) {
+  return rawValue === undefined || rawValue === null ||
+      String(rawValue).trim() === '';
+}
+
+/**
+ * Coerces a raw value from the configuration sheet into the type declared for
+ * it on the schema.
+ *
+ * @param {string} type One of CONFIG_TYPES
+ * @param {*} rawValue Value as read from the sheet, never empty
+ * @return {{value: *, error: (string|undefined)}} Parsed value, or an error
+ *     message if it couldn't be parsed
+ */
+function parseConfigValue(type, rawValue) {
+  const text = String(rawValue).trim();
+  switch (type) {
+    case CONFIG_TYPES.BOOLEAN:
+      if (rawValue === true || text.toUpperCase() === 'TRUE') {
+        return {value: true};
+      }
+      if (rawValue === false || text.toUpperCase() === 'FALSE') {
+        return {value: false};
+      }
+      return {error: `expected TRUE or FALSE but got "${text}"`};
+    case CONFIG_TYPES.INTEGER:
+      if (!/^\d+$/.test(text) || Number(text) < 1) {
+        return {error: `expected a positive whole number but got "${text}"`};
+      }
+      return {value: Number(text)};
+    case CONFIG_TYPES.NON_NEGATIVE_INTEGER:
+      if (!/^\d+$/.test(text)) {
+        return {error: `expected a whole number but got "${text}"`};
+      }
+      return {value: Number(text)};
+    case CONFIG_TYPES.LIST:
+      return {value: text.split(',').map((item) => item.trim())};
+    case CONFIG_TYPES.COLUMN:
+      return {value: parseColumnReference(rawValue)};
+    case CONFIG_TYPES.COLUMN_LIST:
+      return {
+        value: text.split(',').map((item) =>
+          item.trim() ? parseColumnReference(item) : undefined),
+      };
+    case CONFIG_TYPES.JSON:
+      try {
+        return {value: JSON.parse(text)};
+      } catch (error) {
+        return {error: `invalid JSON (${error.message})`};
+      }
+    case CONFIG_TYPES.FUNCTION:
+      if (!/^[a-zA-Z0-9]+$/.test(text)) {
+        return {error: `"${text}" is not a valid function name`};
+      }
+      return {value: text};
+    case CONFIG_TYPES.HOOKS:
+      return parseHooks(text);
+    case CONFIG_TYPES.URL:
+      if (!/^https?:\/\//.test(text)) {
+        return {error: `"${text}" is not an http(s) URL`};
+      }
+      return {value: text};
+    default:
+      return {value: text};
+  }
+}
+
+/**
+ * Parses a reference to a column of the data sheet. Whole numbers are 1-based
+ * indexes, anything else is the name of a header.
+ *
+ * @param {*} rawValue Value as read from the sheet, never empty
+ * @return {number|string} Column index or header name
+ */
+function parseColumnReference(rawValue) {
+  const text = String(rawValue).trim();
+  return /^[1-9]\d*$/.test(text) ? Number(text) : text;
+}
+
+/**
+ * Parses the raw key/value pairs of a configuration range into typed values.
+ * Keys that are not declared in the schema are kept as strings and reported
+ * as warnings, as they are most likely typos. Empty values are skipped.
+ *
+ * @param {!Object<string, *>} rawConfiguration Raw values by key
+ * @return {{values: !Object<string, *>, problems: !Array<!ConfigProblem>}}
+ *     Typed values of the defined keys and problems found while parsing
+ */
+function parseConfiguration(rawConfiguration) {
+  const values = {};
+  const problems = [];
+  for (const [key, rawValue] of Object.entries(rawConfiguration)) {
+    if (isEmptyConfigValue(rawValue)) {
+      continue;
+    }
+    const definition = CONFIG_SCHEMA[key];
+    if (!definition) {
+      values[key] = String(rawValue);
+      problems.push({
+        severity: PROBLEM_SEVERITY.WARNING,
+        key: key,
+        message: 'Unknown configuration key, please check for typos',
+      });
+      continue;
+    }
+    const parsed = parseConfigValue(definition.type, rawValue);
+    if (parsed.error) {
+      problems.push({
+        severity: PROBLEM_SEVERITY.ERROR,
+        key: key,
+        message: parsed.error,
+      });
+    } else {
+      values[key] = parsed.value;
+    }
+  }
+  return {values, problems};
+}
+
+/**
+ * Resolves the effective configuration out of a list of layers, where every
+ * layer overrides the keys defined by the previous ones. Keys that no layer
+ * defines take the default value declared on the schema.
+ *
+ * @param {!Array<{name: string, values: !Object<string, *>}>} layers Parsed
+ *     layers, from the most generic to the most specific
+ * @return {{values: !Object<string, *>, sources: !Object<string, string>}}
+ *     Effective values and the name of the layer each of them comes from
+ */
+function resolveConfiguration(layers) {
+  const values = {};
+  const sources = {};
+  for (const [key, definition] of Object.entries(CONFIG_SCHEMA)) {
+    if (definition.default !== undefined) {
+      values[key] = definition.default;
+      sources[key] = CONFIG_DEFAULT_SOURCE;
+    }
+  }
+  for (const layer of layers) {
+    for (const [key, value] of Object.entries(layer.values)) {
+      values[key] = value;
+      sources[key] = layer.name;
+    }
+  }
+  return {values, sources};
+}
+
+/**
+ * Validates the typed values of a configuration: required keys and
+ * cross-field rules of the given scope.
+ *
+ * @param {!Object<string, *>} values Typed values, including defaults
+ * @param {string} scope One of CONFIG_SCOPES
+ * @return {!Array<!ConfigProblem>} Problems found
+ */
+function validateConfiguration(values, scope) {
+  const problems = [];
+  for (const [key, definition] of Object.entries(CONFIG_SCHEMA)) {
+    if (definition.required && definition.scope === scope &&
+        values[key] === undefined) {
+      problems.push({
+        severity: PROBLEM_SEVERITY.ERROR,
+        key: key,
+        message: `Required: ${definition.description}`,
+      });
+    }
+  }
+  for (const rule of CONFIG_RULES) {
+    if (rule.scope !== scope) {
+      continue;
+    }
+    const message = rule.check(values);
+    if (message) {
+      problems.push({
+        severity: PROBLEM_SEVERITY.ERROR,
+        key: rule.keys.join(', '),
+        message: message,
+      });
+    }
+  }
+  return problems;
+}
+
+/**
+ * Finds the 1-based position of a column of a data sheet out of its header
+ * row. Numeric references are already positions and are returned as they are.
+ *
+ * @param {!Array<*>} header Header row of the data sheet
+ * @param {number|string} column Column index or header name
+ * @return {number} 1-based position of the column
+ * @throws {Error} If no header or more than one header has that name
+ */
+function getColumnNumber(header, column) {
+  if (typeof column === 'number') {
+    return column;
+  }
+  const matches = [];
+  header.forEach((name, index) => {
+    if (String(name).trim() === column) {
+      matches.push(index + 1);
+    }
+  });
+  if (matches.length === 0) {
+    throw new Error(`There is no column named "${column}" in the header row`);
+  }
+  if (matches.length > 1) {
+    throw new Error(`"${column}" is the header of several columns (${
+      matches.join(', ')}), please rename all but one`);
+  }
+  return matches[0];
+}
+
+/**
+ * Resolves every column reference of a configuration against the header row
+ * of its data sheet, so that the rest of the code only deals with positions.
+ * Localized columns are resolved to their variant for the LOCALE of the
+ * configuration.
+ *
+ * @param {!Object<string, *>} values Typed values of the configuration
+ * @param {!Array<*>} header Header row of the data sheet
+ * @return {{values: !Object<string, *>, problems: !Array<!ConfigProblem>}}
+ *     Copy of the values with 1-based column positions, and the references
+ *     that couldn't be resolved
+ */
+function resolveColumnReferences(values, header) {
+  const resolved = Object.assign({}, values);
+  const problems = [];
+  const resolve = (key, column) => {
+    try {
+      return column === undefined ? undefined : getColumnNumber(header, column);
+    } catch (error) {
+      problems.push({
+        severity: PROBLEM_SEVERITY.ERROR,
+        key: key,
+        message: error.message,
+      });
+    }
+  };
+  for (const [key, value] of Object.entries(values)) {
+    const definition = CONFIG_SCHEMA[key];
+    if (!definition) {
+      continue;
+    }
+    const resolveColumn = (column) => {
+      const position = resolve(key, column);
+      return position && definition.localized && values.LOCALE ?
+          getLocalizedColumn(header, position, values.LOCALE) :
+          position;
+    };
+    if (definition.type === CONFIG_TYPES.COLUMN) {
+      resolved[key] = resolveColumn(value);
+    } else if (definition.type === CONFIG_TYPES.COLUMN_LIST) {
+      resolved[key] = value.map(resolveColumn);
+    }
+  }
+  return {values: resolved, problems};
+}
+
+/**
+ * Below are the exports required for the linter.
+ * This is necessary because AppsScript doesn't support modules.
+ */
+/* exported ConfigProblem */
+/* exported PROBLEM_SEVERITY */
+/* exported isEmptyConfigValue */
+/* exported parseConfigValue */
+/* exported parseColumnReference */
+/* exported parseConfiguration */
+/* exported resolveConfiguration */
+/* exported validateConfiguration */
+/* exported getColumnNumber */
+/* exported resolveColumnReferences */
@@ -39,64 +39,149 @@ function isPresentationId(deckId) {
  * Retrieves the final image value based on the provided raw value.
  * @param {string|undefined} rawValue - The raw value representing the image
  *     source.
+ * @param {!Object<string, *>} config - Effective configuration, used for the
+ *     default image.
  * @return {string|Blob} The final image URL, blob, or default image URL.
  */
-function getImageBlobFromFolder(rawValue) {
-  let imageValue =
-      rawValue || documentProperties.getProperty('DEFAULT_IMAGE_URL');
-  if (isBase64Image(imageValue)) {
-    imageValue = decodeBase64Image(imageValue);
-  } else if (!isValidImageUrl(imageValue)) {
-    const folder = DriveApp.getFileById(SpreadsheetApp.getActive().getId())
-        .getParents()
-        .next();
-    imageValue = retrieveImageFromFolder(folder, imageValue);
+function getImageBlobFromFolder(rawValue, config) {
+  const image = resolveImageSource(rawValue, config);
+  if (image.resolution === IMAGE_RESOLUTIONS.NOT_FOUND) {
+    reportIssue(PROBLEM_SEVERITY.WARNING, ISSUE_CODES.IMAGE_NOT_FOUND,
+        WARNING_NO_IMAGES + rawValue);
+  } else if (image.resolution === IMAGE_RESOLUTIONS.MULTIPLE_MATCHES) {
+    reportIssue(PROBLEM_SEVERITY.WARNING, ISSUE_CODES.MULTIPLE_IMAGES,
+        WARNING_MULTIPLE_IMAGES + rawValue);
+  } else if (image.resolution === IMAGE_RESOLUTIONS.NOT_CACHED) {
+    reportIssue(PROBLEM_SEVERITY.WARNING, ISSUE_CODES.IMAGE_NOT_CACHED,
+        WARNING_NOT_CACHED + rawValue);
+  } else if (image.resolution === IMAGE_RESOLUTIONS.INVALID) {
+    // Base64 images are too long to be quoted
+    const source =
+        isBase64Image(String(rawValue)) ? 'a Base64 image' : rawValue;
+    reportIssue(PROBLEM_SEVERITY.WARNING, ISSUE_CODES.INVALID_IMAGE,
+        `${WARNING_INVALID_IMAGE}${source}: ${image.problem}`);
   }
-  return imageValue;
+  return image.value;
 }
 
 /**
- * Returns a file, which is assumed to be an image file, for a criteria client
- * screenshot which should be named after a criteria id. Any formats are
- * considered for the query, but it is assumed that the file will be an image.
- *
- * This file is retrieved from a folder created programmatically which is
- * assumed to exist.
- *
- * If no such file has been found, the function returns the url of the default
- * image mockup, which behaves analogously to an image file.
+ * Resolves the raw value of an image into the value inserted in the slide,
+ * and reports how it was resolved. Empty values, images that can't be found
+ * and images Slides can't insert resolve to the default image. Remote images
+ * go through the image cache when IMAGE_CACHE is set, which is only looked up
+ * in read-only mode.
  *
- * There are warnings sent out (currently as a toast on the spreadsheet) in this
- * case, and also in case that multiple image files are found. When finding
- * multiple images, the first one is selected.
- *
- * @param {!Folder} folder The folder where images are being stored.
- * @param {string} imageName Name of the image to be found.
- * @return {?*} Image file for the screenshot or a string url for the default
+ * @param {*} rawValue - The raw value representing the image source.
+ * @param {!Object<string, *>} config - Effective configuration, used for the
+ *     default image and the image folders.
+ * @param {!ImageFetcher=} fetcher - Access to the web, for the checks of
+ *     image URLs.
+ * @param {boolean=} readOnly - Whether nothing is written to Drive, as for
+ *     the plan.
+ * @return {{value: (string|Blob|File), resolution: string, problem: ?string}}
+ *     Image value, one of IMAGE_RESOLUTIONS and the problem of an invalid
+ *     image
  */
-function retrieveImageFromFolder(folder, imageName) {
-  const searchQuery = `title contains '${imageName}'
-  and mimeType contains 'image'`;
-  const files = folder.searchFiles(searchQuery);
-  let file = null;
-
-  if (files.hasNext()) {
-    file = files.next();
-  } else {
-    SpreadsheetApp.getActiveSpreadsheet().toast(WARNING_NO_IMAGES + imageName);
+function resolveImageSource(
+    rawValue, config, fetcher = APPS_SCRIPT_FETCHER, readOnly = false) {
+  const image = locateImageSource(rawValue, config);
+  if (image.resolution === IMAGE_RESOLUTIONS.DEFAULT ||
+      image.resolution === IMAGE_RESOLUTIONS.NOT_FOUND) {
+    return Object.assign(image, {problem: null});
+  }
+  if (image.resolution === IMAGE_RESOLUTIONS.URL &&
+      config.IMAGE_CACHE !== IMAGE_CACHE_MODES.OFF) {
+    const cachedImage =
+        resolveCachedImageSource(image.value, config, fetcher, readOnly);
+    if (cachedImage) {
+      return cachedImage;
+    }
+  }
+  const problem = validateImageSource(image.value, fetcher);
+  if (problem) {
+    return {
+      value: config.DEFAULT_IMAGE_URL,
+      resolution: IMAGE_RESOLUTIONS.INVALID,
+      problem: problem,
+    };
   }
+  return Object.assign(image, {problem: null});
+}
 
-  if (files.hasNext()) {
-    SpreadsheetApp.getActiveSpreadsheet().toast(
-        WARNING_MULTIPLE_IMAGES + imageName);
+/**
+ * Resolves a remote image into its copy in the image cache.
+ *
+ * @param {string} url - URL of the image.
+ * @param {!Object<string, *>} config - Effective configuration, used for the
+ *     default image and the image cache.
+ * @param {!ImageFetcher} fetcher - Access to the web.
+ * @param {boolean} readOnly - Whether the cache is only looked up.
+ * @return {?{value: (string|File), resolution: string, problem: ?string}}
+ *     Image value, one of IMAGE_RESOLUTIONS and the problem of an invalid
+ *     image, or null if a read-only lookup found no fresh copy of an image
+ *     the generation would fetch
+ */
+function resolveCachedImageSource(url, config, fetcher, readOnly) {
+  const {file, problem} = getCachedImage(url, config, fetcher, readOnly);
+  if (file) {
+    return {value: file, resolution: IMAGE_RESOLUTIONS.CACHED, problem: null};
   }
+  if (!problem) {
+    return null;
+  }
+  return {
+    value: config.DEFAULT_IMAGE_URL,
+    resolution: config.IMAGE_CACHE === IMAGE_CACHE_MODES.ONLY ?
+        IMAGE_RESOLUTIONS.NOT_CACHED : IMAGE_RESOLUTIONS.INVALID,
+    problem: problem,
+  };
+}
 
+/**
+ * Finds the image the raw value of an image cell designates, in order a
+ * Base64 image, the id or URL of a Drive file, the URL of an image or the
+ * name of an image of the IMAGE_FOLDERS.
+ *
+ * @param {*} rawValue - The raw value representing the image source.
+ * @param {!Object<string, *>} config - Effective configuration, used for the
+ *     default image and the image folders.
+ * @return {{value: (string|Blob|File), resolution: string}} Image value and
+ *     one of IMAGE_RESOLUTIONS
+ */
+function locateImageSource(rawValue, config) {
+  if (!rawValue) {
+    return {
+      value: config.DEFAULT_IMAGE_URL,
+      resolution: IMAGE_RESOLUTIONS.DEFAULT,
+    };
+  }
+  const imageValue = String(rawValue);
+  if (isBase64Image(imageValue)) {
+    return {
+      value: decodeBase64Image(imageValue),
+      resolution: IMAGE_RESOLUTIONS.BASE64,
+    };
+  }
+  // Drive URLs are URLs too, but they point at a page and not at the image
+  const driveFile = findDriveImage(imageValue);
+  if (driveFile) {
+    return {value: driveFile, resolution: IMAGE_RESOLUTIONS.DRIVE_ID};
+  }
+  if (isValidImageUrl(imageValue)) {
+    return {value: imageValue, resolution: IMAGE_RESOLUTIONS.URL};
+  }
+  const {file, hasMultipleMatches} = findImageFile(imageValue, config);
   if (file === null) {
-    file = PropertiesService.getDocumentProperties().getProperty(
-        'DEFAULT_IMAGE_URL');
+    return {
+      value: config.DEFAULT_IMAGE_URL,
+      resolution: IMAGE_RESOLUTIONS.NOT_FOUND,
+    };
   }
-
-  return file;
+  return {
+    value: file,
+    resolution: hasMultipleMatches ? IMAGE_RESOLUTIONS.MULTIPLE_MATCHES :
+                                     IMAGE_RESOLUTIONS.DRIVE,
+  };
 }
 
 /**
@@ -105,3 +190,4 @@ function retrieveImageFromFolder(folder, imageName) {
  */
 /* exported isPresentationId */
 /* exported getImageBlobFromFolder */
+/* exported resolveImageSource */
@@ -0,0 +1,232 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Groups the visible rows of a collection by the value of
+ * GROUP_BY_COLUMN and splits every group in as many slides as
+ * GROUP_ITEMS_PER_SLIDE requires. Groups keep the order in which they first
+ * appear in the sorted sheet.
+ */
+
+/**
+ * @typedef {{
+ *   rowNumber: number,
+ *   values: !Array<*>,
+ *   fieldValues: !Array<*>,
+ *   record: !Object<string, *>,
+ * }}
+ */
+let DataRow;
+
+/**
+ * @typedef {{
+ *   name: string,
+ *   rows: !Array<!DataRow>,
+ *   worstSeverity: string,
+ * }}
+ */
+let RowGroup;
+
+/**
+ * @typedef {{
+ *   group: !RowGroup,
+ *   rows: !Array<!DataRow>,
+ *   page: number,
+ *   pages: number,
+ * }}
+ */
+let GroupSlide;
+
+/**
+ * Names of the group fields available to the {{token}} bindings of a group
+ * slide, on top of the values of the first row of the group.
+ */
+const GROUP_FIELDS = {
+  NAME: 'Group',
+  COUNT: 'Count',
+  WORST_SEVERITY: 'Worst severity',
+  ITEMS: 'Items',
+  PAGE: 'Page',
+  PAGES: 'Pages',
+};
+
+/**
+ * Groups rows by their group column, sorting the rows within each group.
+ *
+ * @param {!Array<!DataRow>} rows Visible rows, in order
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource, with its columns resolved
+ * @return {!Array<!RowGroup>} Groups in order of first appearance
+ */
+function groupRows(rows, config) {
+  const groups = new Map();
+  for (const row of rows) {
+    const cell = row.values[config.GROUP_BY_COLUMN - 1];
+    const name = isEmptyConfigValue(cell) ? '' : String(cell).trim();
+    if (!groups.has(name)) {
+      groups.set(name, {name: name, rows: [], worstSeverity: ''});
+    }
+    groups.get(name).rows.push(row);
+  }
+
+  for (const group of groups.values()) {
+    if (config.GROUP_SORTING_COLUMN) {
+      const column = config.GROUP_SORTING_COLUMN - 1;
+      const direction = config.GROUP_SORTING_ORDER === false ? -1 : 1;
+      group.rows.sort((first, second) => direction *
+          compareCells(first.values[column], second.values[column]));
+    }
+    if (config.GROUP_SEVERITY_COLUMN) {
+      group.worstSeverity = getWorstSeverity(
+          group.rows.map((row) => row.values[config.GROUP_SEVERITY_COLUMN - 1]),
+          config.GROUP_SEVERITY_ORDER);
+    }
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Compares two cells, numerically when both are numbers. Empty cells go last.
+ *
+ * @param {*} first First cell
+ * @param {*} second Second cell
+ * @return {number} Negative, zero or positive, as expected by sort
+ */
+function compareCells(first, second) {
+  const firstEmpty = isEmptyConfigValue(first);
+  const secondEmpty = isEmptyConfigValue(second);
+  if (firstEmpty || secondEmpty) {
+    return Number(firstEmpty) - Number(secondEmpty);
+  }
+  if (typeof first === 'number' && typeof second === 'number') {
+    return first - second;
+  }
+  return String(first).localeCompare(String(second));
+}
+
+/**
+ * Finds the worst severity among the given ones, ignoring case.
+ *
+ * @param {!Array<*>} severities Severities of the rows of a group
+ * @param {!Array<string>} severityOrder Severities from the worst to the least
+ *     severe
+ * @return {string} Worst severity, as written in severityOrder, or an empty
+ *     string if none of them is known
+ */
+function getWorstSeverity(severities, severityOrder) {
+  const order = severityOrder.map((severity) => severity.toLowerCase());
+  let worst = -1;
+  for (const severity of severities) {
+    const index = order.indexOf(String(severity).trim().toLowerCase());
+    if (index !== -1 && (worst === -1 || index < worst)) {
+      worst = index;
+    }
+  }
+  return worst === -1 ? '' : severityOrder[worst];
+}
+
+/**
+ * Splits every group in slides of at most itemsPerSlide rows.
+ *
+ * @param {!Array<!RowGroup>} groups Groups of rows
+ * @param {number|undefined} itemsPerSlide Maximum rows per slide, unlimited if
+ *     undefined
+ * @return {!Array<!GroupSlide>} Slides of every group, in order
+ */
+function paginateGroups(groups, itemsPerSlide) {
+  const slides = [];
+  for (const group of groups) {
+    const size = itemsPerSlide || group.rows.length || 1;
+    const pages = Math.max(Math.ceil(group.rows.length / size), 1);
+    for (let page = 0; page < pages; page++) {
+      slides.push({
+        group: group,
+        rows: group.rows.slice(page * size, (page + 1) * size),
+        page: page + 1,
+        pages: pages,
+      });
+    }
+  }
+  return slides;
+}
+
+/**
+ * Builds the values a group slide exposes to its {{token}} bindings: the
+ * values of the first row of the group and the group fields.
+ *
+ * @param {!GroupSlide} groupSlide Slide of a group
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource, with its columns resolved
+ * @return {!Object<string, *>} Values by field name
+ */
+function getGroupSlideRecord(groupSlide, config) {
+  const {group} = groupSlide;
+  return Object.assign({}, group.rows[0].record, {
+    [GROUP_FIELDS.NAME]: group.name,
+    [GROUP_FIELDS.COUNT]: group.rows.length,
+    [GROUP_FIELDS.WORST_SEVERITY]: group.worstSeverity,
+    [GROUP_FIELDS.ITEMS]: getGroupSlideItems(groupSlide, config).join('\n'),
+    [GROUP_FIELDS.PAGE]: groupSlide.page,
+    [GROUP_FIELDS.PAGES]: groupSlide.pages,
+  });
+}
+
+/**
+ * Builds the default title of a group slide, numbering the slides of the
+ * groups that span more than one.
+ *
+ * @param {!GroupSlide} groupSlide Slide of a group
+ * @return {string} Title of the slide
+ */
+function getGroupSlideTitle(groupSlide) {
+  if (groupSlide.pages === 1) {
+    return groupSlide.group.name;
+  }
+  return `${groupSlide.group.name} (${groupSlide.page}/${groupSlide.pages})`;
+}
+
+/**
+ * Lists the items of a group slide, one per row, out of GROUP_ITEM_COLUMN.
+ *
+ * @param {!GroupSlide} groupSlide Slide of a group
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource, with its columns resolved
+ * @return {!Array<string>} Items of the slide, empty if there is no item
+ *     column
+ */
+function getGroupSlideItems(groupSlide, config) {
+  if (!config.GROUP_ITEM_COLUMN) {
+    return [];
+  }
+  return groupSlide.rows
+      .map((row) => row.values[config.GROUP_ITEM_COLUMN - 1])
+      .filter((cell) => !isEmptyConfigValue(cell))
+      .map((cell) => String(cell).trim());
+}
+
+/**
+ * Below are the exports required for the linter.
+ * This is necessary because AppsScript doesn't support modules.
+ */
+/* exported DataRow */
+/* exported RowGroup */
+/* exported GroupSlide */
+/* exported groupRows */
+/* exported paginateGroups */
+/* exported getGroupSlideRecord */
+/* exported getGroupSlideTitle */
+/* exported getGroupSlideItems */
@@ -16,7 +16,8 @@
  */
 
 /**
- * Checks if the provided image value is a base64 encoded image.
+ * Checks if the provided image value is a base64 encoded image. Only the
+ * prefix is checked, the content is checked by validateImageSource.
  * @param {string} imageValue - The string value representing the image.
  * @return {boolean} True if the image is base64 encoded, False otherwise.
  */
@@ -25,7 +26,8 @@ function isBase64Image(imageValue) {
 }
 
 /**
- * Decodes a base64 encoded image string and returns a blob.
+ * Decodes a base64 encoded image string and returns a blob, typed after its
+ * content rather than its declared MIME type.
  * @param {string} imageValue - The base64 encoded image string.
  * @return {Blob} A blob object containing the decoded image data.
  */
@@ -34,7 +36,8 @@ function decodeBase64Image(imageValue) {
   const imageType = match[1];
   const imageBase64 = imageValue.split(',')[1];
   const decodedImage = Utilities.base64Decode(imageBase64);
-  return Utilities.newBlob(decodedImage, MimeType[imageType.toUpperCase()]);
+  return Utilities.newBlob(decodedImage, sniffImageType(decodedImage) ||
+      MimeType[imageType.toUpperCase()]);
 }
 
 /**
@@ -53,13 +56,13 @@ function getFunctionByName(functionName) {
 }
 
 /**
- * Checks if the given URL is a valid image URL.
+ * Checks if the given value is an HTTP(S) URL, which may point at an image.
+ * Whether it does is checked by validateImageSource.
  *
  * @param {string} url The URL to check.
- * @return {boolean} Whether the URL is a valid image URL.
+ * @return {boolean} Whether the value is an HTTP(S) URL.
  */
 function isValidImageUrl(url) {
-  // TODO: Fix issue #39 Check if it's an image
   return url.startsWith('http://') || url.startsWith('https://');
 }
 
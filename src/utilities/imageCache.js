@@ -0,0 +1,360 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Keeps the remote images of the generations in a Drive folder,
+ * IMAGE_CACHE_FOLDER, so that regenerating a deck doesn't depend on the hosts
+ * of its images. Each image is saved as a file named after the SHA-256 hash of
+ * its URL, with the URL as its description. With IMAGE_CACHE set to on, an
+ * image is fetched again once older than IMAGE_CACHE_MAX_AGE_HOURS, and its
+ * cached copy keeps being used while its host fails. With only, images are
+ * never fetched, and the ones missing from the cache are replaced by the
+ * default image. Lookups made in read-only mode, for the plan, neither fetch
+ * images nor write to Drive. Drive is reached through a facade so that the
+ * cache can run against a local stand-in.
+ */
+
+/**
+ * @typedef {{
+ *   file: *,
+ *   created: !Date,
+ * }}
+ */
+let CachedImage;
+
+/**
+ * @typedef {{
+ *   find: function(string): ?CachedImage,
+ *   save: function(string, string, !Array<number>, string): *,
+ * }}
+ */
+let ImageCacheStore;
+
+/**
+ * Pattern of the names of the files written by the cache, the hexadecimal
+ * SHA-256 hash of their URL.
+ */
+const IMAGE_CACHE_FILE_NAME_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Stores of the image cache opened during this execution, by folder and
+ * access.
+ *
+ * @type {!Object<string, !ImageCacheStore>}
+ */
+const imageCacheStores = {};
+
+/**
+ * Cached images found during this execution, by access and URL.
+ *
+ * @type {!Object<string, {file: *, problem: ?string}>}
+ */
+const cachedImages = {};
+
+/**
+ * Finds the cached copy of a remote image, caching it first if needed and
+ * allowed.
+ *
+ * @param {string} url URL of the image
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource
+ * @param {!ImageFetcher} fetcher Access to the web
+ * @param {boolean=} readOnly Whether the cache is only looked up
+ * @return {{file: *, problem: ?string}} Cached image file, or null and the
+ *     reason why the image isn't cached, null too if it would be fetched
+ */
+function getCachedImage(url, config, fetcher, readOnly = false) {
+  const storeKey = JSON.stringify([config.IMAGE_CACHE_FOLDER, readOnly]);
+  if (!imageCacheStores[storeKey]) {
+    imageCacheStores[storeKey] = createDriveImageCacheStore(
+        getImageCacheFolder(config.IMAGE_CACHE_FOLDER, !readOnly));
+  }
+  const imageKey = JSON.stringify([url, readOnly]);
+  if (!cachedImages[imageKey]) {
+    cachedImages[imageKey] = resolveCachedImage(url, getImageCacheKey(url),
+        config, imageCacheStores[storeKey], fetcher, new Date(), readOnly);
+  }
+  return cachedImages[imageKey];
+}
+
+/**
+ * Finds the cached copy of a remote image, fetching and caching the image
+ * when the cache has no fresh copy of it and IMAGE_CACHE allows it.
+ *
+ * @param {string} url URL of the image
+ * @param {string} key Key of the image in the cache
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource
+ * @param {!ImageCacheStore} store Cached images
+ * @param {!ImageFetcher} fetcher Access to the web
+ * @param {!Date} now Current time
+ * @param {boolean=} readOnly Whether the cache is only looked up, without
+ *     fetching the images it has no fresh copy of
+ * @return {{file: *, problem: ?string}} Cached image file, or null and the
+ *     reason why the image isn't cached, null too if it would be fetched
+ */
+function resolveCachedImage(
+    url, key, config, store, fetcher, now, readOnly = false) {
+  const cached = store.find(key);
+  if (config.IMAGE_CACHE === IMAGE_CACHE_MODES.ONLY) {
+    return cached ? {file: cached.file, problem: null} :
+        {file: null, problem: 'it is not in the image cache'};
+  }
+  if (cached && isCachedImageFresh(
+      cached, now, config.IMAGE_CACHE_MAX_AGE_HOURS)) {
+    return {file: cached.file, problem: null};
+  }
+  if (readOnly) {
+    return {file: null, problem: null};
+  }
+  let problem;
+  try {
+    const resource = fetcher.get(url);
+    problem = validateImageHeaders(resource) ||
+        validateImageBytes(resource.bytes);
+    if (!problem) {
+      return {
+        file: store.save(
+            key, url, resource.bytes, sniffImageType(resource.bytes)),
+        problem: null,
+      };
+    }
+  } catch (error) {
+    problem = `it can't be fetched (${error.message})`;
+  }
+  // A failing host keeps its last image rather than the default one
+  return cached ? {file: cached.file, problem: null} :
+      {file: null, problem: problem};
+}
+
+/**
+ * Tells whether a cached image can be used without fetching it again.
+ *
+ * @param {!CachedImage} cached Cached image
+ * @param {!Date} now Current time
+ * @param {number} maxAgeHours Age after which images are fetched again, 0 to
+ *     keep them until they are purged
+ * @return {boolean} True if the cached image is recent enough
+ */
+function isCachedImageFresh(cached, now, maxAgeHours) {
+  return maxAgeHours <= 0 ||
+      now.getTime() - cached.created.getTime() < maxAgeHours * 3600 * 1000;
+}
+
+/**
+ * Computes the key of an image in the cache, the hexadecimal SHA-256 hash of
+ * its URL.
+ *
+ * @param {string} url URL of the image
+ * @return {string} Key of the image
+ */
+function getImageCacheKey(url) {
+  return Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, url,
+      Utilities.Charset.UTF_8)
+      .map((byte) => ((byte & 0xff) + 0x100).toString(16).slice(1))
+      .join('');
+}
+
+/**
+ * Tells whether a file of the cache folder was written by the cache: named
+ * after the hash of the URL in its description.
+ *
+ * @param {string} name Name of the file
+ * @param {?string} description Description of the file
+ * @return {boolean} True if the file is a cached image
+ */
+function isImageCacheFile(name, description) {
+  return IMAGE_CACHE_FILE_NAME_PATTERN.test(name) &&
+      isValidImageUrl(String(description || ''));
+}
+
+/**
+ * Builds the store of cached images backed by a Drive folder.
+ *
+ * @param {?Folder} folder Folder of the cache, null if it doesn't exist yet,
+ *     in which case nothing is cached and nothing can be saved
+ * @return {!ImageCacheStore} Cached images
+ */
+function createDriveImageCacheStore(folder) {
+  return {
+    find: (key) => {
+      if (!folder) {
+        return null;
+      }
+      const files = folder.getFilesByName(key);
+      while (files.hasNext()) {
+        const file = files.next();
+        if (!file.isTrashed()) {
+          return {file: file, created: file.getDateCreated()};
+        }
+      }
+      return null;
+    },
+    save: (key, url, bytes, contentType) => {
+      const existingFiles = folder.getFilesByName(key);
+      while (existingFiles.hasNext()) {
+        existingFiles.next().setTrashed(true);
+      }
+      return folder.createFile(Utilities.newBlob(bytes, contentType, key))
+          .setDescription(url);
+    },
+  };
+}
+
+/**
+ * Opens the folder of the image cache, creating it in the folder of the
+ * spreadsheet if needed and allowed.
+ *
+ * @param {string} folderName Id or URL of a Drive folder, or path from the
+ *     folder of the spreadsheet
+ * @param {boolean=} create Whether missing folders are created
+ * @return {?Folder} Folder of the cache, null if it doesn't exist and isn't
+ *     created
+ */
+function getImageCacheFolder(folderName, create = true) {
+  const urlMatch = DRIVE_FOLDER_URL_PATTERN.exec(folderName);
+  if (urlMatch || DRIVE_ID_PATTERN.test(folderName)) {
+    return DriveApp.getFolderById(urlMatch ? urlMatch[1] : folderName);
+  }
+  let folder = DriveApp.getFileById(SpreadsheetApp.getActive().getId())
+      .getParents()
+      .next();
+  for (const name of folderName.split('/')) {
+    if (name === '.' || name === '') {
+      continue;
+    }
+    const subfolders = folder.getFoldersByName(name);
+    if (subfolders.hasNext()) {
+      folder = subfolders.next();
+    } else if (create) {
+      folder = folder.createFolder(name);
+    } else {
+      return null;
+    }
+  }
+  return folder;
+}
+
+/**
+ * Removes the cached images that no row of the datasources references any
+ * more, for the main configuration as well as for every target and locale.
+ * Every row counts, filtered out or not, as the filters can change between
+ * runs. Files the cache didn't write are left alone. As the images of a
+ * CUSTOM_FUNCTION datasource can't be listed, nothing is removed when a
+ * datasource uses one. Intended to be run from the menu.
+ *
+ * @return {number} Number of removed images
+ */
+function purgeImageCache() {
+  const deckConfig = loadDeckConfiguration();
+  const folder = getImageCacheFolder(deckConfig.IMAGE_CACHE_FOLDER, false);
+  let removed = 0;
+  if (folder) {
+    const {urls, unlistedDatasources} = listReferencedImageUrls();
+    if (unlistedDatasources.length > 0) {
+      SpreadsheetApp.getUi().alert('Image cache',
+          'The images of the datasources ' +
+              `${unlistedDatasources.join(', ')} come from a ` +
+              'CUSTOM_FUNCTION and can\'t be listed, so no cached image ' +
+              'was removed.',
+          SpreadsheetApp.getUi().ButtonSet.OK);
+      return 0;
+    }
+    const referencedKeys = new Set(urls.map(getImageCacheKey));
+    const files = folder.getFiles();
+    while (files.hasNext()) {
+      const file = files.next();
+      if (isImageCacheFile(file.getName(), file.getDescription()) &&
+          !referencedKeys.has(file.getName())) {
+        file.setTrashed(true);
+        removed++;
+      }
+    }
+  }
+  SpreadsheetApp.getUi().alert('Image cache',
+      `${removed} cached images that no row references were removed.`,
+      SpreadsheetApp.getUi().ButtonSet.OK);
+  return removed;
+}
+
+/**
+ * Lists the URLs of the remote images referenced by the decks the spreadsheet
+ * generates: the deck of the main configuration and the decks of the
+ * targets, in every locale. Columns are resolved as the generation resolves
+ * them. The images of the datasources using a CUSTOM_FUNCTION are unknown,
+ * those datasources are listed apart.
+ *
+ * @return {{urls: !Array<string>, unlistedDatasources: !Array<string>}} URLs
+ *     of the images, and the datasources whose images can't be listed
+ */
+function listReferencedImageUrls() {
+  const values = [];
+  const unlistedDatasources = new Set();
+  for (const runOverrides of [{}, ...listTargetRunOverrides()]) {
+    const runConfig = loadDeckConfiguration(runOverrides);
+    for (const deckOverrides of getDeckOverrides(runOverrides, runConfig)) {
+      for (const datasource of
+        loadDeckConfiguration(deckOverrides).DATA_SOURCE_SHEET) {
+        const datasourceValues = listDatasourceImageValues(
+            loadDatasourceConfiguration(datasource, deckOverrides));
+        if (datasourceValues === null) {
+          unlistedDatasources.add(datasource);
+        } else {
+          values.push(...datasourceValues);
+        }
+      }
+    }
+  }
+  return {
+    urls: [...new Set(values.map((value) => String(value || '').trim()))]
+        .filter(isValidImageUrl),
+    unlistedDatasources: [...unlistedDatasources],
+  };
+}
+
+/**
+ * Lists the values of the image cells of a datasource, in every row.
+ *
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource
+ * @return {?Array<*>} Values of the image cells, or null if they can't be
+ *     listed as a CUSTOM_FUNCTION computes them
+ */
+function listDatasourceImageValues(config) {
+  if (config.CUSTOM_FUNCTION) {
+    return null;
+  }
+  if (config.SINGLE_VALUE) {
+    return getSingleSlideFields(config).images.map((image) => image.value);
+  }
+  const columnsConfig = resolveSheetColumns(config);
+  const [, ...rows] = SpreadsheetApp.getActive()
+      .getSheetByName(config.DATA_SOURCE_SHEET[0])
+      .getDataRange()
+      .getValues();
+  return rows.flatMap((row) => getCollectionSlideFields(row, columnsConfig)
+      .images.map((image) => image.value));
+}
+
+/**
+ * Below are the exports required for the linter.
+ * This is necessary because AppsScript doesn't support modules.
+ */
+/* exported CachedImage */
+/* exported ImageCacheStore */
+/* exported getCachedImage */
+/* exported purgeImageCache */
@@ -0,0 +1,254 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Fits the images of a slide into the layout shapes they
+ * replace. Each image shape uses the fit set for it in IMAGE_FIT, or in the
+ * text of the layout shape as [fit: contain top], and stretches to the shape
+ * otherwise:
+ * - contain scales the image to fit the shape, and places it by its gravity
+ * - cover scales the image to fill the shape, and crops what overflows. Slides
+ *   can only crop around the center, so cover takes no gravity
+ * - native keeps the size of the image, scaled down to fit the shape if
+ *   needed, and places it by its gravity
+ * The size of the image is read from the header of its PNG, GIF or JPEG data.
+ */
+
+/**
+ * @typedef {{
+ *   mode: string,
+ *   gravity: string,
+ * }}
+ */
+let ImageFit;
+
+/**
+ * @typedef {{
+ *   left: number,
+ *   top: number,
+ *   width: number,
+ *   height: number,
+ * }}
+ */
+let ImageBox;
+
+/**
+ * Ways in which an image fits in its shape.
+ */
+const IMAGE_FIT_MODES = {
+  STRETCH: 'stretch',
+  CONTAIN: 'contain',
+  COVER: 'cover',
+  NATIVE: 'native',
+};
+
+/**
+ * Where an image smaller than its shape sits, as the position of its left
+ * and top edges between the edges of the shape.
+ */
+const IMAGE_GRAVITIES = {
+  'center': {x: 0.5, y: 0.5},
+  'top': {x: 0.5, y: 0},
+  'bottom': {x: 0.5, y: 1},
+  'left': {x: 0, y: 0.5},
+  'right': {x: 1, y: 0.5},
+  'top-left': {x: 0, y: 0},
+  'top-right': {x: 1, y: 0},
+  'bottom-left': {x: 0, y: 1},
+  'bottom-right': {x: 1, y: 1},
+};
+
+/**
+ * Points per pixel, for images of 96 DPI.
+ */
+const POINTS_PER_PIXEL = 0.75;
+
+/**
+ * Parses the fit of an image shape: a mode, optionally followed by a gravity,
+ * such as "contain top-left". Covering images are always cropped around their
+ * center, so a gravity after cover isn't valid.
+ *
+ * @param {string} spec Fit of the shape
+ * @return {?ImageFit} Fit, or null if the spec isn't valid
+ */
+function parseImageFit(spec) {
+  const [mode, gravity, ...rest] =
+      String(spec).trim().toLowerCase().split(/\s+/);
+  if (rest.length > 0 || !Object.values(IMAGE_FIT_MODES).includes(mode) ||
+      (gravity !== undefined && (!IMAGE_GRAVITIES[gravity] ||
+          mode === IMAGE_FIT_MODES.COVER))) {
+    return null;
+  }
+  return {mode: mode, gravity: gravity || 'center'};
+}
+
+/**
+ * Tells the fit of an image shape: the [fit: ...] option of the layout shape
+ * text, then the IMAGE_FIT entry of the shape, then stretch.
+ *
+ * @param {string} shapeName IMAGE_SHAPES entry of the shape
+ * @param {string} shapeText Text of the layout shape
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource
+ * @return {!ImageFit} Fit of the shape
+ * @throws {Error} If the option of the layout shape isn't valid
+ */
+function getImageFit(shapeName, shapeText, config) {
+  const option = /\[fit:([^\]]*)\]/i.exec(shapeText);
+  if (option) {
+    const fit = parseImageFit(option[1]);
+    if (!fit) {
+      throw new Error(`Invalid image fit "${option[0]}" in the shape ${
+        shapeName}`);
+    }
+    return fit;
+  }
+  return parseImageFit((config.IMAGE_FIT || {})[shapeName] ||
+      IMAGE_FIT_MODES.STRETCH);
+}
+
+/**
+ * Computes where an image goes in its shape.
+ *
+ * @param {?{width: number, height: number}} imageSize Size of the image in
+ *     pixels, null if unknown
+ * @param {!ImageBox} box Position and size of the shape, in points
+ * @param {!ImageFit} fit Fit of the shape
+ * @return {!ImageBox} Position and size of the image, in points
+ */
+function computeImageBox(imageSize, box, fit) {
+  if (fit.mode === IMAGE_FIT_MODES.STRETCH ||
+      fit.mode === IMAGE_FIT_MODES.COVER || !imageSize ||
+      !imageSize.width || !imageSize.height) {
+    return Object.assign({}, box);
+  }
+  let scale = Math.min(
+      box.width / imageSize.width, box.height / imageSize.height);
+  if (fit.mode === IMAGE_FIT_MODES.NATIVE) {
+    scale = Math.min(scale, POINTS_PER_PIXEL);
+  }
+  const width = imageSize.width * scale;
+  const height = imageSize.height * scale;
+  const gravity = IMAGE_GRAVITIES[fit.gravity];
+  return {
+    left: box.left + (box.width - width) * gravity.x,
+    top: box.top + (box.height - height) * gravity.y,
+    width: width,
+    height: height,
+  };
+}
+
+/**
+ * Reads the size of an image out of the header of its data.
+ *
+ * @param {!Array<number>} bytes Data of the image, as bytes that may be signed
+ * @return {?{width: number, height: number}} Size in pixels, or null if the
+ *     format isn't PNG, GIF or JPEG
+ */
+function getImageSize(bytes) {
+  const byte = (index) => bytes[index] & 0xff;
+  const uint16 = (index) => (byte(index) << 8) | byte(index + 1);
+  const uint32 = (index) => uint16(index) * 0x10000 + uint16(index + 2);
+  // PNG: signature, then the IHDR chunk
+  if (byte(0) === 0x89 && byte(1) === 0x50 && byte(2) === 0x4e &&
+      byte(3) === 0x47) {
+    return {width: uint32(16), height: uint32(20)};
+  }
+  // GIF: signature, then the little-endian logical screen size
+  if (byte(0) === 0x47 && byte(1) === 0x49 && byte(2) === 0x46) {
+    return {
+      width: byte(6) | (byte(7) << 8),
+      height: byte(8) | (byte(9) << 8),
+    };
+  }
+  // JPEG: the first start-of-frame segment holds the size
+  if (byte(0) === 0xff && byte(1) === 0xd8) {
+    let index = 2;
+    while (index + 9 < bytes.length) {
+      if (byte(index) !== 0xff) {
+        return null;
+      }
+      const marker = byte(index + 1);
+      const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf &&
+          marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+      if (isStartOfFrame) {
+        return {width: uint16(index + 7), height: uint16(index + 5)};
+      }
+      index += 2 + uint16(index + 2);
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads the data of an image, wherever it comes from.
+ *
+ * @param {string|!Blob|!File} imageValue URL, blob or Drive file of the image
+ * @return {!Array<number>} Data of the image
+ */
+function getImageBytes(imageValue) {
+  if (typeof imageValue === 'string') {
+    return UrlFetchApp.fetch(imageValue).getBlob().getBytes();
+  }
+  return imageValue.getBlob ? imageValue.getBlob().getBytes() :
+      imageValue.getBytes();
+}
+
+/**
+ * Inserts an image in a slide, fitted to the layout shape it replaces.
+ *
+ * @param {!Slide} slide Slide to insert the image in
+ * @param {string|!Blob|!File} imageValue URL, blob or Drive file of the image
+ * @param {!Shape} shape Layout shape replaced by the image
+ * @param {!ImageFit} fit Fit of the shape
+ * @return {!Image} Inserted image
+ */
+function insertFittedImage(slide, imageValue, shape, fit) {
+  const box = {
+    left: shape.getLeft(),
+    top: shape.getTop(),
+    width: shape.getWidth(),
+    height: shape.getHeight(),
+  };
+  let imageBox = box;
+  if (fit.mode === IMAGE_FIT_MODES.CONTAIN ||
+      fit.mode === IMAGE_FIT_MODES.NATIVE) {
+    const imageSize = getImageSize(getImageBytes(imageValue));
+    if (!imageSize) {
+      reportIssue(PROBLEM_SEVERITY.WARNING, ISSUE_CODES.IMAGE_SIZE_UNKNOWN,
+          `The size of an image of the shape ${
+            shape.getText().asString().trim()} is unknown, it was stretched`);
+    }
+    imageBox = computeImageBox(imageSize, box, fit);
+  }
+  const image = slide.insertImage(imageValue, imageBox.left, imageBox.top,
+      imageBox.width, imageBox.height);
+  if (fit.mode === IMAGE_FIT_MODES.COVER) {
+    // Crops the image to the shape instead of stretching it
+    image.replace(imageValue, true);
+  }
+  return image;
+}
+
+/**
+ * Below are the exports required for the linter.
+ * This is necessary because AppsScript doesn't support modules.
+ */
+/* exported ImageFit */
+/* exported ImageBox */
+/* exported getImageFit */
+/* exported insertFittedImage */
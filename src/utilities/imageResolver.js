@@ -0,0 +1,301 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Resolves image names into Drive files. The IMAGE_FOLDERS are
+ * indexed once per execution, and their subfolders too when
+ * IMAGE_FOLDERS_RECURSIVE is set, so that resolving the images of a whole
+ * deck costs no Drive search. A name matches the files whose name is that
+ * name, or that name followed by an extension, regardless of case: "crit1"
+ * matches "crit1.png" or "Crit1" but not "crit10.png". When several files
+ * match, the first folder wins, then the first extension of IMAGE_EXTENSIONS.
+ */
+
+/**
+ * @typedef {{
+ *   name: string,
+ *   mimeType: string,
+ *   folderIndex: number,
+ *   file: *,
+ * }}
+ */
+let ImageFileEntry;
+
+/**
+ * Image files by lower-case name and lower-case stem.
+ *
+ * @typedef {!Object<string, !Array<!ImageFileEntry>>}
+ */
+let ImageIndex;
+
+/**
+ * Pattern of the ids of Drive files.
+ */
+const DRIVE_ID_PATTERN = /^[\w-]{25,}$/;
+
+/**
+ * Patterns of the Drive URLs of a file, capturing its id.
+ */
+const DRIVE_FILE_URL_PATTERNS = [
+  /^https:\/\/(?:drive|docs)\.google\.com\/.*\/d\/([\w-]{25,})/,
+  /^https:\/\/(?:drive|docs)\.google\.com\/.*[?&]id=([\w-]{25,})/,
+];
+
+/**
+ * Pattern of the Drive URLs of a folder, capturing its id.
+ */
+const DRIVE_FOLDER_URL_PATTERN =
+    /^https:\/\/drive\.google\.com\/.*folders\/([\w-]{25,})/;
+
+/**
+ * Indexes of the image folders built during this execution, by folder
+ * configuration.
+ *
+ * @type {!Object<string, !ImageIndex>}
+ */
+const imageIndexes = {};
+
+/**
+ * Finds the image file with the given name in the IMAGE_FOLDERS.
+ *
+ * @param {string} imageName Name of the image, with or without extension
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource
+ * @return {{file: ?File, hasMultipleMatches: boolean}} Image file, or null if
+ *     none was found
+ */
+function findImageFile(imageName, config) {
+  const match = findIndexedImage(
+      getImageIndex(config), imageName, config.IMAGE_EXTENSIONS);
+  if (!match) {
+    return {file: null, hasMultipleMatches: false};
+  }
+  return {file: match.entry.file, hasMultipleMatches: match.hasMultipleMatches};
+}
+
+/**
+ * Finds the image file a Drive id or Drive URL points at.
+ *
+ * @param {string} value Id or URL of the file
+ * @return {?File} File, or null if the value isn't the id or the URL of an
+ *     image file that can be accessed
+ */
+function findDriveImage(value) {
+  const fileId = getDriveFileId(value);
+  if (!fileId) {
+    return null;
+  }
+  try {
+    const file = DriveApp.getFileById(fileId);
+    return file.getMimeType().startsWith('image/') ? file : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Extracts the id of a Drive file out of its id or one of its URLs.
+ *
+ * @param {string} value Id or URL of a file, or anything else
+ * @return {?string} Id of the file, or null if the value isn't one
+ */
+function getDriveFileId(value) {
+  const text = String(value).trim();
+  if (DRIVE_ID_PATTERN.test(text)) {
+    return text;
+  }
+  for (const pattern of DRIVE_FILE_URL_PATTERNS) {
+    const match = pattern.exec(text);
+    if (match) {
+      return match[1];
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns the index of the image folders of a configuration, building it on
+ * first use.
+ *
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource
+ * @return {!ImageIndex} Index of the image files
+ */
+function getImageIndex(config) {
+  const key = JSON.stringify(
+      [config.IMAGE_FOLDERS, config.IMAGE_FOLDERS_RECURSIVE]);
+  if (!imageIndexes[key]) {
+    const entries = [];
+    getImageFolders(config.IMAGE_FOLDERS).forEach((folder, folderIndex) =>
+      collectImageFiles(
+          folder, folderIndex, config.IMAGE_FOLDERS_RECURSIVE, entries));
+    imageIndexes[key] = indexImageFiles(entries);
+  }
+  return imageIndexes[key];
+}
+
+/**
+ * Opens the image folders, in order. Folders that can't be found are
+ * reported and left out.
+ *
+ * @param {!Array<string>} folderNames Ids or URLs of Drive folders, or paths
+ *     from the folder of the spreadsheet, "." being that folder
+ * @return {!Array<!Folder>} Folders
+ */
+function getImageFolders(folderNames) {
+  let spreadsheetFolder;
+  const folders = [];
+  for (const folderName of folderNames) {
+    const urlMatch = DRIVE_FOLDER_URL_PATTERN.exec(folderName);
+    let folder = null;
+    if (urlMatch || DRIVE_ID_PATTERN.test(folderName)) {
+      try {
+        folder = DriveApp.getFolderById(urlMatch ? urlMatch[1] : folderName);
+      } catch (error) {
+        folder = null;
+      }
+    } else {
+      spreadsheetFolder = spreadsheetFolder ||
+          DriveApp.getFileById(SpreadsheetApp.getActive().getId())
+              .getParents()
+              .next();
+      folder = spreadsheetFolder;
+      for (const name of folderName.split('/')) {
+        if (!folder || name === '.' || name === '') {
+          continue;
+        }
+        const subfolders = folder.getFoldersByName(name);
+        folder = subfolders.hasNext() ? subfolders.next() : null;
+      }
+    }
+    if (folder) {
+      folders.push(folder);
+    } else {
+      reportIssue(PROBLEM_SEVERITY.WARNING, ISSUE_CODES.IMAGE_FOLDER_NOT_FOUND,
+          `The image folder "${folderName}" can't be found`);
+    }
+  }
+  return folders;
+}
+
+/**
+ * Lists the image files of a folder.
+ *
+ * @param {!Folder} folder Folder to list
+ * @param {number} folderIndex Position of the folder in IMAGE_FOLDERS
+ * @param {boolean} recursive Whether the files of the subfolders are listed
+ * @param {!Array<!ImageFileEntry>} entries Files listed so far, to which the
+ *     files of the folder are added
+ */
+function collectImageFiles(folder, folderIndex, recursive, entries) {
+  const files = folder.getFiles();
+  while (files.hasNext()) {
+    const file = files.next();
+    entries.push({
+      name: file.getName(),
+      mimeType: file.getMimeType(),
+      folderIndex: folderIndex,
+      file: file,
+    });
+  }
+  if (recursive) {
+    const subfolders = folder.getFolders();
+    while (subfolders.hasNext()) {
+      collectImageFiles(subfolders.next(), folderIndex, recursive, entries);
+    }
+  }
+}
+
+/**
+ * Indexes image files by their name and by their stem, the name without its
+ * extension. Files that aren't images are left out.
+ *
+ * @param {!Array<!ImageFileEntry>} entries Files to index
+ * @return {!ImageIndex} Index of the files
+ */
+function indexImageFiles(entries) {
+  const index = {};
+  const add = (key, entry) => {
+    index[key] = [...(index[key] || []), entry];
+  };
+  for (const entry of entries) {
+    if (!entry.mimeType.startsWith('image/')) {
+      continue;
+    }
+    const name = entry.name.trim().toLowerCase();
+    add(name, entry);
+    const stem = splitImageName(name).stem;
+    if (stem !== name) {
+      add(stem, entry);
+    }
+  }
+  return index;
+}
+
+/**
+ * Splits a file name into its stem and its extension.
+ *
+ * @param {string} name Name of a file
+ * @return {{stem: string, extension: string}} Stem, and extension without
+ *     the dot or an empty string
+ */
+function splitImageName(name) {
+  const match = /^(.+)\.([a-z][a-z0-9]{1,4})$/i.exec(name);
+  return match ? {stem: match[1], extension: match[2].toLowerCase()} :
+      {stem: name, extension: ''};
+}
+
+/**
+ * Finds the best match of an image name in an index: the first folder, then
+ * the first extension of the priority list.
+ *
+ * @param {!ImageIndex} index Index of the image files
+ * @param {string} imageName Name of the image, with or without extension
+ * @param {!Array<string>} extensions Extensions by decreasing priority
+ * @return {?{entry: !ImageFileEntry, hasMultipleMatches: boolean}} Best
+ *     match, flagged when another file is as good, or null if none matches
+ */
+function findIndexedImage(index, imageName, extensions) {
+  const candidates = index[String(imageName).trim().toLowerCase()] || [];
+  if (candidates.length === 0) {
+    return null;
+  }
+  const priorities =
+      extensions.map((extension) => extension.toLowerCase().replace(/^\./, ''));
+  const rank = (entry) => {
+    const extension = splitImageName(entry.name).extension;
+    const priority = priorities.indexOf(extension);
+    return entry.folderIndex * (extensions.length + 1) +
+        (priority === -1 ? extensions.length : priority);
+  };
+  const ranked = candidates
+      .map((entry) => ({entry: entry, rank: rank(entry)}))
+      .sort((a, b) => a.rank - b.rank);
+  return {
+    entry: ranked[0].entry,
+    hasMultipleMatches: ranked.length > 1 && ranked[1].rank === ranked[0].rank,
+  };
+}
+
+/**
+ * Below are the exports required for the linter.
+ * This is necessary because AppsScript doesn't support modules.
+ */
+/* exported ImageFileEntry */
+/* exported ImageIndex */
+/* exported findImageFile */
+/* exported findDriveImage */
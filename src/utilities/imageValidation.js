@@ -0,0 +1,277 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Checks that image sources hold images Slides can insert,
+ * before they are inserted: PNG, JPEG or GIF data, as told by its first bytes
+ * and not by its declared type, of at most 50 MB and 25 megapixels. URLs are
+ * checked with a HEAD request, which rejects errors and large files, then
+ * with a GET request of their first bytes only, which are checked like the
+ * content of any other image. Drive files are checked by their MIME type and
+ * size, without reading them. The checks of a URL are kept for the rest of
+ * the execution. The web is reached through a facade so that the checks can
+ * run against a local stand-in.
+ */
+
+/**
+ * @typedef {{
+ *   status: number,
+ *   headers: !Object<string, string>,
+ *   bytes: !Array<number>,
+ * }}
+ */
+let FetchedResource;
+
+/**
+ * @typedef {{
+ *   head: function(string): ?FetchedResource,
+ *   getFirstBytes: function(string): !FetchedResource,
+ *   get: function(string): !FetchedResource,
+ * }}
+ */
+let ImageFetcher;
+
+/**
+ * Bytes of an image read to tell its format, and its size when it is a PNG
+ * or GIF image.
+ */
+const IMAGE_SNIFF_BYTES = 64;
+
+/**
+ * Limits of the images Slides can insert.
+ */
+const SLIDES_IMAGE_LIMITS = {
+  MAX_BYTES: 50 * 1024 * 1024,
+  MAX_PIXELS: 25 * 1000 * 1000,
+};
+
+/**
+ * Formats of the images Slides can insert, by MIME type.
+ */
+const SLIDES_IMAGE_FORMATS = {
+  'image/png': 'PNG',
+  'image/jpeg': 'JPEG',
+  'image/gif': 'GIF',
+};
+
+/**
+ * Image fetcher backed by Apps Script. HTTP errors are returned rather than
+ * thrown, and headers are keyed by their lower-case name.
+ *
+ * @type {!ImageFetcher}
+ */
+const APPS_SCRIPT_FETCHER = {
+  head: (url) => {
+    try {
+      return toFetchedResource(UrlFetchApp.fetch(
+          url, {method: 'head', muteHttpExceptions: true}), false);
+    } catch (error) {
+      // Hosts that don't answer HEAD requests are checked with a GET one
+      return null;
+    }
+  },
+  // Hosts that ignore the range send the whole content
+  getFirstBytes: (url) => toFetchedResource(UrlFetchApp.fetch(url, {
+    headers: {Range: `bytes=0-${IMAGE_SNIFF_BYTES - 1}`},
+    muteHttpExceptions: true,
+  }), true),
+  get: (url) => toFetchedResource(
+      UrlFetchApp.fetch(url, {muteHttpExceptions: true}), true),
+};
+
+/**
+ * Problems found with the URLs checked during this execution, by URL. An
+ * empty string means the URL is valid.
+ *
+ * @type {!Object<string, string>}
+ */
+const urlValidations = {};
+
+/**
+ * Checks an image source resolved out of an image cell.
+ *
+ * @param {string|!Blob|!File} imageValue URL, blob or Drive file of the image
+ * @param {!ImageFetcher=} fetcher Access to the web
+ * @return {?string} Problem with the image, or null if it is valid
+ */
+function validateImageSource(imageValue, fetcher = APPS_SCRIPT_FETCHER) {
+  if (typeof imageValue === 'string') {
+    if (!(imageValue in urlValidations)) {
+      urlValidations[imageValue] = validateImageUrl(imageValue, fetcher) || '';
+    }
+    return urlValidations[imageValue] || null;
+  }
+  if (imageValue.getMimeType) {
+    return validateImageFile(imageValue);
+  }
+  return validateImageBytes(imageValue.getBytes());
+}
+
+/**
+ * Checks a Drive file by its MIME type and size, as reading it would
+ * download it.
+ *
+ * @param {!File} file Drive file of the image
+ * @return {?string} Problem with the image, or null if it is valid
+ */
+function validateImageFile(file) {
+  const mimeType = file.getMimeType();
+  if (!SLIDES_IMAGE_FORMATS[mimeType]) {
+    return `it is ${mimeType} and not a PNG, JPEG or GIF image`;
+  }
+  if (file.getSize() > SLIDES_IMAGE_LIMITS.MAX_BYTES) {
+    return formatSizeProblem(file.getSize());
+  }
+  return null;
+}
+
+/**
+ * Checks the image a URL points at.
+ *
+ * @param {string} url URL of the image
+ * @param {!ImageFetcher} fetcher Access to the web
+ * @return {?string} Problem with the image, or null if it is valid
+ */
+function validateImageUrl(url, fetcher) {
+  try {
+    const head = fetcher.head(url);
+    if (head) {
+      const problem = validateImageHeaders(head);
+      if (problem) {
+        return problem;
+      }
+    }
+    const resource = fetcher.getFirstBytes(url);
+    return validateImageHeaders(resource) ||
+        validateImageBytes(resource.bytes);
+  } catch (error) {
+    return `it can't be fetched (${error.message})`;
+  }
+}
+
+/**
+ * Checks the status and headers of the response to the request of an image,
+ * or of its first bytes. A missing or generic content type is left to the
+ * check of the content.
+ *
+ * @param {!FetchedResource} resource Response to the request
+ * @return {?string} Problem with the image, or null if none shows
+ */
+function validateImageHeaders(resource) {
+  if (resource.status >= 400) {
+    return `it returned HTTP ${resource.status}`;
+  }
+  const contentType =
+      (resource.headers['content-type'] || '').split(';')[0].trim();
+  if (contentType && contentType !== 'application/octet-stream' &&
+      !SLIDES_IMAGE_FORMATS[contentType.toLowerCase()]) {
+    return `it is ${contentType} and not a PNG, JPEG or GIF image`;
+  }
+  // The size of the whole image ends the range of a partial response
+  const range = /\/(\d+)$/.exec(resource.headers['content-range'] || '');
+  const length = Number(range ? range[1] : resource.headers['content-length']);
+  if (length > SLIDES_IMAGE_LIMITS.MAX_BYTES) {
+    return formatSizeProblem(length);
+  }
+  return null;
+}
+
+/**
+ * Checks the data of an image, or its first bytes. The size of a JPEG image
+ * may not be in its first bytes, in which case it isn't checked.
+ *
+ * @param {!Array<number>} bytes Data of the image, as bytes that may be signed
+ * @return {?string} Problem with the image, or null if it is valid
+ */
+function validateImageBytes(bytes) {
+  if (!sniffImageType(bytes)) {
+    return 'its content is not a PNG, JPEG or GIF image';
+  }
+  if (bytes.length > SLIDES_IMAGE_LIMITS.MAX_BYTES) {
+    return formatSizeProblem(bytes.length);
+  }
+  const size = getImageSize(bytes);
+  if (size && size.width * size.height > SLIDES_IMAGE_LIMITS.MAX_PIXELS) {
+    return `it has ${size.width}x${size.height} pixels, more than the ` +
+        `${SLIDES_IMAGE_LIMITS.MAX_PIXELS / 1000000} megapixels Slides accepts`;
+  }
+  return null;
+}
+
+/**
+ * Tells the format of an image out of its first bytes.
+ *
+ * @param {!Array<number>} bytes Data of the image, as bytes that may be signed
+ * @return {?string} MIME type of the image, or null if it isn't a PNG, JPEG
+ *     or GIF image
+ */
+function sniffImageType(bytes) {
+  const startsWith = (signature) =>
+    signature.every((value, index) => (bytes[index] & 0xff) === value);
+  if (startsWith([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return 'image/png';
+  }
+  if (startsWith([0xff, 0xd8, 0xff])) {
+    return 'image/jpeg';
+  }
+  // GIF87a or GIF89a
+  if (startsWith([0x47, 0x49, 0x46, 0x38]) &&
+      [0x37, 0x39].includes(bytes[4]) && bytes[5] === 0x61) {
+    return 'image/gif';
+  }
+  return null;
+}
+
+/**
+ * Describes an image too large for Slides.
+ *
+ * @param {number} byteCount Size of the image, in bytes
+ * @return {string} Problem with the image
+ */
+function formatSizeProblem(byteCount) {
+  const megabytes = (value) => Math.round(value / 1024 / 1024);
+  return `it weighs ${megabytes(byteCount)} MB, more than the ${
+    megabytes(SLIDES_IMAGE_LIMITS.MAX_BYTES)} MB Slides accepts`;
+}
+
+/**
+ * Converts a response of UrlFetchApp.
+ *
+ * @param {!HTTPResponse} response Response of UrlFetchApp
+ * @param {boolean} withContent Whether the content of the response is read
+ * @return {!FetchedResource} Response, with its headers by lower-case name
+ */
+function toFetchedResource(response, withContent) {
+  const headers = {};
+  for (const [name, value] of Object.entries(response.getHeaders())) {
+    headers[name.toLowerCase()] = String(value);
+  }
+  return {
+    status: response.getResponseCode(),
+    headers: headers,
+    bytes: withContent ? response.getContent() : [],
+  };
+}
+
+/**
+ * Below are the exports required for the linter.
+ * This is necessary because AppsScript doesn't support modules.
+ */
+/* exported FetchedResource */
+/* exported ImageFetcher */
+/* exported validateImageSource */
+/* exported sniffImageType */
@@ -16,9 +16,59 @@
  */
 
 /**
- * @fileoverview Helpful UI elements.
+ * @fileoverview Helpful UI elements, such as the dialog that uploads the
+ * images of the selected rows to the Images folder. Each selected cell names
+ * the image of its row, or the first cell of the row does when it is empty. A
+ * cell holding the id of an image names it after that image. Uploaded files
+ * replace the image the row points at and the images of the folder with the
+ * same name, and the image column of the datasource receives the id of the
+ * uploaded file.
  */
 
+/**
+ * @typedef {{
+ *   rowNumber: number,
+ *   name: string,
+ * }}
+ */
+let UploadRow;
+
+/**
+ * @typedef {{
+ *   fileIndex: number,
+ *   fileName: string,
+ *   rowNumber: ?number,
+ *   name: string,
+ * }}
+ */
+let UploadMapping;
+
+/**
+ * Ways in which uploaded files are matched to the selected rows.
+ */
+const UPLOAD_MATCHING_MODES = {
+  NAME: 'name',
+  ORDER: 'order',
+};
+
+/**
+ * Sizes beyond which the dialog downscales or re-encodes images before
+ * uploading them.
+ */
+const UPLOAD_IMAGE_LIMITS = {
+  MAX_DIMENSION: 2400,
+  MAX_BYTES: 4 * 1024 * 1024,
+};
+
+/**
+ * Extensions of the uploaded images, by MIME type.
+ */
+const UPLOAD_IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+};
+
 
 /**
  * Add menu items for helpful UI.
@@ -31,33 +81,182 @@ function sheetUI() {
 }
 
 /**
-   * Present HTML file Upload form.
-   */
+ * Presents the upload dialog for the selected rows.
+ *
+ * @throws {Error} If no selected row names an image
+ */
 function openUploadDialog() {
-  const activeCell = SpreadsheetApp.getActiveSheet().getActiveCell();
-  if (activeCell && activeCell.getValue() && activeCell.getValue().length > 0) {
-    const criteriaName =
-          SpreadsheetApp.getActiveSheet().getRange(activeCell.getRow(), 1);
-    const html = HtmlService.createTemplateFromFile('image_upload');
-    html.criteriaName = criteriaName.getValue();
-    SpreadsheetApp.getUi()
-        .showModalDialog(html.evaluate(), 'Upload File to Images folder');
-  } else {
+  const sheet = SpreadsheetApp.getActiveSheet();
+  const ranges = sheet.getActiveRangeList() ?
+      sheet.getActiveRangeList().getRanges() : [];
+  const rows = listUploadRows(sheet, ranges);
+  const column = getUploadImageColumn(sheet,
+      ranges.length > 0 ? ranges[0].getColumn() : 1);
+  if (rows.length === 0) {
     SpreadsheetApp.getActiveSpreadsheet()
         .toast(ERROR_MISSING_VALUE);
     throw new Error(ERROR_MISSING_VALUE);
   }
+  const html = HtmlService.createTemplateFromFile('image_upload');
+  html.upload = JSON.stringify({
+    sheetName: sheet.getName(),
+    column: column,
+    rows: rows,
+    limits: UPLOAD_IMAGE_LIMITS,
+    modes: UPLOAD_MATCHING_MODES,
+  });
+  SpreadsheetApp.getUi()
+      .showModalDialog(html.evaluate().setWidth(640).setHeight(520),
+          'Upload images to the Images folder');
+}
+
+/**
+ * Finds the image column of the datasource whose data sheet is the given
+ * sheet: the selected column if it is one of its IMAGE_COLUMNS, else the
+ * first of them.
+ *
+ * @param {!Sheet} sheet The active sheet
+ * @param {number} selectedColumn Position of the first selected column
+ * @return {number} 1-based position of the image column
+ * @throws {Error} If no datasource reads images from the sheet
+ */
+function getUploadImageColumn(sheet, selectedColumn) {
+  for (const datasource of loadDeckConfiguration().DATA_SOURCE_SHEET || []) {
+    const config = loadDatasourceConfiguration(datasource);
+    if (config.DATA_SOURCE_SHEET[0] !== sheet.getName() ||
+        !config.IMAGE_COLUMNS || config.IMAGE_COLUMNS.length === 0) {
+      continue;
+    }
+    const imageColumns = resolveSheetColumns(config, sheet).IMAGE_COLUMNS;
+    return imageColumns.includes(selectedColumn) ?
+        selectedColumn : imageColumns[0];
+  }
+  SpreadsheetApp.getActiveSpreadsheet().toast(ERROR_NO_IMAGE_COLUMN);
+  throw new Error(ERROR_NO_IMAGE_COLUMN);
+}
+
+/**
+ * Lists the selected rows that name an image, in the order of the selection.
+ * Rows pointing at an image by its id, as they do once it is uploaded, are
+ * named after that image.
+ *
+ * @param {!Sheet} sheet The active sheet
+ * @param {!Array<!Range>} ranges Selected ranges, whose first column holds
+ *     the names of the images
+ * @return {!Array<!UploadRow>} Rows, each once
+ */
+function listUploadRows(sheet, ranges) {
+  const rows = [];
+  const rowNumbers = new Set();
+  const column = ranges.length > 0 ? ranges[0].getColumn() : 1;
+  for (const range of ranges) {
+    const firstRow = range.getRow();
+    const cells = sheet.getRange(firstRow, column, range.getNumRows(), 1)
+        .getValues();
+    const keys = sheet.getRange(firstRow, 1, range.getNumRows(), 1)
+        .getValues();
+    cells.forEach(([value], index) => {
+      let name = String(value || keys[index][0]).trim();
+      const imageFile = name && findDriveImage(name);
+      if (imageFile) {
+        name = splitImageName(imageFile.getName()).stem;
+      }
+      const rowNumber = firstRow + index;
+      if (name && !rowNumbers.has(rowNumber)) {
+        rowNumbers.add(rowNumber);
+        rows.push({rowNumber: rowNumber, name: name});
+      }
+    });
+  }
+  return rows;
+}
+
+/**
+ * Matches files picked in the upload dialog to the selected rows, either by
+ * file name, extension excluded and regardless of case, or by order. Each row
+ * takes one file at most.
+ *
+ * @param {!Array<string>} fileNames Names of the files, in the order they
+ *     were picked
+ * @param {!Array<!UploadRow>} rows Selected rows, in order
+ * @param {string} mode One of UPLOAD_MATCHING_MODES
+ * @return {!Array<!UploadMapping>} Row of each file, null for the files
+ *     matching no row
+ */
+function mapUploadsToRows(fileNames, rows, mode) {
+  const takenRows = new Set();
+  return fileNames.map((fileName, fileIndex) => {
+    let row;
+    if (mode === UPLOAD_MATCHING_MODES.ORDER) {
+      row = rows[fileIndex];
+    } else {
+      const stem = splitImageName(fileName.trim().toLowerCase()).stem;
+      row = rows.find((candidate) =>
+        !takenRows.has(candidate.rowNumber) &&
+        candidate.name.toLowerCase() === stem);
+    }
+    if (row) {
+      takenRows.add(row.rowNumber);
+    }
+    return {
+      fileIndex: fileIndex,
+      fileName: fileName,
+      rowNumber: row ? row.rowNumber : null,
+      name: row ? row.name : '',
+    };
+  });
 }
 
 /**
-   * Hand image file upload via a base64 encoded data string.
-   * @param {string} data
-   * @param {string} type
-   */
-function uploadFile(data, type) {
-  const activeCell = SpreadsheetApp.getActiveSheet().getActiveCell();
-  const fileName = activeCell.getValue();
+ * Uploads the image of a row to the Images folder, replacing the image whose
+ * id the row holds and the images named the same whatever their extension,
+ * and writes the id of the file to the image column of the row. Called by the
+ * upload dialog, once per file.
+ *
+ * @param {{
+ *   sheetName: string,
+ *   column: number,
+ *   rowNumber: number,
+ *   name: string,
+ *   data: string,
+ * }} upload Row of the image, and image as a data URL
+ * @return {string} Id of the uploaded file
+ */
+function uploadRowImage(upload) {
+  const [header, base64] = upload.data.split(',');
+  const type = /^data:([^;]+);base64$/.exec(header)[1];
+  const extension = UPLOAD_IMAGE_EXTENSIONS[type];
+  if (!extension) {
+    throw new Error(`${upload.name}: ${type} images can't be inserted`);
+  }
+  const cell = SpreadsheetApp.getActive().getSheetByName(upload.sheetName)
+      .getRange(upload.rowNumber, upload.column);
+  const previousId = getDriveFileId(cell.getValue());
+  const folder = getImagesFolder();
+  const existingFiles = folder.getFiles();
+  while (existingFiles.hasNext()) {
+    const file = existingFiles.next();
+    if (file.getMimeType().startsWith('image/') &&
+        (file.getId() === previousId ||
+         splitImageName(file.getName().toLowerCase()).stem ===
+         upload.name.toLowerCase())) {
+      file.setTrashed(true);
+    }
+  }
+  const blob = Utilities.newBlob(Utilities.base64Decode(base64), type,
+      `${upload.name}.${extension}`);
+  const fileId = folder.createFile(blob).getId();
+  cell.setValue(fileId);
+  return fileId;
+}
 
+/**
+ * Finds the Images folder next to the spreadsheet, creating it if needed.
+ *
+ * @return {!Folder} The Images folder
+ * @throws {Error} If the folder of the spreadsheet can't be accessed
+ */
+function getImagesFolder() {
   const thisFileId = SpreadsheetApp.getActive().getId();
   const thisFile = DriveApp.getFileById(thisFileId);
 
@@ -72,27 +271,18 @@ function uploadFile(data, type) {
         .toast(ERROR_PARENT_FOLDER);
     throw new Error(ERROR_PARENT_FOLDER);
   }
-  const imagesFolders = f.getFoldersByName('Images');
-  let imageFolder;
-  if (!imagesFolders.hasNext()) {
-    imageFolder = f.createFolder('Images');
-  } else {
-    imageFolder = imagesFolders.next();
-  }
-  const imageBlob = Utilities.newBlob(
-      Utilities.base64Decode(data.split(',')[1]),
-      type,
-  );
-  imageBlob.setName(fileName);
-  imageFolder.createFile(imageBlob);
-  SpreadsheetApp.getActiveSpreadsheet()
-      .toast(SUCCESS_UPLOADED + fileName);
+  const imagesFolders = f.getFoldersByName(IMAGES_FOLDER_NAME);
+  return imagesFolders.hasNext() ? imagesFolders.next() :
+      f.createFolder(IMAGES_FOLDER_NAME);
 }
 
 /**
  * Below are the exports required for the linter.
  * This is necessary because AppsScript doesn't support modules.
  */
-/* exported uploadFile */
+/* exported UploadRow */
+/* exported UploadMapping */
+/* exported mapUploadsToRows */
+/* exported uploadRowImage */
 /* exported openUploadDialog */
 /* exported sheetUI */
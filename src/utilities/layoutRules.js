@@ -0,0 +1,164 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Chooses the layout of each row of a collection. The rules
+ * sheet of a datasource (LAYOUT_RULES_SHEET) has one rule per row, with the
+ * columns Column, Condition, Value and Layout, and the first rule matching a
+ * row decides its layout, or skips it when the layout is SKIP. Rows that no
+ * rule matches use the layout named in their LAYOUT_COLUMN cell, and then
+ * LAYOUT_NAME.
+ */
+
+/**
+ * @typedef {{
+ *   column: number,
+ *   condition: string,
+ *   value: string,
+ *   layout: string,
+ * }}
+ */
+let LayoutRule;
+
+/**
+ * Conditions a rule can check on the cell of its column. Comparisons ignore
+ * case and surrounding spaces.
+ */
+const LAYOUT_RULE_CONDITIONS = {
+  EQUALS: 'equals',
+  NOT_EQUALS: 'not equals',
+  CONTAINS: 'contains',
+  EMPTY: 'is empty',
+  NOT_EMPTY: 'is not empty',
+};
+
+/**
+ * Layout of the rules that skip the rows they match.
+ */
+const LAYOUT_RULE_SKIP = 'SKIP';
+
+/**
+ * Parses the values of a rules sheet, header row included, resolving the
+ * columns of the rules against the header row of the data sheet.
+ *
+ * @param {!Array<!Array<*>>} values Values of the rules sheet
+ * @param {!Array<*>} header Header row of the data sheet
+ * @return {{rules: !Array<!LayoutRule>, problems: !Array<!ConfigProblem>}}
+ *     Valid rules, in order, and problems found in the others
+ */
+function parseLayoutRules(values, header) {
+  const rules = [];
+  const problems = [];
+  const conditions = Object.values(LAYOUT_RULE_CONDITIONS);
+  values.slice(1).forEach((ruleRow, index) => {
+    const [column, condition, value, layout] = ruleRow;
+    if (ruleRow.every(isEmptyConfigValue)) {
+      return;
+    }
+    const addProblem = (message) => problems.push({
+      severity: PROBLEM_SEVERITY.ERROR,
+      key: `Rule in row ${index + 2}`,
+      message: message,
+    });
+    const conditionName = String(condition).trim().toLowerCase();
+    if (!conditions.includes(conditionName)) {
+      addProblem(`Unknown condition "${condition}", expected one of: ${
+        conditions.join(', ')}`);
+      return;
+    }
+    if (isEmptyConfigValue(layout)) {
+      addProblem(`Missing layout, use ${LAYOUT_RULE_SKIP} to skip the rows`);
+      return;
+    }
+    if (isEmptyConfigValue(column)) {
+      addProblem('Missing column');
+      return;
+    }
+    try {
+      rules.push({
+        column: getColumnNumber(header, parseColumnReference(column)),
+        condition: conditionName,
+        value: isEmptyConfigValue(value) ? '' : String(value).trim(),
+        layout: String(layout).trim(),
+      });
+    } catch (error) {
+      addProblem(error.message);
+    }
+  });
+  return {rules, problems};
+}
+
+/**
+ * Checks whether a row matches a rule.
+ *
+ * @param {!LayoutRule} rule Rule to check
+ * @param {!Array<*>} row Values of the row
+ * @return {boolean} True if the row matches
+ */
+function matchesLayoutRule(rule, row) {
+  const cell = row[rule.column - 1];
+  const text = isEmptyConfigValue(cell) ? '' :
+      String(cell).trim().toLowerCase();
+  const value = rule.value.toLowerCase();
+  switch (rule.condition) {
+    case LAYOUT_RULE_CONDITIONS.EQUALS:
+      return text === value;
+    case LAYOUT_RULE_CONDITIONS.NOT_EQUALS:
+      return text !== value;
+    case LAYOUT_RULE_CONDITIONS.CONTAINS:
+      return text.includes(value);
+    case LAYOUT_RULE_CONDITIONS.EMPTY:
+      return text === '';
+    case LAYOUT_RULE_CONDITIONS.NOT_EMPTY:
+      return text !== '';
+    default:
+      return false;
+  }
+}
+
+/**
+ * Chooses the layout of a row out of the rules, the layout column and the
+ * layout of the datasource, in that order.
+ *
+ * @param {!Array<*>} row Values of the row
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource, with its columns resolved
+ * @param {!Array<!LayoutRule>} rules Rules of the datasource
+ * @return {?string} Name of the layout, or null if the row is skipped
+ */
+function selectRowLayout(row, config, rules) {
+  const rule = rules.find((rule) => matchesLayoutRule(rule, row));
+  if (rule) {
+    return rule.layout.toUpperCase() === LAYOUT_RULE_SKIP ? null : rule.layout;
+  }
+  if (config.LAYOUT_COLUMN) {
+    const cell = row[config.LAYOUT_COLUMN - 1];
+    if (!isEmptyConfigValue(cell)) {
+      return String(cell).trim();
+    }
+  }
+  return config.LAYOUT_NAME;
+}
+
+/**
+ * Below are the exports required for the linter.
+ * This is necessary because AppsScript doesn't support modules.
+ */
+/* exported LayoutRule */
+/* exported LAYOUT_RULE_SKIP */
+/* exported parseLayoutRules */
+/* exported selectRowLayout */
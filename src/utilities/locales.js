@@ -0,0 +1,110 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generates the same deck in several languages. A deck is
+ * generated per entry of LOCALES, with LOCALE set as a run override. The
+ * localized columns of the configuration then read the variant of their
+ * column for the locale, such as Recommendation_fr for Recommendation, and
+ * the dictionary sheet has one column of strings per locale.
+ */
+
+/**
+ * Separator between the header of a column and the locale of its variants.
+ */
+const LOCALE_COLUMN_SEPARATOR = '_';
+
+/**
+ * Finds the variant of a column for a locale.
+ *
+ * @param {!Array<*>} header Header row of the data sheet
+ * @param {number} column 1-based position of the column
+ * @param {string} locale Locale of the deck, such as fr
+ * @return {number} 1-based position of the variant, or of the column itself
+ *     if it has no variant for the locale
+ */
+function getLocalizedColumn(header, column, locale) {
+  const name = String(header[column - 1]).trim();
+  const variant = `${name}${LOCALE_COLUMN_SEPARATOR}${locale}`.toLowerCase();
+  const index = header.findIndex((cell) =>
+    String(cell).trim().toLowerCase() === variant);
+  return index === -1 ? column : index + 1;
+}
+
+/**
+ * Replaces the values of a record by their variant for a locale, so that the
+ * {{token}} bindings of a column render its translation.
+ *
+ * @param {!Object<string, *>} record Values of a row by header name
+ * @param {string} locale Locale of the deck, empty to keep the record as it is
+ * @return {!Object<string, *>} Localized copy of the record
+ */
+function localizeRecord(record, locale) {
+  const localized = Object.assign({}, record);
+  if (!locale) {
+    return localized;
+  }
+  const suffix = `${LOCALE_COLUMN_SEPARATOR}${locale}`.toLowerCase();
+  for (const [name, value] of Object.entries(record)) {
+    if (name.toLowerCase().endsWith(suffix) && name.length > suffix.length) {
+      localized[name.slice(0, -suffix.length)] = value;
+    }
+  }
+  return localized;
+}
+
+/**
+ * Finds the column of the dictionary sheet holding the strings of a locale.
+ * Dictionaries with a single column of strings are used for every locale.
+ *
+ * @param {!Array<*>} header Header row of the dictionary sheet
+ * @param {string} locale Locale of the deck, empty if it has none
+ * @return {number} 0-based index of the column of strings
+ * @throws {Error} If the dictionary has several columns of strings and none
+ *     of them is for the locale
+ */
+function getDictionaryColumn(header, locale) {
+  if (!locale || header.length <= 2) {
+    return 1;
+  }
+  const index = header.findIndex((cell, column) => column > 0 &&
+    String(cell).trim().toLowerCase() === locale.toLowerCase());
+  if (index === -1) {
+    throw new Error(`The dictionary has no column for the locale "${locale}"`);
+  }
+  return index;
+}
+
+/**
+ * Builds the name of the deck of a locale.
+ *
+ * @param {string} deckName OUTPUT_DECK_NAME of the configuration
+ * @param {string} locale Locale of the deck
+ * @return {string} Name of the deck, suffixed with its locale
+ */
+function getLocaleDeckName(deckName, locale) {
+  return `${deckName} (${locale})`;
+}
+
+/**
+ * Below are the exports required for the linter.
+ * This is necessary because AppsScript doesn't support modules.
+ */
+/* exported getLocalizedColumn */
+/* exported localizeRecord */
+/* exported getDictionaryColumn */
+/* exported getLocaleDeckName */
@@ -0,0 +1,338 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Renders the text fields of datasources with RICH_TEXT set out
+ * of a Markdown subset: **bold**, _italic_, [text](url) links and - bullets,
+ * nested by indenting them with two spaces or a tab. Cells formatted in
+ * Sheets are converted to the same markup when they are read, so that both
+ * go through a single rendering path.
+ */
+
+/**
+ * @typedef {{
+ *   start: number,
+ *   end: number,
+ *   bold: (boolean|undefined),
+ *   italic: (boolean|undefined),
+ *   link: (string|undefined),
+ * }}
+ */
+let RichTextRun;
+
+/**
+ * @typedef {{
+ *   text: string,
+ *   runs: !Array<!RichTextRun>,
+ *   bullets: !Array<{start: number, end: number}>,
+ * }}
+ */
+let RichText;
+
+/**
+ * Inline markup, tried in order at every position of a line. Italic markers
+ * must not touch a letter or digit on their outer side, so that names such as
+ * snake_case are left as they are.
+ */
+const RICH_TEXT_PATTERNS = {
+  ESCAPE: /^\\([\\*_[\]])/,
+  BOLD: /^\*\*(.+?)\*\*/,
+  ITALIC: /^_(.+?)_(?![\p{L}\p{N}])/u,
+  LINK: /^\[([^\]]+)\]\(([^)\s]+)\)/,
+  BULLET: /^([ \t]*)[-*][ \t]+(.*)$/,
+};
+
+/**
+ * Parses a text written with the markup into its plain text, styled runs and
+ * bulleted ranges. Nested bullets start with one tab per level, as expected
+ * by Slides when the bullets are applied. Markup that isn't closed is kept as
+ * it is.
+ *
+ * @param {string} markup Text with markup
+ * @return {!RichText} Plain text and styling, with offsets in the plain text
+ */
+function parseRichText(markup) {
+  const richText = {text: '', runs: [], bullets: []};
+  String(markup).split('\n').forEach((line, index) => {
+    if (index > 0) {
+      richText.text += '\n';
+    }
+    const bullet = line.match(RICH_TEXT_PATTERNS.BULLET);
+    const start = richText.text.length;
+    let content = line;
+    if (bullet) {
+      const indent = bullet[1].replace(/\t/g, '  ').length;
+      richText.text += '\t'.repeat(Math.floor(indent / 2));
+      content = bullet[2];
+    }
+    const inline = parseInlineMarkup(content, richText.text.length);
+    richText.text += inline.text;
+    richText.runs.push(...inline.runs);
+
+    const lastBullet = richText.bullets[richText.bullets.length - 1];
+    if (bullet && lastBullet && lastBullet.end === start - 1) {
+      lastBullet.end = richText.text.length;
+    } else if (bullet) {
+      richText.bullets.push({start: start, end: richText.text.length});
+    }
+  });
+  return richText;
+}
+
+/**
+ * Parses the inline markup of a line.
+ *
+ * @param {string} line Line with markup, without its bullet
+ * @param {number} offset Position of the line in the whole plain text
+ * @return {{text: string, runs: !Array<!RichTextRun>}} Plain text of the line
+ *     and its styled runs
+ */
+function parseInlineMarkup(line, offset) {
+  let text = '';
+  const runs = [];
+  const addStyled = (inner, style) => {
+    const parsed = parseInlineMarkup(inner, offset + text.length);
+    runs.push(Object.assign({
+      start: offset + text.length,
+      end: offset + text.length + parsed.text.length,
+    }, style), ...parsed.runs);
+    text += parsed.text;
+  };
+
+  let position = 0;
+  while (position < line.length) {
+    const rest = line.slice(position);
+    const previous = line.charAt(position - 1);
+    let match;
+    if ((match = rest.match(RICH_TEXT_PATTERNS.ESCAPE))) {
+      text += match[1];
+    } else if ((match = rest.match(RICH_TEXT_PATTERNS.BOLD))) {
+      addStyled(match[1], {bold: true});
+    } else if (!/[\p{L}\p{N}]/u.test(previous) &&
+        (match = rest.match(RICH_TEXT_PATTERNS.ITALIC))) {
+      addStyled(match[1], {italic: true});
+    } else if ((match = rest.match(RICH_TEXT_PATTERNS.LINK))) {
+      addStyled(match[1], {link: match[2]});
+    } else {
+      match = [rest.charAt(0)];
+      text += match[0];
+    }
+    position += match[0].length;
+  }
+  return {text: text, runs: runs};
+}
+
+/**
+ * Escapes the characters of a plain text that would be read as markup.
+ *
+ * @param {string} text Plain text
+ * @return {string} Text that renders as the given plain text
+ */
+function escapeRichText(text) {
+  return text.replace(/[\\*_[\]]/g, '\\$&');
+}
+
+/**
+ * Converts runs of formatted text to markup. Styles are applied line by line,
+ * as the markup doesn't span lines, and leave out the spaces around the text
+ * and the bullet that starts a line.
+ *
+ * @param {!Array<{text: string, bold: boolean, italic: boolean,
+ *     link: ?string}>} runs Runs of text, each with a single style
+ * @return {string} Equivalent markup
+ */
+function richTextRunsToMarkup(runs) {
+  let markup = '';
+  for (const run of runs) {
+    run.text.split('\n').forEach((line, index) => {
+      if (index > 0) {
+        markup += '\n';
+      }
+      const atLineStart = markup === '' || markup.endsWith('\n');
+      const [, leading, content, trailing] = line.match(
+          atLineStart ? /^(\s*(?:[-*][ \t]+)?)(.*?)(\s*)$/ :
+                        /^(\s*)(.*?)(\s*)$/);
+      let styled = escapeRichText(content);
+      if (content && run.link) {
+        styled = `[${styled}](${run.link})`;
+      }
+      if (content && run.italic) {
+        styled = `_${styled}_`;
+      }
+      if (content && run.bold) {
+        styled = `**${styled}**`;
+      }
+      markup += `${leading}${styled}${trailing}`;
+    });
+  }
+  return markup;
+}
+
+/**
+ * Cuts the markup of a part of a text, so that the part renders with the
+ * styles and the bullets it has in the whole text. A part starting within a
+ * bulleted line starts with its bullet.
+ *
+ * @param {string} markup Text with markup
+ * @param {number} start Position of the part in the plain text of the markup
+ * @param {number} end Position after the part in the plain text
+ * @return {string} Markup of the part
+ */
+function sliceRichText(markup, start, end) {
+  const richText = parseRichText(markup);
+  const getStyle = (position) => {
+    const runs = richText.runs.filter((run) =>
+      run.start <= position && position < run.end);
+    const linkRun = runs.find((run) => run.link);
+    return {
+      bold: runs.some((run) => run.bold),
+      italic: runs.some((run) => run.italic),
+      link: linkRun ? linkRun.link : null,
+    };
+  };
+  const runs = [];
+  let bulletLineStart = -1;
+  let position = start;
+  while (position < end) {
+    const lineStart = richText.text.lastIndexOf('\n', position - 1) + 1;
+    const isBulleted = richText.bullets.some((bullet) =>
+      bullet.start <= lineStart && lineStart <= bullet.end);
+    if (isBulleted && bulletLineStart !== lineStart) {
+      bulletLineStart = lineStart;
+      const depth = /^\t*/.exec(richText.text.slice(lineStart))[0].length;
+      runs.push({text: `${'  '.repeat(depth)}- `, bold: false, italic: false,
+        link: null});
+      position = Math.max(position, lineStart + depth);
+      continue;
+    }
+    const style = getStyle(position);
+    const lastRun = runs[runs.length - 1];
+    const char = richText.text.charAt(position);
+    if (lastRun && lastRun.bold === style.bold &&
+        lastRun.italic === style.italic && lastRun.link === style.link) {
+      lastRun.text += char;
+    } else {
+      runs.push(Object.assign({text: char}, style));
+    }
+    position++;
+  }
+  return richTextRunsToMarkup(runs);
+}
+
+/**
+ * Converts the text of a Slides shape to markup, so that it can be cut and
+ * set again through setFieldText without losing its styles.
+ *
+ * @param {!TextRange} textRange Text of the shape
+ * @return {string} Equivalent markup
+ */
+function getTextRangeMarkup(textRange) {
+  const runs = [];
+  for (const paragraph of textRange.getParagraphs()) {
+    const range = paragraph.getRange();
+    const listStyle = range.getListStyle();
+    if (listStyle.isInList()) {
+      runs.push({text: `${'  '.repeat(listStyle.getNestingLevel())}- `,
+        bold: false, italic: false, link: null});
+    }
+    for (const run of range.getRuns()) {
+      const textStyle = run.getTextStyle();
+      runs.push({
+        text: run.asString(),
+        bold: textStyle.isBold() === true,
+        italic: textStyle.isItalic() === true,
+        link: textStyle.hasLink() ? textStyle.getLink().getUrl() : null,
+      });
+    }
+  }
+  return richTextRunsToMarkup(runs).replace(/\n$/, '');
+}
+
+/**
+ * Converts a cell formatted in Sheets to markup.
+ *
+ * @param {?GoogleAppsScript.Spreadsheet.RichTextValue} richTextValue Rich
+ *     text of the cell, null for cells that don't hold text
+ * @return {?string} Markup of the cell, or null if none of its text is bold,
+ *     italic or linked
+ */
+function getCellMarkup(richTextValue) {
+  if (!richTextValue) {
+    return null;
+  }
+  const runs = richTextValue.getRuns().map((run) => ({
+    text: run.getText(),
+    bold: run.getTextStyle().isBold() === true,
+    italic: run.getTextStyle().isItalic() === true,
+    link: run.getLinkUrl(),
+  }));
+  if (!runs.some((run) => run.bold || run.italic || run.link)) {
+    return null;
+  }
+  return richTextRunsToMarkup(runs);
+}
+
+/**
+ * Sets the text of a Slides text range, rendering its markup when RICH_TEXT
+ * is set.
+ *
+ * @param {!TextRange} textRange Text range to set
+ * @param {*} value Value of the field
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource
+ */
+function setFieldText(textRange, value, config) {
+  if (!config.RICH_TEXT) {
+    textRange.setText(value);
+    return;
+  }
+  const richText = parseRichText(String(value));
+  textRange.setText(richText.text);
+  for (const run of richText.runs) {
+    if (run.start === run.end) {
+      continue;
+    }
+    const textStyle = textRange.getRange(run.start, run.end).getTextStyle();
+    if (run.bold) {
+      textStyle.setBold(true);
+    }
+    if (run.italic) {
+      textStyle.setItalic(true);
+    }
+    if (run.link) {
+      textStyle.setLinkUrl(run.link);
+    }
+  }
+  // Bullets remove the leading tabs, so they go last and from the end
+  for (const bullet of [...richText.bullets].reverse()) {
+    textRange.getRange(bullet.start, bullet.end).getListStyle()
+        .applyListPreset(SlidesApp.ListPreset.DISC_CIRCLE_SQUARE);
+  }
+}
+
+/**
+ * Below are the exports required for the linter.
+ * This is necessary because AppsScript doesn't support modules.
+ */
+/* exported RichTextRun */
+/* exported RichText */
+/* exported parseRichText */
+/* exported richTextRunsToMarkup */
+/* exported sliceRichText */
+/* exported getTextRangeMarkup */
+/* exported getCellMarkup */
+/* exported setFieldText */
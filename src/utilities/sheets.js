@@ -20,14 +20,16 @@
  * applies new filter based on criteria, and sorts by a specified column in the
  * trix.
  *
+ * @param {!Object<string, *>} config - Effective configuration of the
+ *     datasource.
  * @param {!Sheet=} sheet - The sheet to apply the filter and sort to. Defaults
- *     to the active sheet.
+ *     to the data sheet of the datasource.
  */
-function filterAndSortData(sheet = undefined) {
+function filterAndSortData(config, sheet = undefined) {
   SpreadsheetApp.getActiveSpreadsheet().toast('Filtering and sorting');
   if (!sheet) {
     sheet = SpreadsheetApp.getActive().getSheetByName(
-        documentProperties.getProperty('DATA_SOURCE_SHEET'));
+        config.DATA_SOURCE_SHEET[0]);
   }
 
   const lastRow = sheet.getLastRow();
@@ -38,22 +40,80 @@ function filterAndSortData(sheet = undefined) {
     previousFilter.remove();
   }
 
-  let sortingOrder = false;
-  if (documentProperties.getProperty('SORTING_ORDER')) {
-    sortingOrder = Boolean(documentProperties.getProperty('SORTING_ORDER'));
-  }
-
+  const columns = resolveSheetColumns(config, sheet);
   const filter = sheet.getRange(1, 1, lastRow, lastColumn).createFilter();
-  const filterColumn = documentProperties.getProperty('FILTER_COLUMN');
-  if (filterColumn && filterColumn.length > 0) {
+  if (columns.FILTER_COLUMN) {
     const failingFilterCriteria =
         SpreadsheetApp.newFilterCriteria().whenTextContains(
-            documentProperties.getProperty('FILTER_TEXT_VALUE'));
-    filter.sort(documentProperties.getProperty('SORTING_COLUMN'), sortingOrder)
-        .setColumnFilterCriteria(
-            documentProperties.getProperty('FILTER_COLUMN'),
-            failingFilterCriteria);
+            columns.FILTER_TEXT_VALUE);
+    filter.sort(columns.SORTING_COLUMN, columns.SORTING_ORDER)
+        .setColumnFilterCriteria(columns.FILTER_COLUMN, failingFilterCriteria);
+  }
+}
+
+/**
+ * Reads the header row (the first row) of a sheet.
+ *
+ * @param {!Sheet} sheet - The sheet to read.
+ * @return {!Array<*>} Values of the header row.
+ */
+function getHeaderRow(sheet) {
+  return sheet.getRange(1, 1, 1, Math.max(sheet.getLastColumn(), 1))
+      .getValues()[0];
+}
+
+/**
+ * Resolves the column references of a configuration, which can be header
+ * names, against the header row of a sheet.
+ *
+ * @param {!Object<string, *>} config - Effective configuration of the
+ *     datasource.
+ * @param {!Sheet=} sheet - The sheet the columns belong to. Defaults to the
+ *     data sheet of the datasource.
+ * @return {!Object<string, *>} Copy of the configuration where every column is
+ *     a 1-based position.
+ * @throws {Error} If a header is missing or appears more than once.
+ */
+function resolveSheetColumns(config, sheet = undefined) {
+  if (!sheet) {
+    sheet = SpreadsheetApp.getActive().getSheetByName(
+        config.DATA_SOURCE_SHEET[0]);
+  }
+  const {values, problems} =
+      resolveColumnReferences(config, getHeaderRow(sheet));
+  if (problems.length > 0) {
+    throw new Error(`Invalid columns for the sheet "${sheet.getName()}":\n${
+      problems.map((problem) => `${problem.key}: ${problem.message}`)
+          .join('\n')}`);
+  }
+  return values;
+}
+
+/**
+ * Reads the layout rules of a datasource, if it has a rules sheet.
+ *
+ * @param {!Object<string, *>} config - Effective configuration of the
+ *     datasource.
+ * @return {!Array<!LayoutRule>} Rules of the datasource, in order.
+ * @throws {Error} If any of the rules is invalid.
+ */
+function loadLayoutRules(config) {
+  if (!config.LAYOUT_RULES_SHEET) {
+    return [];
+  }
+  const spreadsheet = SpreadsheetApp.getActive();
+  const {rules, problems} = parseLayoutRules(
+      spreadsheet.getSheetByName(config.LAYOUT_RULES_SHEET)
+          .getDataRange()
+          .getValues(),
+      getHeaderRow(spreadsheet.getSheetByName(config.DATA_SOURCE_SHEET[0])));
+  if (problems.length > 0) {
+    throw new Error(`Invalid layout rules in the sheet "${
+      config.LAYOUT_RULES_SHEET}":\n${
+      problems.map((problem) => `${problem.key}: ${problem.message}`)
+          .join('\n')}`);
   }
+  return rules;
 }
 
 /**
@@ -61,3 +121,6 @@ function filterAndSortData(sheet = undefined) {
  * This is necessary because AppsScript doesn't support modules.
  */
 /* exported filterAndSortData */
+/* exported getHeaderRow */
+/* exported resolveSheetColumns */
+/* exported loadLayoutRules */
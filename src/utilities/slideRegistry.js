@@ -0,0 +1,172 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Keeps track of the slides generated for every row, so that a
+ * deck can be updated instead of generated again. Each entry of the registry
+ * links the stable key of a row to its slides, together with a hash of the
+ * data they were generated from and a hash of their content at the end of the
+ * generation, used to tell whether they were edited by hand since.
+ */
+
+/**
+ * @typedef {{
+ *   deckId: string,
+ *   datasource: string,
+ *   key: string,
+ *   slideIds: !Array<string>,
+ *   dataHash: string,
+ *   contentHash: string,
+ *   status: string,
+ * }}
+ */
+let RegistryEntry;
+
+/**
+ * Statuses of the entries of the registry.
+ */
+const REGISTRY_STATUSES = {
+  GENERATED: 'Generated',
+  PROTECTED: 'Edited by hand, not updated',
+  REMOVED: 'Removed from the data',
+};
+
+/**
+ * What an update does with the slides of a row.
+ */
+const UPDATE_ACTIONS = {
+  INSERT: 'insert',
+  KEEP: 'keep',
+  UPDATE: 'update',
+  PROTECT: 'protect',
+};
+
+/**
+ * Header of the registry sheet.
+ */
+const REGISTRY_HEADER = [
+  'Deck', 'Datasource', 'Key', 'Slides', 'Data hash', 'Content hash', 'Status',
+];
+
+/**
+ * Computes a short hash (32-bit FNV-1a) of any value that can be serialized
+ * as JSON. It only detects changes, it is not meant to be secure.
+ *
+ * @param {*} value Value to hash
+ * @return {string} Hash, as 8 hexadecimal characters
+ */
+function computeHash(value) {
+  const text = JSON.stringify(value === undefined ? null : value);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
+/**
+ * Builds the key identifying a row across updates: the ROW_KEY_COLUMN value,
+ * or the title of the row, or its position as a last resort.
+ *
+ * @param {!Array<*>} row Values of the row
+ * @param {number} rowNumber 1-based row number in the sheet
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource, with its columns resolved
+ * @return {string} Key of the row
+ */
+function getRowKey(row, rowNumber, config) {
+  for (const column of [config.ROW_KEY_COLUMN, config.TITLE_COLUMN]) {
+    const cell = column ? row[column - 1] : undefined;
+    if (!isEmptyConfigValue(cell)) {
+      return String(cell).trim();
+    }
+  }
+  return `Row ${rowNumber}`;
+}
+
+/**
+ * Decides what an update does with the slides of a row.
+ *
+ * @param {?RegistryEntry} entry Entry of the row, null if it has none
+ * @param {?string} dataHash Hash of the data of the row, null if it can't be
+ *     known and the slides must always be generated again
+ * @param {?boolean} isEdited Whether the slides were edited by hand, null if
+ *     they are no longer in the deck
+ * @param {boolean} force Whether slides edited by hand can be replaced
+ * @return {string} One of UPDATE_ACTIONS
+ */
+function getUpdateAction(entry, dataHash, isEdited, force) {
+  if (!entry || isEdited === null) {
+    return UPDATE_ACTIONS.INSERT;
+  }
+  if (isEdited && !force) {
+    return UPDATE_ACTIONS.PROTECT;
+  }
+  if (dataHash !== null && entry.dataHash === dataHash && !isEdited &&
+      entry.status !== REGISTRY_STATUSES.REMOVED) {
+    return UPDATE_ACTIONS.KEEP;
+  }
+  return UPDATE_ACTIONS.UPDATE;
+}
+
+/**
+ * Parses the values of the registry sheet, header included.
+ *
+ * @param {!Array<!Array<*>>} values Values of the sheet
+ * @return {!Array<!RegistryEntry>} Entries of the registry
+ */
+function parseRegistry(values) {
+  return values.slice(1)
+      .filter((row) => row[0] !== '')
+      .map(([deckId, datasource, key, slideIds, dataHash, contentHash,
+        status]) => ({
+        deckId: String(deckId),
+        datasource: String(datasource),
+        key: String(key),
+        slideIds: String(slideIds).split(',').filter((id) => id !== ''),
+        dataHash: String(dataHash),
+        contentHash: String(contentHash),
+        status: String(status),
+      }));
+}
+
+/**
+ * Serializes registry entries as the values of the registry sheet.
+ *
+ * @param {!Array<!RegistryEntry>} entries Entries of the registry
+ * @return {!Array<!Array<string>>} Values of the sheet, header included
+ */
+function serializeRegistry(entries) {
+  return [REGISTRY_HEADER, ...entries.map((entry) => [
+    entry.deckId, entry.datasource, entry.key, entry.slideIds.join(','),
+    entry.dataHash, entry.contentHash, entry.status,
+  ])];
+}
+
+/**
+ * Below are the exports required for the linter.
+ * This is necessary because AppsScript doesn't support modules.
+ */
+/* exported RegistryEntry */
+/* exported REGISTRY_STATUSES */
+/* exported UPDATE_ACTIONS */
+/* exported computeHash */
+/* exported getRowKey */
+/* exported getUpdateAction */
+/* exported parseRegistry */
+/* exported serializeRegistry */
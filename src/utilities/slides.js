@@ -24,24 +24,22 @@
 
 /**
  * Copies a template deck based on the id specified on the configuration sheet.
- * It creates the deck in the same folder as the recommendations spreadsheet
- * under the assumption that this will be hosted in the vendor's drive.
- * Params are specified in document properties for ease of adjustment during
- * development.
+ * It creates the deck in OUTPUT_FOLDER_ID if set, or else in the same folder
+ * as the recommendations spreadsheet under the assumption that this will be
+ * hosted in the vendor's drive. Params are specified in the configuration
+ * sheet for ease of adjustment during development.
  *
+ * @param {!Object<string, *>} config Effective deck-wide configuration
  * @return {string} Id of the copied deck
  */
-function createBaseDeck() {
-  const parentFolder =
+function createBaseDeck(config) {
+  const parentFolder = config.OUTPUT_FOLDER_ID ?
+      DriveApp.getFolderById(config.OUTPUT_FOLDER_ID) :
       DriveApp.getFileById(SpreadsheetApp.getActiveSpreadsheet().getId())
           .getParents()
           .next();
-  const templateDeck =
-      DriveApp.getFileById(documentProperties.getProperty('TEMPLATE_DECK_ID'));
-  return templateDeck
-      .makeCopy(
-          documentProperties.getProperty('OUTPUT_DECK_NAME'), parentFolder)
-      .getId();
+  const templateDeck = DriveApp.getFileById(config.TEMPLATE_DECK_ID);
+  return templateDeck.makeCopy(config.OUTPUT_DECK_NAME, parentFolder).getId();
 }
 
 /**
@@ -50,10 +48,10 @@ function createBaseDeck() {
  *
  * @param {string} presentationId Id of the new slide deck that has
  *     been generated
- * @param {string} [layoutName] The name of the template layout to retrieve.
+ * @param {string} layoutName The name of the template layout to retrieve.
  * @return {?Layout} Layout object matched by defined name if found or null
  */
-function getTemplateLayout(presentationId, layoutName = null) {
+function getTemplateLayout(presentationId, layoutName) {
   const layouts = SlidesApp.openById(presentationId).getLayouts();
   const layoutId = getTemplateLayoutId(presentationId, layoutName);
   for (const layout of layouts) {
@@ -73,21 +71,18 @@ function getTemplateLayout(presentationId, layoutName = null) {
  *
  * @param {string} presentationId The ID of the new slide deck that has been
  *  generated.
- * @param {string=} layoutName (optional) The name of the layout to match.
+ * @param {string} layoutName The name of the layout to match.
  * @return {string} The ID of the layout matched by the defined name.
  * @throws {Error} If there is a problem retrieving the slide layout.
  */
-function getTemplateLayoutId(presentationId, layoutName = null) {
+function getTemplateLayoutId(presentationId, layoutName) {
   const layouts = Slides.Presentations.get(presentationId).layouts;
-  const nameToMatch =
-      layoutName ? layoutName : documentProperties.getProperty('LAYOUT_NAME');
   for (const layout of layouts) {
-    if (layout.layoutProperties.displayName === nameToMatch) {
+    if (layout.layoutProperties.displayName === layoutName) {
       return layout.objectId;
     }
   }
-  throw new Error(`There was a problem retrieving the slide layout, 
-  please check the configuration tab.`);
+  throw new Error(ERROR_NO_LAYOUT);
 }
 
 /**
@@ -119,36 +114,171 @@ function retrieveShape(slide, typeString) {
  * @param {string} text The text to add to the placeholder.
  * @param {string} defaultValue The default text to add to the placeholder if
  *     `text` is empty.
+ * @param {!Object<string, *>=} config Effective configuration of the
+ *     datasource, whose RICH_TEXT setting renders the markup of the text.
  */
-function addTextToPlaceholder(slide, placeholderType, text, defaultValue) {
+function addTextToPlaceholder(
+    slide, placeholderType, text, defaultValue, config = {}) {
   const placeholder = slide.getPlaceholder(placeholderType).asShape().getText();
   if (text && text.length > 0) {
-    placeholder.setText(text);
+    setFieldText(placeholder, text, config);
   } else {
     placeholder.setText(defaultValue);
   }
 }
 
 /**
- * Finds and replaces all placeholder strings within a slide deck. It stops
- * processing whenever it finds the first empty row within the sheet.
+ * Adds a paragraph at the end of the speaker notes of the slide, separated
+ * from the existing notes by an empty line.
+ *
+ * @param {!Slide} slide The slide to add the notes to.
+ * @param {string} text The text to add to the notes.
+ */
+function appendSpeakerNotes(slide, text) {
+  const notes = slide.getNotesPage().getSpeakerNotesShape().getText();
+  const currentNotes = notes.asString().trim();
+  notes.setText(currentNotes ? `${currentNotes}\n\n${text}` : text);
+}
+
+/**
+ * Sets the text of a placeholder of the slide, unless the slide doesn't have
+ * it or it already has some text.
+ *
+ * @param {!Slide} slide The slide to add the text to.
+ * @param {!SlidesApp.PlaceholderType} placeholderType The type of placeholder
+ *     to add the text to.
+ * @param {string} text The text to add to the placeholder.
+ * @return {?TextRange} Text of the placeholder if it was set, null otherwise.
+ */
+function setEmptyPlaceholderText(slide, placeholderType, text) {
+  const placeholder = slide.getPlaceholder(placeholderType);
+  if (!placeholder) {
+    return null;
+  }
+  const placeholderText = placeholder.asShape().getText();
+  if (placeholderText.asString().trim() !== '') {
+    return null;
+  }
+  return placeholderText.setText(text);
+}
+
+/**
+ * Fills the {{token}} bindings of a slide with the values of a row, keeping
+ * the styling defined on the template. Placeholders the slide left empty are
+ * rendered out of the text of their layout placeholder, while shapes of the
+ * slide itself have their tokens replaced in place. The other shapes of the
+ * layout show on the slide as they are, so their tokens are reported instead.
+ *
+ * @param {!Slide} slide The slide to fill.
+ * @param {!Object<string, *>} record Values of the row by header name.
+ * @param {string=} locale The LOCALE of the deck, used by the formatters.
+ * @param {!Array<string>=} fieldShapeNames Strings matching the layout shapes
+ *     the fields of the slide are set on, see retrieveShape.
+ */
+function fillTemplateTokens(slide, record, locale = '', fieldShapeNames = []) {
+  for (const shape of slide.getShapes()) {
+    const text = shape.getText();
+    const ownText = text.asString();
+    if (hasTemplateTokens(ownText)) {
+      replaceTemplateTokens(text, ownText, record, locale);
+      continue;
+    }
+    const parentPlaceholder = shape.getParentPlaceholder();
+    if (ownText.trim() !== '' || !parentPlaceholder) {
+      continue;
+    }
+    // Every text range ends with a newline that is not part of the content
+    const layoutText =
+        parentPlaceholder.asShape().getText().asString().replace(/\n$/, '');
+    if (hasTemplateTokens(layoutText)) {
+      text.setText(renderTemplate(layoutText, record, locale));
+    }
+  }
+
+  reportLayoutTokenShapes(slide.getLayout().getShapes().map((shape) => ({
+    text: shape.getText().asString(),
+    isPlaceholder:
+        shape.getPlaceholderType() !== SlidesApp.PlaceholderType.NONE,
+  })), fieldShapeNames);
+}
+
+/**
+ * Reports the {{token}} bindings written on the shapes of a layout that
+ * aren't placeholders and hold no field. Slides shows these shapes on every
+ * slide as they are, and a slide can't change them, so their tokens have to
+ * be written in placeholders instead. Each shape is reported once per
+ * generation.
+ *
+ * @param {!Array<{text: string, isPlaceholder: boolean}>} layoutShapes Shapes
+ *     of the layout of a slide
+ * @param {!Array<string>} fieldShapeNames Strings matching the layout shapes
+ *     the fields of the slide are set on, see retrieveShape.
+ */
+function reportLayoutTokenShapes(layoutShapes, fieldShapeNames) {
+  // A field is set on the first shape its string matches
+  const fieldShapeIndexes = new Set(fieldShapeNames.map((name) =>
+    layoutShapes.findIndex((shape) => new RegExp(name).test(shape.text))));
+  layoutShapes.forEach((shape, index) => {
+    if (fieldShapeIndexes.has(index) || shape.isPlaceholder ||
+        !hasTemplateTokens(shape.text)) {
+      return;
+    }
+    const message = `The layout shape "${shape.text.trim()}" isn't a ` +
+        'placeholder, so its {{token}} bindings show as they are. Write ' +
+        'them in a placeholder of the layout instead.';
+    if (!getReportedIssues().some((issue) => issue.message === message)) {
+      reportIssue(PROBLEM_SEVERITY.WARNING,
+          ISSUE_CODES.LAYOUT_TOKENS_NOT_FILLED, message);
+    }
+  });
+}
+
+/**
+ * Replaces the {{token}} bindings of a text with the values of a row, keeping
+ * the styling of each token.
+ *
+ * @param {!TextRange} textRange The text to fill.
+ * @param {string} text The text, as a string.
+ * @param {!Object<string, *>} record Values of the row by header name.
+ * @param {string} locale The LOCALE of the deck, used by the formatters.
+ */
+function replaceTemplateTokens(textRange, text, record, locale) {
+  for (const token of getTemplateTokens(text)) {
+    textRange.replaceAllText(token, renderTemplate(token, record, locale));
+  }
+}
+
+/**
+ * Finds and replaces all placeholder strings within a slide deck. The strings
+ * of DICTIONARY_VALUES are replaced first, then the ones of the dictionary
+ * sheet, whose processing stops at its first empty row. The strings come from
+ * the column of the LOCALE of the deck when the dictionary has one column per
+ * locale.
  * @param {string} newDeckId Id of the new slide deck that has
  *     been generated
+ * @param {!Object<string, *>} config Effective deck-wide configuration
  */
-function customDataInjection(newDeckId) {
+function customDataInjection(newDeckId, config) {
   // TODO: Refactor name - Something more descriptive "DeckWideTextReplacement"
   const presentation = SlidesApp.openById(newDeckId);
 
   SpreadsheetApp.getActiveSpreadsheet().toast('Autofilling strings');
+  for (const [key, value] of Object.entries(config.DICTIONARY_VALUES)) {
+    presentation.replaceAllText(key, String(value));
+  }
+  if (!config.DICTIONARY_SHEET_NAME) {
+    return;
+  }
   const sheet = SpreadsheetApp.getActive().getSheetByName(
-      documentProperties.getProperty('DICTIONARY_SHEET_NAME'),
+      config.DICTIONARY_SHEET_NAME,
   );
 
-  const dictionary = sheet.getDataRange().offset(1, 0).getValues();
+  const [header, ...dictionary] = sheet.getDataRange().getValues();
+  const column = getDictionaryColumn(header, config.LOCALE || '');
 
   for (const row of dictionary) {
     if (!row[0]) break;
-    presentation.replaceAllText(row[0], row[1]);
+    presentation.replaceAllText(row[0], row[column]);
   }
 }
 
@@ -224,7 +354,8 @@ function replaceSlideShapeWithSheetsChart(
     slideChartShape.remove();
     return batchUpdateResponse;
   } catch (err) {
-    console.log('Failed with error: %s', err);
+    reportIssue(PROBLEM_SEVERITY.WARNING, ISSUE_CODES.CHART_FAILED,
+        `The Sheets chart ${sheetChartId} couldn't be added: ${err.message}`);
   }
 }
 
@@ -237,6 +368,10 @@ function replaceSlideShapeWithSheetsChart(
 /* exported getTemplateLayout */
 /* exported retrieveShape */
 /* exported addTextToPlaceholder */
+/* exported appendSpeakerNotes */
+/* exported setEmptyPlaceholderText */
+/* exported fillTemplateTokens */
+/* exported reportLayoutTokenShapes */
 /* exported customDataInjection */
 /* exported createSlideWithTitle */
 /* exported replaceSlideShapeWithSheetsChart */
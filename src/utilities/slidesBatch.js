@@ -0,0 +1,541 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Creates the slides of a collection through batches of Slides
+ * API requests instead of a SlidesApp call per slide, placeholder and shape.
+ * The layouts of the deck and the position of their shapes are read once per
+ * batch, and every slide gets its object ids up front so that its text can be
+ * set in the same batch. The requests give the same slides as the SlidesApp
+ * functions they replace, which are still used for whatever needs the slide
+ * itself, such as images, speaker notes, text fitting, tables and hooks: those
+ * slides are finished once the batch holding them is sent.
+ *
+ * The requests of each row are queued as a unit, which is only registered
+ * once it was sent. A batch that fails to be sent is reported against the
+ * rows it held.
+ */
+
+/**
+ * @typedef {{
+ *   deckId: string,
+ *   units: !Array<!BatchUnit>,
+ *   requestCount: number,
+ *   idPrefix: string,
+ *   nextId: number,
+ *   layouts: ?Object<string, !LayoutInfo>,
+ *   deck: ?Presentation,
+ *   send: function(!Array<!Object>, string),
+ *   onFailed: function(!Error, !Array<!BatchUnit>),
+ * }}
+ */
+let SlidesBatch;
+
+/**
+ * Requests creating the slides of a row, with what to do once they are sent.
+ *
+ * @typedef {{
+ *   requests: !Array<!Object>,
+ *   rowNumber: ?number,
+ *   record: !Object<string, *>,
+ *   onSent: function(),
+ * }}
+ */
+let BatchUnit;
+
+/**
+ * @typedef {{
+ *   objectId: string,
+ *   placeholders: !Array<{objectId: string, type: string, text: string}>,
+ *   shapes: !Array<{text: string, isPlaceholder: boolean, left: number,
+ *       top: number, width: number, height: number}>,
+ * }}
+ */
+let LayoutInfo;
+
+/**
+ * Requests sent at once at most. Larger batches are sent in several calls.
+ */
+const MAX_BATCH_REQUESTS = 500;
+
+/**
+ * EMUs (English Metric Units) per point, the units of the Slides API.
+ */
+const EMU_PER_POINT = 12700;
+
+/**
+ * Placeholder types holding the title, subtitle and body fields.
+ */
+const FIELD_PLACEHOLDER_TYPES = {
+  title: 'TITLE',
+  subtitle: 'SUBTITLE',
+  body: 'BODY',
+};
+
+/**
+ * Starts a batch of requests for a deck.
+ *
+ * @param {string} deckId Id of the deck
+ * @param {function(!Array<!Object>, string)=} send Sends requests to a deck,
+ *     the Slides API by default
+ * @param {function(!Error, !Array<!BatchUnit>)=} onFailed Handles the error
+ *     of the units that couldn't be sent or finished, which are dropped. It
+ *     rethrows the error by default.
+ * @return {!SlidesBatch} Empty batch
+ */
+function createSlidesBatch(
+    deckId, send = sendSlidesRequests, onFailed = (error) => {
+      throw error;
+    }) {
+  return {
+    deckId: deckId,
+    units: [],
+    requestCount: 0,
+    // Ids must stay unique across generations of the same deck
+    idPrefix: `ss${Utilities.getUuid().replace(/-/g, '')}`,
+    nextId: 0,
+    layouts: null,
+    deck: null,
+    send: send,
+    onFailed: onFailed,
+  };
+}
+
+/**
+ * Sends requests to a deck through the Slides API.
+ *
+ * @param {!Array<!Object>} requests Requests to send
+ * @param {string} deckId Id of the deck
+ */
+function sendSlidesRequests(requests, deckId) {
+  Slides.Presentations.batchUpdate({requests: requests}, deckId);
+}
+
+/**
+ * Returns an object id that isn't used in the deck.
+ *
+ * @param {!SlidesBatch} batch Batch the object is created in
+ * @return {string} New object id
+ */
+function newBatchObjectId(batch) {
+  return `${batch.idPrefix}_${batch.nextId++}`;
+}
+
+/**
+ * Adds the requests of a unit to a batch, sending them once the batch is
+ * full.
+ *
+ * @param {!SlidesBatch} batch Batch to add the requests to
+ * @param {!BatchUnit} unit Requests of the unit, in order
+ */
+function queueSlidesRequests(batch, unit) {
+  batch.units.push(unit);
+  batch.requestCount += unit.requests.length;
+  while (batch.requestCount >= MAX_BATCH_REQUESTS) {
+    sendBatchUnits(batch);
+  }
+}
+
+/**
+ * Sends all the units of a batch.
+ *
+ * @param {!SlidesBatch} batch Batch to send
+ */
+function flushSlidesBatch(batch) {
+  while (batch.units.length > 0) {
+    sendBatchUnits(batch);
+  }
+}
+
+/**
+ * Sends the next units of a batch in a call of at most MAX_BATCH_REQUESTS,
+ * which doesn't split a unit unless it is larger. The units are done once the
+ * call succeeds, or handed to the onFailed handler of the batch if it fails.
+ *
+ * @param {!SlidesBatch} batch Batch to send
+ */
+function sendBatchUnits(batch) {
+  const units = takeBatchUnits(batch);
+  try {
+    const requests = units.flatMap((unit) => unit.requests);
+    for (let i = 0; i < requests.length; i += MAX_BATCH_REQUESTS) {
+      batch.send(requests.slice(i, i + MAX_BATCH_REQUESTS), batch.deckId);
+    }
+  } catch (error) {
+    batch.onFailed(error, units);
+    return;
+  }
+  // The deck is opened again to see the slides just created
+  batch.deck = null;
+  for (const unit of units) {
+    try {
+      unit.onSent();
+    } catch (error) {
+      batch.onFailed(error, [unit]);
+    }
+  }
+}
+
+/**
+ * Removes from a batch the units of its next call.
+ *
+ * @param {!SlidesBatch} batch Batch to send
+ * @return {!Array<!BatchUnit>} Units to send in one call, in order
+ */
+function takeBatchUnits(batch) {
+  let requestCount = batch.units[0].requests.length;
+  let unitCount = 1;
+  while (unitCount < batch.units.length && requestCount +
+      batch.units[unitCount].requests.length <= MAX_BATCH_REQUESTS) {
+    requestCount += batch.units[unitCount++].requests.length;
+  }
+  batch.requestCount -= requestCount;
+  return batch.units.splice(0, unitCount);
+}
+
+/**
+ * Returns the deck of a batch through SlidesApp, as of the last call sent.
+ *
+ * @param {!SlidesBatch} batch Batch of the deck
+ * @return {!Presentation} Deck
+ */
+function getBatchDeck(batch) {
+  if (!batch.deck) {
+    batch.deck = SlidesApp.openById(batch.deckId);
+  }
+  return batch.deck;
+}
+
+/**
+ * Returns a layout of the deck of a batch. The layouts are read on first use.
+ *
+ * @param {!SlidesBatch} batch Batch of the deck
+ * @param {string} layoutName Display name of the layout
+ * @return {!LayoutInfo} Layout
+ * @throws {Error} If the deck has no layout with that name
+ */
+function getBatchLayout(batch, layoutName) {
+  if (!batch.layouts) {
+    batch.layouts = {};
+    const presentation = Slides.Presentations.get(batch.deckId, {
+      fields: 'layouts(objectId,layoutProperties,pageElements)',
+    });
+    // The first layout with a name is the one getTemplateLayoutId finds
+    for (const layout of (presentation.layouts || []).slice().reverse()) {
+      batch.layouts[layout.layoutProperties.displayName] =
+          parseLayoutInfo(layout);
+    }
+  }
+  if (!batch.layouts[layoutName]) {
+    throw new Error(ERROR_NO_LAYOUT);
+  }
+  return batch.layouts[layoutName];
+}
+
+/**
+ * Reads the placeholders and the shapes of a layout out of its Slides API
+ * resource, with the position and size of the shapes in points.
+ *
+ * @param {!Object} layout Layout page of the Slides API
+ * @return {!LayoutInfo} Layout
+ */
+function parseLayoutInfo(layout) {
+  const toPoints = (magnitude, unit) =>
+    unit === 'PT' ? magnitude || 0 : (magnitude || 0) / EMU_PER_POINT;
+  const info = {objectId: layout.objectId, placeholders: [], shapes: []};
+  for (const element of layout.pageElements || []) {
+    if (!element.shape) {
+      continue;
+    }
+    const text = ((element.shape.text || {}).textElements || [])
+        .map((textElement) =>
+          (textElement.textRun || textElement.autoText || {}).content || '')
+        .join('');
+    if (element.shape.placeholder) {
+      info.placeholders.push({
+        objectId: element.objectId,
+        type: element.shape.placeholder.type,
+        text: text,
+      });
+    }
+    const size = element.size || {};
+    const transform = element.transform || {};
+    const width = size.width || {};
+    const height = size.height || {};
+    info.shapes.push({
+      text: text,
+      isPlaceholder: Boolean(element.shape.placeholder),
+      left: toPoints(transform.translateX, transform.unit),
+      top: toPoints(transform.translateY, transform.unit),
+      width: toPoints(width.magnitude, width.unit) * (transform.scaleX ?? 1),
+      height: toPoints(height.magnitude, height.unit) * (transform.scaleY ?? 1),
+    });
+  }
+  return info;
+}
+
+/**
+ * Finds the shape of a layout whose text matches a string, like
+ * retrieveShape.
+ *
+ * @param {!LayoutInfo} layout Layout to search
+ * @param {string} typeString Pattern matched against the text of the shapes
+ * @return {{text: string, isPlaceholder: boolean, left: number, top: number,
+ *     width: number, height: number}} First matching shape
+ * @throws {Error} If no shape matches
+ */
+function findLayoutShape(layout, typeString) {
+  const pattern = new RegExp(typeString);
+  const shape = layout.shapes.find((shape) => pattern.test(shape.text));
+  if (!shape) {
+    throw new Error(ERROR_NO_SHAPE + ' ' + typeString);
+  }
+  return shape;
+}
+
+/**
+ * Builds the requests setting the text of a shape, rendering its markup when
+ * RICH_TEXT is set, like setFieldText.
+ *
+ * @param {string} objectId Id of the shape, whose text must be empty
+ * @param {*} value Value of the field
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource
+ * @return {{text: string, requests: !Array<!Object>}} Plain text of the shape
+ *     and the requests setting it
+ */
+function getTextRequests(objectId, value, config) {
+  const richText = config.RICH_TEXT ? parseRichText(String(value)) :
+      {text: String(value), runs: [], bullets: []};
+  if (richText.text === '') {
+    return {text: '', requests: []};
+  }
+  const range = (start, end) =>
+    ({type: 'FIXED_RANGE', startIndex: start, endIndex: end});
+  const requests = [
+    {insertText: {objectId: objectId, text: richText.text, insertionIndex: 0}},
+  ];
+  for (const run of richText.runs) {
+    if (run.start === run.end) {
+      continue;
+    }
+    const style = {};
+    if (run.bold) {
+      style.bold = true;
+    }
+    if (run.italic) {
+      style.italic = true;
+    }
+    if (run.link) {
+      style.link = {url: run.link};
+    }
+    requests.push({updateTextStyle: {
+      objectId: objectId,
+      textRange: range(run.start, run.end),
+      style: style,
+      fields: Object.keys(style).join(','),
+    }});
+  }
+  // Bullets remove the leading tabs, so they go last and from the end
+  for (const bullet of [...richText.bullets].reverse()) {
+    requests.push({createParagraphBullets: {
+      objectId: objectId,
+      textRange: range(bullet.start, bullet.end),
+      bulletPreset: 'BULLET_DISC_CIRCLE_SQUARE',
+    }});
+  }
+  return {text: richText.text, requests: requests};
+}
+
+/**
+ * Builds the requests creating a collection slide at the end of the deck, as
+ * parseFieldsAndCreateCollectionSlide does up to its images. Text boxes and
+ * {{token}} bindings come after the images, so they are only part of the
+ * requests for slides without images.
+ *
+ * @param {!LayoutInfo} layout Layout of the slide
+ * @param {!SlideFields} fields Values of the slide fields
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource
+ * @param {!Object<string, *>} record Values of the row by header name
+ * @param {function(): string} newObjectId Returns unused object ids
+ * @return {{slideId: string, requests: !Array<!Object>,
+ *     fieldShapes: !Array<{field: string, objectId: string}>}} Id of the
+ *     slide, requests creating it and id of the shape of each text field
+ * @throws {Error} If the layout lacks the placeholder or shape of a field
+ */
+function buildCollectionSlideRequests(
+    layout, fields, config, record, newObjectId) {
+  const slideId = newObjectId();
+  const placeholderIds = layout.placeholders.map(() => newObjectId());
+  const requests = [{createSlide: {
+    objectId: slideId,
+    slideLayoutReference: {layoutId: layout.objectId},
+    placeholderIdMappings: layout.placeholders.map((placeholder, index) => ({
+      layoutPlaceholderObjectId: placeholder.objectId,
+      objectId: placeholderIds[index],
+    })),
+  }}];
+  const fieldShapes = [];
+  const ownTexts = [];
+  const filledPlaceholders = new Set();
+
+  for (const [field, type] of Object.entries(FIELD_PLACEHOLDER_TYPES)) {
+    const value = fields[field];
+    if (value === undefined) {
+      continue;
+    }
+    const index = layout.placeholders.findIndex((placeholder) =>
+      placeholder.type === type);
+    if (index === -1) {
+      throw new Error(ERROR_NO_SHAPE + ' ' + type);
+    }
+    fieldShapes.push({field: field, objectId: placeholderIds[index]});
+    // Only text values are set, as addTextToPlaceholder does
+    if (value && value.length > 0) {
+      const text = getTextRequests(placeholderIds[index], value, config);
+      requests.push(...text.requests);
+      ownTexts.push(text.text);
+      filledPlaceholders.add(index);
+    }
+  }
+  if (fields.images.length > 0) {
+    return {slideId: slideId, requests: requests, fieldShapes: fieldShapes};
+  }
+  reportLayoutTokenShapes(layout.shapes, getFieldShapeNames(fields));
+
+  for (const {shape, value} of fields.texts) {
+    const layoutShape = findLayoutShape(layout, shape);
+    if (!value) {
+      continue;
+    }
+    const textBoxId = newObjectId();
+    requests.push({createShape: {
+      objectId: textBoxId,
+      shapeType: 'TEXT_BOX',
+      elementProperties: {
+        pageObjectId: slideId,
+        size: {
+          width: {magnitude: layoutShape.width, unit: 'PT'},
+          height: {magnitude: layoutShape.height, unit: 'PT'},
+        },
+        transform: {
+          scaleX: 1,
+          scaleY: 1,
+          translateX: layoutShape.left,
+          translateY: layoutShape.top,
+          unit: 'PT',
+        },
+      },
+    }});
+    const text = getTextRequests(textBoxId, value, config);
+    requests.push(...text.requests);
+    ownTexts.push(text.text);
+    fieldShapes.push({field: shape, objectId: textBoxId});
+  }
+
+  // Fills the {{token}} bindings the way fillTemplateTokens does
+  const tokens = new Set(ownTexts.flatMap(getTemplateTokens));
+  for (const token of tokens) {
+    requests.push({replaceAllText: {
+      containsText: {text: token, matchCase: false},
+      replaceText: renderTemplate(token, record, config.LOCALE),
+      pageObjectIds: [slideId],
+    }});
+  }
+  layout.placeholders.forEach((placeholder, index) => {
+    const layoutText = placeholder.text.replace(/\n$/, '');
+    if (filledPlaceholders.has(index) || !hasTemplateTokens(layoutText)) {
+      return;
+    }
+    const text = renderTemplate(layoutText, record, config.LOCALE);
+    if (text !== '') {
+      requests.push({insertText: {
+        objectId: placeholderIds[index],
+        text: text,
+        insertionIndex: 0,
+      }});
+    }
+  });
+  return {slideId: slideId, requests: requests, fieldShapes: fieldShapes};
+}
+
+/**
+ * Tells whether the collection slides of a datasource can be created through
+ * a batch. Hooks that run before a slide and insight slides need the deck as
+ * it is being generated.
+ *
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource
+ * @return {boolean} True if the slides can be batched
+ */
+function canBatchCollectionSlides(config) {
+  return shouldCreateCollectionSlide(config) && !config.PRE_SLIDE_FUNCTION &&
+      !hasHooks(HOOK_STAGES.PRE_SLIDE, config) &&
+      !config.INSIGHT_SLIDE_ID_COLUMN;
+}
+
+/**
+ * Tells whether a batched collection slide must be finished with SlidesApp,
+ * once its batch is sent.
+ *
+ * @param {!SlideFields} fields Values of the slide fields
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource
+ * @return {boolean} True if the slide has images, speaker notes, tables,
+ *     texts to fit or a hook that runs after it
+ */
+function needsSlideObject(fields, config) {
+  return fields.images.length > 0 ||
+      !isEmptyConfigValue(fields.notes) ||
+      fields.tables.some((table) => !isEmptyConfigValue(table.value)) ||
+      needsImmediateSend(config) ||
+      Object.values(config.TEXT_FIT).some((strategy) =>
+        strategy !== TEXT_FIT_STRATEGIES.NONE);
+}
+
+/**
+ * Tells whether a batched collection slide must be sent as soon as it is
+ * queued. The code run after a slide sees the deck as it is being generated,
+ * and the slides it appends must follow the slide.
+ *
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource
+ * @return {boolean} True if a hook runs after each slide
+ */
+function needsImmediateSend(config) {
+  return Boolean(config.POST_SLIDE_FUNCTION) ||
+      hasHooks(HOOK_STAGES.POST_SLIDE, config);
+}
+
+/**
+ * Below are the exports required for the linter.
+ * This is necessary because AppsScript doesn't support modules.
+ */
+/* exported SlidesBatch */
+/* exported LayoutInfo */
+/* exported BatchUnit */
+/* exported createSlidesBatch */
+/* exported newBatchObjectId */
+/* exported queueSlidesRequests */
+/* exported flushSlidesBatch */
+/* exported getBatchDeck */
+/* exported getBatchLayout */
+/* exported buildCollectionSlideRequests */
+/* exported canBatchCollectionSlides */
+/* exported needsSlideObject */
+/* exported needsImmediateSend */
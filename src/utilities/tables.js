@@ -0,0 +1,202 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Renders sheet ranges as native Slides tables at the position
+ * of a layout shape. The first row of a range is its header, whose styling is
+ * copied from the sheet and repeated on every continuation slide when the
+ * range has more rows than TABLE_ROWS_PER_SLIDE.
+ */
+
+/**
+ * @typedef {{
+ *   header: !Array<string>,
+ *   rows: !Array<{values: !Array<*>, displayValues: !Array<string>}>,
+ *   headerStyle: {
+ *     backgrounds: !Array<string>,
+ *     fontColors: !Array<string>,
+ *     fontWeights: !Array<string>,
+ *   },
+ * }}
+ */
+let TableData;
+
+/**
+ * Splits the rows of a table in pages of at most rowsPerSlide rows. A table
+ * without rows still has one page, with just its header.
+ *
+ * @param {!Array<T>} rows Rows of the table, header excluded
+ * @param {number} rowsPerSlide Maximum rows per page
+ * @return {!Array<!Array<T>>} Pages of rows
+ * @template T
+ */
+function paginateTableRows(rows, rowsPerSlide) {
+  const pages = [];
+  for (let start = 0; start < rows.length; start += rowsPerSlide) {
+    pages.push(rows.slice(start, start + rowsPerSlide));
+  }
+  return pages.length > 0 ? pages : [[]];
+}
+
+/**
+ * Finds the conditional color of a table cell, out of the thresholds of its
+ * header in TABLE_CELL_COLORS. Thresholds are either the name of a Core Web
+ * Vital, such as LCP, or [low, high] values, and use the COLORS palette.
+ *
+ * @param {string} header Header of the column of the cell
+ * @param {*} value Value of the cell
+ * @param {!Object<string, (string|!Array<number>)>} cellColors Thresholds by
+ *     header
+ * @return {?string} Color of the cell, or null if it is empty or has no
+ *     thresholds
+ */
+function getTableCellColor(header, value, cellColors) {
+  const rule = cellColors[String(header).trim()];
+  const thresholds = typeof rule === 'string' ?
+      CWV[rule.trim().toUpperCase()] :
+      rule;
+  if (!Array.isArray(thresholds) || isEmptyConfigValue(value)) {
+    return null;
+  }
+  return colorForCWV(thresholds, String(value));
+}
+
+/**
+ * Reads a range to be rendered as a table, skipping its empty rows.
+ *
+ * @param {string} rangeReference A1 notation, including the sheet name, or
+ *     name of a named range
+ * @return {!TableData} Data and header styling of the range
+ * @throws {Error} If the range doesn't exist
+ */
+function readTableData(rangeReference) {
+  const spreadsheet = SpreadsheetApp.getActive();
+  let range = spreadsheet.getRangeByName(rangeReference);
+  if (!range) {
+    try {
+      range = spreadsheet.getRange(rangeReference);
+    } catch (error) {
+      throw new Error(`Invalid table range "${rangeReference}"`);
+    }
+  }
+  const values = range.getValues();
+  const displayValues = range.getDisplayValues();
+  const headerRange = range.offset(0, 0, 1);
+  const rows = [];
+  for (let i = 1; i < values.length; i++) {
+    if (values[i].some((cell) => !isEmptyConfigValue(cell))) {
+      rows.push({values: values[i], displayValues: displayValues[i]});
+    }
+  }
+  return {
+    header: displayValues[0],
+    rows: rows,
+    headerStyle: {
+      backgrounds: headerRange.getBackgrounds()[0],
+      fontColors: headerRange.getFontColors()[0],
+      fontWeights: headerRange.getFontWeights()[0],
+    },
+  };
+}
+
+/**
+ * Inserts the tables of a slide, creating continuation slides when a table
+ * has more rows than fit. Continuation slides are copies of the slide made
+ * before any table is inserted, and follow it in the deck.
+ *
+ * @param {!Slide} slide Slide to insert the tables in, already filled
+ * @param {!Array<{shape: string, value: *}>} tables Layout shape and range
+ *     reference of each table
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource
+ * @return {!Array<!Slide>} The slide followed by its continuation slides
+ */
+function addTablesToSlide(slide, tables, config) {
+  const tablePages = tables
+      .filter((table) => !isEmptyConfigValue(table.value))
+      .map((table) => {
+        const data = readTableData(String(table.value).trim());
+        return {
+          shape: retrieveShape(slide, table.shape),
+          data: data,
+          pages: paginateTableRows(data.rows, config.TABLE_ROWS_PER_SLIDE),
+        };
+      });
+  const pageCount =
+      Math.max(1, ...tablePages.map((table) => table.pages.length));
+
+  const slides = [slide];
+  while (slides.length < pageCount) {
+    // Every copy goes right after the previous one, keeping the pages in order
+    slides.push(slides[slides.length - 1].duplicate());
+  }
+  for (const table of tablePages) {
+    table.pages.forEach((rows, page) => {
+      insertTable(slides[page], table.shape, table.data, rows, config);
+    });
+  }
+  return slides;
+}
+
+/**
+ * Inserts one page of a table at the position of a layout shape.
+ *
+ * @param {!Slide} slide Slide to insert the table in
+ * @param {!Shape} shape Layout shape giving the position and size
+ * @param {!TableData} data Data and header styling of the whole table
+ * @param {!Array<{values: !Array<*>, displayValues: !Array<string>}>} rows
+ *     Rows of the page
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource
+ */
+function insertTable(slide, shape, data, rows, config) {
+  const table = slide.insertTable(
+      rows.length + 1, data.header.length, shape.getLeft(), shape.getTop(),
+      shape.getWidth(), shape.getHeight());
+  const bandingColor = config.TABLE_BANDING_COLOR || COLORS.WHITE;
+
+  data.header.forEach((header, column) => {
+    const cell = table.getCell(0, column);
+    cell.getFill().setSolidFill(data.headerStyle.backgrounds[column]);
+    const textStyle = cell.getText().setText(header).getTextStyle();
+    textStyle.setForegroundColor(data.headerStyle.fontColors[column]);
+    textStyle.setBold(data.headerStyle.fontWeights[column] === 'bold');
+  });
+
+  rows.forEach((row, index) => {
+    data.header.forEach((header, column) => {
+      const cell = table.getCell(index + 1, column);
+      cell.getText().setText(row.displayValues[column]);
+      const color = getTableCellColor(
+          header, row.values[column], config.TABLE_CELL_COLORS);
+      if (color) {
+        cell.getFill().setSolidFill(color);
+      } else if (index % 2 === 1) {
+        cell.getFill().setSolidFill(bandingColor);
+      }
+    });
+  });
+}
+
+/**
+ * Below are the exports required for the linter.
+ * This is necessary because AppsScript doesn't support modules.
+ */
+/* exported TableData */
+/* exported paginateTableRows */
+/* exported readTableData */
+/* exported addTablesToSlide */
@@ -0,0 +1,247 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Renders the {{token}} bindings template authors write in the
+ * shapes of a layout, such as {{Recommendation}}, {{LCP | seconds}} or
+ * {{Owner | default:"TBD"}}. A token names a header of the data sheet and can
+ * be followed by any number of formatters, applied from left to right.
+ */
+
+/**
+ * Source of the regular expression matching a token, built on demand as the
+ * global flag makes regular expressions stateful.
+ */
+const TEMPLATE_TOKEN_SOURCE = '\\{\\{([^{}]+)\\}\\}';
+
+/**
+ * Locale of the number formatter when the deck has none.
+ */
+const TEMPLATE_DEFAULT_LOCALE = 'en-US';
+
+/**
+ * Built-in formatters. Each of them receives the value of the field, the
+ * argument written after the colon and the LOCALE of the deck, empty if it
+ * has none, and returns the formatted value.
+ */
+const TEMPLATE_FORMATTERS = {
+  number: (value, decimals = 0, locale = '') => isNumeric(value) ?
+      formatDecimal(
+          Number(value), decimals, locale || TEMPLATE_DEFAULT_LOCALE) :
+      value,
+  percent: (value, decimals = 0, locale = '') => isNumeric(value) ?
+      `${formatDecimal(Number(value) * 100, decimals, locale)}%` :
+      value,
+  date: (value, pattern = '', locale = '') => {
+    if (value === '') {
+      return value;
+    }
+    if (locale && !pattern) {
+      return new Date(value).toLocaleDateString(locale);
+    }
+    return Utilities.formatDate(new Date(value), Session.getScriptTimeZone(),
+        pattern || 'yyyy-MM-dd');
+  },
+  ms: (value, unused = '', locale = '') => isNumeric(value) ?
+      `${formatDecimal(Math.round(Number(value)), 0, locale)} ms` :
+      value,
+  seconds: (value, decimals = 1, locale = '') => isNumeric(value) ?
+      `${formatDecimal(Number(value) / 1000, decimals, locale)} s` :
+      value,
+  upper: (value) => String(value).toUpperCase(),
+  lower: (value) => String(value).toLowerCase(),
+  default: (value, fallback = '') =>
+      value === undefined || value === null || String(value).trim() === '' ?
+      fallback :
+      value,
+};
+
+/**
+ * Formatters registered with registerTemplateFormatter.
+ */
+const customTemplateFormatters = {};
+
+/**
+ * Registers a formatter that can be used in tokens, or replaces a built-in
+ * one. A function defined in the project can also be used as a formatter by
+ * its name without registering it.
+ *
+ * @param {string} name Name used after the pipe in the tokens
+ * @param {function(*, (string|undefined), string): *} formatter Receives the
+ *     value, the argument of the token and the locale of the deck, and
+ *     returns the formatted value
+ */
+function registerTemplateFormatter(name, formatter) {
+  customTemplateFormatters[name] = formatter;
+}
+
+/**
+ * Finds a formatter by name: registered ones first, then the built-in ones and
+ * finally the functions defined in the project.
+ *
+ * @param {string} name Name of the formatter
+ * @return {function(*, ...string): *} Formatter
+ * @throws {Error} If there is no formatter with that name
+ */
+function getTemplateFormatter(name) {
+  if (Object.prototype.hasOwnProperty.call(customTemplateFormatters, name)) {
+    return customTemplateFormatters[name];
+  }
+  if (Object.prototype.hasOwnProperty.call(TEMPLATE_FORMATTERS, name)) {
+    return TEMPLATE_FORMATTERS[name];
+  }
+  try {
+    const formatter = getFunctionByName(name);
+    if (typeof formatter === 'function') {
+      return formatter;
+    }
+  } catch (error) {
+    // Reported below as an unknown formatter
+  }
+  throw new Error(`Unknown formatter "${name}"`);
+}
+
+/**
+ * Checks whether a text contains at least one token.
+ *
+ * @param {string} text Text to check
+ * @return {boolean} True if the text has tokens
+ */
+function hasTemplateTokens(text) {
+  return new RegExp(TEMPLATE_TOKEN_SOURCE).test(text);
+}
+
+/**
+ * Lists the distinct tokens of a text, braces included.
+ *
+ * @param {string} text Text to search
+ * @return {!Array<string>} Tokens found, in order of appearance
+ */
+function getTemplateTokens(text) {
+  return [...new Set(text.match(new RegExp(TEMPLATE_TOKEN_SOURCE, 'g')))];
+}
+
+/**
+ * Splits the expression inside the braces of a token into the name of its
+ * field and its formatters. Pipes and colons inside quotes are kept as text.
+ *
+ * @param {string} expression Content of the token, without the braces
+ * @return {{field: string, filters: !Array<{name: string,
+ *     args: !Array<string>}>}} Parsed token
+ */
+function parseTemplateToken(expression) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+  for (const char of expression) {
+    if (quote) {
+      current += char;
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+      current += char;
+    } else if (char === '|') {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  const unquote = (arg) => arg.trim().replace(/^(["'])([\s\S]*)\1$/, '$2');
+  const filters = parts.slice(1).map((part) => {
+    const separator = part.indexOf(':');
+    if (separator === -1) {
+      return {name: part.trim(), args: []};
+    }
+    return {
+      name: part.slice(0, separator).trim(),
+      args: [unquote(part.slice(separator + 1))],
+    };
+  });
+  return {field: parts[0].trim(), filters: filters};
+}
+
+/**
+ * Replaces every token of a text with the formatted value of its field. Fields
+ * that are not in the record are rendered as empty unless a formatter such as
+ * default handles them.
+ *
+ * @param {string} text Text with tokens
+ * @param {!Object<string, *>} record Values of the row by header name
+ * @param {string=} locale LOCALE of the deck, used by the formatters
+ * @return {string} Rendered text
+ * @throws {Error} If a token uses an unknown formatter
+ */
+function renderTemplate(text, record, locale = '') {
+  return text.replace(
+      new RegExp(TEMPLATE_TOKEN_SOURCE, 'g'), (token, expression) => {
+        const {field, filters} = parseTemplateToken(expression);
+        let value = record[field];
+        for (const filter of filters) {
+          try {
+            value = getTemplateFormatter(filter.name)(
+                value, filter.args[0], locale);
+          } catch (error) {
+            throw new Error(`${error.message} in ${token}`);
+          }
+        }
+        return value === undefined || value === null ? '' : String(value);
+      });
+}
+
+/**
+ * Formats a number with a fixed number of decimals, in the conventions of a
+ * locale when one is given.
+ *
+ * @param {number} number Number to format
+ * @param {number|string} decimals Number of decimals
+ * @param {string} locale Locale, empty for a plain number
+ * @return {string} Formatted number
+ */
+function formatDecimal(number, decimals, locale) {
+  if (!locale) {
+    return number.toFixed(Number(decimals));
+  }
+  return number.toLocaleString(locale, {
+    minimumFractionDigits: Number(decimals),
+    maximumFractionDigits: Number(decimals),
+  });
+}
+
+/**
+ * Checks whether a value can be formatted as a number.
+ *
+ * @param {*} value Value to check
+ * @return {boolean} True if the value is a number or a numeric string
+ */
+function isNumeric(value) {
+  return value !== '' && value !== null && value !== undefined &&
+      !isNaN(Number(value));
+}
+
+/**
+ * Below are the exports required for the linter.
+ * This is necessary because AppsScript doesn't support modules.
+ */
+/* exported registerTemplateFormatter */
+/* exported hasTemplateTokens */
+/* exported getTemplateTokens */
+/* exported renderTemplate */
@@ -0,0 +1,346 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Keeps the text of the slides within their boxes. Slides
+ * doesn't expose the rendered size of a text, so whether it fits is estimated
+ * out of the size of the box, the font size and average line metrics. Each
+ * field uses the strategy set for it in TEXT_FIT: shrink the font, truncate
+ * the text and keep it whole in the speaker notes, continue it on extra
+ * slides, or move what overflows to the speaker notes. With RICH_TEXT, texts
+ * are cut in their markup and each part is rendered again, keeping its
+ * styles.
+ */
+
+/**
+ * @typedef {{
+ *   width: number,
+ *   height: number,
+ * }}
+ */
+let TextBox;
+
+/**
+ * Strategies applied to a text that doesn't fit in its box.
+ */
+const TEXT_FIT_STRATEGIES = {
+  NONE: 'none',
+  SHRINK: 'shrink',
+  TRUNCATE: 'truncate',
+  CONTINUE: 'continue',
+  NOTES: 'notes',
+};
+
+/**
+ * Line metrics, relative to the font size, and the inner padding of the text
+ * boxes of Slides, in points.
+ */
+const TEXT_METRICS = {
+  AVERAGE_CHAR_WIDTH: 0.5,
+  LINE_HEIGHT: 1.2,
+  BOX_PADDING: 7.2,
+  DEFAULT_FONT_SIZE: 14,
+};
+
+/**
+ * Suffix added to the title of the slides a text continues on.
+ */
+const TEXT_CONTINUATION_SUFFIX = ' (cont.)';
+
+/**
+ * Estimates the height a text takes in a box, wrapping every paragraph.
+ *
+ * @param {string} text Text to measure
+ * @param {number} width Width of the box, in points
+ * @param {number} fontSize Font size, in points
+ * @return {number} Estimated height, in points, padding included
+ */
+function estimateTextHeight(text, width, fontSize) {
+  const innerWidth = Math.max(width - 2 * TEXT_METRICS.BOX_PADDING, 1);
+  const charsPerLine = Math.max(
+      Math.floor(innerWidth / (fontSize * TEXT_METRICS.AVERAGE_CHAR_WIDTH)),
+      1);
+  let lines = 0;
+  for (const paragraph of String(text).split('\n')) {
+    lines += Math.max(Math.ceil(paragraph.length / charsPerLine), 1);
+  }
+  return lines * fontSize * TEXT_METRICS.LINE_HEIGHT +
+      2 * TEXT_METRICS.BOX_PADDING;
+}
+
+/**
+ * Checks whether a text fits in a box.
+ *
+ * @param {string} text Text to check
+ * @param {!TextBox} box Size of the box, in points
+ * @param {number} fontSize Font size, in points
+ * @return {boolean} True if the text is estimated to fit
+ */
+function textFits(text, box, fontSize) {
+  return estimateTextHeight(text, box.width, fontSize) <= box.height;
+}
+
+/**
+ * Finds the largest font size, down to minFontSize, at which a text fits.
+ *
+ * @param {string} text Text to fit
+ * @param {!TextBox} box Size of the box, in points
+ * @param {number} fontSize Current font size, in points
+ * @param {number} minFontSize Smallest font size allowed, in points
+ * @return {number} Font size to use, minFontSize if the text never fits
+ */
+function findFittingFontSize(text, box, fontSize, minFontSize) {
+  let size = fontSize;
+  while (size > minFontSize && !textFits(text, box, size)) {
+    size--;
+  }
+  return Math.max(size, minFontSize);
+}
+
+/**
+ * Finds the longest start of a text that fits in a box, cut at a word
+ * boundary when possible.
+ *
+ * @param {string} text Text to cut
+ * @param {!TextBox} box Size of the box, in points
+ * @param {number} fontSize Font size, in points
+ * @param {string=} suffix Text added after the cut, which must fit as well
+ * @return {string} Start of the text, without the suffix, trimmed
+ */
+function findFittingPrefix(text, box, fontSize, suffix = '') {
+  let low = 0;
+  let high = text.length;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (textFits(text.slice(0, middle) + suffix, box, fontSize)) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  let prefix = text.slice(0, low);
+  const lastSpace = prefix.search(/\s\S*$/);
+  if (low < text.length && lastSpace > 0) {
+    prefix = prefix.slice(0, lastSpace);
+  }
+  return prefix.trim();
+}
+
+/**
+ * Truncates a text with an ellipsis so that it fits in a box.
+ *
+ * @param {string} text Text to truncate
+ * @param {!TextBox} box Size of the box, in points
+ * @param {number} fontSize Font size, in points
+ * @return {string} The text if it fits, its truncated version otherwise
+ */
+function truncateToFit(text, box, fontSize) {
+  if (textFits(text, box, fontSize)) {
+    return text;
+  }
+  return findFittingPrefix(text, box, fontSize, '…') + '…';
+}
+
+/**
+ * Splits a text between the start that fits in a box and the rest.
+ *
+ * @param {string} text Text to split
+ * @param {!TextBox} box Size of the box, in points
+ * @param {number} fontSize Font size, in points
+ * @return {{kept: string, overflow: string}} Start of the text that fits and
+ *     the rest, empty if the whole text fits
+ */
+function splitOverflow(text, box, fontSize) {
+  const trimmedText = text.trim();
+  if (textFits(trimmedText, box, fontSize)) {
+    return {kept: trimmedText, overflow: ''};
+  }
+  const kept = findFittingPrefix(trimmedText, box, fontSize);
+  return {kept: kept, overflow: trimmedText.slice(kept.length).trim()};
+}
+
+/**
+ * Splits a text in parts that fit in a box each.
+ *
+ * @param {string} text Text to split
+ * @param {!TextBox} box Size of the box, in points
+ * @param {number} fontSize Font size, in points
+ * @return {!Array<string>} Parts of the text, a single one if it fits
+ */
+function splitToFit(text, box, fontSize) {
+  const parts = [];
+  let rest = text.trim();
+  while (rest && !textFits(rest, box, fontSize)) {
+    let part = findFittingPrefix(rest, box, fontSize);
+    if (!part) {
+      // Not even a word fits, move on with a single character
+      part = rest.charAt(0);
+    }
+    parts.push(part);
+    rest = rest.slice(part.length).trim();
+  }
+  if (rest || parts.length === 0) {
+    parts.push(rest);
+  }
+  return parts;
+}
+
+/**
+ * Applies the TEXT_FIT strategies to the text fields of a slide, creating
+ * continuation slides right after it when a field continues. Fields without
+ * a strategy are left as they are.
+ *
+ * @param {!Slide} slide Slide whose fields have already been set
+ * @param {!Array<{field: string, shape: !Shape}>} fieldShapes Shape holding
+ *     each text field, by field name (title, subtitle, body or a TEXT_SHAPES
+ *     entry)
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource
+ * @return {!Array<!Slide>} The slide followed by its continuation slides
+ */
+function fitSlideTexts(slide, fieldShapes, config) {
+  const continuations = [];
+  for (const {field, shape} of fieldShapes) {
+    const strategy = config.TEXT_FIT[field] || TEXT_FIT_STRATEGIES.NONE;
+    const textRange = shape.getText();
+    const markup = config.RICH_TEXT && strategy !== TEXT_FIT_STRATEGIES.NONE ?
+        getTextRangeMarkup(textRange) : null;
+    const text = markup === null ?
+        textRange.asString().replace(/\n$/, '') : parseRichText(markup).text;
+    const box = {width: shape.getWidth(), height: shape.getHeight()};
+    const fontSize = textRange.getTextStyle().getFontSize() ||
+        TEXT_METRICS.DEFAULT_FONT_SIZE;
+    if (strategy === TEXT_FIT_STRATEGIES.NONE ||
+        textFits(text, box, fontSize)) {
+      continue;
+    }
+    switch (strategy) {
+      case TEXT_FIT_STRATEGIES.SHRINK:
+        textRange.getTextStyle().setFontSize(findFittingFontSize(
+            text, box, fontSize, config.TEXT_FIT_MIN_FONT_SIZE));
+        break;
+      case TEXT_FIT_STRATEGIES.TRUNCATE: {
+        const [kept] = getPartValues(
+            [truncateToFit(text, box, fontSize).slice(0, -1)], text, markup);
+        resetFieldText(textRange, `${kept}…`, config);
+        appendSpeakerNotes(slide, text);
+        break;
+      }
+      case TEXT_FIT_STRATEGIES.NOTES: {
+        const {kept, overflow} = splitOverflow(text, box, fontSize);
+        resetFieldText(
+            textRange, getPartValues([kept], text, markup)[0], config);
+        appendSpeakerNotes(slide, overflow);
+        break;
+      }
+      case TEXT_FIT_STRATEGIES.CONTINUE:
+        continuations.push({field: field, parts: getPartValues(
+            splitToFit(text, box, fontSize), text, markup)});
+        break;
+    }
+  }
+  if (continuations.length === 0) {
+    return [slide];
+  }
+
+  const pageCount = Math.max(...continuations.map(({parts}) => parts.length));
+  const slides = [slide];
+  while (slides.length < pageCount) {
+    // Every copy goes right after the previous one, keeping the pages in order
+    slides.push(slides[slides.length - 1].duplicate());
+  }
+  slides.forEach((page, index) => {
+    const pageShapes = getTextFieldShapes(page, fieldShapes);
+    for (const {field, parts} of continuations) {
+      resetFieldText(pageShapes[field].getText(), parts[index] || '', config);
+    }
+    const title = page.getPlaceholder(SlidesApp.PlaceholderType.TITLE);
+    if (index > 0 && title) {
+      title.asShape().getText().appendText(TEXT_CONTINUATION_SUFFIX);
+    }
+  });
+  return slides;
+}
+
+/**
+ * Gives the values to set for parts of the text of a field: the parts
+ * themselves, or their markup when the field has one.
+ *
+ * @param {!Array<string>} parts Parts of the text, in the order they appear
+ * @param {string} text Plain text of the field
+ * @param {?string} markup Markup of the field, null without RICH_TEXT
+ * @return {!Array<string>} Value of each part
+ */
+function getPartValues(parts, text, markup) {
+  let position = 0;
+  return parts.map((part) => {
+    const start = text.indexOf(part, position);
+    position = start + part.length;
+    return markup === null ? part : sliceRichText(markup, start, position);
+  });
+}
+
+/**
+ * Sets again the text of a field. With RICH_TEXT, the styles of the previous
+ * text are cleared first, as the markup of the new text holds all of them.
+ *
+ * @param {!TextRange} textRange Text of the field
+ * @param {string} value New value of the field
+ * @param {!Object<string, *>} config Effective configuration of the
+ *     datasource
+ */
+function resetFieldText(textRange, value, config) {
+  if (config.RICH_TEXT) {
+    textRange.getTextStyle().setBold(false).setItalic(false).removeLink();
+    textRange.getListStyle().removeFromList();
+  }
+  setFieldText(textRange, value, config);
+}
+
+/**
+ * Finds, on a copy of a slide, the shapes holding the same text fields as on
+ * the original. Copies keep the position of every page element, so shapes
+ * are matched by their index.
+ *
+ * @param {!Slide} slide Original slide or one of its copies
+ * @param {!Array<{field: string, shape: !Shape}>} fieldShapes Shapes of the
+ *     fields on the original slide
+ * @return {!Object<string, !Shape>} Shape of each field on the given slide
+ */
+function getTextFieldShapes(slide, fieldShapes) {
+  const original = fieldShapes[0].shape.getParentPage().asSlide();
+  const originalIds = original.getShapes().map((shape) => shape.getObjectId());
+  const shapes = slide.getShapes();
+  const fieldShapesOnSlide = {};
+  for (const {field, shape} of fieldShapes) {
+    fieldShapesOnSlide[field] =
+        shapes[originalIds.indexOf(shape.getObjectId())];
+  }
+  return fieldShapesOnSlide;
+}
+
+/**
+ * Below are the exports required for the linter.
+ * This is necessary because AppsScript doesn't support modules.
+ */
+/* exported TextBox */
+/* exported TEXT_FIT_STRATEGIES */
+/* exported truncateToFit */
+/* exported splitOverflow */
+/* exported splitToFit */
+/* exported findFittingFontSize */
+/* exported fitSlideTexts */
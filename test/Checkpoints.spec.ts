@@ -0,0 +1,73 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { assert } from "chai";
+import "mocha";
+import rewire from "rewire";
+
+const checkpoints = rewire('../src/checkpoints.js');
+
+const isUnitGenerated = checkpoints.__get__('isUnitGenerated');
+const formatGenerationProgress =
+    checkpoints.__get__('formatGenerationProgress');
+
+describe('isUnitGenerated', () => {
+  const progress = {
+    deckId: 'deck', datasourceIndex: 1, unitIndex: 3, anchorSlideId: null,
+    entries: [],
+  };
+
+  it('should skip the units before the checkpoint', () => {
+    assert.isTrue(isUnitGenerated(progress, 0, 10));
+    assert.isTrue(isUnitGenerated(progress, 1, 2));
+  });
+
+  it('should generate the units from the checkpoint on', () => {
+    assert.isFalse(isUnitGenerated(progress, 1, 3));
+    assert.isFalse(isUnitGenerated(progress, 2, 0));
+  });
+
+  it('should generate every unit without a checkpoint', () => {
+    assert.isFalse(isUnitGenerated(null, 0, 0));
+  });
+});
+
+describe('formatGenerationProgress', () => {
+  const checkpoint = {
+    runOverrides: {},
+    deckOverrides: [{LOCALE: 'de'}],
+    deckIds: ['fr-deck'],
+    progress: {
+      deckId: 'de-deck', datasourceIndex: 1, unitIndex: 4,
+      anchorSlideId: null, entries: new Array(12),
+    },
+    warnings: [],
+    executions: 3,
+  };
+
+  it('should describe the deck and the unit to resume at', () => {
+    assert.strictEqual(formatGenerationProgress(checkpoint, 3),
+        'Deck 2 of 2: 12 units of slides generated, resuming at unit 5 of ' +
+        'datasource 2 of 3. Execution 3, the generation continues in a ' +
+        'minute.');
+  });
+
+  it('should tell when only the end of the deck is left', () => {
+    assert.include(formatGenerationProgress(checkpoint, 1),
+        '12 units of slides generated, finishing the deck');
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { assert } from "chai";
+import "mocha";
+import rewire from "rewire";
+
+const schema = rewire('../src/constants/configSchema.js');
+const config = rewire('../src/utilities/config.js');
+config.__set__('CONFIG_TYPES', schema.__get__('CONFIG_TYPES'));
+config.__set__('CONFIG_SCHEMA', schema.__get__('CONFIG_SCHEMA'));
+config.__set__('CONFIG_RULES', schema.__get__('CONFIG_RULES'));
+config.__set__('getLocalizedColumn',
+    rewire('../src/utilities/locales.js').__get__('getLocalizedColumn'));
+
+const CONFIG_SCOPES = schema.__get__('CONFIG_SCOPES');
+const parseConfiguration = config.__get__('parseConfiguration');
+const resolveConfiguration = config.__get__('resolveConfiguration');
+const validateConfiguration = config.__get__('validateConfiguration');
+const getColumnNumber = config.__get__('getColumnNumber');
+const resolveColumnReferences = config.__get__('resolveColumnReferences');
+
+describe('parseConfiguration', () => {
+  it('should parse "FALSE" as false', () => {
+    const {values, problems} = parseConfiguration({SORTING_ORDER: 'FALSE'});
+    assert.isFalse(values.SORTING_ORDER);
+    assert.isEmpty(problems);
+  });
+
+  it('should parse checkbox values as booleans', () => {
+    const {values} = parseConfiguration({SINGLE_VALUE: true});
+    assert.isTrue(values.SINGLE_VALUE);
+  });
+
+  it('should parse columns and lists', () => {
+    const {values} = parseConfiguration({
+      TITLE_COLUMN: 3,
+      IMAGE_SHAPES: 'desktop, mobile',
+      IMAGE_COLUMNS: '4, 5',
+    });
+    assert.strictEqual(values.TITLE_COLUMN, 3);
+    assert.deepEqual(values.IMAGE_SHAPES, ['desktop', 'mobile']);
+    assert.deepEqual(values.IMAGE_COLUMNS, [4, 5]);
+  });
+
+  it('should keep header names as column references', () => {
+    const {values, problems} = parseConfiguration({
+      TITLE_COLUMN: ' Title ',
+      IMAGE_COLUMNS: 'Desktop, 5,',
+    });
+    assert.strictEqual(values.TITLE_COLUMN, 'Title');
+    assert.deepEqual(values.IMAGE_COLUMNS, ['Desktop', 5, undefined]);
+    assert.isEmpty(problems);
+  });
+
+  it('should accept 0 for non-negative whole numbers only', () => {
+    const {values, problems} = parseConfiguration({
+      IMAGE_CACHE_MAX_AGE_HOURS: '0',
+      TIME_BUDGET_SECONDS: '0',
+    });
+    assert.strictEqual(values.IMAGE_CACHE_MAX_AGE_HOURS, 0);
+    assert.deepEqual(problems.map((problem) => problem.key),
+        ['TIME_BUDGET_SECONDS']);
+  });
+
+  it('should skip empty values', () => {
+    const {values} = parseConfiguration({TITLE_COLUMN: ''});
+    assert.notProperty(values, 'TITLE_COLUMN');
+  });
+
+  it('should report every invalid value', () => {
+    const {problems} = parseConfiguration({
+      SORTING_ORDER: 'yes',
+      PRE_SLIDE_FUNCTION: 'add badge',
+      POST_SLIDE_FUNCTION_ARGS: '{shapes:',
+    });
+    assert.deepEqual(problems.map((problem: any) => problem.key),
+        ['SORTING_ORDER', 'PRE_SLIDE_FUNCTION', 'POST_SLIDE_FUNCTION_ARGS']);
+  });
+
+  it('should warn about unknown keys', () => {
+    const {problems} = parseConfiguration({TITLE_COLUM: '1'});
+    assert.strictEqual(problems[0].severity, 'warning');
+  });
+});
+
+describe('validateConfiguration', () => {
+  it('should report missing required keys of the scope', () => {
+    const problems = validateConfiguration(
+        resolveConfiguration([]).values, CONFIG_SCOPES.DECK);
+    assert.sameMembers(problems.map((problem: any) => problem.key),
+        ['TEMPLATE_DECK_ID', 'OUTPUT_DECK_NAME', 'DATA_SOURCE_SHEET']);
+  });
+
+  it('should report image shapes and columns of different lengths', () => {
+    const values = resolveConfiguration([{
+      name: 'Configuration_Recommendations',
+      values: parseConfiguration({
+        LAYOUT_NAME: 'Recommendation',
+        IMAGE_SHAPES: 'desktop, mobile',
+        IMAGE_COLUMNS: '4',
+      }).values,
+    }]).values;
+    const problems = validateConfiguration(values, CONFIG_SCOPES.DATASOURCE);
+    assert.lengthOf(problems, 1);
+    assert.strictEqual(problems[0].key, 'IMAGE_SHAPES, IMAGE_COLUMNS');
+  });
+
+  it('should accept a valid datasource configuration', () => {
+    const values = resolveConfiguration([{
+      name: 'Configuration_Recommendations',
+      values: parseConfiguration({
+        LAYOUT_NAME: 'Recommendation',
+        TITLE_COLUMN: '2',
+        FILTER_COLUMN: '6',
+        FILTER_TEXT_VALUE: 'Fail',
+        SORTING_COLUMN: '1',
+      }).values,
+    }]).values;
+    assert.isEmpty(validateConfiguration(values, CONFIG_SCOPES.DATASOURCE));
+  });
+});
+
+describe('resolveConfiguration', () => {
+  const base = {
+    name: 'Configuration',
+    values: {LAYOUT_NAME: 'Recommendation', TITLE_COLUMN: 2},
+  };
+
+  it('should let each layer override the previous ones', () => {
+    const {values, sources} = resolveConfiguration([
+      base,
+      {name: 'Configuration_Web', values: {TITLE_COLUMN: 3}},
+      {name: 'Run overrides', values: {LAYOUT_NAME: 'Critical'}},
+    ]);
+    assert.strictEqual(values.TITLE_COLUMN, 3);
+    assert.strictEqual(values.LAYOUT_NAME, 'Critical');
+    assert.strictEqual(sources.TITLE_COLUMN, 'Configuration_Web');
+    assert.strictEqual(sources.LAYOUT_NAME, 'Run overrides');
+  });
+
+  it('should fill in the defaults of undefined keys', () => {
+    const {values, sources} = resolveConfiguration([base]);
+    assert.isFalse(values.SORTING_ORDER);
+    assert.strictEqual(sources.SORTING_ORDER, 'Default');
+  });
+
+  it('should not share values between datasources', () => {
+    const web = resolveConfiguration([
+      base,
+      {name: 'Configuration_Web', values: {PRE_SLIDE_FUNCTION: 'addBadge'}},
+    ]);
+    const app = resolveConfiguration([
+      base,
+      {name: 'Configuration_App', values: {}},
+    ]);
+    assert.strictEqual(web.values.PRE_SLIDE_FUNCTION, 'addBadge');
+    assert.notProperty(app.values, 'PRE_SLIDE_FUNCTION');
+  });
+});
+
+describe('resolveColumnReferences', () => {
+  const header = ['URL', 'Title', 'Desktop', 'Mobile', 'Title copy', 'Status'];
+
+  it('should keep numeric columns as they are', () => {
+    assert.strictEqual(getColumnNumber(header, 7), 7);
+  });
+
+  it('should resolve header names to 1-based columns', () => {
+    const {values, problems} = resolveColumnReferences({
+      TITLE_COLUMN: 'Title',
+      IMAGE_COLUMNS: ['Desktop', 4, undefined],
+      FILTER_TEXT_VALUE: 'Fail',
+    }, header);
+    assert.isEmpty(problems);
+    assert.strictEqual(values.TITLE_COLUMN, 2);
+    assert.deepEqual(values.IMAGE_COLUMNS, [3, 4, undefined]);
+    assert.strictEqual(values.FILTER_TEXT_VALUE, 'Fail');
+  });
+
+  it('should report missing headers', () => {
+    const {problems} = resolveColumnReferences(
+        {BODY_COLUMN: 'Description'}, header);
+    assert.lengthOf(problems, 1);
+    assert.strictEqual(problems[0].key, 'BODY_COLUMN');
+    assert.include(problems[0].message, '"Description"');
+  });
+
+  it('should resolve localized columns to their variant', () => {
+    const {values} = resolveColumnReferences({
+      LOCALE: 'fr',
+      TITLE_COLUMN: 'Title',
+      BODY_COLUMN: 'Status',
+      FILTER_COLUMN: 'Title',
+    }, [...header, 'Title_fr']);
+    assert.strictEqual(values.TITLE_COLUMN, 7);
+    assert.strictEqual(values.BODY_COLUMN, 6);
+    assert.strictEqual(values.FILTER_COLUMN, 2);
+  });
+
+  it('should report headers that appear more than once', () => {
+    assert.throws(() => getColumnNumber([...header, 'Status'], 'Status'),
+        /columns \(6, 7\)/);
+  });
+});
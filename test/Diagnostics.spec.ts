@@ -0,0 +1,148 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { assert } from "chai";
+import "mocha";
+import rewire from "rewire";
+
+const diagnostics = rewire('../src/diagnostics.js');
+diagnostics.__set__('PROBLEM_SEVERITY', {ERROR: 'error', WARNING: 'warning'});
+diagnostics.__set__('ERROR_NO_SHAPE', 'No shape.');
+diagnostics.__set__('ERROR_NO_LAYOUT', 'No layout.');
+diagnostics.__set__('ISSUES_SHEET', 'Issues');
+diagnostics.__set__('ROW_ERROR_POLICIES', {ABORT: 'abort', SKIP: 'skip'});
+
+const startDiagnostics = diagnostics.__get__('startDiagnostics');
+const setDiagnosticsContext = diagnostics.__get__('setDiagnosticsContext');
+const setDiagnosticsDataSheet =
+    diagnostics.__get__('setDiagnosticsDataSheet');
+const setDiagnosticsRow = diagnostics.__get__('setDiagnosticsRow');
+const reportIssue = diagnostics.__get__('reportIssue');
+const handleRowError = diagnostics.__get__('handleRowError');
+const getReportedIssues = diagnostics.__get__('getReportedIssues');
+const recordIssues = diagnostics.__get__('recordIssues');
+const getIssueRowLink = diagnostics.__get__('getIssueRowLink');
+const summarizeIssues = diagnostics.__get__('summarizeIssues');
+
+describe('reportIssue', () => {
+  it('should report issues against the current row', () => {
+    startDiagnostics();
+    setDiagnosticsContext('Products');
+    setDiagnosticsDataSheet('Product data');
+    setDiagnosticsRow(4);
+    reportIssue('warning', 'IMAGE_NOT_FOUND', 'No image for shoe');
+    setDiagnosticsRow(null);
+    reportIssue('warning', 'CHART_FAILED', 'No chart');
+    assert.deepEqual(getReportedIssues(), [
+      {
+        severity: 'warning', code: 'IMAGE_NOT_FOUND', datasource: 'Products',
+        dataSheet: 'Product data', rowNumber: 4, message: 'No image for shoe',
+      },
+      {
+        severity: 'warning', code: 'CHART_FAILED', datasource: 'Products',
+        dataSheet: 'Product data', rowNumber: null, message: 'No chart',
+      },
+    ]);
+  });
+});
+
+describe('handleRowError', () => {
+  beforeEach(() => {
+    startDiagnostics();
+  });
+
+  it('should abort the generation by default', () => {
+    const error = new Error('No shape. {{logo}}');
+    assert.throws(() => handleRowError(error, {ON_ROW_ERROR: 'abort'}, null),
+        error);
+    assert.equal(getReportedIssues()[0].code, 'SHAPE_NOT_FOUND');
+  });
+
+  it('should skip the row when the policy says so', () => {
+    handleRowError(new Error('No layout.'), {ON_ROW_ERROR: 'skip'}, null);
+    assert.deepEqual(getReportedIssues().map(
+        (issue: {code: string}) => issue.code), ['LAYOUT_NOT_FOUND']);
+  });
+
+  it('should let a pause through without reporting it', () => {
+    const error = new Error('Paused');
+    assert.throws(() => handleRowError(
+        error, {ON_ROW_ERROR: 'skip'}, {paused: true}), error);
+    assert.isEmpty(getReportedIssues());
+  });
+});
+
+describe('recordIssues', () => {
+  it('should link the rows to the data sheet of their datasource', () => {
+    let rows: unknown[][] = [];
+    const issuesSheet = {
+      getLastRow: () => 1,
+      getRange: () => ({
+        setValues: (values: unknown[][]) => {
+          rows = values;
+        },
+      }),
+    };
+    const sheets: {[name: string]: object} = {
+      'Issues': issuesSheet,
+      'Product data': {getSheetId: () => 123},
+    };
+    diagnostics.__with__({SpreadsheetApp: {getActive: () => ({
+      getSheetByName: (name: string) => sheets[name] || null,
+    })}})(() => recordIssues([{
+      severity: 'error', code: 'GENERATION_FAILED', datasource: 'Products',
+      dataSheet: 'Product data', rowNumber: 7, message: 'Oops',
+    }]));
+    assert.equal(rows[0][4], '=HYPERLINK("#gid=123&range=A7:7", 7)');
+  });
+});
+
+describe('getIssueRowLink', () => {
+  const issue = {
+    severity: 'error', code: 'GENERATION_FAILED', datasource: 'Products',
+    rowNumber: 7, message: 'Oops',
+  };
+
+  it('should link to the row of the datasource sheet', () => {
+    assert.equal(getIssueRowLink(issue, 123),
+        '=HYPERLINK("#gid=123&range=A7:7", 7)');
+  });
+
+  it('should fall back to the row number without a sheet', () => {
+    assert.equal(getIssueRowLink(issue, null), 7);
+    assert.equal(
+        getIssueRowLink(Object.assign({}, issue, {rowNumber: null}), 123), '');
+  });
+});
+
+describe('summarizeIssues', () => {
+  it('should count the issues and list the first ones', () => {
+    const issues = Array.from({length: 12}, (_, index) => ({
+      severity: index === 0 ? 'error' : 'warning',
+      code: 'IMAGE_NOT_FOUND',
+      datasource: 'Products',
+      rowNumber: index + 2,
+      message: `Image ${index}`,
+    }));
+    const lines = summarizeIssues(issues).split('\n');
+    assert.equal(lines[0],
+        '1 errors and 11 warnings, listed on the "Issues" sheet.');
+    assert.equal(lines[2],
+        '[ERROR] IMAGE_NOT_FOUND (Products, row 2): Image 0');
+    assert.equal(lines[lines.length - 1], 'and 2 more.');
+  });
+});
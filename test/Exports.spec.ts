@@ -0,0 +1,106 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { assert } from "chai";
+import "mocha";
+import rewire from "rewire";
+
+const templating = rewire('../src/utilities/templating.js');
+const exportsModule = rewire('../src/exports.js');
+exportsModule.__set__('renderTemplate', templating.__get__('renderTemplate'));
+
+const exportDeck = exportsModule.__get__('exportDeck');
+
+/**
+ * Local stand-in for Drive, keeping the saved files in memory.
+ */
+class LocalDrive {
+  files: {[id: string]: {name: string, folderId: string}} = {
+    deck: {name: 'Audit', folderId: 'decks'},
+  };
+  saved: {folderId: string, name: string, content: string}[] = [];
+
+  getFile(fileId: string) {
+    return this.files[fileId];
+  }
+
+  exportFile(fileId: string, format: string) {
+    return `${fileId} as ${format}`;
+  }
+
+  saveFile(folderId: string, blob: string, name: string) {
+    this.saved.push({folderId: folderId, name: name, content: blob});
+    return `https://drive/${folderId}/${name}`;
+  }
+}
+
+describe('exportDeck', () => {
+  it('should export the deck to every format next to it', () => {
+    const drive = new LocalDrive();
+    const exported = exportDeck('deck', {
+      EXPORT_FORMATS: ['pdf', 'pptx'],
+      EXPORT_FILE_NAME: '{{Deck}}',
+    }, drive);
+    assert.deepEqual(drive.saved, [
+      {folderId: 'decks', name: 'Audit.pdf', content: 'deck as pdf'},
+      {folderId: 'decks', name: 'Audit.pptx', content: 'deck as pptx'},
+    ]);
+    assert.deepEqual(exported.map((file: any) => file.url), [
+      'https://drive/decks/Audit.pdf',
+      'https://drive/decks/Audit.pptx',
+    ]);
+  });
+
+  it('should use the export folder and the file name pattern', () => {
+    const drive = new LocalDrive();
+    exportDeck('deck', {
+      EXPORT_FORMATS: ['pdf'],
+      EXPORT_FOLDER_ID: 'delivery',
+      EXPORT_FILE_NAME: '{{Deck}} {{Locale | upper}} ({{Format}})',
+      LOCALE: 'fr',
+    }, drive);
+    assert.deepEqual(drive.saved.map(({folderId, name}) => [folderId, name]),
+        [['delivery', 'Audit FR (PDF).pdf']]);
+  });
+});
+
+describe('exportGeneratedDeck', () => {
+  const exportGeneratedDeck = exportsModule.__get__('exportGeneratedDeck');
+
+  it('should report a failed export as a warning', () => {
+    const drive = new LocalDrive();
+    drive.exportFile = () => {
+      throw new Error('Export limit exceeded');
+    };
+    const issues: string[][] = [];
+    const recorded: any[] = [];
+    exportsModule.__with__({
+      PROBLEM_SEVERITY: {WARNING: 'WARNING'},
+      ISSUE_CODES: {EXPORT_FAILED: 'EXPORT_FAILED'},
+      reportIssue: (severity: string, code: string, message: string) =>
+        issues.push([severity, code, message]),
+      recordExportedFiles: (name: string, files: any[]) =>
+        recorded.push(files),
+    })(() => exportGeneratedDeck('deck', {
+      EXPORT_FORMATS: ['pdf'],
+      EXPORT_FILE_NAME: '{{Deck}}',
+    }, drive));
+    assert.deepEqual(issues, [['WARNING', 'EXPORT_FAILED',
+      'The deck could not be exported: Export limit exceeded']]);
+    assert.deepEqual(recorded, []);
+  });
+});
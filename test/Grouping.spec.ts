@@ -0,0 +1,104 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { assert } from "chai";
+import "mocha";
+import rewire from "rewire";
+
+const config = rewire('../src/utilities/config.js');
+const grouping = rewire('../src/utilities/grouping.js');
+grouping.__set__('isEmptyConfigValue', config.__get__('isEmptyConfigValue'));
+
+const groupRows = grouping.__get__('groupRows');
+const paginateGroups = grouping.__get__('paginateGroups');
+const getGroupSlideRecord = grouping.__get__('getGroupSlideRecord');
+const getGroupSlideTitle = grouping.__get__('getGroupSlideTitle');
+
+const toRows = (values: any[][]) => values.map((row, index) => ({
+  rowNumber: index + 2,
+  values: row,
+  record: {Category: row[0], Recommendation: row[1]},
+}));
+
+describe('groupRows', () => {
+  const rows = toRows([
+    ['Images', 'Compress images', 3, 'Medium'],
+    ['Scripts', 'Defer scripts', 1, 'Low'],
+    ['Images', 'Lazy load images', 1, 'Critical'],
+    ['Images', 'Use WebP', 2, 'Low'],
+  ]);
+  const groupConfig = {
+    GROUP_BY_COLUMN: 1,
+    GROUP_SORTING_COLUMN: 3,
+    GROUP_SORTING_ORDER: true,
+    GROUP_SEVERITY_COLUMN: 4,
+    GROUP_SEVERITY_ORDER: ['Critical', 'Medium', 'Low'],
+  };
+
+  it('should keep the groups in order of first appearance', () => {
+    const groups = groupRows(rows, groupConfig);
+    assert.deepEqual(groups.map((group: any) => group.name),
+        ['Images', 'Scripts']);
+  });
+
+  it('should sort the rows within each group', () => {
+    const [images] = groupRows(rows, groupConfig);
+    assert.deepEqual(images.rows.map((row: any) => row.values[1]),
+        ['Lazy load images', 'Use WebP', 'Compress images']);
+    const [descending] = groupRows(
+        rows, {...groupConfig, GROUP_SORTING_ORDER: false});
+    assert.strictEqual(descending.rows[0].values[1], 'Compress images');
+  });
+
+  it('should find the worst severity of each group', () => {
+    const [images, scripts] = groupRows(rows, groupConfig);
+    assert.strictEqual(images.worstSeverity, 'Critical');
+    assert.strictEqual(scripts.worstSeverity, 'Low');
+  });
+});
+
+describe('paginateGroups', () => {
+  const groups = groupRows(toRows([
+    ['Images', 'Compress images'],
+    ['Images', 'Lazy load images'],
+    ['Images', 'Use WebP'],
+    ['Scripts', 'Defer scripts'],
+  ]), {GROUP_BY_COLUMN: 1, GROUP_ITEM_COLUMN: 2});
+
+  it('should continue groups on extra slides', () => {
+    const slides = paginateGroups(groups, 2);
+    assert.deepEqual(
+        slides.map((slide: any) => [slide.group.name, slide.rows.length]),
+        [['Images', 2], ['Images', 1], ['Scripts', 1]]);
+    assert.strictEqual(getGroupSlideTitle(slides[1]), 'Images (2/2)');
+    assert.strictEqual(getGroupSlideTitle(slides[2]), 'Scripts');
+  });
+
+  it('should create one slide per group without a cap', () => {
+    assert.lengthOf(paginateGroups(groups, undefined), 2);
+  });
+
+  it('should expose the group fields to the bindings', () => {
+    const [first] = paginateGroups(groups, 2);
+    const record = getGroupSlideRecord(first, {GROUP_ITEM_COLUMN: 2});
+    assert.strictEqual(record['Group'], 'Images');
+    assert.strictEqual(record['Count'], 3);
+    assert.strictEqual(record['Items'], 'Compress images\nLazy load images');
+    assert.strictEqual(record['Page'], 1);
+    assert.strictEqual(record['Recommendation'], 'Compress images');
+  });
+});
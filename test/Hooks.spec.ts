@@ -0,0 +1,82 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { assert } from "chai";
+import "mocha";
+import rewire from "rewire";
+
+const helpers = rewire('../src/utilities/helpers.js');
+const hooks = rewire('../src/hooks.js');
+hooks.__set__('getFunctionByName', helpers.__get__('getFunctionByName'));
+hooks.__set__('getReportedIssues', () => []);
+hooks.__set__('reportIssue', () => {});
+
+const parseHooks = hooks.__get__('parseHooks');
+const registerHook = hooks.__get__('registerHook');
+const runHooks = hooks.__get__('runHooks');
+
+describe('parseHooks', () => {
+  it('should list the function names of each stage', () => {
+    assert.deepEqual(
+        parseHooks('{"postSlide": "styleSlide", "postDeck": ["a", "b "]}'),
+        {value: {postSlide: ['styleSlide'], postDeck: ['a', 'b']}});
+  });
+
+  it('should reject unknown stages', () => {
+    assert.match(parseHooks('{"afterSlide": "styleSlide"}').error,
+        /unknown hook stage "afterSlide"/);
+  });
+
+  it('should reject invalid function names', () => {
+    assert.deepEqual(parseHooks('{"postDeck": "share(deck)"}'),
+        {error: '"share(deck)" is not a valid function name'});
+  });
+});
+
+describe('runHooks', () => {
+  it('should run the registered hooks, then the configured ones', () => {
+    const calls: string[] = [];
+    (globalThis as any).logDatasource = (context: {stage: string}) =>
+      calls.push(`logDatasource ${context.stage}`);
+    registerHook('postDatasource',
+        (context: {stage: string}) => calls.push(`registered ${context.stage}`));
+    runHooks('postDatasource', {HOOKS: {postDatasource: ['logDatasource']}},
+        {datasource: 'Products'});
+    assert.deepEqual(calls, [
+      'registered postDatasource', 'logDatasource postDatasource',
+    ]);
+  });
+
+  it('should pass a context with every value of the stage', () => {
+    let context: {[key: string]: unknown} = {};
+    registerHook('onRowSkipped', (hookContext: {[key: string]: unknown}) => {
+      context = hookContext;
+    });
+    const config = {HOOKS: {}};
+    runHooks('onRowSkipped', config, {datasource: 'Products', row: {Id: 3}});
+    assert.include(context, {
+      stage: 'onRowSkipped', config: config, datasource: 'Products',
+      slide: null, error: null,
+    });
+    assert.deepEqual(context.row, {Id: 3});
+  });
+
+  it('should only register hooks of known stages', () => {
+    assert.throws(() => registerHook('afterDeck', () => {}),
+        'Unknown hook stage "afterDeck"');
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { assert } from "chai";
+import "mocha";
+import rewire from "rewire";
+
+const imageFit = rewire('../src/utilities/imageFit.js');
+const imageValidation = rewire('../src/utilities/imageValidation.js');
+imageValidation.__set__('getImageSize', imageFit.__get__('getImageSize'));
+const imageCache = rewire('../src/utilities/imageCache.js');
+imageCache.__set__('IMAGE_CACHE_MODES', {OFF: 'off', ON: 'on', ONLY: 'only'});
+for (const name of ['validateImageHeaders', 'validateImageBytes',
+  'sniffImageType']) {
+  imageCache.__set__(name, imageValidation.__get__(name));
+}
+
+imageCache.__set__('isValidImageUrl',
+    rewire('../src/utilities/helpers.js').__get__('isValidImageUrl'));
+
+const resolveCachedImage = imageCache.__get__('resolveCachedImage');
+const isImageCacheFile = imageCache.__get__('isImageCacheFile');
+
+const PNG = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const URL = 'https://example.com/logo.png';
+const NOW = new Date('2024-06-01T12:00:00Z');
+
+/**
+ * Builds a store holding at most one image, created at the given time.
+ *
+ * @param {?Date} created Creation time of the cached image, null if none
+ * @return {!Object} Store, with the saved images in saved
+ */
+function fakeStore(created: Date|null) {
+  const store = {
+    saved: [] as any[],
+    find: () => created ? {file: 'cached', created: created} : null,
+    save: (key: string, url: string, bytes: number[], type: string) => {
+      store.saved.push({key, url, type});
+      return 'fetched';
+    },
+  };
+  return store;
+}
+
+/**
+ * Builds a fetcher that serves the given response, or fails when null.
+ *
+ * @param {?Object} response Response to GET requests
+ * @return {!Object} Fetcher, with the number of requests made in requests
+ */
+function fakeFetcher(response: any) {
+  const fetcher = {
+    requests: 0,
+    head: () => null,
+    get: () => {
+      fetcher.requests++;
+      if (!response) {
+        throw new Error('timeout');
+      }
+      return response;
+    },
+  };
+  return fetcher;
+}
+
+describe('resolveCachedImage', () => {
+  const config = {IMAGE_CACHE: 'on', IMAGE_CACHE_MAX_AGE_HOURS: 24};
+  const image = {status: 200, headers: {}, bytes: PNG};
+
+  it('should use fresh images without fetching them', () => {
+    const fetcher = fakeFetcher(image);
+    const result = resolveCachedImage(URL, 'key', config,
+        fakeStore(new Date('2024-06-01T00:00:00Z')), fetcher, NOW);
+    assert.deepEqual(result, {file: 'cached', problem: null});
+    assert.equal(fetcher.requests, 0);
+  });
+
+  it('should never expire images with a maximum age of 0', () => {
+    const fetcher = fakeFetcher(image);
+    const result = resolveCachedImage(URL, 'key',
+        {IMAGE_CACHE: 'on', IMAGE_CACHE_MAX_AGE_HOURS: 0},
+        fakeStore(new Date('2020-01-01T00:00:00Z')), fetcher, NOW);
+    assert.deepEqual(result, {file: 'cached', problem: null});
+    assert.equal(fetcher.requests, 0);
+  });
+
+  it('should fetch and save missing or expired images', () => {
+    const store = fakeStore(new Date('2024-05-30T00:00:00Z'));
+    const result =
+        resolveCachedImage(URL, 'key', config, store, fakeFetcher(image), NOW);
+    assert.deepEqual(result, {file: 'fetched', problem: null});
+    assert.deepEqual(store.saved, [{key: 'key', url: URL, type: 'image/png'}]);
+  });
+
+  it('should keep expired images when their host fails', () => {
+    const store = fakeStore(new Date('2024-05-30T00:00:00Z'));
+    assert.deepEqual(
+        resolveCachedImage(URL, 'key', config, store, fakeFetcher(null), NOW),
+        {file: 'cached', problem: null});
+    assert.deepEqual(
+        resolveCachedImage(URL, 'key', config, store,
+            fakeFetcher({status: 500, headers: {}, bytes: []}), NOW),
+        {file: 'cached', problem: null});
+    assert.isEmpty(store.saved);
+  });
+
+  it('should not cache invalid images', () => {
+    const store = fakeStore(null);
+    const result = resolveCachedImage(URL, 'key', config, store,
+        fakeFetcher({status: 404, headers: {}, bytes: []}), NOW);
+    assert.deepEqual(result, {file: null, problem: 'it returned HTTP 404'});
+    assert.isEmpty(store.saved);
+  });
+
+  it('should neither fetch nor save images when read-only', () => {
+    const store = fakeStore(new Date('2024-05-30T00:00:00Z'));
+    const fetcher = fakeFetcher(image);
+    assert.deepEqual(resolveCachedImage(URL, 'key', config, store, fetcher, NOW,
+        true), {file: null, problem: null});
+    assert.equal(fetcher.requests, 0);
+    assert.isEmpty(store.saved);
+  });
+
+  it('should never fetch images when only the cache is used', () => {
+    const onlyConfig = {IMAGE_CACHE: 'only', IMAGE_CACHE_MAX_AGE_HOURS: 24};
+    const fetcher = fakeFetcher(image);
+    assert.deepEqual(resolveCachedImage(URL, 'key', onlyConfig,
+        fakeStore(new Date('2020-01-01T00:00:00Z')), fetcher, NOW),
+    {file: 'cached', problem: null});
+    assert.deepEqual(resolveCachedImage(URL, 'key', onlyConfig,
+        fakeStore(null), fetcher, NOW),
+    {file: null, problem: 'it is not in the image cache'});
+    assert.equal(fetcher.requests, 0);
+  });
+});
+
+describe('isImageCacheFile', () => {
+  const key = 'ab'.repeat(32);
+
+  it('should recognize the files written by the cache', () => {
+    assert.isTrue(isImageCacheFile(key, URL));
+  });
+
+  it('should leave out other files', () => {
+    assert.isFalse(isImageCacheFile('logo.png', URL));
+    assert.isFalse(isImageCacheFile(key, ''));
+    assert.isFalse(isImageCacheFile(key.toUpperCase(), URL));
+  });
+});
+
+describe('purgeImageCache', () => {
+  const purgeImageCache = imageCache.__get__('purgeImageCache');
+  const key = 'ab'.repeat(32);
+
+  /**
+   * Purges a cache folder holding one unreferenced image, for a deck made of
+   * the given datasources.
+   *
+   * @param {!Object} datasources Configuration of every datasource
+   * @return {!Object} Removed images, trashed file and alerts
+   */
+  function purge(datasources: {[name: string]: any}) {
+    const alerts: string[] = [];
+    const file = {
+      trashed: false,
+      getName: () => key,
+      getDescription: () => URL,
+      setTrashed: (trashed: boolean) => file.trashed = trashed,
+    };
+    let removed = 0;
+    imageCache.__with__({
+      loadDeckConfiguration: () => ({
+        IMAGE_CACHE_FOLDER: 'Image cache',
+        DATA_SOURCE_SHEET: Object.keys(datasources),
+      }),
+      getImageCacheFolder: () => ({getFiles: () => {
+        const files = [file];
+        return {hasNext: () => files.length > 0, next: () => files.shift()};
+      }}),
+      listTargetRunOverrides: () => [],
+      getDeckOverrides: (runOverrides: any) => [runOverrides],
+      loadDatasourceConfiguration: (datasource: string) =>
+        datasources[datasource],
+      getSingleSlideFields: () => ({images: []}),
+      SpreadsheetApp: {getUi: () => ({
+        alert: (title: string, message: string) => alerts.push(message),
+        ButtonSet: {OK: 'OK'},
+      })},
+    })(() => removed = purgeImageCache());
+    return {removed, trashed: file.trashed, alerts};
+  }
+
+  it('should remove the images no datasource references', () => {
+    const result = purge({Summary: {SINGLE_VALUE: true}});
+    assert.deepEqual(result, {removed: 1, trashed: true,
+      alerts: ['1 cached images that no row references were removed.']});
+  });
+
+  it('should remove nothing when a datasource uses a custom function', () => {
+    const result = purge({
+      Summary: {SINGLE_VALUE: true},
+      Scores: {CUSTOM_FUNCTION: 'getScores'},
+    });
+    assert.equal(result.removed, 0);
+    assert.isFalse(result.trashed);
+    assert.match(result.alerts[0], /datasources Scores come from a/);
+  });
+});
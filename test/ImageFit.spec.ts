@@ -0,0 +1,125 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { assert } from "chai";
+import "mocha";
+import rewire from "rewire";
+
+const imageFit = rewire('../src/utilities/imageFit.js');
+
+const parseImageFit = imageFit.__get__('parseImageFit');
+const getImageFit = imageFit.__get__('getImageFit');
+const computeImageBox = imageFit.__get__('computeImageBox');
+const getImageSize = imageFit.__get__('getImageSize');
+
+/**
+ * Converts bytes to signed values, as Apps Script returns them.
+ *
+ * @param {!Array<number>} bytes Unsigned bytes
+ * @return {!Array<number>} Signed bytes
+ */
+function toSignedBytes(bytes: number[]) {
+  return bytes.map((byte) => (byte > 127 ? byte - 256 : byte));
+}
+
+describe('getImageFit', () => {
+  const config = {IMAGE_FIT: {'logo-location': 'contain left'}};
+
+  it('should use the option of the layout shape first', () => {
+    assert.deepEqual(
+        getImageFit('logo-location', 'logo-location [fit: native top]',
+            config),
+        {mode: 'native', gravity: 'top'});
+  });
+
+  it('should fall back to IMAGE_FIT, then to stretch', () => {
+    assert.deepEqual(getImageFit('logo-location', 'logo-location', config),
+        {mode: 'contain', gravity: 'left'});
+    assert.deepEqual(getImageFit('chart-location', 'chart-location', config),
+        {mode: 'stretch', gravity: 'center'});
+  });
+
+  it('should reject unknown modes and gravities', () => {
+    assert.isNull(parseImageFit('fill'));
+    assert.isNull(parseImageFit('contain middle'));
+    assert.throws(() => getImageFit('logo', 'logo [fit: zoom]', config),
+        'Invalid image fit "[fit: zoom]" in the shape logo');
+  });
+
+  it('should reject a gravity after cover', () => {
+    assert.deepEqual(parseImageFit('cover'),
+        {mode: 'cover', gravity: 'center'});
+    assert.isNull(parseImageFit('cover top-left'));
+    assert.throws(
+        () => getImageFit('logo', 'logo [fit: cover top-left]', config),
+        'Invalid image fit "[fit: cover top-left]" in the shape logo');
+  });
+});
+
+describe('computeImageBox', () => {
+  const box = {left: 10, top: 20, width: 200, height: 100};
+
+  it('should letterbox a contained image by its gravity', () => {
+    assert.deepEqual(computeImageBox({width: 400, height: 400}, box,
+        {mode: 'contain', gravity: 'center'}),
+    {left: 60, top: 20, width: 100, height: 100});
+    assert.deepEqual(computeImageBox({width: 400, height: 400}, box,
+        {mode: 'contain', gravity: 'right'}),
+    {left: 110, top: 20, width: 100, height: 100});
+  });
+
+  it('should keep the native size of images that fit', () => {
+    assert.deepEqual(computeImageBox({width: 40, height: 20}, box,
+        {mode: 'native', gravity: 'top-left'}),
+    {left: 10, top: 20, width: 30, height: 15});
+  });
+
+  it('should fill the shape when covering, stretching or unsized', () => {
+    assert.deepEqual(computeImageBox({width: 400, height: 400}, box,
+        {mode: 'cover', gravity: 'center'}), box);
+    assert.deepEqual(computeImageBox(null, box,
+        {mode: 'contain', gravity: 'center'}), box);
+  });
+});
+
+describe('getImageSize', () => {
+  it('should read the size of a PNG', () => {
+    const png = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+      0, 0, 0, 13, 0x49, 0x48, 0x44, 0x52, 0, 0, 0x02, 0x80, 0, 0, 0x01, 0xe0];
+    assert.deepEqual(getImageSize(toSignedBytes(png)),
+        {width: 640, height: 480});
+  });
+
+  it('should read the size of a GIF', () => {
+    const gif = [0x47, 0x49, 0x46, 0x38, 0x39, 0x61, 0x2c, 0x01, 0xc8, 0x00];
+    assert.deepEqual(getImageSize(toSignedBytes(gif)),
+        {width: 300, height: 200});
+  });
+
+  it('should read the size of a JPEG after its other segments', () => {
+    const jpeg = [0xff, 0xd8,
+      0xff, 0xe0, 0x00, 0x04, 0x00, 0x00,
+      0xff, 0xc2, 0x00, 0x11, 0x08, 0x01, 0x00, 0x02, 0x00, 0x03,
+      0x00, 0x00, 0x00];
+    assert.deepEqual(getImageSize(toSignedBytes(jpeg)),
+        {width: 512, height: 256});
+  });
+
+  it('should not guess the size of other formats', () => {
+    assert.isNull(getImageSize(toSignedBytes([0x3c, 0x73, 0x76, 0x67])));
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { assert } from "chai";
+import "mocha";
+import rewire from "rewire";
+
+const imageResolver = rewire('../src/utilities/imageResolver.js');
+
+const getDriveFileId = imageResolver.__get__('getDriveFileId');
+const indexImageFiles = imageResolver.__get__('indexImageFiles');
+const findIndexedImage = imageResolver.__get__('findIndexedImage');
+
+const FILE_ID = '1AbCdEfGhIjKlMnOpQrStUvWxYz0123456';
+
+/**
+ * Builds the entry of an image file of a folder.
+ *
+ * @param {string} name Name of the file
+ * @param {number} folderIndex Position of its folder
+ * @return {!Object} Entry of the file
+ */
+function image(name: string, folderIndex = 0) {
+  return {name: name, mimeType: 'image/png', folderIndex: folderIndex,
+    file: `${folderIndex}/${name}`};
+}
+
+describe('findIndexedImage', () => {
+  const extensions = ['png', 'jpg'];
+
+  it('should match the whole stem only', () => {
+    const index = indexImageFiles([image('crit10.png'), image('crit1.jpg')]);
+    assert.equal(findIndexedImage(index, 'crit1', extensions).entry.file,
+        '0/crit1.jpg');
+    assert.isNull(findIndexedImage(index, 'crit', extensions));
+  });
+
+  it('should match names with their extension or another case', () => {
+    const index = indexImageFiles([image('Crit1.png'), image('crit1.jpg')]);
+    assert.equal(findIndexedImage(index, 'crit1.JPG', extensions).entry.file,
+        '0/crit1.jpg');
+    assert.equal(findIndexedImage(index, 'CRIT1', extensions).entry.file,
+        '0/Crit1.png');
+  });
+
+  it('should prefer the first folder, then the first extension', () => {
+    const index = indexImageFiles([
+      image('crit1.png', 1),
+      image('crit1.jpg', 0),
+      image('crit1', 0),
+      image('crit1.png', 0),
+    ]);
+    const match = findIndexedImage(index, 'crit1', extensions);
+    assert.equal(match.entry.file, '0/crit1.png');
+    assert.isFalse(match.hasMultipleMatches);
+  });
+
+  it('should flag files that are as good a match', () => {
+    const index = indexImageFiles([image('crit1.png'), image('crit1.png')]);
+    assert.isTrue(findIndexedImage(index, 'crit1', extensions)
+        .hasMultipleMatches);
+  });
+
+  it('should leave out files that are not images', () => {
+    const index = indexImageFiles([
+      {name: 'crit1.pdf', mimeType: 'application/pdf', folderIndex: 0,
+        file: 'crit1.pdf'},
+    ]);
+    assert.isNull(findIndexedImage(index, 'crit1', extensions));
+  });
+});
+
+describe('getDriveFileId', () => {
+  it('should read ids and the URLs of Drive files', () => {
+    assert.equal(getDriveFileId(FILE_ID), FILE_ID);
+    assert.equal(getDriveFileId(
+        `https://drive.google.com/file/d/${FILE_ID}/view?usp=sharing`),
+    FILE_ID);
+    assert.equal(getDriveFileId(
+        `https://drive.google.com/open?id=${FILE_ID}`), FILE_ID);
+  });
+
+  it('should ignore names and other URLs', () => {
+    assert.isNull(getDriveFileId('crit1'));
+    assert.isNull(getDriveFileId(`https://example.com/d/${FILE_ID}`));
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { assert } from "chai";
+import "mocha";
+import rewire from "rewire";
+
+const imageFit = rewire('../src/utilities/imageFit.js');
+const imageValidation = rewire('../src/utilities/imageValidation.js');
+imageValidation.__set__('getImageSize', imageFit.__get__('getImageSize'));
+
+const validateImageSource = imageValidation.__get__('validateImageSource');
+const validateImageBytes = imageValidation.__get__('validateImageBytes');
+const sniffImageType = imageValidation.__get__('sniffImageType');
+
+/**
+ * Builds the first bytes of a PNG image.
+ *
+ * @param {number} width Width of the image, in pixels
+ * @param {number} height Height of the image, in pixels
+ * @return {!Array<number>} Signature and IHDR chunk of the image
+ */
+function pngBytes(width: number, height: number) {
+  const uint32 = (value: number) =>
+    [value >>> 24, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+  return [
+    0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+    ...uint32(13), 0x49, 0x48, 0x44, 0x52, ...uint32(width), ...uint32(height),
+  ];
+}
+
+/**
+ * Builds a fetcher that serves the same responses for every URL and counts
+ * its requests. Full downloads fail, as checks never need them.
+ *
+ * @param {?Object} head Response to HEAD requests, null if unsupported
+ * @param {!Object} firstBytes Response to GET requests of the first bytes
+ * @return {!Object} Fetcher, with the number of requests made in requests
+ */
+function fakeFetcher(head: any, firstBytes: any) {
+  const fetcher = {
+    requests: 0,
+    head: () => {
+      fetcher.requests++;
+      return head;
+    },
+    getFirstBytes: () => {
+      fetcher.requests++;
+      return firstBytes;
+    },
+    get: () => {
+      throw new Error('downloaded in full');
+    },
+  };
+  return fetcher;
+}
+
+/**
+ * Builds a Drive file whose content can't be read.
+ *
+ * @param {string} mimeType MIME type of the file
+ * @param {number} size Size of the file, in bytes
+ * @return {!Object} Drive file
+ */
+function fakeFile(mimeType: string, size: number) {
+  return {
+    getMimeType: () => mimeType,
+    getSize: () => size,
+    getBlob: () => {
+      throw new Error('read in full');
+    },
+  };
+}
+
+describe('sniffImageType', () => {
+  it('should tell images by their content', () => {
+    assert.equal(sniffImageType(pngBytes(1, 1)), 'image/png');
+    assert.equal(sniffImageType([-1, -40, -1, -32]), 'image/jpeg');
+    assert.equal(sniffImageType([...'GIF89a'].map((c) => c.charCodeAt(0))),
+        'image/gif');
+    assert.isNull(sniffImageType([...'<html>'].map((c) => c.charCodeAt(0))));
+  });
+});
+
+describe('validateImageBytes', () => {
+  it('should accept images within the limits of Slides', () => {
+    assert.isNull(validateImageBytes(pngBytes(4000, 3000)));
+  });
+
+  it('should reject images with too many pixels', () => {
+    assert.include(validateImageBytes(pngBytes(6000, 5000)),
+        '6000x5000 pixels');
+  });
+});
+
+describe('validateImageSource', () => {
+  const image = {status: 200, headers: {'content-type': 'image/png'},
+    bytes: pngBytes(10, 10)};
+
+  it('should check URLs once per execution', () => {
+    const fetcher = fakeFetcher(
+        {status: 200, headers: {'content-type': 'image/png'}, bytes: []},
+        image);
+    assert.isNull(validateImageSource('https://example.com/a.png', fetcher));
+    assert.isNull(validateImageSource('https://example.com/a.png', fetcher));
+    assert.equal(fetcher.requests, 2);
+  });
+
+  it('should reject HTTP errors without downloading them', () => {
+    const fetcher = fakeFetcher({status: 404, headers: {}, bytes: []}, image);
+    assert.equal(validateImageSource('https://example.com/b.png', fetcher),
+        'it returned HTTP 404');
+    assert.equal(fetcher.requests, 1);
+  });
+
+  it('should reject pages served in place of images', () => {
+    const page = {status: 200, headers: {}, bytes: [0x3c, 0x68, 0x74, 0x6d]};
+    assert.equal(validateImageSource('https://example.com/c.png',
+        fakeFetcher(null, page)),
+    'its content is not a PNG, JPEG or GIF image');
+    assert.include(validateImageSource('https://example.com/d.png',
+        fakeFetcher({status: 200, headers: {'content-type': 'text/html'},
+          bytes: []}, page)), 'text/html');
+  });
+
+  it('should tell the size of images from the range of their first bytes',
+      () => {
+        const fetcher = fakeFetcher(null, {status: 206,
+          headers: {'content-range': 'bytes 0-63/60000000'},
+          bytes: pngBytes(10, 10)});
+        assert.include(
+            validateImageSource('https://example.com/e.png', fetcher),
+            'Slides accepts');
+        assert.equal(fetcher.requests, 2);
+      });
+
+  it('should check Drive files by their type and size only', () => {
+    assert.isNull(validateImageSource(fakeFile('image/png', 1000)));
+    assert.include(validateImageSource(fakeFile('application/pdf', 1000)),
+        'application/pdf');
+    assert.include(validateImageSource(fakeFile('image/jpeg', 60000000)),
+        'Slides accepts');
+  });
+
+  it('should check the content of blobs rather than their type', () => {
+    const blob = {getBytes: () => [0x3c, 0x68, 0x74, 0x6d]};
+    assert.equal(validateImageSource(blob),
+        'its content is not a PNG, JPEG or GIF image');
+  });
+});
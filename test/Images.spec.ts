@@ -0,0 +1,141 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { assert } from "chai";
+import "mocha";
+import rewire from "rewire";
+
+const imageResolver = rewire('../src/utilities/imageResolver.js');
+const images = rewire('../src/utilities/images.js');
+images.__set__('splitImageName', imageResolver.__get__('splitImageName'));
+images.__set__('getDriveFileId', imageResolver.__get__('getDriveFileId'));
+images.__set__('findDriveImage', imageResolver.__get__('findDriveImage'));
+
+const mapUploadsToRows = images.__get__('mapUploadsToRows');
+const listUploadRows = images.__get__('listUploadRows');
+const uploadRowImage = images.__get__('uploadRowImage');
+
+/**
+ * Builds an Images folder whose files can be found by id through DriveApp.
+ *
+ * @return {!Object} Folder, with its files in files
+ */
+function fakeFolder() {
+  const folder = {
+    files: [] as any[],
+    getFiles: () => {
+      const files = [...folder.files];
+      return {hasNext: () => files.length > 0, next: () => files.shift()};
+    },
+    createFile: (blob: {name: string}) => {
+      const id = `uploaded-image-file-${folder.files.length}`.padEnd(25, '0');
+      const file = {
+        trashed: false,
+        getId: () => id,
+        getName: () => blob.name,
+        getMimeType: () => 'image/png',
+        setTrashed: (trashed: boolean) => {
+          file.trashed = trashed;
+        },
+      };
+      folder.files.push(file);
+      return file;
+    },
+  };
+  return folder;
+}
+
+/**
+ * Builds a sheet whose cells are kept by row and column.
+ *
+ * @param {!Object<string, *>} cells Values by "row:column"
+ * @return {!Object} Sheet
+ */
+function fakeSheet(cells: {[cell: string]: any}) {
+  return {
+    getRange: (row: number, column: number, rowCount = 1) => ({
+      getValue: () => cells[`${row}:${column}`] || '',
+      setValue: (value: any) => {
+        cells[`${row}:${column}`] = value;
+      },
+      getValues: () => Array.from({length: rowCount},
+          (unused, index) => [cells[`${row + index}:${column}`] || '']),
+    }),
+  };
+}
+
+describe('mapUploadsToRows', () => {
+  const rows = [
+    {rowNumber: 2, name: 'crit1'},
+    {rowNumber: 5, name: 'Crit10'},
+  ];
+
+  it('should match files to rows by their name', () => {
+    const mappings =
+        mapUploadsToRows(['crit10.PNG', 'crit1.jpg', 'other.png'], rows,
+            'name');
+    assert.deepEqual(mappings.map((mapping) => mapping.rowNumber),
+        [5, 2, null]);
+    assert.equal(mappings[0].name, 'Crit10');
+  });
+
+  it('should match each row once', () => {
+    const mappings = mapUploadsToRows(['crit1.png', 'crit1.jpg'], rows,
+        'name');
+    assert.deepEqual(mappings.map((mapping) => mapping.rowNumber), [2, null]);
+  });
+
+  it('should match files to rows by order', () => {
+    const mappings =
+        mapUploadsToRows(['a.png', 'b.png', 'c.png'], rows, 'order');
+    assert.deepEqual(mappings.map((mapping) => mapping.rowNumber),
+        [2, 5, null]);
+  });
+});
+
+describe('uploadRowImage', () => {
+  it('should replace the image of a row uploaded twice', () => {
+    const folder = fakeFolder();
+    const cells: {[cell: string]: any} = {'2:1': 'crit1', '2:3': 'crit1'};
+    const sheet = fakeSheet(cells);
+    const selection = [{getRow: () => 2, getNumRows: () => 1,
+      getColumn: () => 3}];
+    const fakes = {
+      SpreadsheetApp: {getActive: () => ({getSheetByName: () => sheet})},
+      Utilities: {
+        base64Decode: () => [],
+        newBlob: (bytes: any, type: string, name: string) => ({name}),
+      },
+      getImagesFolder: () => folder,
+    };
+    const driveApp = {DriveApp: {getFileById: (id: string) =>
+      folder.files.find((file) => file.getId() === id)}};
+    imageResolver.__with__(driveApp)(() => images.__with__(fakes)(() => {
+      for (let i = 0; i < 2; i++) {
+        const [row] = listUploadRows(sheet, selection);
+        assert.equal(row.name, 'crit1');
+        uploadRowImage({sheetName: 'Data', column: 3, rowNumber: 2,
+          name: row.name, data: 'data:image/png;base64,'});
+      }
+    }));
+    const kept = folder.files.filter((file) => !file.trashed);
+    assert.lengthOf(folder.files, 2);
+    assert.lengthOf(kept, 1);
+    assert.equal(cells['2:3'], kept[0].getId());
+    assert.equal(cells['2:1'], 'crit1');
+  });
+});
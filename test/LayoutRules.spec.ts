@@ -0,0 +1,92 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { assert } from "chai";
+import "mocha";
+import rewire from "rewire";
+
+const config = rewire('../src/utilities/config.js');
+const layoutRules = rewire('../src/utilities/layoutRules.js');
+for (const name of ['PROBLEM_SEVERITY', 'isEmptyConfigValue',
+  'parseColumnReference', 'getColumnNumber']) {
+  layoutRules.__set__(name, config.__get__(name));
+}
+
+const parseLayoutRules = layoutRules.__get__('parseLayoutRules');
+const selectRowLayout = layoutRules.__get__('selectRowLayout');
+
+describe('parseLayoutRules', () => {
+  const header = ['Title', 'Priority', 'Body', 'Image', 'Layout'];
+
+  it('should resolve the columns of the rules', () => {
+    const {rules, problems} = parseLayoutRules([
+      ['Column', 'Condition', 'Value', 'Layout'],
+      ['Priority', 'Equals', 'Critical', 'Red banner'],
+      ['', '', '', ''],
+      [3, 'is empty', '', 'skip'],
+    ], header);
+    assert.isEmpty(problems);
+    assert.deepEqual(rules, [
+      {column: 2, condition: 'equals', value: 'Critical', layout: 'Red banner'},
+      {column: 3, condition: 'is empty', value: '', layout: 'skip'},
+    ]);
+  });
+
+  it('should report invalid rules with their row', () => {
+    const {rules, problems} = parseLayoutRules([
+      ['Column', 'Condition', 'Value', 'Layout'],
+      ['Priority', 'starts with', 'Crit', 'Red banner'],
+      ['Owner', 'is empty', '', 'Unassigned'],
+    ], header);
+    assert.isEmpty(rules);
+    assert.deepEqual(problems.map((problem: any) => problem.key),
+        ['Rule in row 2', 'Rule in row 3']);
+  });
+});
+
+describe('selectRowLayout', () => {
+  const config = {LAYOUT_NAME: 'Recommendation', LAYOUT_COLUMN: 5};
+  const rules = [
+    {column: 3, condition: 'is empty', value: '', layout: 'SKIP'},
+    {column: 2, condition: 'equals', value: 'critical', layout: 'Red banner'},
+    {column: 4, condition: 'is not empty', value: '', layout: 'Image'},
+  ];
+
+  it('should use the first rule that matches the row', () => {
+    assert.strictEqual(
+        selectRowLayout(['LCP', 'Critical', 'Body', 'a.png', ''], config,
+            rules),
+        'Red banner');
+    assert.strictEqual(
+        selectRowLayout(['LCP', 'Low', 'Body', 'a.png', ''], config, rules),
+        'Image');
+  });
+
+  it('should skip the rows matched by a SKIP rule', () => {
+    assert.isNull(
+        selectRowLayout(['LCP', 'Critical', ' ', '', ''], config, rules));
+  });
+
+  it('should fall back to the layout column and then the layout name', () => {
+    assert.strictEqual(
+        selectRowLayout(['LCP', 'Low', 'Body', '', 'Wide'], config, rules),
+        'Wide');
+    assert.strictEqual(
+        selectRowLayout(['LCP', 'Low', 'Body', '', ''], config, rules),
+        'Recommendation');
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { assert } from "chai";
+import "mocha";
+import rewire from "rewire";
+
+const locales = rewire('../src/utilities/locales.js');
+const localizeRecord = locales.__get__('localizeRecord');
+const getDictionaryColumn = locales.__get__('getDictionaryColumn');
+const getLocaleDeckName = locales.__get__('getLocaleDeckName');
+
+describe('localizeRecord', () => {
+  const record = {
+    Recommendation: 'Compress images',
+    Recommendation_fr: 'Compresser les images',
+    Impact: 'High',
+  };
+
+  it('should replace values by their variant for the locale', () => {
+    const localized = localizeRecord(record, 'FR');
+    assert.strictEqual(localized.Recommendation, 'Compresser les images');
+    assert.strictEqual(localized.Impact, 'High');
+  });
+
+  it('should keep the record as it is without a locale', () => {
+    assert.deepEqual(localizeRecord(record, ''), record);
+  });
+});
+
+describe('getDictionaryColumn', () => {
+  it('should find the column of the locale', () => {
+    assert.strictEqual(getDictionaryColumn(['Key', 'en', 'fr'], 'fr'), 2);
+  });
+
+  it('should use the single column of strings of a dictionary', () => {
+    assert.strictEqual(getDictionaryColumn(['Key', 'Value'], 'fr'), 1);
+    assert.strictEqual(getDictionaryColumn(['Key', 'en', 'fr'], ''), 1);
+  });
+
+  it('should report locales without a column', () => {
+    assert.throws(() => getDictionaryColumn(['Key', 'en', 'fr'], 'de'),
+        /no column for the locale "de"/);
+  });
+});
+
+describe('getLocaleDeckName', () => {
+  it('should suffix the deck name with the locale', () => {
+    assert.strictEqual(getLocaleDeckName('Audit', 'fr'), 'Audit (fr)');
+  });
+});
@@ -0,0 +1,280 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { assert } from "chai";
+import "mocha";
+import rewire from "rewire";
+
+/**
+ * Local stand-in for a sheet, whose filter hides the rows that don't contain
+ * the text of its criteria.
+ */
+class LocalSheet {
+  filter: any = null;
+
+  constructor(public name: string, public values: any[][]) {}
+
+  getName() {
+    return this.name;
+  }
+
+  getLastRow() {
+    return this.values.length;
+  }
+
+  getLastColumn() {
+    return this.values[0].length;
+  }
+
+  getRange(row: number, column: number, numRows: number, numColumns: number) {
+    return {
+      getValues: () => this.values.slice(row - 1, row - 1 + numRows)
+          .map((values) => values.slice(column - 1, column - 1 + numColumns)),
+      getFilter: () => this.filter,
+      createFilter: () => this.filter = this.newFilter(),
+    };
+  }
+
+  getDataRange() {
+    return this.getRange(1, 1, this.getLastRow(), this.getLastColumn());
+  }
+
+  getFilter() {
+    return this.filter;
+  }
+
+  isRowHiddenByFilter(row: number) {
+    return Object.entries(this.filter.criteria).some(([column, text]) =>
+      !String(this.values[row - 1][Number(column) - 1])
+          .includes(String(text)));
+  }
+
+  newFilter() {
+    const filter = {
+      criteria: {} as {[column: number]: string},
+      getRange: () => this.getDataRange(),
+      // Sorting is left out, the rows keep the order of the sheet
+      sort: () => filter,
+      setColumnFilterCriteria: (column: number, criteria: {text: string}) => {
+        filter.criteria[column] = criteria.text;
+        return filter;
+      },
+      remove: () => this.filter = null,
+    };
+    return filter;
+  }
+}
+
+const SHEETS: {[name: string]: LocalSheet} = {
+  Audits: new LocalSheet('Audits', [
+    ['Page', 'Title', 'Category', 'Status', 'Screenshot', 'Insights'],
+    ['home', 'Compress images', 'Images', 'Failed', 'home', 'slide-1'],
+    ['about', 'Defer scripts', 'Scripts', 'Passed', 'about', ''],
+    ['blog', 'Lazy load images', 'Images', 'Failed', 'missing', 'slide-9'],
+    ['draft', 'Use WebP', 'Images', 'Failed', '', ''],
+  ]),
+  Rules: new LocalSheet('Rules', [
+    ['Column', 'Condition', 'Value', 'Layout'],
+    ['Page', 'equals', 'draft', 'SKIP'],
+    ['Page', 'equals', 'blog', 'Wide'],
+  ]),
+};
+
+const iterate = (items: any[]) => {
+  const remaining = [...items];
+  return {hasNext: () => remaining.length > 0, next: () => remaining.shift()};
+};
+
+const IMAGES_FOLDER = {
+  getFiles: () => iterate([{
+    getName: () => 'home.png',
+    getMimeType: () => 'image/png',
+    getSize: () => 1000,
+  }]),
+};
+
+const SpreadsheetApp = {
+  getActive: () => ({
+    getId: () => 'spreadsheet',
+    getSheetByName: (name: string) => SHEETS[name] || null,
+  }),
+  getActiveSpreadsheet: () => ({toast: () => {}}),
+  newFilterCriteria: () => ({whenTextContains: (text: string) => ({text})}),
+};
+
+const DriveApp = {
+  getFileById: (fileId: string) => {
+    if (fileId !== 'spreadsheet') {
+      throw new Error(`No file ${fileId}`);
+    }
+    return {getParents: () => iterate([IMAGES_FOLDER])};
+  },
+};
+
+const SlidesApp = {
+  openById: () => ({
+    getSlideById: (slideId: string) => slideId === 'slide-1' ? {} : null,
+  }),
+};
+
+const schema = rewire('../src/constants/configSchema.js');
+const config = rewire('../src/utilities/config.js');
+config.__set__('CONFIG_TYPES', schema.__get__('CONFIG_TYPES'));
+config.__set__('CONFIG_SCHEMA', schema.__get__('CONFIG_SCHEMA'));
+const enums = rewire('../src/constants/enums.js');
+const helpers = rewire('../src/utilities/helpers.js');
+const layoutRules = rewire('../src/utilities/layoutRules.js');
+const sheets = rewire('../src/utilities/sheets.js');
+const grouping = rewire('../src/utilities/grouping.js');
+const imageResolver = rewire('../src/utilities/imageResolver.js');
+const imageValidation = rewire('../src/utilities/imageValidation.js');
+const drive = rewire('../src/utilities/drive.js');
+const slideStarter = rewire('../src/slideStarter.js');
+const plan = rewire('../src/plan.js');
+
+for (const [module, names] of [
+  [config, ['PROBLEM_SEVERITY', 'isEmptyConfigValue', 'parseColumnReference',
+    'getColumnNumber', 'resolveColumnReferences']],
+  [layoutRules, ['parseLayoutRules', 'selectRowLayout']],
+  [sheets, ['filterAndSortData', 'resolveSheetColumns', 'loadLayoutRules']],
+  [grouping, ['groupRows', 'paginateGroups', 'getGroupSlideTitle',
+    'getGroupSlideItems']],
+  [enums, ['IMAGE_RESOLUTIONS']],
+  [helpers, ['isBase64Image', 'decodeBase64Image', 'isValidImageUrl']],
+  [imageResolver, ['findDriveImage', 'findImageFile']],
+  [imageValidation, ['validateImageSource', 'APPS_SCRIPT_FETCHER']],
+  [drive, ['isPresentationId', 'resolveImageSource']],
+  [rewire('../src/utilities/locales.js'), ['localizeRecord']],
+  [slideStarter, ['getVisibleRows', 'getCollectionSlideFields',
+    'resolveInsightSlides', 'shouldCreateCollectionSlide']],
+] as Array<[ReturnType<typeof rewire>, string[]]>) {
+  for (const name of names) {
+    for (const target of [layoutRules, sheets, grouping, drive, slideStarter,
+      plan]) {
+      target.__set__(name, module.__get__(name));
+    }
+  }
+}
+drive.__set__('IMAGE_CACHE_MODES', {OFF: 'off'});
+
+const IMAGE_RESOLUTIONS = enums.__get__('IMAGE_RESOLUTIONS');
+
+/**
+ * Plans the Audits datasource against the local spreadsheet, Drive and
+ * insight deck.
+ *
+ * @param {!Object} datasourceConfig Effective configuration of the datasource
+ * @return {!Array<!Object>} Planned slides
+ */
+function planDatasource(datasourceConfig: any) {
+  let slides: any[] = [];
+  sheets.__with__({SpreadsheetApp})(() =>
+    slideStarter.__with__({SpreadsheetApp})(() =>
+      imageResolver.__with__({SpreadsheetApp, DriveApp})(() =>
+        drive.__with__({DriveApp})(() =>
+          plan.__with__({SlidesApp})(() => slides =
+            plan.__get__('planDatasource')('Audits', datasourceConfig))))));
+  return slides;
+}
+
+describe('planDatasource', () => {
+  const auditsConfig = {
+    DATA_SOURCE_SHEET: ['Audits'],
+    LAYOUT_NAME: 'Recommendation',
+    LAYOUT_RULES_SHEET: 'Rules',
+    TITLE_COLUMN: 'Title',
+    FILTER_COLUMN: 'Status',
+    FILTER_TEXT_VALUE: 'Failed',
+    IMAGE_SHAPES: ['screenshot'],
+    IMAGE_COLUMNS: ['Screenshot'],
+    IMAGE_FOLDERS: ['.'],
+    IMAGE_FOLDERS_RECURSIVE: false,
+    IMAGE_EXTENSIONS: ['png'],
+    IMAGE_CACHE: 'off',
+    DEFAULT_IMAGE_URL: 'https://example.com/default.png',
+    INSIGHTS_DECK_ID: 'insights',
+    INSIGHT_SLIDE_ID_COLUMN: 'Insights',
+  };
+  const summarize = (slides: any[]) => slides.map((slide) => ({
+    rowNumber: slide.rowNumber,
+    type: slide.type,
+    layout: slide.layout,
+    fields: slide.fields,
+    insightSlideId: slide.insightSlideId,
+    problems: slide.problems,
+  }));
+
+  it('should plan the rows the filter and the layout rules keep', () => {
+    const slides = planDatasource(auditsConfig);
+    assert.deepEqual(slides.map(({rowNumber, type, layout}: any) =>
+      [rowNumber, type, layout]), [
+      [2, 'Collection', 'Recommendation'],
+      [2, 'Insight', ''],
+      [4, 'Collection', 'Wide'],
+      [4, 'Insight', ''],
+    ]);
+    assert.deepEqual(slides[0].fields, {title: 'Compress images'});
+  });
+
+  it('should resolve the images of every row', () => {
+    const [home, , blog] = planDatasource(auditsConfig);
+    assert.deepEqual(home.images, [{shape: 'screenshot', value: 'home',
+      resolution: IMAGE_RESOLUTIONS.DRIVE}]);
+    assert.isEmpty(home.problems);
+    assert.deepEqual(blog.images, [{shape: 'screenshot', value: 'missing',
+      resolution: IMAGE_RESOLUTIONS.NOT_FOUND}]);
+    assert.deepEqual(blog.problems, ['Image "missing" not found']);
+  });
+
+  it('should flag the insight slides missing from the insight deck', () => {
+    const [, found, , missing] = planDatasource(auditsConfig);
+    assert.strictEqual(found.insightSlideId, 'slide-1');
+    assert.isEmpty(found.problems);
+    assert.strictEqual(missing.insightSlideId, 'slide-9');
+    assert.deepEqual(missing.problems,
+        ['Slide not found in the insight deck, it would be skipped']);
+  });
+
+  it('should plan a slide per page of every group', () => {
+    const slides = planDatasource({
+      DATA_SOURCE_SHEET: ['Audits'],
+      LAYOUT_NAME: 'Group',
+      GROUP_BY_COLUMN: 'Category',
+      GROUP_ITEM_COLUMN: 'Title',
+      GROUP_ITEMS_PER_SLIDE: 2,
+      INSIGHTS_DECK_ID: 'insights',
+      INSIGHT_SLIDE_ID_COLUMN: 'Insights',
+    });
+    assert.deepEqual(summarize(slides), [
+      {rowNumber: 2, type: 'Group', layout: 'Group',
+        fields: {title: 'Images (1/2)',
+          body: 'Compress images; Lazy load images'},
+        insightSlideId: undefined, problems: []},
+      {rowNumber: 5, type: 'Group', layout: 'Group',
+        fields: {title: 'Images (2/2)', body: 'Use WebP'},
+        insightSlideId: undefined, problems: []},
+      {rowNumber: 2, type: 'Insight', layout: '', fields: {},
+        insightSlideId: 'slide-1', problems: []},
+      {rowNumber: 4, type: 'Insight', layout: '', fields: {},
+        insightSlideId: 'slide-9',
+        problems: ['Slide not found in the insight deck, it would be skipped']},
+      {rowNumber: 3, type: 'Group', layout: 'Group',
+        fields: {title: 'Scripts', body: 'Defer scripts'},
+        insightSlideId: undefined, problems: []},
+    ]);
+  });
+});
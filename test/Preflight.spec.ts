@@ -0,0 +1,60 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { assert } from "chai";
+import "mocha";
+import rewire from "rewire";
+
+const schema = rewire('../src/constants/configSchema.js');
+const config = rewire('../src/utilities/config.js');
+const hooks = rewire('../src/hooks.js');
+const preflight = rewire('../src/preflight.js');
+preflight.__set__('CONFIG_TYPES', schema.__get__('CONFIG_TYPES'));
+preflight.__set__('CONFIG_SCHEMA', schema.__get__('CONFIG_SCHEMA'));
+preflight.__set__('CONFIG_SCOPES', schema.__get__('CONFIG_SCOPES'));
+preflight.__set__('PROBLEM_SEVERITY', config.__get__('PROBLEM_SEVERITY'));
+preflight.__set__('DECK_HOOK_STAGES', hooks.__get__('DECK_HOOK_STAGES'));
+preflight.__set__('getFunctionByName',
+    rewire('../src/utilities/helpers.js').__get__('getFunctionByName'));
+
+const CONFIG_SCOPES = schema.__get__('CONFIG_SCOPES');
+const checkConfigurationResources =
+    preflight.__get__('checkConfigurationResources');
+
+describe('checkConfigurationResources', () => {
+  (globalThis as any).shareDeck = () => {};
+
+  it('should accept deck stages in the main configuration', () => {
+    assert.isEmpty(
+        checkConfigurationResources({HOOKS: {postDeck: ['shareDeck']}}));
+  });
+
+  it('should reject deck stages in the configuration of a datasource', () => {
+    const problems = checkConfigurationResources(
+        {HOOKS: {preDeck: ['shareDeck'], postSlide: ['shareDeck']}},
+        CONFIG_SCOPES.DATASOURCE);
+    assert.lengthOf(problems, 1);
+    assert.include(problems[0], {key: 'HOOKS', severity: 'error'});
+    assert.match(problems[0].message, /^preDeck hooks run with the main/);
+  });
+
+  it('should report hooks that are not defined', () => {
+    assert.equal(checkConfigurationResources(
+        {HOOKS: {postSlide: ['styleSlide']}}, CONFIG_SCOPES.DATASOURCE)[0]
+        .message, 'There is no function named "styleSlide"');
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { assert } from "chai";
+import "mocha";
+import rewire from "rewire";
+
+const richText = rewire('../src/utilities/richText.js');
+const parseRichText = richText.__get__('parseRichText');
+const richTextRunsToMarkup = richText.__get__('richTextRunsToMarkup');
+const sliceRichText = richText.__get__('sliceRichText');
+
+describe('parseRichText', () => {
+  it('should keep texts without markup as they are', () => {
+    assert.deepEqual(parseRichText('Use snake_case and 2 * 3'),
+        {text: 'Use snake_case and 2 * 3', runs: [], bullets: []});
+  });
+
+  it('should parse bold, italic and links', () => {
+    const {text, runs} =
+        parseRichText('**Compress** _all_ [images](https://web.dev)');
+    assert.strictEqual(text, 'Compress all images');
+    assert.deepEqual(runs, [
+      {start: 0, end: 8, bold: true},
+      {start: 9, end: 12, italic: true},
+      {start: 13, end: 19, link: 'https://web.dev'},
+    ]);
+  });
+
+  it('should parse nested styles and escaped characters', () => {
+    const {text, runs} = parseRichText('**Very _important_** \\*');
+    assert.strictEqual(text, 'Very important *');
+    assert.deepEqual(runs, [
+      {start: 0, end: 14, bold: true},
+      {start: 5, end: 14, italic: true},
+    ]);
+  });
+
+  it('should indent nested bullets with tabs', () => {
+    const {text, bullets} =
+        parseRichText('Steps:\n- Resize\n  - **Crop**\n- Compress\nDone');
+    assert.strictEqual(text, 'Steps:\nResize\n\tCrop\nCompress\nDone');
+    assert.deepEqual(bullets, [{start: 7, end: 28}]);
+  });
+});
+
+describe('richTextRunsToMarkup', () => {
+  it('should convert formatted runs to markup that parses back', () => {
+    const runs = [
+      {text: '- Use ', bold: false, italic: false, link: null},
+      {text: 'WebP_2 ', bold: true, italic: false, link: null},
+      {text: 'images\n- See', bold: false, italic: true, link: null},
+      {text: ' docs', bold: false, italic: false, link: 'https://web.dev'},
+    ];
+    const markup = richTextRunsToMarkup(runs);
+    assert.strictEqual(markup,
+        '- Use **WebP\\_2** _images_\n- _See_ [docs](https://web.dev)');
+    assert.strictEqual(
+        parseRichText(markup).text, 'Use WebP_2 images\nSee docs');
+  });
+});
+
+describe('sliceRichText', () => {
+  it('should keep the styles of the part', () => {
+    const markup = 'Use **WebP images** with [AVIF](https://web.dev)';
+    assert.strictEqual(sliceRichText(markup, 4, 8), '**WebP**');
+    assert.strictEqual(
+        sliceRichText(markup, 9, 25), '**images** with [AVIF](https://web.dev)');
+  });
+
+  it('should start parts within bullets with their bullet', () => {
+    const markup = 'Audits:\n- Compress _images_\n  - Use WebP';
+    const {text} = parseRichText(markup);
+    assert.strictEqual(sliceRichText(markup, text.indexOf('images'),
+        text.length), '- _images_\n  - Use WebP');
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { assert } from "chai";
+import "mocha";
+import rewire from "rewire";
+
+const literals = rewire('../src/constants/literals.js');
+const registry = rewire('../src/utilities/slideRegistry.js');
+const runs = rewire('../src/runs.js');
+runs.__set__('RANGE_NAME', literals.__get__('RANGE_NAME'));
+runs.__set__('REGISTRY_STATUSES', registry.__get__('REGISTRY_STATUSES'));
+
+runs.__set__('formatIssue',
+    rewire('../src/diagnostics.js').__get__('formatIssue'));
+
+const recordRun = runs.__get__('recordRun');
+const mergeRunOverrides = runs.__get__('mergeRunOverrides');
+const countSlidesByDatasource = runs.__get__('countSlidesByDatasource');
+const mergeConfigurationSnapshot = runs.__get__('mergeConfigurationSnapshot');
+
+describe('recordRun', () => {
+  /**
+   * Records a run with the Apps Script services faked.
+   *
+   * @param {object[]} issues Issues reported so far
+   * @param {function(): object} generate Generates the deck
+   * @return {unknown[]} Row appended to the Runs sheet
+   */
+  function record(issues: object[], generate: () => object) {
+    let run: unknown[] = [];
+    runs.__with__({
+      appendRun: (values: unknown[]) => {
+        run = values;
+      },
+      Session: {getActiveUser: () => ({getEmail: () => 'ana@example.com'})},
+      SlidesApp: {openById: () => ({getUrl: () => 'https://deck'})},
+    })(() => recordRun({}, ['Unknown key FOO'], issues, generate));
+    return run;
+  }
+
+  it('should list the issues reported during the run as warnings', () => {
+    const issue = {
+      severity: 'warning', code: 'IMAGE_NOT_FOUND', datasource: 'Products',
+      rowNumber: 4, message: 'No image for shoe',
+    };
+    const issues = [Object.assign({}, issue, {message: 'Previous run'})];
+    const run = record(issues, () => {
+      issues.push(issue);
+      return {deckId: 'deck', entries: new Map(), paused: false};
+    });
+    assert.equal(run[7], 'Unknown key FOO\n' +
+        '[WARNING] IMAGE_NOT_FOUND (Products, row 4): No image for shoe');
+    assert.equal(run[8], 'Generated');
+  });
+});
+
+describe('mergeRunOverrides', () => {
+  it('should move the overrides to the main range', () => {
+    const snapshot = {
+      'Configuration!PROPERTIES': {LAYOUT_NAME: 'Main', TITLE_COLUMN: 'A'},
+      '\'Configuration_Ads\'!PROPERTIES': {LAYOUT_NAME: 'Ads'},
+    };
+    const merged = mergeRunOverrides(snapshot, {LAYOUT_NAME: 'Run'});
+    assert.deepEqual(merged, {
+      'Configuration!PROPERTIES': {LAYOUT_NAME: 'Run', TITLE_COLUMN: 'A'},
+      '\'Configuration_Ads\'!PROPERTIES': {},
+    });
+    assert.deepEqual(snapshot['\'Configuration_Ads\'!PROPERTIES'],
+        {LAYOUT_NAME: 'Ads'});
+  });
+});
+
+describe('countSlidesByDatasource', () => {
+  it('should count the slides of each datasource', () => {
+    const entry = (datasource, slideIds, status = 'Generated') =>
+      ({datasource, slideIds, status});
+    assert.deepEqual(countSlidesByDatasource([
+      entry('Ads', ['a', 'b']),
+      entry('Ads', ['c']),
+      entry('Web', ['d'], 'Removed from the data'),
+      entry('', ['end']),
+    ]), {Ads: 3});
+  });
+});
+
+describe('mergeConfigurationSnapshot', () => {
+  it('should replace, clear and add keys', () => {
+    const merged = mergeConfigurationSnapshot([
+      ['LAYOUT_NAME', 'Old'],
+      ['TITLE_COLUMN', 'B'],
+      ['', ''],
+    ], {LAYOUT_NAME: 'New', LOCALE: 'fr'});
+    assert.deepEqual(merged.values, [
+      ['LAYOUT_NAME', 'New'],
+      ['TITLE_COLUMN', ''],
+      ['LOCALE', 'fr'],
+    ]);
+    assert.isEmpty(merged.missingKeys);
+  });
+
+  it('should report the keys that do not fit', () => {
+    const merged = mergeConfigurationSnapshot(
+        [['LAYOUT_NAME', 'Old']], {LAYOUT_NAME: 'New', LOCALE: 'fr'});
+    assert.deepEqual(merged.missingKeys, ['LOCALE']);
+  });
+});
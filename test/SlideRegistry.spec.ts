@@ -0,0 +1,203 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { assert } from "chai";
+import "mocha";
+import rewire from "rewire";
+
+const config = rewire('../src/utilities/config.js');
+const registry = rewire('../src/utilities/slideRegistry.js');
+registry.__set__('isEmptyConfigValue', config.__get__('isEmptyConfigValue'));
+
+const computeHash = registry.__get__('computeHash');
+const getRowKey = registry.__get__('getRowKey');
+const getUpdateAction = registry.__get__('getUpdateAction');
+const parseRegistry = registry.__get__('parseRegistry');
+const serializeRegistry = registry.__get__('serializeRegistry');
+const UPDATE_ACTIONS = registry.__get__('UPDATE_ACTIONS');
+const REGISTRY_STATUSES = registry.__get__('REGISTRY_STATUSES');
+
+describe('computeHash', () => {
+  it('should return the same hash for the same data', () => {
+    assert.equal(computeHash(['a', 1]), computeHash(['a', 1]));
+    assert.match(computeHash(['a', 1]), /^[0-9a-f]{8}$/);
+  });
+
+  it('should return another hash when the data changes', () => {
+    assert.notEqual(computeHash(['a', 1]), computeHash(['a', 2]));
+  });
+});
+
+describe('getRowKey', () => {
+  const row = ['id-7', 'Compress images', ''];
+
+  it('should use the row key column first', () => {
+    assert.equal(getRowKey(row, 3, {ROW_KEY_COLUMN: 1, TITLE_COLUMN: 2}),
+        'id-7');
+  });
+
+  it('should fall back to the title, then to the row number', () => {
+    assert.equal(getRowKey(row, 3, {TITLE_COLUMN: 2}), 'Compress images');
+    assert.equal(getRowKey(row, 3, {ROW_KEY_COLUMN: 3}), 'Row 3');
+  });
+});
+
+describe('getUpdateAction', () => {
+  const entry = {dataHash: 'abc', status: REGISTRY_STATUSES.GENERATED};
+
+  it('should insert the slides of new rows and of deleted slides', () => {
+    assert.equal(getUpdateAction(null, 'abc', null, false),
+        UPDATE_ACTIONS.INSERT);
+    assert.equal(getUpdateAction(entry, 'abc', null, false),
+        UPDATE_ACTIONS.INSERT);
+  });
+
+  it('should keep unchanged slides and update changed ones', () => {
+    assert.equal(getUpdateAction(entry, 'abc', false, false),
+        UPDATE_ACTIONS.KEEP);
+    assert.equal(getUpdateAction(entry, 'def', false, false),
+        UPDATE_ACTIONS.UPDATE);
+    assert.equal(getUpdateAction(entry, null, false, false),
+        UPDATE_ACTIONS.UPDATE);
+  });
+
+  it('should protect edited slides unless forced', () => {
+    assert.equal(getUpdateAction(entry, 'def', true, false),
+        UPDATE_ACTIONS.PROTECT);
+    assert.equal(getUpdateAction(entry, 'abc', true, true),
+        UPDATE_ACTIONS.UPDATE);
+  });
+});
+
+describe('parseRegistry', () => {
+  it('should read back serialized entries', () => {
+    const entries = [{
+      deckId: 'deck',
+      datasource: 'Recommendations',
+      key: 'id-7',
+      slideIds: ['s1', 's2'],
+      dataHash: '0a1b2c3d',
+      contentHash: '4e5f6a7b',
+      status: REGISTRY_STATUSES.GENERATED,
+    }];
+    assert.deepEqual(parseRegistry(serializeRegistry(entries)), entries);
+  });
+});
+
+describe('updateSlides', () => {
+  const deckUpdateModule = rewire('../src/deckUpdate.js');
+  for (const name of ['computeHash', 'getUpdateAction', 'UPDATE_ACTIONS',
+    'REGISTRY_STATUSES']) {
+    deckUpdateModule.__set__(name, registry.__get__(name));
+  }
+  deckUpdateModule.__set__('isUnitGenerated', () => false);
+  const updateSlides = deckUpdateModule.__get__('updateSlides');
+
+  /**
+   * Local stand-in for a deck, as a list of slides without page elements.
+   */
+  class LocalDeck {
+    slides: any[];
+
+    constructor(slideIds: string[]) {
+      this.slides = slideIds.map((slideId) => this.newSlide(slideId));
+    }
+
+    newSlide(slideId: string) {
+      const slide = {
+        getObjectId: () => slideId,
+        getPageElements: () => [],
+        remove: () => this.slides.splice(this.slides.indexOf(slide), 1),
+        move: (index: number) => {
+          this.slides.splice(this.slides.indexOf(slide), 1);
+          this.slides.splice(index, 0, slide);
+        },
+      };
+      return slide;
+    }
+
+    appendSlide(slideId: string) {
+      this.slides.push(this.newSlide(slideId));
+    }
+
+    getSlides() {
+      return [...this.slides];
+    }
+
+    getSlideById(slideId: string) {
+      return this.slides.find((slide) => slide.getObjectId() === slideId) ||
+          null;
+    }
+
+    getSlideIds() {
+      return this.slides.map((slide) => slide.getObjectId());
+    }
+  }
+
+  const entry = {
+    deckId: 'deck',
+    datasource: 'Pages',
+    key: 'home',
+    slideIds: ['old1', 'old2'],
+    dataHash: 'abc',
+    contentHash: computeHash([[], []]),
+    status: REGISTRY_STATUSES.GENERATED,
+  };
+  const registryId = JSON.stringify(['Pages', 'home']);
+
+  function newDeckUpdate() {
+    return {
+      deckId: 'deck',
+      isUpdate: true,
+      force: false,
+      datasource: 'Pages',
+      datasourceIndex: 0,
+      unitIndex: 0,
+      anchorSlideId: 'intro',
+      deadline: Infinity,
+      resumeFrom: null,
+      previousEntries: new Map([[registryId, entry]]),
+      entries: new Map(),
+      queuedIds: new Set(),
+    };
+  }
+
+  function update(deckUpdate: any, deck: LocalDeck, createSlides: () => void) {
+    deckUpdateModule.__with__({
+      SlidesApp: {openById: () => deck},
+    })(() => updateSlides(deckUpdate, 'home', 'def', createSlides));
+  }
+
+  it('should replace the slides of a changed unit in place', () => {
+    const deck = new LocalDeck(['intro', 'old1', 'old2', 'outro']);
+    const deckUpdate = newDeckUpdate();
+    update(deckUpdate, deck, () => deck.appendSlide('new1'));
+    assert.deepEqual(deck.getSlideIds(), ['intro', 'new1', 'outro']);
+    assert.deepEqual(deckUpdate.entries.get(registryId).slideIds, ['new1']);
+  });
+
+  it('should keep the previous slides of a unit that fails', () => {
+    const deck = new LocalDeck(['intro', 'old1', 'old2', 'outro']);
+    const deckUpdate = newDeckUpdate();
+    assert.throws(() => update(deckUpdate, deck, () => {
+      deck.appendSlide('new1');
+      throw new Error('Row failed');
+    }), 'Row failed');
+    assert.deepEqual(deck.getSlideIds(), ['intro', 'old1', 'old2', 'outro']);
+    assert.deepEqual(deckUpdate.entries.get(registryId), entry);
+  });
+});
@@ -0,0 +1,583 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { assert } from "chai";
+import "mocha";
+import rewire from "rewire";
+
+const templating = rewire('../src/utilities/templating.js');
+const richText = rewire('../src/utilities/richText.js');
+const slidesBatch = rewire('../src/utilities/slidesBatch.js');
+slidesBatch.__set__('parseRichText', richText.__get__('parseRichText'));
+for (const name of ['getTemplateTokens', 'hasTemplateTokens',
+  'renderTemplate']) {
+  slidesBatch.__set__(name, templating.__get__(name));
+}
+slidesBatch.__set__('ERROR_NO_SHAPE', 'No shape');
+slidesBatch.__set__('TEXT_FIT_STRATEGIES', {NONE: 'none', SHRINK: 'shrink'});
+slidesBatch.__set__('isEmptyConfigValue',
+    (value: unknown) => value === undefined || value === null || value === '');
+slidesBatch.__set__('Utilities', {getUuid: () => '12-34'});
+const hooks = rewire('../src/hooks.js');
+slidesBatch.__set__('HOOK_STAGES', hooks.__get__('HOOK_STAGES'));
+slidesBatch.__set__('hasHooks', hooks.__get__('hasHooks'));
+
+const createSlidesBatch = slidesBatch.__get__('createSlidesBatch');
+const newBatchObjectId = slidesBatch.__get__('newBatchObjectId');
+const queueSlidesRequests = slidesBatch.__get__('queueSlidesRequests');
+const flushSlidesBatch = slidesBatch.__get__('flushSlidesBatch');
+const parseLayoutInfo = slidesBatch.__get__('parseLayoutInfo');
+const getTextRequests = slidesBatch.__get__('getTextRequests');
+const buildCollectionSlideRequests =
+    slidesBatch.__get__('buildCollectionSlideRequests');
+const needsSlideObject = slidesBatch.__get__('needsSlideObject');
+const needsImmediateSend = slidesBatch.__get__('needsImmediateSend');
+
+const layoutResource = {
+  objectId: 'layout',
+  layoutProperties: {displayName: 'Row'},
+  pageElements: [
+    {
+      objectId: 'title',
+      shape: {placeholder: {type: 'TITLE'}, text: {textElements: []}},
+    },
+    {
+      objectId: 'body',
+      shape: {
+        placeholder: {type: 'BODY'},
+        text: {textElements: [{textRun: {content: 'Hi {{Name}}\n'}}]},
+      },
+    },
+    {
+      objectId: 'metric',
+      size: {
+        width: {magnitude: 127000, unit: 'EMU'},
+        height: {magnitude: 63500, unit: 'EMU'},
+      },
+      transform: {
+        scaleX: 2, scaleY: 1, translateX: 254000, translateY: 12700,
+        unit: 'EMU',
+      },
+      shape: {text: {textElements: [{textRun: {content: '{{metric}}\n'}}]}},
+    },
+  ],
+};
+const layout = parseLayoutInfo(layoutResource);
+
+const config = {RICH_TEXT: false, LOCALE: '', TEXT_FIT: {}, HOOKS: {}};
+
+describe('parseLayoutInfo', () => {
+  it('should read the placeholders with their text', () => {
+    assert.deepEqual(layout.placeholders, [
+      {objectId: 'title', type: 'TITLE', text: ''},
+      {objectId: 'body', type: 'BODY', text: 'Hi {{Name}}\n'},
+    ]);
+  });
+
+  it('should convert the shapes to scaled points', () => {
+    assert.deepEqual(layout.shapes[2], {
+      text: '{{metric}}\n', isPlaceholder: false, left: 20, top: 1,
+      width: 20, height: 5,
+    });
+  });
+});
+
+describe('getTextRequests', () => {
+  it('should insert plain text as it is', () => {
+    const {requests} = getTextRequests('shape', '**Revenue**', config);
+    assert.deepEqual(requests, [{insertText: {
+      objectId: 'shape', text: '**Revenue**', insertionIndex: 0,
+    }}]);
+  });
+
+  it('should style the runs of rich text', () => {
+    const {text, requests} = getTextRequests(
+        'shape', 'Total **revenue**', Object.assign({}, config,
+            {RICH_TEXT: true}));
+    assert.equal(text, 'Total revenue');
+    assert.deepEqual(requests[1], {updateTextStyle: {
+      objectId: 'shape',
+      textRange: {type: 'FIXED_RANGE', startIndex: 6, endIndex: 13},
+      style: {bold: true},
+      fields: 'bold',
+    }});
+  });
+
+  it('should not insert empty text', () => {
+    assert.deepEqual(getTextRequests('shape', '', config).requests, []);
+  });
+});
+
+describe('buildCollectionSlideRequests', () => {
+  let nextId = 0;
+  const newObjectId = () => `id${nextId++}`;
+  beforeEach(() => {
+    nextId = 0;
+  });
+
+  it('should create the slide with known placeholder ids', () => {
+    const slide = buildCollectionSlideRequests(layout,
+        {title: 'Acme', images: [], texts: [], tables: []}, config, {},
+        newObjectId);
+    assert.equal(slide.slideId, 'id0');
+    assert.deepEqual(slide.requests[0].createSlide.placeholderIdMappings, [
+      {layoutPlaceholderObjectId: 'title', objectId: 'id1'},
+      {layoutPlaceholderObjectId: 'body', objectId: 'id2'},
+    ]);
+    assert.deepEqual(slide.fieldShapes, [{field: 'title', objectId: 'id1'}]);
+  });
+
+  it('should add text boxes and fill the bindings of the layout', () => {
+    const slide = buildCollectionSlideRequests(layout, {
+      images: [], tables: [],
+      texts: [{shape: '{{metric}}', value: 'Up {{Growth}}'}],
+    }, config, {Growth: '5%', Name: 'Ana'}, newObjectId);
+    const kinds = slide.requests.map(
+        (request: object) => Object.keys(request)[0]);
+    assert.deepEqual(kinds, [
+      'createSlide', 'createShape', 'insertText', 'replaceAllText',
+      'insertText',
+    ]);
+    assert.equal(slide.requests[3].replaceAllText.replaceText, '5%');
+    assert.deepEqual(slide.requests[4].insertText,
+        {objectId: 'id2', text: 'Hi Ana', insertionIndex: 0});
+  });
+
+  it('should leave the shapes that follow images to SlidesApp', () => {
+    const slide = buildCollectionSlideRequests(layout, {
+      title: 'Acme', images: [{shape: 'logo', value: 'acme.png'}],
+      texts: [{shape: '{{metric}}', value: '5%'}], tables: [],
+    }, config, {}, newObjectId);
+    assert.lengthOf(slide.requests, 2);
+  });
+
+  it('should fail when the layout lacks a placeholder', () => {
+    assert.throws(() => buildCollectionSlideRequests(layout,
+        {subtitle: 'Q3', images: [], texts: [], tables: []}, config, {},
+        newObjectId), 'No shape SUBTITLE');
+  });
+});
+
+describe('needsSlideObject', () => {
+  const fields = {images: [], texts: [], tables: [{shape: 't', value: ''}]};
+
+  it('should batch slides with only text', () => {
+    assert.isFalse(needsSlideObject(fields, config));
+  });
+
+  it('should finish slides with notes or text to fit', () => {
+    assert.isTrue(needsSlideObject(
+        Object.assign({}, fields, {notes: 'Read me'}), config));
+    assert.isTrue(needsSlideObject(
+        fields, Object.assign({}, config, {TEXT_FIT: {body: 'shrink'}})));
+  });
+
+  it('should finish slides with post-slide hooks', () => {
+    assert.isTrue(needsSlideObject(fields,
+        Object.assign({}, config, {HOOKS: {postSlide: ['styleSlide']}})));
+  });
+});
+
+describe('needsImmediateSend', () => {
+  it('should only send the slides with post-slide hooks right away', () => {
+    assert.isFalse(needsImmediateSend(
+        Object.assign({}, config, {TEXT_FIT: {body: 'shrink'}})));
+    assert.isTrue(needsImmediateSend(
+        Object.assign({}, config, {HOOKS: {postSlide: ['styleSlide']}})));
+    assert.isTrue(needsImmediateSend(
+        Object.assign({}, config, {POST_SLIDE_FUNCTION: 'styleSlide'})));
+  });
+});
+
+describe('flushSlidesBatch', () => {
+  /**
+   * Queues units of requests on a batch.
+   *
+   * @param {object} batch Batch to queue the units on
+   * @param {number[]} sizes Number of requests of each unit
+   * @param {number[]} sent Receives the row of each unit once it is sent
+   */
+  function queueUnits(batch: object, sizes: number[], sent: number[]) {
+    sizes.forEach((size, rowNumber) => queueSlidesRequests(batch, {
+      requests: new Array(size).fill({}),
+      rowNumber: rowNumber,
+      record: {},
+      onSent: () => sent.push(rowNumber),
+    }));
+  }
+
+  it('should send at most 500 requests per call', () => {
+    const calls: number[] = [];
+    const batch = createSlidesBatch('deck', (requests: unknown[]) => {
+      calls.push(requests.length);
+    });
+    // Full batches are sent as they are queued
+    queueUnits(batch, new Array(12).fill(100), []);
+    assert.deepEqual(calls, [500, 500]);
+    flushSlidesBatch(batch);
+    assert.deepEqual(calls, [500, 500, 200]);
+  });
+
+  it('should not split a unit across calls unless it is larger', () => {
+    const calls: number[] = [];
+    const batch = createSlidesBatch('deck', (requests: unknown[]) => {
+      calls.push(requests.length);
+    });
+    queueUnits(batch, [300, 300, 700], []);
+    assert.deepEqual(calls, [300, 300, 500, 200]);
+  });
+
+  it('should only finish the units once they are sent', () => {
+    const sent: number[] = [];
+    const batch = createSlidesBatch('deck', () => {});
+    queueUnits(batch, [2, 3], sent);
+    assert.deepEqual(sent, []);
+    flushSlidesBatch(batch);
+    assert.deepEqual(sent, [0, 1]);
+  });
+
+  it('should hand the units of a failed call to the batch', () => {
+    const sent: number[] = [];
+    const failed: number[][] = [];
+    let callCount = 0;
+    const batch = createSlidesBatch('deck', () => {
+      if (callCount++ === 1) {
+        throw new Error('Internal error');
+      }
+    }, (error: Error, units: Array<{rowNumber: number}>) => {
+      failed.push(units.map((unit) => unit.rowNumber));
+    });
+    queueUnits(batch, new Array(6).fill(200), sent);
+    flushSlidesBatch(batch);
+    assert.deepEqual(failed, [[2, 3]]);
+    assert.deepEqual(sent, [0, 1, 4, 5]);
+  });
+});
+
+/**
+ * Counts the calls to the Slides services, each of which is a round trip.
+ */
+let roundTrips = 0;
+
+/**
+ * Wraps a fake of a Slides object so that its methods are counted as round
+ * trips.
+ *
+ * @param {object} target Fake object
+ * @return {object} Object counting the calls to its methods
+ */
+function counted<T extends object>(target: T): T {
+  return new Proxy(target, {
+    get(object, property) {
+      const value = Reflect.get(object, property);
+      if (typeof value !== 'function') {
+        return value;
+      }
+      return (...args: unknown[]) => {
+        roundTrips++;
+        return value.apply(object, args);
+      };
+    },
+  });
+}
+
+/**
+ * Fakes a shape of SlidesApp.
+ *
+ * @param {string} objectId Id of the shape
+ * @param {string} content Text of the shape
+ * @param {?object} parent Layout placeholder of the shape
+ * @param {string} placeholderType Type of the placeholder, if it is one
+ * @return {object} Shape
+ */
+function fakeShape(objectId: string, content: string,
+    parent: object | null = null, placeholderType = 'NONE') {
+  let text = content;
+  const textRange = counted({
+    asString: () => `${text}\n`,
+    setText: (value: string) => {
+      text = value;
+    },
+    find: (pattern: string) => text.includes(pattern) ? [pattern] : [],
+    replaceAllText: (token: string, value: string) => {
+      text = text.split(token).join(value);
+    },
+    getTextStyle: () => counted({getFontSize: () => 14}),
+  });
+  const shape: object = counted({
+    getObjectId: () => objectId,
+    getText: () => textRange,
+    asShape: () => shape,
+    getParentPlaceholder: () => parent,
+    getPlaceholderType: () => placeholderType,
+    getLeft: () => 20,
+    getTop: () => 1,
+    getWidth: () => 200,
+    getHeight: () => 50,
+  });
+  return shape;
+}
+
+const layoutPlaceholders = [
+  {type: 'TITLE', shape: fakeShape('title', '', null, 'TITLE')},
+  {type: 'BODY', shape: fakeShape('body', 'Hi {{Name}}', null, 'BODY')},
+];
+const layoutShapes = [
+  ...layoutPlaceholders.map(({shape}) => shape),
+  fakeShape('metric', '{{metric}}'),
+];
+const slideLayout = counted({getShapes: () => layoutShapes});
+
+/**
+ * Fakes a deck of SlidesApp whose slides have the placeholders of the
+ * layout, with the batchUpdate of the Slides API adding slides and text boxes
+ * to it.
+ *
+ * @return {{deck: object, batchUpdate: function(object): void,
+ *     batchUpdates: object[][]}} Deck, batchUpdate, and the requests of each
+ *     call to batchUpdate
+ */
+function fakeDeck() {
+  const pages: Array<{objectId: string, slide: object,
+    elements: Array<{objectId: string, type: string, shape: object}>}> = [];
+  const createSlide = (objectId: string, placeholderIds: string[]) => {
+    const elements = layoutPlaceholders.map(({type, shape}, index) => ({
+      objectId: placeholderIds[index],
+      type: type,
+      shape: fakeShape(placeholderIds[index], '', shape, type),
+    }));
+    const addElement = (elementId: string, text: string) => {
+      const shape = fakeShape(elementId, text);
+      elements.push({objectId: elementId, type: '', shape: shape});
+      return shape;
+    };
+    const slide: object = counted({
+      getObjectId: () => objectId,
+      getLayout: () => slideLayout,
+      getShapes: () => elements.map(({shape}) => shape),
+      getPlaceholder: (type: string) => (elements.find((element) =>
+        element.type === type) || {shape: null}).shape,
+      getPageElementById: (elementId: string) => elements.find((element) =>
+        element.objectId === elementId)!.shape,
+      insertTextBox: (text: string) =>
+        addElement(`${objectId}_${elements.length}`, text),
+      getNotesPage: () => counted({
+        getSpeakerNotesShape: () => fakeShape(`${objectId}_notes`, ''),
+      }),
+      remove: () => {
+        pages.splice(pages.findIndex((page) => page.slide === slide), 1);
+      },
+    });
+    pages.push({objectId: objectId, slide: slide, elements: elements});
+    return {slide: slide, addElement: addElement};
+  };
+  const deck = counted({
+    getId: () => 'deck',
+    appendSlide: () => createSlide(`slide${pages.length}`,
+        [`slide${pages.length}_title`, `slide${pages.length}_body`]).slide,
+    getMasters: () => [{}],
+    getSlides: () => pages.map(({slide}) => slide),
+    getSlideById: (objectId: string) =>
+      pages.find((page) => page.objectId === objectId)!.slide,
+  });
+  const batchUpdates: object[][] = [];
+  const batchUpdate = ({requests}: {requests: Array<{
+    createSlide?: {objectId: string,
+      placeholderIdMappings: Array<{objectId: string}>},
+    createShape?: {objectId: string,
+      elementProperties: {pageObjectId: string}},
+  }>}) => {
+    batchUpdates.push(requests);
+    const added = new Map<string, (elementId: string, text: string) =>
+      object>();
+    for (const request of requests) {
+      if (request.createSlide) {
+        added.set(request.createSlide.objectId, createSlide(
+            request.createSlide.objectId,
+            request.createSlide.placeholderIdMappings.map(
+                (mapping) => mapping.objectId)).addElement);
+      }
+      if (request.createShape) {
+        added.get(request.createShape.elementProperties.pageObjectId)!(
+            request.createShape.objectId, '');
+      }
+    }
+  };
+  return {deck: deck, batchUpdate: batchUpdate, batchUpdates: batchUpdates};
+}
+
+const diagnostics = rewire('../src/diagnostics.js');
+diagnostics.__set__('PROBLEM_SEVERITY', {ERROR: 'error', WARNING: 'warning'});
+diagnostics.__set__('ERROR_NO_SHAPE', 'No shape.');
+diagnostics.__set__('ERROR_NO_LAYOUT', 'No layout.');
+diagnostics.__set__('ROW_ERROR_POLICIES', {ABORT: 'abort', SKIP: 'skip'});
+const slides = rewire('../src/utilities/slides.js');
+slides.__set__('ERROR_NO_SHAPE', 'No shape');
+const slideStarter = rewire('../src/slideStarter.js');
+for (const [module, names] of [
+  [slidesBatch, ['createSlidesBatch', 'sendSlidesRequests',
+    'newBatchObjectId', 'queueSlidesRequests', 'flushSlidesBatch',
+    'getBatchDeck', 'getBatchLayout', 'buildCollectionSlideRequests',
+    'canBatchCollectionSlides', 'needsSlideObject', 'needsImmediateSend']],
+  [hooks, ['hasHooks', 'runHooks']],
+  [rewire('../src/deckUpdate.js'), ['updateSlides', 'insertBatchedSlides']],
+  [rewire('../src/utilities/slideRegistry.js'), ['computeHash', 'getRowKey']],
+  [rewire('../src/utilities/layoutRules.js'), ['selectRowLayout']],
+  [rewire('../src/utilities/textFit.js'), ['fitSlideTexts']],
+  [rewire('../src/utilities/tables.js'), ['addTablesToSlide']],
+  [richText, ['setFieldText']],
+  [slides, ['addTextToPlaceholder', 'appendSpeakerNotes', 'retrieveShape',
+    'fillTemplateTokens']],
+  [diagnostics, ['setDiagnosticsRow', 'handleRowError', 'handleBatchError']],
+] as Array<[ReturnType<typeof rewire>, string[]]>) {
+  for (const name of names) {
+    slideStarter.__set__(name, module.__get__(name));
+  }
+}
+hooks.__set__('getFunctionByName',
+    rewire('../src/utilities/helpers.js').__get__('getFunctionByName'));
+for (const name of ['shouldCreateCollectionSlide', 'getFieldShapeNames']) {
+  slidesBatch.__set__(name, slideStarter.__get__(name));
+}
+slidesBatch.__set__('reportLayoutTokenShapes',
+    slides.__get__('reportLayoutTokenShapes'));
+for (const name of ['ISSUE_CODES', 'reportIssue', 'getReportedIssues']) {
+  slides.__set__(name, diagnostics.__get__(name));
+}
+slideStarter.__set__('HOOK_STAGES', hooks.__get__('HOOK_STAGES'));
+slideStarter.__set__('renderTemplate', templating.__get__('renderTemplate'));
+slideStarter.__set__('resolveSheetColumns', (config: object) => config);
+slideStarter.__set__('loadLayoutRules', () => []);
+let currentDeck: object | null = null;
+slideStarter.__set__('SlidesApp', counted({
+  PlaceholderType: {
+    NONE: 'NONE', TITLE: 'TITLE', SUBTITLE: 'SUBTITLE', BODY: 'BODY',
+  },
+  openById: () => currentDeck,
+}));
+
+const createCollectionSlide = slideStarter.__get__('createCollectionSlide');
+const startDiagnostics = diagnostics.__get__('startDiagnostics');
+const getReportedIssues = diagnostics.__get__('getReportedIssues');
+
+const rowConfig = Object.assign({}, config, {
+  DATA_SOURCE_SHEET: ['Accounts'],
+  LAYOUT_NAME: 'Row',
+  TITLE_COLUMN: 1,
+  TEXT_SHAPES: ['{{metric}}'],
+  TEXT_COLUMNS: [2],
+  ON_ROW_ERROR: 'abort',
+});
+
+/**
+ * Generates the collection slides of rows in a new deck through
+ * createCollectionSlide.
+ *
+ * @param {number} rowCount Number of rows
+ * @param {object} rowsConfig Effective configuration of the datasource
+ * @param {boolean} batched Whether the slides are created through batches
+ * @param {function(object[]): void} send Checks each call to batchUpdate
+ * @return {{roundTrips: number, batchUpdates: number, slides: number}} Calls
+ *     to the Slides services and slides of the deck
+ */
+function generateRows(rowCount: number, rowsConfig: object, batched = true,
+    send = (requests: object[]) => {}) {
+  const {deck, batchUpdate, batchUpdates} = fakeDeck();
+  const rows = [];
+  for (let i = 0; i < rowCount; i++) {
+    rows.push({
+      rowNumber: i + 2,
+      values: [`Account ${i}`, `${i}%`],
+      fieldValues: [`Account ${i}`, `${i}%`],
+      record: {Name: `Owner ${i}`},
+    });
+  }
+  const Slides = {Presentations: counted({
+    get: () => ({layouts: [layoutResource]}),
+    batchUpdate: (resource: {requests: object[]}) => {
+      send(resource.requests);
+      batchUpdate(resource as Parameters<typeof batchUpdate>[0]);
+    },
+  })};
+  slidesBatch.__set__('Slides', Slides);
+  currentDeck = deck;
+  startDiagnostics();
+  roundTrips = 0;
+  slideStarter.__with__({
+    getVisibleRows: () => rows,
+    canBatchCollectionSlides: batched ?
+        slidesBatch.__get__('canBatchCollectionSlides') : () => false,
+  })(() => createCollectionSlide(deck, null, slideLayout, rowsConfig));
+  return {
+    roundTrips: roundTrips,
+    batchUpdates: batchUpdates.length,
+    slides: deck.getSlides().length,
+  };
+}
+
+describe('createCollectionSlide', () => {
+  it('should create a 200-row deck in a few round trips', () => {
+    const unbatched = generateRows(200, rowConfig, false);
+    const batched = generateRows(200, rowConfig);
+    assert.equal(batched.slides, 200);
+    assert.equal(unbatched.slides, 200);
+    // Reading the layouts, then one call per batch of requests
+    assert.equal(batched.roundTrips, 2 + batched.batchUpdates);
+    assert.isAtMost(batched.batchUpdates, 200 / 50);
+    // SlidesApp makes several calls per slide
+    assert.isAtLeast(unbatched.roundTrips, 200 * 10);
+    assert.isAtLeast(unbatched.roundTrips, 1000 * batched.roundTrips);
+  });
+
+  it('should finish the slides with notes once per batch', () => {
+    const notesConfig = Object.assign({}, rowConfig,
+        {NOTES_TEMPLATE: 'Call {{Name}}'});
+    const unbatched = generateRows(200, notesConfig, false);
+    const batched = generateRows(200, notesConfig);
+    assert.equal(batched.slides, 200);
+    assert.isAtMost(batched.batchUpdates, 200 / 50);
+    // The deck is opened once per batch to add the notes
+    assert.isBelow(batched.roundTrips, unbatched.roundTrips / 2);
+  });
+
+  it('should report the layout shapes whose tokens show as they are', () => {
+    const titleConfig = Object.assign({}, rowConfig,
+        {TEXT_SHAPES: [], TEXT_COLUMNS: []});
+    for (const batched of [false, true]) {
+      generateRows(3, titleConfig, batched);
+      assert.deepEqual(getReportedIssues().map(
+          (issue: {code: string}) => issue.code), ['LAYOUT_TOKENS_NOT_FILLED']);
+    }
+  });
+
+  it('should report a failed batch against the rows it held', () => {
+    const rowsPerCall: number[] = [];
+    const skipConfig = Object.assign({}, rowConfig, {ON_ROW_ERROR: 'skip'});
+    const result = generateRows(200, skipConfig, true, (requests) => {
+      rowsPerCall.push(requests.filter(
+          (request) => 'createSlide' in request).length);
+      if (rowsPerCall.length === 2) {
+        throw new Error('Internal error');
+      }
+    });
+    const [sentRows, failedRows] = rowsPerCall;
+    assert.equal(result.slides, 200 - failedRows);
+    assert.deepEqual(getReportedIssues().map(
+        (issue: {rowNumber: number}) => issue.rowNumber),
+    Array.from({length: failedRows}, (value, index) => 2 + sentRows + index));
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { assert } from "chai";
+import "mocha";
+import rewire from "rewire";
+
+const config = rewire('../src/utilities/config.js');
+const enums = rewire('../src/constants/enums.js');
+const tables = rewire('../src/utilities/tables.js');
+tables.__set__('isEmptyConfigValue', config.__get__('isEmptyConfigValue'));
+for (const name of ['CWV', 'COLORS', 'colorForCWV']) {
+  tables.__set__(name, enums.__get__(name));
+}
+
+const COLORS = enums.__get__('COLORS');
+const paginateTableRows = tables.__get__('paginateTableRows');
+const getTableCellColor = tables.__get__('getTableCellColor');
+
+describe('paginateTableRows', () => {
+  it('should split the rows in pages', () => {
+    assert.deepEqual(paginateTableRows([1, 2, 3, 4, 5], 2),
+        [[1, 2], [3, 4], [5]]);
+  });
+
+  it('should keep a single empty page for tables without rows', () => {
+    assert.deepEqual(paginateTableRows([], 10), [[]]);
+  });
+});
+
+describe('getTableCellColor', () => {
+  const cellColors = {'LCP': 'lcp', 'Score': [50, 90]};
+
+  it('should color cells with the thresholds of a Core Web Vital', () => {
+    assert.strictEqual(getTableCellColor('LCP', 1800, cellColors),
+        COLORS.GREEN);
+    assert.strictEqual(getTableCellColor('LCP', 3000, cellColors),
+        COLORS.YELLOW);
+    assert.strictEqual(getTableCellColor(' LCP ', 4500, cellColors),
+        COLORS.RED);
+  });
+
+  it('should color cells with custom thresholds', () => {
+    assert.strictEqual(getTableCellColor('Score', 95, cellColors), COLORS.RED);
+  });
+
+  it('should not color empty cells or columns without thresholds', () => {
+    assert.isNull(getTableCellColor('LCP', '', cellColors));
+    assert.isNull(getTableCellColor('URL', 'https://example.com', cellColors));
+  });
+});
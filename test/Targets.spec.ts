@@ -0,0 +1,139 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { assert } from "chai";
+import "mocha";
+import rewire from "rewire";
+
+const schema = rewire('../src/constants/configSchema.js');
+const config = rewire('../src/utilities/config.js');
+const templating = rewire('../src/utilities/templating.js');
+const targets = rewire('../src/targets.js');
+targets.__set__('CONFIG_SCHEMA', schema.__get__('CONFIG_SCHEMA'));
+targets.__set__('isEmptyConfigValue', config.__get__('isEmptyConfigValue'));
+targets.__set__('renderTemplate', templating.__get__('renderTemplate'));
+
+const parseTargets = targets.__get__('parseTargets');
+const getTargetRunOverrides = targets.__get__('getTargetRunOverrides');
+const formatPreflightProblem =
+    rewire('../src/preflight.js').__get__('formatPreflightProblem');
+
+describe('parseTargets', () => {
+  const header = [
+    'Client', 'FILTER_TEXT_VALUE', '{{ADVERTISER}}', 'Deck URL', 'Status',
+  ];
+
+  it('should split overrides from dictionary values', () => {
+    const [target] = parseTargets(header, [
+      ['Acme', 'acme.com', 'Acme Inc.', 'https://old', 'Generated'],
+    ]);
+    assert.strictEqual(target.rowNumber, 2);
+    assert.strictEqual(target.client, 'Acme');
+    assert.deepEqual(target.runOverrides, {FILTER_TEXT_VALUE: 'acme.com'});
+    assert.deepEqual(target.dictionaryValues, {'{{ADVERTISER}}': 'Acme Inc.'});
+    assert.strictEqual(target.status, 'Generated');
+  });
+
+  it('should skip rows without values', () => {
+    const rows = parseTargets(header, [
+      ['', '', '', 'https://old', 'Failed: reason'],
+      ['Globex', '', '', '', ''],
+    ]);
+    assert.lengthOf(rows, 1);
+    assert.strictEqual(rows[0].rowNumber, 3);
+  });
+});
+
+describe('getTargetRunOverrides', () => {
+  it('should render the deck name pattern with the row values', () => {
+    const [target] = parseTargets(
+        ['Client', '{{ADVERTISER}}'], [['Acme', 'Acme Inc.']]);
+    const deckConfig = {
+      OUTPUT_DECK_NAME: 'Audit - {{Client}}',
+      DICTIONARY_VALUES: {'{{YEAR}}': '2024'},
+    };
+    assert.deepEqual(getTargetRunOverrides(target, deckConfig), {
+      OUTPUT_DECK_NAME: 'Audit - Acme',
+      DICTIONARY_VALUES: '{"{{YEAR}}":"2024","{{ADVERTISER}}":"Acme Inc."}',
+    });
+  });
+
+  it('should prefer the name pattern of the row', () => {
+    const [target] = parseTargets(['Client', 'OUTPUT_DECK_NAME'],
+        [['Acme', '{{Client}} audit']]);
+    assert.strictEqual(
+        getTargetRunOverrides(target, {OUTPUT_DECK_NAME: 'Audit'})
+            .OUTPUT_DECK_NAME,
+        'Acme audit');
+  });
+});
+
+describe('createDecksForTargets', () => {
+  it('should fail the rows whose overrides are invalid', () => {
+    const values = [
+      ['Client', 'FILTER_TEXT_VALUE', 'Status'],
+      ['Acme', 'acme.com', ''],
+      ['Globex', '', ''],
+    ];
+    const preflighted: object[] = [];
+    const generated: object[] = [];
+    const results: Array<[number, string[], string]> = [];
+    targets.__with__({
+      SpreadsheetApp: {
+        getActive: () => ({getSheetByName: () =>
+          ({getDataRange: () => ({getValues: () => values})})}),
+        flush: () => {},
+      },
+      TARGETS_SHEET: 'Targets',
+      readGenerationCheckpoint: () => null,
+      assertValidConfiguration: () => [],
+      loadDeckConfiguration: () => ({OUTPUT_DECK_NAME: '{{Client}}'}),
+      runPreflight: (overrides: {FILTER_TEXT_VALUE?: string}) => {
+        preflighted.push(overrides);
+        return overrides.FILTER_TEXT_VALUE ?
+            [{severity: 'warning', source: 'Run', key: 'FILTER_TEXT_VALUE',
+              message: 'Unused'}] :
+            [{severity: 'error', source: 'Run', key: 'FILTER_COLUMN',
+              message: 'Required'}];
+      },
+      PROBLEM_SEVERITY: {ERROR: 'error', WARNING: 'warning'},
+      formatPreflightProblem: formatPreflightProblem,
+      createDeckFromDatasources: (overrides: object, showIssues: boolean,
+          warnings: string[]) => {
+        generated.push({overrides, warnings});
+        return ['deck'];
+      },
+      getReportedIssues: () => [],
+      writeTargetResult: (rowNumber: number, ids: string[], status: string) =>
+        results.push([rowNumber, ids, status]),
+      showIssuesSummary: () => {},
+    })(() => targets.__get__('createDecksForTargets')({LOCALE: 'fr'}));
+
+    assert.deepEqual(preflighted, [
+      {LOCALE: 'fr', FILTER_TEXT_VALUE: 'acme.com', OUTPUT_DECK_NAME: 'Acme'},
+      {LOCALE: 'fr', OUTPUT_DECK_NAME: 'Globex'},
+    ]);
+    assert.deepEqual(generated, [{
+      overrides: preflighted[0],
+      warnings: ['[WARNING] Run - FILTER_TEXT_VALUE: Unused'],
+    }]);
+    assert.deepEqual(results, [
+      [2, ['deck'], 'Generated'],
+      [3, [], 'Failed: [ERROR] Run - FILTER_COLUMN: Required'],
+    ]);
+  });
+});
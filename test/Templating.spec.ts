@@ -0,0 +1,205 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { assert } from "chai";
+import "mocha";
+import rewire from "rewire";
+
+const helpers = rewire('../src/utilities/helpers.js');
+const templating = rewire('../src/utilities/templating.js');
+templating.__set__('getFunctionByName', helpers.__get__('getFunctionByName'));
+
+const slides = rewire('../src/utilities/slides.js');
+for (const name of ['getTemplateTokens', 'hasTemplateTokens',
+  'renderTemplate']) {
+  slides.__set__(name, templating.__get__(name));
+}
+
+const renderTemplate = templating.__get__('renderTemplate');
+const registerTemplateFormatter =
+    templating.__get__('registerTemplateFormatter');
+const fillTemplateTokens = slides.__get__('fillTemplateTokens');
+
+/**
+ * Fakes a shape of SlidesApp, whose text can be read back through its text
+ * property.
+ *
+ * @param {string} text Text of the shape, without its final newline
+ * @param {object} options Layout placeholder of the shape, and its type if
+ *     it is a placeholder itself
+ * @return {object} Shape
+ */
+function fakeShape(text: string, {parent = null, placeholderType = 'NONE'}:
+    {parent?: object | null, placeholderType?: string} = {}) {
+  const shape = {
+    text: text,
+    getText: () => ({
+      asString: () => `${shape.text}\n`,
+      setText: (value: string) => {
+        shape.text = value;
+      },
+      replaceAllText: (find: string, replace: string) => {
+        shape.text = shape.text.split(find).join(replace);
+      },
+    }),
+    asShape: () => shape,
+    getParentPlaceholder: () => parent,
+    getPlaceholderType: () => placeholderType,
+  };
+  return shape;
+}
+
+/**
+ * Fakes a slide of SlidesApp.
+ *
+ * @param {object[]} shapes Shapes of the slide
+ * @param {object[]} layoutShapes Shapes of its layout
+ * @return {object} Slide
+ */
+function fakeSlide(shapes: Array<ReturnType<typeof fakeShape>>,
+    layoutShapes: Array<ReturnType<typeof fakeShape>> = []) {
+  return {
+    getShapes: () => shapes.slice(),
+    getLayout: () => ({getShapes: () => layoutShapes}),
+  };
+}
+
+/**
+ * Fills the tokens of a slide with SlidesApp and the diagnostics faked.
+ *
+ * @param {object} slide Slide to fill
+ * @param {object} record Values of the row by header name
+ * @param {string[]} fieldShapeNames Strings of the shapes holding fields
+ * @param {object[]} issues Issues reported so far, completed with the new ones
+ * @return {object[]} Issues reported
+ */
+function fill(slide: object, record: object, fieldShapeNames: string[] = [],
+    issues: Array<{code: string, message: string}> = []) {
+  slides.__with__({
+    SlidesApp: {PlaceholderType: {NONE: 'NONE'}},
+    PROBLEM_SEVERITY: {WARNING: 'warning'},
+    ISSUE_CODES: {LAYOUT_TOKENS_NOT_FILLED: 'LAYOUT_TOKENS_NOT_FILLED'},
+    getReportedIssues: () => issues,
+    reportIssue: (severity: string, code: string, message: string) =>
+      issues.push({code, message}),
+  })(() => fillTemplateTokens(slide, record, '', fieldShapeNames));
+  return issues;
+}
+
+describe('renderTemplate', () => {
+  const record = {
+    'Recommendation': 'Compress images',
+    'LCP': 2345,
+    'Score': 0.873,
+    'Owner': '',
+  };
+
+  it('should replace tokens with the values of their field', () => {
+    assert.strictEqual(
+        renderTemplate('Fix: {{Recommendation}}!', record),
+        'Fix: Compress images!');
+  });
+
+  it('should apply the built-in formatters', () => {
+    assert.strictEqual(renderTemplate('{{ LCP | seconds }}', record), '2.3 s');
+    assert.strictEqual(renderTemplate('{{LCP | ms}}', record), '2345 ms');
+    assert.strictEqual(renderTemplate('{{LCP | number}}', record), '2,345');
+    assert.strictEqual(renderTemplate('{{Score | percent:1}}', record), '87.3%');
+    assert.strictEqual(
+        renderTemplate('{{Recommendation | upper}}', record),
+        'COMPRESS IMAGES');
+  });
+
+  it('should format numbers in the conventions of the locale', () => {
+    assert.strictEqual(
+        renderTemplate('{{LCP | number}}', record, 'de-DE'), '2.345');
+    assert.strictEqual(
+        renderTemplate('{{LCP | seconds}}', record, 'fr'), '2,3 s');
+  });
+
+  it('should chain formatters and keep quoted arguments as text', () => {
+    assert.strictEqual(
+        renderTemplate('{{Owner | default:"TBD | later" | lower}}', record),
+        'tbd | later');
+    assert.strictEqual(renderTemplate('{{Missing | default:"n/a"}}', record),
+        'n/a');
+  });
+
+  it('should render unknown fields as empty', () => {
+    assert.strictEqual(renderTemplate('[{{Missing}}]', record), '[]');
+  });
+
+  it('should use registered formatters and project functions', () => {
+    registerTemplateFormatter('exclaim', (value: any) => `${value}!`);
+    (globalThis as any).shout = (value: any) => `${value}!!`;
+    assert.strictEqual(
+        renderTemplate('{{Recommendation | exclaim}}', record),
+        'Compress images!');
+    assert.strictEqual(
+        renderTemplate('{{Recommendation | shout}}', record),
+        'Compress images!!');
+  });
+
+  it('should report unknown formatters with their token', () => {
+    assert.throws(() => renderTemplate('{{LCP | minutes}}', record),
+        'Unknown formatter "minutes" in {{LCP | minutes}}');
+  });
+});
+
+describe('fillTemplateTokens', () => {
+  const record = {Recommendation: 'Compress images', LCP: 2345};
+
+  it('should replace the tokens of the slide shapes in place', () => {
+    const shape = fakeShape('Fix {{Recommendation}} ({{LCP | seconds}})');
+    fill(fakeSlide([shape]), record);
+    assert.equal(shape.text, 'Fix Compress images (2.3 s)');
+  });
+
+  it('should render the layout text of empty placeholders', () => {
+    const layoutBody = fakeShape('LCP: {{LCP | ms}}', {placeholderType: 'BODY'});
+    const body = fakeShape('', {parent: layoutBody, placeholderType: 'BODY'});
+    const title = fakeShape('Set by a field', {
+      parent: fakeShape('{{Recommendation}}', {placeholderType: 'TITLE'}),
+      placeholderType: 'TITLE',
+    });
+    fill(fakeSlide([body, title], [layoutBody]), record);
+    assert.equal(body.text, 'LCP: 2345 ms');
+    assert.equal(title.text, 'Set by a field');
+  });
+
+  it('should leave the shapes without tokens as they are', () => {
+    const layoutBody = fakeShape('Body', {placeholderType: 'BODY'});
+    const shapes = [
+      fakeShape('Plain text'),
+      fakeShape('', {parent: layoutBody, placeholderType: 'BODY'}),
+    ];
+    const slide = fakeSlide(shapes, [layoutBody, fakeShape('Footer')]);
+    fill(slide, record);
+    assert.deepEqual(shapes.map((shape) => shape.text), ['Plain text', '']);
+  });
+
+  it('should report the layout shapes with tokens once', () => {
+    const slide = fakeSlide([], [
+      fakeShape('Fix: {{Recommendation}}'), fakeShape('{{metric}}'),
+    ]);
+    const issues = fill(slide, record, ['{{metric}}']);
+    fill(slide, record, ['{{metric}}'], issues);
+    assert.lengthOf(issues, 1);
+    assert.equal(issues[0].code, 'LAYOUT_TOKENS_NOT_FILLED');
+    assert.include(issues[0].message, '"Fix: {{Recommendation}}"');
+  });
+});
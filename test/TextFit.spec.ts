@@ -0,0 +1,206 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { assert } from "chai";
+import "mocha";
+import rewire from "rewire";
+
+const textFit = rewire('../src/utilities/textFit.js');
+const estimateTextHeight = textFit.__get__('estimateTextHeight');
+const findFittingFontSize = textFit.__get__('findFittingFontSize');
+const truncateToFit = textFit.__get__('truncateToFit');
+const splitOverflow = textFit.__get__('splitOverflow');
+const splitToFit = textFit.__get__('splitToFit');
+const textFits = textFit.__get__('textFits');
+const fitSlideTexts = textFit.__get__('fitSlideTexts');
+
+const richText = rewire('../src/utilities/richText.js');
+for (const name of [
+  'parseRichText', 'sliceRichText', 'getTextRangeMarkup', 'setFieldText',
+]) {
+  textFit.__set__(name, richText.__get__(name));
+}
+
+// 20 characters of 10pt per line and 3 lines of 12pt
+const box = {width: 114.4, height: 50.4};
+const longText = 'Serve images in next-gen formats such as WebP and AVIF, ' +
+    'which often provide better compression than PNG or JPEG.';
+
+interface FakeChar {
+  char: string;
+  bold: boolean;
+  italic: boolean;
+  link: string | null;
+}
+
+/**
+ * Builds the text of a shape as styled characters, with the parts of the
+ * Slides text range API that fitting and rendering texts use.
+ *
+ * @param {!Array<!FakeChar>} chars Characters of the text
+ * @param {number=} start Start of the range
+ * @param {?number=} end End of the range, null for the end of the text
+ * @return {!Object} Text range
+ */
+function fakeTextRange(chars: FakeChar[], start = 0,
+    end: number | null = null): any {
+  const getEnd = () => end === null ? chars.length : end;
+  const getChars = () => chars.slice(start, getEnd());
+  const textStyle = {
+    getFontSize: () => 10,
+    isBold: () => getChars().every((char) => char.bold),
+    isItalic: () => getChars().every((char) => char.italic),
+    hasLink: () => getChars().every((char) => char.link),
+    getLink: () => ({getUrl: () => getChars()[0].link}),
+    setBold: (bold: boolean) => {
+      getChars().forEach((char) => char.bold = bold);
+      return textStyle;
+    },
+    setItalic: (italic: boolean) => {
+      getChars().forEach((char) => char.italic = italic);
+      return textStyle;
+    },
+    setLinkUrl: (link: string) => {
+      getChars().forEach((char) => char.link = link);
+      return textStyle;
+    },
+    removeLink: () => {
+      getChars().forEach((char) => char.link = null);
+      return textStyle;
+    },
+  };
+  const range = {
+    asString: () => getChars().map(({char}) => char).join(''),
+    getTextStyle: () => textStyle,
+    getListStyle: () => ({isInList: () => false, removeFromList: () => {}}),
+    getRange: (rangeStart: number, rangeEnd: number) =>
+      fakeTextRange(chars, start + rangeStart, start + rangeEnd),
+    // The new text takes the style of the first character it replaces
+    setText: (text: string) => {
+      const style = chars[start] ||
+          {char: '', bold: false, italic: false, link: null};
+      chars.splice(start, getEnd() - start, ...[...text].map((char) =>
+        Object.assign({}, style, {char: char})));
+    },
+    getParagraphs: () => [{getRange: () => range}],
+    getRuns: () => {
+      const runs = [];
+      let runStart = start;
+      for (let position = start + 1; position <= getEnd(); position++) {
+        const previous = chars[position - 1];
+        const char = chars[position];
+        if (!char || char.bold !== previous.bold ||
+            char.italic !== previous.italic || char.link !== previous.link) {
+          runs.push(fakeTextRange(chars, runStart, position));
+          runStart = position;
+        }
+      }
+      return runs;
+    },
+  };
+  return range;
+}
+
+describe('estimateTextHeight', () => {
+  it('should wrap long paragraphs and count every paragraph', () => {
+    assert.strictEqual(estimateTextHeight('a'.repeat(20), 114.4, 10), 26.4);
+    assert.strictEqual(estimateTextHeight('a'.repeat(21), 114.4, 10), 38.4);
+    assert.strictEqual(estimateTextHeight('a\n\nb', 114.4, 10), 50.4);
+  });
+});
+
+describe('findFittingFontSize', () => {
+  it('should keep the font size of texts that fit', () => {
+    assert.strictEqual(findFittingFontSize('Short', box, 10, 6), 10);
+  });
+
+  it('should shrink the font down to the minimum', () => {
+    const size = findFittingFontSize(longText, box, 10, 4);
+    assert.isBelow(size, 10);
+    assert.isTrue(textFits(longText, box, size));
+    assert.strictEqual(findFittingFontSize(longText, box, 10, 8), 8);
+  });
+});
+
+describe('truncateToFit', () => {
+  it('should cut long texts at a word boundary with an ellipsis', () => {
+    const truncated = truncateToFit(longText, box, 10);
+    assert.match(truncated, /^Serve images in next-gen[\w\s-]*\S…$/);
+    assert.isTrue(textFits(truncated, box, 10));
+  });
+
+  it('should keep texts that fit', () => {
+    assert.strictEqual(truncateToFit('Short', box, 10), 'Short');
+  });
+});
+
+describe('splitOverflow', () => {
+  it('should keep the start that fits and return the rest', () => {
+    const {kept, overflow} = splitOverflow(longText, box, 10);
+    assert.isTrue(textFits(kept, box, 10));
+    assert.isNotEmpty(overflow);
+    assert.strictEqual(`${kept} ${overflow}`, longText);
+  });
+
+  it('should not overflow texts that fit', () => {
+    assert.deepEqual(
+        splitOverflow('Short', box, 10), {kept: 'Short', overflow: ''});
+  });
+});
+
+describe('splitToFit', () => {
+  it('should split long texts in parts that fit', () => {
+    const parts = splitToFit(longText, box, 10);
+    assert.isAbove(parts.length, 1);
+    assert.strictEqual(parts.join(' '), longText);
+    for (const part of parts) {
+      assert.isTrue(textFits(part, box, 10));
+    }
+  });
+
+  it('should keep texts that fit in a single part', () => {
+    assert.deepEqual(splitToFit('Short', box, 10), ['Short']);
+  });
+});
+
+describe('fitSlideTexts', () => {
+  it('should keep the rich text styles of truncated texts', () => {
+    const chars: FakeChar[] = [];
+    const textRange = fakeTextRange(chars);
+    const config = {RICH_TEXT: true, TEXT_FIT: {body: 'truncate'}};
+    textFit.__get__('setFieldText')(textRange,
+        '**Serve images** in [next-gen formats](https://web.dev) such as ' +
+        'WebP and AVIF, which often provide better compression.', config);
+    const shape = {getText: () => textRange, getWidth: () => box.width,
+      getHeight: () => box.height};
+    const notes: string[] = [];
+    textFit.__with__({
+      appendSpeakerNotes: (slide: unknown, text: string) => notes.push(text),
+    })(() => fitSlideTexts({}, [{field: 'body', shape: shape}], config));
+
+    const text = textRange.asString();
+    assert.match(text, /^Serve images in next-gen formats[\w\s,]*…$/);
+    assert.isTrue(textFits(text, box, 10));
+    const styleOf = (word: string) => chars[text.indexOf(word)];
+    assert.include(styleOf('Serve'), {bold: true, link: null});
+    assert.include(styleOf('in'), {bold: false, link: null});
+    assert.include(styleOf('formats'),
+        {bold: false, link: 'https://web.dev'});
+    assert.include(styleOf('…'), {bold: false, link: null});
+    assert.match(notes[0], /^Serve images in next-gen formats such as/);
+  });
+});